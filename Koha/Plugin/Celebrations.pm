@@ -10,6 +10,10 @@ use FindBin;
 use lib "$FindBin::Bin";
 use Koha::Plugin::Celebrations::Lib::Config;
 use Koha::Plugin::Celebrations::Lib::ThemeManager;
+use Koha::Plugin::Celebrations::Lib::Recurrence;
+use Koha::Plugin::Celebrations::Lib::ScheduleTransfer;
+use Koha::Plugin::Celebrations::Lib::ICalendar;
+use Koha::Plugin::Celebrations::Lib::ThemeHistory;
 use Koha::Plugin::Celebrations::Lib::AssetHandler;
 use Koha::Plugin::Celebrations::Lib::TemplateBuilder;
 use Koha::Plugin::Celebrations::Lib::I18n;
@@ -51,7 +55,7 @@ our $metadata = {
 =head2 new
 
 Constructeur principal.
-Initialise les gestionnaires internes (config, thèmes, assets, templates, i18n).
+Initialise les gestionnaires internes (config, thèmes, export/import JSON et iCalendar, assets, templates, i18n).
 
 =cut
 
@@ -62,6 +66,10 @@ sub new {
     my $self = $class->SUPER::new($args);
     $self->{config} = Koha::Plugin::Celebrations::Lib::Config->new($self);
     $self->{theme_manager} = Koha::Plugin::Celebrations::Lib::ThemeManager->new($self);
+    $self->{recurrence} = Koha::Plugin::Celebrations::Lib::Recurrence->new($self);
+    $self->{schedule_transfer} = Koha::Plugin::Celebrations::Lib::ScheduleTransfer->new($self);
+    $self->{icalendar} = Koha::Plugin::Celebrations::Lib::ICalendar->new($self);
+    $self->{theme_history} = Koha::Plugin::Celebrations::Lib::ThemeHistory->new($self);
     $self->{asset_handler} = Koha::Plugin::Celebrations::Lib::AssetHandler->new($self);
     $self->{template_builder} = Koha::Plugin::Celebrations::Lib::TemplateBuilder->new($self);
     $self->{i18n} = Koha::Plugin::Celebrations::Lib::I18n->new($self);
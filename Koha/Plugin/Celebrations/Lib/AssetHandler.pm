@@ -4,6 +4,8 @@ use Modern::Perl;
 use JSON;
 use File::Slurp;
 use CGI;
+use C4::Context;
+use C4::Languages;
 
 =head1 NAME
 
@@ -88,26 +90,84 @@ sub get_api_routes {
 }
 
 
+=head2 get_active_layers
+
+Retourne les thèmes en cours à charger dans l’OPAC (voir
+L<Koha::Plugin::Celebrations::Lib::ThemeManager/get_active_themes>) pour la bibliothèque
+de l’OPAC (voir L</get_opac_branch>), du moins prioritaire au plus prioritaire. Chaque entrée contient l’id de l’entrée programmée (id), le nom du
+thème (name), sa configuration de base (conf) et ses données enregistrées (theme_conf),
+réduites aux éléments activés qu’il charge : un même élément (ex : couleurs, footer) n’est
+chargé que pour le thème le plus prioritaire, dont la feuille de style l’emporte ainsi sur
+celles des autres. Un thème programmé plusieurs fois n’est chargé que pour son entrée
+la plus prioritaire.
+
+=cut
+
+sub get_active_layers {
+    my ($self) = @_;
+    my $theme_manager = $self->{plugin}->{theme_manager};
+    my ( @layers, %claimed, %loaded );
+    foreach my $theme_id ( $theme_manager->get_active_themes( $self->get_opac_branch() ) ) {
+        my $theme_conf = $theme_manager->get_theme_data($theme_id);
+        next unless $theme_conf && ref $theme_conf->{elements} eq 'HASH';
+        my $theme_name = $theme_conf->{theme_name};
+        next if $loaded{$theme_name}++;
+        my %elements;
+        foreach my $element ( sort keys %{ $theme_conf->{elements} } ) {
+            my $element_state = $theme_conf->{elements}{$element};
+            next unless ref $element_state eq 'HASH' && $element_state->{enabled};
+            next if $claimed{$element}++;
+            $elements{$element} = $element_state;
+        }
+        next unless %elements;
+        unshift @layers, {
+            id         => $theme_id,
+            name       => $theme_name,
+            conf       => $self->{plugin}->{config}->get_theme_config($theme_name),
+            theme_conf => { %$theme_conf, elements => \%elements },
+        };
+    }
+    return @layers;
+}
+
+=head2 get_opac_branch
+
+Retourne le code de la bibliothèque de l’OPAC consulté : celle de l’usager connecté,
+sinon la bibliothèque par défaut de l’OPAC (variable C<OPAC_BRANCH_DEFAULT> de la
+configuration Apache, propre à chaque site OPAC). Retourne une chaîne vide si elle est
+inconnue : seuls les thèmes qui ciblent toutes les bibliothèques sont alors chargés.
+
+=cut
+
+sub get_opac_branch {
+    my ($self) = @_;
+    my $userenv = C4::Context->userenv;
+    return $userenv->{branch} if $userenv && $userenv->{branch};
+    return $ENV{OPAC_BRANCH_DEFAULT} // '';
+}
+
 =head2 get_opac_head
 
-Génère les balises <link> et <style> nécessaires à l’injection du CSS du thème
-actif dans l’OPAC.
+Génère les balises <link> et <style> nécessaires à l’injection du CSS des thèmes
+actifs dans l’OPAC. Les CSS des thèmes superposés sont concaténés du moins prioritaire
+au plus prioritaire (voir L</get_active_layers>).
 Retourne une chaîne HTML prête à être insérée dans head.inc.
 
 =cut
 
 sub get_opac_head {
     my ($self) = @_;
-    my $theme_manager = $self->{plugin}->{theme_manager};
-    my $active_theme = $theme_manager->get_active_theme();
-    return '' unless $active_theme;
-    my $theme_conf = $theme_manager->get_theme_data($active_theme);
-    return '' unless $theme_conf && $theme_conf->{elements};
-    my $conf = $self->{plugin}->{config}->get_theme_config($active_theme);
-    my $extra_css = $self->collect_theme_css($active_theme, $conf, $theme_conf);
-    my $font_link = $conf->{font_url} // '';
+    my @layers = $self->get_active_layers();
+    return '' unless @layers;
+    my ( $extra_css, $font_links, %seen_fonts ) = ( '', '' );
+    foreach my $layer (@layers) {
+        $extra_css .= $self->collect_theme_css( $layer->{name}, $layer->{conf}, $layer->{theme_conf} );
+        my $font_link = $layer->{conf}{font_url} // '';
+        next if !$font_link || ref $font_link || $seen_fonts{$font_link}++;
+        $font_links .= qq{<link href="$font_link" rel="stylesheet">\n};
+    }
     return qq{
-        <link href="$font_link" rel="stylesheet">
+        $font_links
         <style id="theme-inline-css">
         $extra_css
         </style>
@@ -116,22 +176,30 @@ sub get_opac_head {
 
 =head2 get_opac_js
 
-Retourne les tags <script> correspondant au thème actif, ainsi que les options JS
+Retourne les tags <script> correspondant aux thèmes actifs, ainsi que les options JS
 associées (ex : configuration spécifique aux animations).
+Les scripts partagés sont toujours injectés lorsqu’un thème est actif : ils
+gèrent notamment la mise en pause des animations CSS (prefers-reduced-motion).
+Les éléments ne font que s’enregistrer : ils sont démarrés par le script de
+lancement ajouté en dernier (voir L</generate_boot_script>).
+Les réglages d’animation et de qualité sont ceux du thème le plus prioritaire.
 
 =cut
 
 sub get_opac_js {
     my ($self) = @_;
-    my $theme_manager = $self->{plugin}->{theme_manager};
-    my $active_theme = $theme_manager->get_active_theme();
-    return '' unless $active_theme;
-    my $theme_conf = $theme_manager->get_theme_data($active_theme);
-    return '' unless $theme_conf && $theme_conf->{elements};
-    my $conf = $self->{plugin}->{config}->get_theme_config($active_theme);
-    my ($js_tags_ref, $js_options_ref) = $self->collect_theme_js($active_theme, $conf, $theme_conf);
-    my $script_options = $self->generate_js_options($active_theme, $js_options_ref);
-    return "$script_options\n" . join("\n", @$js_tags_ref);
+    my @layers = $self->get_active_layers();
+    return '' unless @layers;
+    my ( @script_options, @js_tags );
+    foreach my $layer (@layers) {
+        my ($js_tags_ref, $js_options_ref) = $self->collect_theme_js( $layer->{name}, $layer->{conf}, $layer->{theme_conf} );
+        push @script_options, $self->generate_js_options( $layer->{name}, $js_options_ref );
+        push @js_tags, @$js_tags_ref;
+    }
+    my $runtime_settings = $self->generate_runtime_settings( $layers[-1]{theme_conf} );
+    my $core_tags_ref = $self->collect_core_js();
+    my $boot_script = $self->generate_boot_script( map { $_->{name} } @layers );
+    return join("\n", @script_options, $runtime_settings) . "\n" . join("\n", @$core_tags_ref, @js_tags, $boot_script);
 }
 
 =head2 collect_theme_css
@@ -198,6 +266,32 @@ sub collect_theme_js {
     return (\@js_tags, \%js_options);
 }
 
+=head2 collect_core_js
+
+Construit les balises <script> des scripts partagés (C<js/core/>) déclarés
+dans L<Koha::Plugin::Celebrations::Lib::Config/get_core_scripts>.
+Ces scripts doivent précéder ceux des éléments qui en dépendent.
+Retourne une référence à une liste de tags <script>.
+
+=cut
+
+sub collect_core_js {
+    my ($self) = @_;
+    my @core_tags;
+    my $api_ns = $self->{plugin}->api_namespace;
+    foreach my $file_name (@{ $self->{plugin}->{config}->get_core_scripts() }) {
+        my $js_file = $self->get_asset_path('js', 'core', $file_name);
+        unless (-e $js_file) {
+            warn "[Celebrations] Script partagé manquant : $js_file";
+            next;
+        }
+        push @core_tags, qq{
+                <script src="/api/v1/contrib/$api_ns/static/js/core/$file_name.js"></script>
+            };
+    }
+    return \@core_tags;
+}
+
 =head2 generate_js_options
 
 Génère un bloc <script> contenant les options JavaScript d’un thème, accessibles
@@ -216,6 +310,50 @@ sub generate_js_options {
     };
 }
 
+=head2 generate_runtime_settings
+
+Génère un bloc <script> contenant les réglages du thème actif lus par les scripts
+partagés (C<js/core/>) :
+- window.celebrationsMotionToggle : affichage du bouton de pause des animations
+- window.celebrationsQualityMode : 'adaptive' ou 'fixed' (qualité des effets)
+- window.celebrationsMotionLabels : libellés du bouton de pause dans la langue de l’OPAC
+(section C<animations> des traductions)
+
+=cut
+
+sub generate_runtime_settings {
+    my ($self, $theme_conf) = @_;
+    my $show_toggle = $theme_conf->{motion_toggle} ? 'true' : 'false';
+    my $quality_mode = ( $theme_conf->{quality_mode} // '' ) eq 'fixed' ? 'fixed' : 'adaptive';
+    my $translations = $self->{plugin}->{i18n}->load_translations( C4::Languages::getlanguage() )->{hash};
+    my $motion_labels = encode_json( ( $translations->{T} || {} )->{animations} || {} );
+    return qq{
+        <script>
+            window.celebrationsMotionToggle = $show_toggle;
+            window.celebrationsQualityMode = '$quality_mode';
+            window.celebrationsMotionLabels = $motion_labels;
+        </script>
+    };
+}
+
+=head2 generate_boot_script
+
+Génère le bloc <script> qui démarre les éléments enregistrés auprès de
+CelebrationsEffects (C<js/core/celebrations-effects.js>) avec les options des thèmes
+donnés, fusionnées du moins prioritaire au plus prioritaire.
+
+=cut
+
+sub generate_boot_script {
+    my ($self, @theme_names) = @_;
+    my $options = join ', ', map { qq{window["${_}ThemeOptions"]} } @theme_names;
+    return qq{
+        <script>
+            if (window.CelebrationsEffects) CelebrationsEffects.boot(Object.assign({}, $options));
+        </script>
+    };
+}
+
 =head2 get_asset_path
 
 Construit et retourne le chemin absolu d’un fichier CSS ou JS d’un thème donné.
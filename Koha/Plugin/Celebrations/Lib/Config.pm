@@ -5,6 +5,8 @@ use File::Slurp;
 use File::Basename;
 use Cwd 'abs_path';
 use JSON;
+use C4::Context;
+use Koha::Libraries;
 
 =head1 NAME
 
@@ -24,9 +26,24 @@ Elle fournit des méthodes permettant :
 - d’accéder à la configuration complète ou par thème
 - de vérifier l’existence d’un thème
 - d’obtenir le JSON brut pour debug ou inspection
+- de lister les scripts partagés (js/core/) communs à tous les thèmes
+- d’obtenir le fuseau horaire de la bibliothèque
+- de lister les bibliothèques (sites) que les thèmes peuvent cibler
 
 =cut
 
+#
+# Scripts partagés chargés avant ceux des éléments de thème, dans l'ordre indiqué.
+# Les fichiers se trouvent dans js/core/<nom>.js.
+#
+my @CORE_SCRIPTS = qw(
+    celebrations-motion
+    celebrations-lifecycle
+    celebrations-quality
+    celebrations-effects
+    celebrations-particles
+);
+
 =head1 METHODS
 
 =head2 new
@@ -127,6 +144,50 @@ sub get_json_config {
     my ($self) = @_;
     return $self->{json_config};
 }
+
+=head2 get_core_scripts
+
+Retourne la liste ordonnée des scripts partagés (sans extension) situés dans
+C<js/core/>. Ils sont injectés avant les scripts des éléments, aussi bien dans
+l’OPAC que dans la prévisualisation.
+
+=cut
+
+sub get_core_scripts {
+    my ($self) = @_;
+    return [@CORE_SCRIPTS];
+}
+
+=head2 get_timezone
+
+Retourne le nom du fuseau horaire de la bibliothèque (ex : C<America/Toronto>), tel que
+configuré dans Koha (C<< C4::Context->tz >>). Les dates des thèmes sont saisies, calculées
+et affichées dans ce fuseau, quel que soit celui du serveur ou du navigateur.
+
+=cut
+
+sub get_timezone {
+    my ($self) = @_;
+    return C4::Context->tz->name;
+}
+
+=head2 get_libraries
+
+Retourne la liste des bibliothèques (sites) de Koha, triée par nom :
+C<< [ { branchcode => 'CPL', branchname => 'Centerville' }, ... ] >>.
+Un thème peut être limité à certaines d’entre elles (voir
+L<Koha::Plugin::Celebrations::Lib::ThemeManager/normalize_branches>).
+
+=cut
+
+sub get_libraries {
+    my ($self) = @_;
+    return [
+        map { { branchcode => $_->branchcode, branchname => $_->branchname } }
+            Koha::Libraries->search( {}, { order_by => 'branchname' } )->as_list
+    ];
+}
+
 =head2 theme_exists
 
 Retourne vrai si un thème existe dans le fichier de configuration.
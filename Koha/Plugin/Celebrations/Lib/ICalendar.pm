@@ -0,0 +1,418 @@
+package Koha::Plugin::Celebrations::Lib::ICalendar;
+
+use Modern::Perl;
+use JSON;
+use DateTime;
+use Encode qw(encode);
+
+=head1 NAME
+
+Koha::Plugin::Celebrations::ICalendar - Export et import iCalendar (ICS) des périodes des thèmes
+
+=head1 DESCRIPTION
+
+Cette classe publie les entrées programmées, telles que retournées par C<GET /themes>,
+sous la forme d’un calendrier iCalendar (RFC 5545) : un fichier C<.ics> à télécharger
+depuis l’interface du plugin.
+
+Chaque entrée produit un VEVENT sur des journées entières, ou aux heures de début
+et de fin (en UTC) lorsque l’entrée en précise :
+
+- les dates sont celles de l’occurrence en cours ou à venir ;
+- un thème répété chaque année (C<yearly>) porte la règle C<RRULE:FREQ=YEARLY> ;
+- les règles calculées (Pâques, nième jour de la semaine) n’ont pas d’équivalent iCalendar :
+  seule leur occurrence en cours ou à venir est publiée ;
+- une entrée désactivée est publiée avec le statut C<CANCELLED> ;
+- la propriété C<X-CELEBRATIONS-THEME> indique le thème de C<theme-config.json>.
+
+L’import lit les VEVENT d’un fichier C<.ics> (C<preview_ics>), puis crée une entrée
+programmée pour chaque événement associé à un thème par l’utilisateur (C<import_ics>).
+Les entrées créées passent par C<ThemeManager::apply_theme> et sont donc soumises
+aux mêmes validations que celles du formulaire (dates, récurrence, conflits).
+
+=cut
+
+my $PRODID = '-//Celebrations//Koha Plugin//FR';
+my $LINE_LENGTH = 75;
+
+=head1 METHODS
+
+=head2 new
+
+Constructeur : reçoit l’instance du plugin parent.
+
+=cut
+
+sub new {
+    my ($class, $plugin) = @_;
+    my $self = {
+        plugin => $plugin,
+    };
+    bless $self, $class;
+    return $self;
+}
+
+=head2 export_ics
+
+    my $ics = $calendar->export_ics('fr-CA');
+
+Retourne le calendrier des entrées programmées (texte iCalendar, lignes terminées par CRLF).
+Le titre des événements est le nom du thème dans la langue demandée.
+
+=cut
+
+sub export_ics {
+    my ($self, $language) = @_;
+    my $labels = $self->get_theme_labels($language);
+    my $stamp = _utc_stamp( DateTime->now() );
+    my @themes = sort { $a->{id} cmp $b->{id} }
+        @{ $self->{plugin}->{theme_manager}->list_themes()->{themes} };
+    my @lines = (
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        "PRODID:$PRODID",
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:Celebrations',
+        map { $self->build_event($_, $labels, $stamp) } @themes,
+    );
+    push @lines, 'END:VCALENDAR';
+    return join( '', map { _fold_line($_) . "\r\n" } @lines );
+}
+
+=head2 build_event
+
+    my @lines = $calendar->build_event($theme, $labels, $stamp);
+
+Retourne les lignes du VEVENT d’une entrée de C<list_themes>.
+Une entrée sans heure (de 00:00 à 23:59:59) est publiée sur des journées entières, dont
+la date de fin est exclusive : c’est le lendemain du dernier jour du thème.
+
+=cut
+
+sub build_event {
+    my ($self, $theme, $labels, $stamp) = @_;
+    my $time_zone = $self->{plugin}->{config}->get_timezone();
+    my $start = DateTime->from_epoch( epoch => $theme->{next_start_date}, time_zone => $time_zone );
+    my $end   = DateTime->from_epoch( epoch => $theme->{next_end_date}, time_zone => $time_zone );
+    my $all_day = $start->hms eq '00:00:00' && $end->hms eq '23:59:59';
+    my @lines = (
+        'BEGIN:VEVENT',
+        "UID:$theme->{id}\@celebrations",
+        "DTSTAMP:$stamp",
+        $all_day
+            ? ( 'DTSTART;VALUE=DATE:' . $start->ymd(''),
+                'DTEND;VALUE=DATE:' . $end->clone->truncate( to => 'day' )->add( days => 1 )->ymd('') )
+            : ( 'DTSTART:' . _utc_stamp($start), 'DTEND:' . _utc_stamp($end) ),
+        'SUMMARY:' . _escape_text( $labels->{ $theme->{name} } // $theme->{name} ),
+        'STATUS:' . ( $theme->{active} ? 'CONFIRMED' : 'CANCELLED' ),
+        'TRANSP:TRANSPARENT',
+        'X-CELEBRATIONS-THEME:' . _escape_text( $theme->{name} ),
+    );
+    push @lines, 'RRULE:FREQ=YEARLY' if ( $theme->{recurrence}{type} // 'none' ) eq 'yearly';
+    push @lines, 'END:VEVENT';
+    return @lines;
+}
+
+=head2 preview_ics
+
+    my $result = $calendar->preview_ics($ics_text, 'fr-CA');
+
+Lit les événements d’un fichier C<.ics> sans rien enregistrer et retourne, pour chacun :
+
+- index : position de l’événement dans le fichier (clé de l’association à un thème) ;
+- summary, start_date et end_date (YYYY-MM-DD, dernier jour inclus), recurrence ;
+- start_time et end_time (HH:MM) pour un événement à heure précise, undef sinon ;
+- theme : thème proposé (propriété C<X-CELEBRATIONS-THEME>, ou nom de thème trouvé
+  dans le titre), undef si aucun ;
+- errors : C<ics_dates_invalid> si l’événement n’a pas de date exploitable.
+
+Retourne C<ics_invalid_file> si le texte n’est pas un calendrier contenant des événements.
+
+=cut
+
+sub preview_ics {
+    my ($self, $text, $language) = @_;
+    my $events = $self->parse_ics($text);
+    return { success => JSON::false, message => 'ics_invalid_file' } unless $events && @$events;
+    my $labels = $self->get_theme_labels($language);
+    foreach my $event (@$events) {
+        $event->{theme} = $self->guess_theme($event, $labels);
+    }
+    return {
+        success => JSON::true,
+        events  => $events
+    };
+}
+
+=head2 import_ics
+
+    my $result = $calendar->import_ics($ics_text, { 0 => 'noel', 2 => 'halloween' });
+
+Crée une entrée programmée pour chaque événement associé à un thème
+(C<$mapping> : index de l’événement => nom du thème), via C<ThemeManager::apply_theme>.
+Tous les éléments du thème sont activés avec leurs options par défaut.
+
+Retourne, pour chaque événement, l’action effectuée (C<imported>, C<skipped> s’il n’est
+associé à aucun thème, C<conflict> ou C<invalid>), le code d’erreur éventuel (C<error>)
+et l’id de l’entrée créée.
+
+=cut
+
+sub import_ics {
+    my ($self, $text, $mapping) = @_;
+    my $events = $self->parse_ics($text);
+    return { success => JSON::false, message => 'ics_invalid_file' } unless $events && @$events;
+    $mapping = {} unless ref $mapping eq 'HASH';
+    my $theme_manager = $self->{plugin}->{theme_manager};
+    my @results;
+    foreach my $event (@$events) {
+        my $theme_name = $mapping->{ $event->{index} };
+        my $result = { index => $event->{index}, summary => $event->{summary} };
+        push @results, $result;
+        unless ($theme_name) {
+            $result->{action} = 'skipped';
+            next;
+        }
+        if ( @{ $event->{errors} } ) {
+            @{$result}{qw(action error)} = ( 'invalid', $event->{errors}[0] );
+            next;
+        }
+        my $theme_config = $self->{plugin}->{config}->get_theme_config($theme_name) || {};
+        my $applied = $theme_manager->apply_theme({
+            theme      => $theme_name,
+            start_date => $event->{start_date},
+            end_date   => $event->{end_date},
+            start_time => $event->{start_time},
+            end_time   => $event->{end_time},
+            recurrence => $event->{recurrence},
+            elements   => {
+                map { $_->{setting} => { enabled => 1 } } values %{ $theme_config->{elements} || {} }
+            },
+        });
+        if ( $applied->{success} ) {
+            @{$result}{qw(action imported_id)} = ( 'imported', $applied->{id} );
+        } else {
+            $result->{action} = $applied->{message} eq 'theme_conflict' ? 'conflict' : 'invalid';
+            $result->{error} = $applied->{message};
+        }
+    }
+    return {
+        success => JSON::true,
+        message => 'import_done',
+        results => \@results
+    };
+}
+
+=head2 parse_ics
+
+    my $events = $calendar->parse_ics($ics_text);
+
+Lit les VEVENT d’un texte iCalendar. Retourne undef si le texte n’est pas un calendrier.
+Les exceptions d’une série (C<RECURRENCE-ID>) sont ignorées ; seule une règle
+C<RRULE:FREQ=YEARLY> simple est reprise (C<yearly>), toute autre série est importée
+comme sa première occurrence.
+
+=cut
+
+sub parse_ics {
+    my ($self, $text) = @_;
+    return unless defined $text && !ref $text && $text =~ /^\s*BEGIN:VCALENDAR/i;
+    $text =~ s/\r?\n[ \t]//g;
+    my ( @events, $properties );
+    foreach my $line ( split /\r?\n/, $text ) {
+        if ( $line =~ /^BEGIN:VEVENT$/i ) {
+            $properties = {};
+            next;
+        }
+        next unless $properties;
+        if ( $line =~ /^END:VEVENT$/i ) {
+            push @events, $properties unless $properties->{'RECURRENCE-ID'};
+            undef $properties;
+            next;
+        }
+        my ( $name, $params, $value ) = $line =~ /^([\w-]+)((?:;[^:]*)?):(.*)$/ or next;
+        $properties->{ uc $name } //= { params => $params, value => $value };
+    }
+    my $index = 0;
+    return [ map { $self->build_imported_event( $_, $index++ ) } @events ];
+}
+
+=head2 build_imported_event
+
+Construit l’événement retourné par C<parse_ics> à partir des propriétés d’un VEVENT.
+Une date de fin sur la journée entière (ou à minuit) est exclusive : le dernier jour
+du thème est la veille. Un événement sans date de fin se termine le jour de son début.
+Les heures autres que minuit sont reprises (start_time, end_time).
+
+=cut
+
+sub build_imported_event {
+    my ($self, $properties, $index) = @_;
+    my $time_zone = $self->{plugin}->{config}->get_timezone();
+    my $start = _parse_date( $properties->{DTSTART}, $time_zone );
+    my $end   = _parse_date( $properties->{DTEND}, $time_zone );
+    if ( $end && $end->{exclusive} ) {
+        $end->{date}->subtract( days => 1 );
+    }
+    $end //= $start && { date => $start->{date}->clone };
+    my $rrule = $properties->{RRULE} ? uc $properties->{RRULE}{value} : '';
+    my $event = {
+        index      => $index,
+        uid        => $properties->{UID} ? $properties->{UID}{value} : undef,
+        summary    => $properties->{SUMMARY} ? _unescape_text( $properties->{SUMMARY}{value} ) : '',
+        theme_hint => $properties->{'X-CELEBRATIONS-THEME'}
+            ? _unescape_text( $properties->{'X-CELEBRATIONS-THEME'}{value} )
+            : undef,
+        recurrence => { type => $rrule =~ /^FREQ=YEARLY(?:;INTERVAL=1)?$/ ? 'yearly' : 'none' },
+        errors     => [],
+    };
+    if ( $start && $end->{date} >= $start->{date} ) {
+        $event->{start_date} = $start->{date}->ymd;
+        $event->{end_date}   = $end->{date}->ymd;
+        $event->{start_time} = $start->{time};
+        $event->{end_time}   = $end->{time};
+    } else {
+        push @{ $event->{errors} }, 'ics_dates_invalid';
+    }
+    return $event;
+}
+
+=head2 guess_theme
+
+Retourne le thème proposé pour un événement importé : la propriété C<X-CELEBRATIONS-THEME>
+(fichier exporté par ce plugin), sinon le premier thème dont le nom ou le libellé
+apparaît dans le titre de l’événement. Retourne undef si aucun thème ne correspond.
+
+=cut
+
+sub guess_theme {
+    my ($self, $event, $labels) = @_;
+    my $config = $self->{plugin}->{config};
+    my $hint = $event->{theme_hint};
+    return $hint if defined $hint && $config->theme_exists($hint);
+    my $summary = lc $event->{summary};
+    foreach my $theme_name ( sort keys %{ $config->get_themes_config() } ) {
+        return $theme_name
+            if grep { defined $_ && $_ ne '' && index( $summary, lc $_ ) >= 0 } $theme_name, $labels->{$theme_name};
+    }
+    return;
+}
+
+=head2 get_theme_labels
+
+Retourne les libellés des thèmes (nom du thème => libellé) dans la langue demandée.
+
+=cut
+
+sub get_theme_labels {
+    my ($self, $language) = @_;
+    my $translations = $self->{plugin}->{i18n}->load_translations($language)->{hash};
+    my $form = ( $translations->{T} || {} )->{form} || {};
+    my %labels = map { $_ => $form->{$_} }
+        grep { exists $form->{$_} } keys %{ $self->{plugin}->{config}->get_themes_config() };
+    return \%labels;
+}
+
+=head2 _parse_date
+
+Lit une propriété de date iCalendar (C<DATE> ou C<DATE-TIME>, locale ou UTC).
+Une heure locale est lue dans le fuseau de son paramètre C<TZID>, ou dans celui de la
+bibliothèque lorsque ce paramètre est absent ou n’est pas un fuseau connu (ex : les noms
+Windows d’Outlook) ; une heure UTC ou d’un autre fuseau est convertie dans celui de la bibliothèque.
+Retourne C<< { date => DateTime, exclusive => 1/0, time => 'HH:MM' } >> : C<date> est
+le jour, C<exclusive> indique une date sur la journée entière ou à minuit,
+et C<time> l’heure dans ce fuseau lorsqu’elle n’est pas minuit.
+
+=cut
+
+sub _parse_date {
+    my ($property, $time_zone) = @_;
+    return unless $property;
+    my ( $year, $month, $day, $hour, $minute, $second, $utc ) =
+        $property->{value} =~ /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/ or return;
+    my ($tzid) = $property->{params} =~ /;TZID="?([^";]+)"?/i;
+    my $date;
+    foreach my $zone ( $utc ? 'UTC' : ( $tzid // () ), $time_zone ) {
+        $date = eval {
+            DateTime->new(
+                year      => $year,
+                month     => $month,
+                day       => $day,
+                hour      => $hour // 0,
+                minute    => $minute // 0,
+                second    => $second // 0,
+                time_zone => $zone,
+            );
+        } and last;
+    }
+    return unless $date;
+    $date->set_time_zone($time_zone);
+    my $midnight = !$date->hour && !$date->minute && !$date->second;
+    return {
+        date      => $date->clone->truncate( to => 'day' ),
+        exclusive => $midnight ? 1 : 0,
+        time      => $midnight ? undef : sprintf( '%02d:%02d', $date->hour, $date->minute ),
+    };
+}
+
+=head2 _utc_stamp
+
+Retourne une date-heure iCalendar en UTC (ex : C<20261231T230000Z>).
+
+=cut
+
+sub _utc_stamp {
+    my ($dt) = @_;
+    return $dt->clone->set_time_zone('UTC')->strftime('%Y%m%dT%H%M%SZ');
+}
+
+=head2 _escape_text
+
+Échappe une valeur de texte iCalendar (barre oblique inverse, point-virgule, virgule, saut de ligne).
+
+=cut
+
+sub _escape_text {
+    my ($text) = @_;
+    $text =~ s/([\\;,])/\\$1/g;
+    $text =~ s/\r?\n/\\n/g;
+    return $text;
+}
+
+=head2 _unescape_text
+
+Retire l’échappement d’une valeur de texte iCalendar.
+
+=cut
+
+sub _unescape_text {
+    my ($text) = @_;
+    $text =~ s/\\(.)/ lc $1 eq 'n' ? "\n" : $1 /ge;
+    return $text;
+}
+
+=head2 _fold_line
+
+Coupe une ligne iCalendar en lignes de 75 octets au plus, les suivantes commençant par une espace.
+Un caractère UTF-8 n’est jamais coupé.
+
+=cut
+
+sub _fold_line {
+    my ($line) = @_;
+    my @parts;
+    my ( $part, $bytes ) = ( '', 0 );
+    foreach my $char ( split //, $line ) {
+        my $size = length encode( 'UTF-8', $char );
+        if ( $bytes + $size > $LINE_LENGTH - ( @parts ? 1 : 0 ) ) {
+            push @parts, $part;
+            ( $part, $bytes ) = ( '', 0 );
+        }
+        $part  .= $char;
+        $bytes += $size;
+    }
+    return join( "\r\n ", @parts, $part );
+}
+
+1;
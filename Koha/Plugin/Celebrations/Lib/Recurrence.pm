@@ -0,0 +1,450 @@
+package Koha::Plugin::Celebrations::Lib::Recurrence;
+
+use Modern::Perl;
+use DateTime;
+
+=head1 NAME
+
+Koha::Plugin::Celebrations::Recurrence - Calcul des occurrences des thèmes récurrents
+
+=head1 DESCRIPTION
+
+Un thème enregistre une période de référence (C<start_date> / C<end_date>, en epoch)
+et, facultativement, une règle de récurrence :
+
+    recurrence => { type => 'yearly' }
+    recurrence => { type => 'easter', start_offset => -7, end_offset => 1 }
+    recurrence => { type => 'nth_weekday', month => 10, weekday => 1, nth => 2, offset => 0, duration => 1 }
+
+Types de règles :
+
+- none   : la période de référence est utilisée telle quelle (comportement historique) ;
+- yearly : la période est répétée chaque année aux mêmes jours (ex: 1er au 26 décembre) ;
+- easter : les dates sont calculées chaque année à partir du dimanche de Pâques,
+           décalé de C<start_offset> et C<end_offset> jours (ex: -7 à 1 pour la semaine
+           précédant Pâques jusqu’au lundi de Pâques) ;
+- nth_weekday : le thème commence le C<nth> jour C<weekday> (1 = lundi ... 7 = dimanche)
+           du mois C<month>, décalé de C<offset> jours, et dure C<duration> jours
+           (C<nth> vaut 1 à 4, ou -1 pour le dernier ; ex: 2e lundi d’octobre).
+
+Les dates d’un thème à règle calculée (easter, nth_weekday) ne sont pas saisies :
+elles sont résolues à l’enregistrement, enregistrées avec la règle, et recalculées
+pour chaque année.
+
+Cette classe calcule l’occurrence en cours ou la prochaine occurrence d’un thème.
+Elle est utilisée par L<Koha::Plugin::Celebrations::Lib::ThemeManager> pour déterminer
+le thème actif de l’OPAC, détecter les conflits et alimenter la grille d’administration.
+
+=cut
+
+my %TYPES = map { $_ => 1 } qw(none yearly easter nth_weekday);
+my %COMPUTED = (
+    easter      => \&_easter_occurrence,
+    nth_weekday => \&_nth_weekday_occurrence,
+);
+my $MAX_OFFSET = 90;
+my $MAX_DURATION = 364;
+my %NTH = map { $_ => 1 } (1 .. 4, -1);
+
+=head1 METHODS
+
+=head2 new
+
+Constructeur : reçoit l’instance du plugin parent.
+
+=cut
+
+sub new {
+    my ($class, $plugin) = @_;
+    my $self = {
+        plugin => $plugin,
+    };
+    bless $self, $class;
+    return $self;
+}
+
+=head2 time_zone
+
+Retourne le fuseau horaire de la bibliothèque (L<Koha::Plugin::Celebrations::Lib::Config/get_timezone>),
+dans lequel les occurrences sont calculées : un thème commence à minuit, heure de la bibliothèque.
+
+=cut
+
+sub time_zone {
+    my ($self) = @_;
+    return $self->{plugin}->{config}->get_timezone();
+}
+
+=head2 normalize
+
+    my $recurrence = $rec->normalize($params->{recurrence});
+
+Valide une règle reçue de l’API et retourne sa version nettoyée.
+Une règle absente équivaut à C<< { type => 'none' } >>.
+Retourne undef si la règle est invalide.
+
+=cut
+
+sub normalize {
+    my ($self, $recurrence) = @_;
+    return { type => 'none' } unless $recurrence;
+    return unless ref $recurrence eq 'HASH';
+    my $type = $recurrence->{type} // 'none';
+    return unless $TYPES{$type};
+    if ($type eq 'easter') {
+        my ($start_offset, $end_offset) = map { _integer($recurrence->{$_}) } qw(start_offset end_offset);
+        return unless defined $start_offset && defined $end_offset;
+        return if $start_offset > $end_offset || abs($start_offset) > $MAX_OFFSET || abs($end_offset) > $MAX_OFFSET;
+        return { type => $type, start_offset => $start_offset, end_offset => $end_offset };
+    }
+    if ($type eq 'nth_weekday') {
+        my %rule = map { $_ => _integer($recurrence->{$_}) } qw(month weekday nth offset duration);
+        return if grep { !defined } values %rule;
+        return unless $rule{month} >= 1 && $rule{month} <= 12
+            && $rule{weekday} >= 1 && $rule{weekday} <= 7
+            && $NTH{ $rule{nth} }
+            && abs($rule{offset}) <= $MAX_OFFSET
+            && $rule{duration} >= 1 && $rule{duration} <= $MAX_DURATION;
+        return { type => $type, %rule };
+    }
+    return { type => $type };
+}
+
+=head2 get_type
+
+Retourne le type de récurrence d’un thème enregistré ('none' par défaut).
+
+=cut
+
+sub get_type {
+    my ($self, $theme) = @_;
+    my $recurrence = $theme->{recurrence};
+    return 'none' unless ref $recurrence eq 'HASH' && $TYPES{ $recurrence->{type} // '' };
+    return $recurrence->{type};
+}
+
+=head2 is_computed
+
+Retourne vrai si les dates de la règle sont calculées chaque année (ex: Pâques,
+2e lundi d’octobre) plutôt que reprises de la période saisie.
+
+=cut
+
+sub is_computed {
+    my ($self, $recurrence) = @_;
+    return ref $recurrence eq 'HASH' && $COMPUTED{ $recurrence->{type} // '' } ? 1 : 0;
+}
+
+=head2 is_recurring
+
+Retourne vrai si le thème se répète d’une année sur l’autre.
+
+=cut
+
+sub is_recurring {
+    my ($self, $theme) = @_;
+    return $self->get_type($theme) ne 'none';
+}
+
+=head2 occurrence
+
+    my ($start_dt, $end_dt) = $rec->occurrence($theme, 2026);
+
+Retourne l’occurrence du thème qui commence l’année donnée (objets DateTime).
+Pour un thème non récurrent, retourne toujours la période de référence.
+
+=cut
+
+sub occurrence {
+    my ($self, $theme, $year) = @_;
+    if ( my $compute = $COMPUTED{ $self->get_type($theme) } ) {
+        return $self->$compute($theme->{recurrence}, $year);
+    }
+    my $start = DateTime->from_epoch(epoch => $theme->{start_date}, time_zone => $self->time_zone);
+    my $end   = DateTime->from_epoch(epoch => $theme->{end_date}, time_zone => $self->time_zone);
+    return ($start, $end) unless $self->is_recurring($theme);
+    # Une période à cheval sur deux années (ex: 20 décembre au 5 janvier) garde son écart
+    my $span = $end->year - $start->year;
+    return (
+        _move_to_year($start, $year),
+        _move_to_year($end, $year + $span),
+    );
+}
+
+=head2 current_or_next
+
+    my ($start_dt, $end_dt) = $rec->current_or_next($theme, $now);
+
+Retourne l’occurrence en cours à C<$now>, sinon la prochaine à venir.
+Pour un thème non récurrent, retourne la période de référence, même passée.
+
+=cut
+
+sub current_or_next {
+    my ($self, $theme, $now) = @_;
+    return unless $self->_has_period($theme);
+    return $self->occurrence($theme) unless $self->is_recurring($theme);
+    my $year = $now->clone->set_time_zone($self->time_zone)->year;
+    # L’occurrence commencée l’an dernier peut être encore en cours
+    foreach my $candidate_year ($year - 1 .. $year + 1) {
+        my ($start, $end) = $self->occurrence($theme, $candidate_year);
+        return ($start, $end) if $end >= $now;
+    }
+    return;
+}
+
+=head2 occurrences_between
+
+    my @periods = $rec->occurrences_between($theme, $from_dt, $to_dt);
+
+Retourne les occurrences (C<[$start_dt, $end_dt]>) qui chevauchent la période donnée.
+
+=cut
+
+sub occurrences_between {
+    my ($self, $theme, $from, $to) = @_;
+    return unless $self->_has_period($theme);
+    my @years = $self->is_recurring($theme)
+        ? ( $from->clone->set_time_zone($self->time_zone)->year - 1 .. $to->clone->set_time_zone($self->time_zone)->year )
+        : ( undef );
+    my @periods;
+    foreach my $year (@years) {
+        my ($start, $end) = $self->occurrence($theme, $year);
+        push @periods, [ $start, $end ] if $start <= $to && $end >= $from;
+    }
+    return @periods;
+}
+
+=head2 overlaps
+
+    if ($rec->overlaps($candidate, $existing)) { ... }
+
+Retourne vrai si une occurrence de C<$candidate> chevauche une occurrence de C<$existing>.
+Deux thèmes récurrents sont comparés sur deux cycles à partir de l’année en cours,
+ce qui couvre aussi les périodes à cheval sur deux années.
+
+=cut
+
+sub overlaps {
+    my ($self, $candidate, $existing) = @_;
+    return 0 unless $self->_has_period($candidate) && $self->_has_period($existing);
+    # Une période fixe est comparée aux occurrences de l’autre thème sur cette période
+    my ($fixed, $other) = !$self->is_recurring($candidate) ? ($candidate, $existing)
+                        : !$self->is_recurring($existing)  ? ($existing, $candidate)
+                        : ();
+    if ($fixed) {
+        my ($start, $end) = $self->occurrence($fixed);
+        return $self->occurrences_between($other, $start, $end) ? 1 : 0;
+    }
+    my $year = DateTime->now(time_zone => $self->time_zone)->year;
+    foreach my $candidate_year ($year, $year + 1) {
+        my ($start, $end) = $self->occurrence($candidate, $candidate_year);
+        return 1 if $self->occurrences_between($existing, $start, $end);
+    }
+    return 0;
+}
+
+=head2 resolve
+
+    my ($start_dt, $end_dt) = $rec->resolve($recurrence, $now);
+
+Retourne l’occurrence en cours ou à venir d’une règle calculée, sans période de référence.
+Sert à déterminer les dates enregistrées avec un thème à règle calculée.
+
+=cut
+
+sub resolve {
+    my ($self, $recurrence, $now) = @_;
+    return unless $self->is_computed($recurrence);
+    return $self->current_or_next({ recurrence => $recurrence }, $now);
+}
+
+=head2 easter_sunday
+
+    my $easter = $rec->easter_sunday(2027);
+
+Retourne le dimanche de Pâques (calendrier grégorien) de l’année donnée, à minuit
+(ou à la première heure valide qui suit, si le passage à l’heure d’été a lieu à minuit
+dans le fuseau de la bibliothèque).
+
+=cut
+
+sub easter_sunday {
+    my ($self, $year) = @_;
+    # Algorithme de Meeus/Jones/Butcher
+    my $golden  = $year % 19;
+    my $century = int($year / 100);
+    my $rest    = $year % 100;
+    my $d = int($century / 4);
+    my $e = $century % 4;
+    my $f = int(($century + 8) / 25);
+    my $g = int(($century - $f + 1) / 3);
+    my $h = (19 * $golden + $century - $d - $g + 15) % 30;
+    my $i = int($rest / 4);
+    my $k = $rest % 4;
+    my $l = (32 + 2 * $e + 2 * $i - $h - $k) % 7;
+    my $m = int(($golden + 11 * $h + 22 * $l) / 451);
+    my $month = int(($h + $l - 7 * $m + 114) / 31);
+    my $day = (($h + $l - 7 * $m + 114) % 31) + 1;
+    return _local_datetime(year => $year, month => $month, day => $day, time_zone => $self->time_zone);
+}
+
+=head2 add_years
+
+    my $next_dt = $rec->add_years($dt, 1);
+
+Retourne une nouvelle date décalée du nombre d’années donné, à la même heure locale :
+le 29 février devient le 28 les années non bissextiles, et une heure sautée au passage
+à l’heure d’été devient la première heure valide qui suit (voir C<_local_datetime>).
+
+=cut
+
+sub add_years {
+    my ($self, $dt, $years) = @_;
+    return _move_to_year($dt, $dt->year + $years);
+}
+
+=head2 is_current
+
+Retourne vrai si C<$now> tombe dans une occurrence du thème.
+
+=cut
+
+sub is_current {
+    my ($self, $theme, $now) = @_;
+    my ($start, $end) = $self->current_or_next($theme, $now);
+    return ($start && $start <= $now && $end >= $now) ? 1 : 0;
+}
+
+=head2 _easter_occurrence
+
+Fonction interne. Occurrence d’une règle 'easter' pour l’année donnée :
+du dimanche de Pâques + start_offset (minuit) au dimanche de Pâques + end_offset (23:59:59).
+
+=cut
+
+sub _easter_occurrence {
+    my ($self, $recurrence, $year) = @_;
+    my $sunday = $self->easter_sunday($year);
+    my $easter = DateTime->new(year => $sunday->year, month => $sunday->month, day => $sunday->day);
+    return (
+        $self->_local_day($easter->clone->add(days => $recurrence->{start_offset})),
+        $self->_local_day($easter->clone->add(days => $recurrence->{end_offset}), 23, 59, 59),
+    );
+}
+
+=head2 _nth_weekday_occurrence
+
+Fonction interne. Occurrence d’une règle 'nth_weekday' pour l’année donnée :
+du C<nth> jour C<weekday> du mois + offset (minuit) jusqu’à la fin du jour C<duration>.
+
+=cut
+
+sub _nth_weekday_occurrence {
+    my ($self, $recurrence, $year) = @_;
+    my ($month, $weekday, $nth) = @{$recurrence}{qw(month weekday nth)};
+    my $day;
+    if ($nth > 0) {
+        my $first = DateTime->new(year => $year, month => $month, day => 1);
+        $day = 1 + ($weekday - $first->day_of_week) % 7 + 7 * ($nth - 1);
+    } else {
+        my $last = DateTime->last_day_of_month(year => $year, month => $month);
+        $day = $last->day - ($last->day_of_week - $weekday) % 7;
+    }
+    my $start = DateTime->new(year => $year, month => $month, day => $day)->add(days => $recurrence->{offset});
+    return (
+        $self->_local_day($start),
+        $self->_local_day($start->clone->add(days => $recurrence->{duration} - 1), 23, 59, 59),
+    );
+}
+
+=head2 _has_period
+
+Fonction interne. Vrai si les dates du thème peuvent être calculées :
+période de référence enregistrée ou règle calculée.
+
+=cut
+
+sub _has_period {
+    my ($self, $theme) = @_;
+    return $self->is_computed($theme->{recurrence}) || ($theme->{start_date} && $theme->{end_date});
+}
+
+=head2 _integer
+
+Fonction interne. Retourne la valeur sous forme d’entier, ou undef si ce n’en est pas un.
+
+=cut
+
+sub _integer {
+    my ($value) = @_;
+    return unless defined $value && $value =~ /^[+-]?\d+$/;
+    return 0 + $value;
+}
+
+=head2 _move_to_year
+
+Fonction interne. Reporte une date sur une autre année en conservant le jour,
+l’heure et le fuseau horaire (le 29 février devient le 28 les années non bissextiles).
+Voir L</_local_datetime> pour une heure qui n’existe pas cette année-là.
+
+=cut
+
+sub _move_to_year {
+    my ($dt, $year) = @_;
+    my $last_day = DateTime->last_day_of_month(year => $year, month => $dt->month)->day;
+    return _local_datetime(
+        year      => $year,
+        month     => $dt->month,
+        day       => $dt->day > $last_day ? $last_day : $dt->day,
+        hour      => $dt->hour,
+        minute    => $dt->minute,
+        second    => $dt->second,
+        time_zone => $dt->time_zone,
+    );
+}
+
+=head2 _local_day
+
+Fonction interne. Retourne le jour de la date donnée (calendrier, sans fuseau) dans le fuseau
+de la bibliothèque, à l’heure indiquée (minuit par défaut) ; voir L</_local_datetime>.
+
+=cut
+
+sub _local_day {
+    my ($self, $date, $hour, $minute, $second) = @_;
+    return _local_datetime(
+        year      => $date->year,
+        month     => $date->month,
+        day       => $date->day,
+        hour      => $hour // 0,
+        minute    => $minute // 0,
+        second    => $second // 0,
+        time_zone => $self->time_zone,
+    );
+}
+
+=head2 _local_datetime
+
+Fonction interne. Crée la date et l’heure locales données dans le fuseau indiqué.
+Une heure sautée au passage à l’heure d’été (ex: 02:30) est remplacée par la première
+heure valide qui suit, au quart d’heure près (ex: 03:00).
+
+=cut
+
+sub _local_datetime {
+    my (%args) = @_;
+    my $time_zone = delete $args{time_zone};
+    my $dt = eval { DateTime->new( %args, time_zone => $time_zone ) };
+    return $dt if $dt;
+    my $wall_clock = DateTime->new( %args, time_zone => 'floating' );
+    $wall_clock->set( minute => $wall_clock->minute - $wall_clock->minute % 15, second => 0 );
+    foreach ( 1 .. 12 ) {
+        $wall_clock->add( minutes => 15 );
+        $dt = eval { $wall_clock->clone->set_time_zone($time_zone) };
+        return $dt if $dt;
+    }
+    die "[Celebrations] Heure locale introuvable : $wall_clock";
+}
+
+1;
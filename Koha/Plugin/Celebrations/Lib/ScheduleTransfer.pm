@@ -0,0 +1,329 @@
+package Koha::Plugin::Celebrations::Lib::ScheduleTransfer;
+
+use Modern::Perl;
+use JSON;
+use DateTime;
+
+=head1 NAME
+
+Koha::Plugin::Celebrations::ScheduleTransfer - Export et import de la programmation des thèmes
+
+=head1 DESCRIPTION
+
+Cette classe permet de recopier la programmation des thèmes d’une instance Koha à une autre
+(ex : d’un Koha de test vers les Koha de production).
+
+L’export produit un document JSON versionné contenant toutes les entrées programmées
+(thème, dates, récurrence, éléments et options) :
+
+    {
+      format  => 'celebrations-schedule',
+      version => 1,
+      exported_at => 1767225600,
+      themes  => [ { id => 'noel', theme_name => 'noel', start_date => ..., elements => {...} }, ... ]
+    }
+
+L’import se fait en deux temps :
+
+- C<preview_import> valide chaque entrée du document par rapport à C<theme-config.json>
+  et la compare à l’entrée de même id déjà programmée ;
+- C<import_schedule> enregistre les entrées en appliquant, pour celles qui existent déjà,
+  le choix de l’utilisateur : C<skip> (ignorer), C<overwrite> (remplacer) ou
+  C<rename> (importer sous un nouvel id).
+
+Les entrées importées sont soumises aux mêmes règles de chevauchement que les entrées
+saisies dans le formulaire (voir L<Koha::Plugin::Celebrations::Lib::ThemeManager/check_theme_conflicts>).
+
+=cut
+
+my $FORMAT = 'celebrations-schedule';
+my $VERSION = 1;
+my %RESOLUTIONS = map { $_ => 1 } qw(skip overwrite rename);
+my @COMPARED_FIELDS = qw(active start_date end_date recurrence motion_toggle quality_mode priority can_combine branches);
+
+=head1 METHODS
+
+=head2 new
+
+Constructeur : reçoit l’instance du plugin parent.
+
+=cut
+
+sub new {
+    my ($class, $plugin) = @_;
+    my $self = {
+        plugin => $plugin,
+    };
+    bless $self, $class;
+    return $self;
+}
+
+=head2 export_schedule
+
+    my $result = $transfer->export_schedule();
+
+Retourne le document d’export contenant toutes les entrées programmées, triées par id.
+
+=cut
+
+sub export_schedule {
+    my ($self) = @_;
+    my $themes = $self->{plugin}->{theme_manager}->load_themes();
+    return {
+        success  => JSON::true,
+        document => {
+            format      => $FORMAT,
+            version     => $VERSION,
+            exported_at => time(),
+            themes      => [ map { $themes->{$_} } sort keys %$themes ],
+        }
+    };
+}
+
+=head2 preview_import
+
+    my $result = $transfer->preview_import($document);
+
+Valide un document d’export et retourne, pour chaque entrée :
+
+- id et theme_name ;
+- status : C<new> (id libre), C<existing> (id déjà programmé), C<identical>
+  (id déjà programmé avec les mêmes valeurs) ou C<invalid> ;
+- errors : codes d’erreur d’une entrée invalide ;
+- changes : différences avec l’entrée déjà programmée
+  (C<< { field, current, imported } >>, un champ C<elements.xxx> par élément modifié).
+
+Retourne C<import_invalid_file> ou C<import_version_unsupported> si le document
+lui-même n’est pas reconnu.
+
+=cut
+
+sub preview_import {
+    my ($self, $document) = @_;
+    my $message = $self->check_document($document);
+    return { success => JSON::false, message => $message } if $message;
+    my $existing = $self->{plugin}->{theme_manager}->load_themes();
+    my ( @preview, %seen );
+    foreach my $entry ( @{ $document->{themes} } ) {
+        my ( $imported, @errors ) = $self->normalize_entry($entry);
+        my $id = $imported->{id};
+        push @errors, 'import_id_duplicate' if defined $id && $seen{$id}++;
+        if (@errors) {
+            push @preview, {
+                id         => $id,
+                theme_name => $imported->{theme_name},
+                status     => 'invalid',
+                errors     => \@errors,
+                changes    => [],
+            };
+            next;
+        }
+        my @changes = exists $existing->{$id}
+            ? $self->diff_entries( ( $self->normalize_entry($existing->{$id}) )[0], $imported )
+            : ();
+        push @preview, {
+            id         => $id,
+            theme_name => $imported->{theme_name},
+            status     => !exists $existing->{$id} ? 'new' : @changes ? 'existing' : 'identical',
+            errors     => [],
+            changes    => \@changes,
+        };
+    }
+    return {
+        success => JSON::true,
+        themes  => \@preview
+    };
+}
+
+=head2 import_schedule
+
+    my $result = $transfer->import_schedule($document, { noel => 'overwrite', halloween => 'rename' });
+
+Enregistre les entrées valides d’un document d’export.
+Une entrée dont l’id est libre est créée ; pour une entrée dont l’id est déjà programmé,
+le choix fourni pour cet id est appliqué (C<skip> par défaut).
+
+Retourne, pour chaque entrée, l’action effectuée (C<imported>, C<overwritten>, C<renamed>,
+C<skipped>, C<invalid> ou C<conflict>) et l’id sous lequel elle a été enregistrée.
+
+=cut
+
+sub import_schedule {
+    my ($self, $document, $resolutions) = @_;
+    my $message = $self->check_document($document);
+    return { success => JSON::false, message => $message } if $message;
+    $resolutions = {} unless ref $resolutions eq 'HASH';
+    my $theme_manager = $self->{plugin}->{theme_manager};
+    my ( @results, %seen );
+    foreach my $entry ( @{ $document->{themes} } ) {
+        my ( $imported, @errors ) = $self->normalize_entry($entry);
+        my $id = $imported->{id};
+        push @errors, 'import_id_duplicate' if defined $id && $seen{$id}++;
+        my $result = { id => $id, theme_name => $imported->{theme_name} };
+        push @results, $result;
+        if (@errors) {
+            $result->{action} = 'invalid';
+            next;
+        }
+        my $themes = $theme_manager->load_themes();
+        my ( $action, $replaced_id ) = ( 'imported', undef );
+        if ( exists $themes->{$id} ) {
+            my $resolution = $resolutions->{$id} // 'skip';
+            $resolution = 'skip' unless $RESOLUTIONS{$resolution};
+            if ( $resolution eq 'skip' ) {
+                $result->{action} = 'skipped';
+                next;
+            }
+            if ( $resolution eq 'overwrite' ) {
+                ( $action, $replaced_id ) = ( 'overwritten', $id );
+            } else {
+                $action = 'renamed';
+                $imported->{id} = $theme_manager->generate_theme_id( $imported->{theme_name}, $themes );
+            }
+        }
+        if ( $imported->{active} && $theme_manager->check_theme_conflicts(
+            $replaced_id,
+            DateTime->from_epoch( epoch => $imported->{start_date} ),
+            DateTime->from_epoch( epoch => $imported->{end_date} ),
+            $imported->{recurrence},
+            $imported->{can_combine},
+            $imported->{branches}
+        ) ) {
+            $result->{action} = 'conflict';
+            next;
+        }
+        $imported->{updated_at} = time();
+        $theme_manager->save_theme( $imported->{id}, $imported, $action eq 'overwritten' ? 'imported' : 'created' );
+        @{$result}{qw(action imported_id)} = ( $action, $imported->{id} );
+    }
+    return {
+        success => JSON::true,
+        message => 'import_done',
+        results => \@results
+    };
+}
+
+=head2 check_document
+
+Vérifie qu’un document est un export de la programmation dans une version prise en charge.
+Retourne un code d’erreur, ou undef si le document est reconnu.
+
+=cut
+
+sub check_document {
+    my ($self, $document) = @_;
+    return 'import_invalid_file'
+        unless ref $document eq 'HASH'
+            && ( $document->{format} // '' ) eq $FORMAT
+            && ref $document->{themes} eq 'ARRAY';
+    return 'import_version_unsupported'
+        unless ( $document->{version} // '' ) =~ /^\d+$/ && $document->{version} <= $VERSION;
+    return;
+}
+
+=head2 normalize_entry
+
+    my ($entry, @errors) = $transfer->normalize_entry($raw_entry);
+
+Valide une entrée par rapport à C<theme-config.json> et retourne l’entrée telle qu’elle
+serait enregistrée, suivie des codes d’erreur éventuels :
+
+- C<import_theme_unknown> : thème absent de la configuration ;
+- C<import_id_invalid> : id composé d’autres caractères que lettres, chiffres, tirets et soulignés ;
+- C<import_element_unknown> / C<import_option_unknown> : élément ou option inconnu pour ce thème ;
+- C<import_dates_invalid> : dates absentes ou dans le désordre ;
+- C<branch_unknown> : bibliothèque ciblée inconnue de ce Koha ;
+- C<recurrence_invalid> et C<no_active_elements> : mêmes règles que le formulaire.
+
+Les éléments du thème absents de l’entrée sont enregistrés désactivés.
+
+=cut
+
+sub normalize_entry {
+    my ($self, $raw) = @_;
+    return ( {}, 'import_invalid_file' ) unless ref $raw eq 'HASH';
+    my $theme_name = $raw->{theme_name};
+    my $entry = {
+        id         => $raw->{id} // $theme_name,
+        theme_name => $theme_name,
+    };
+    return ( $entry, 'import_theme_unknown' )
+        unless defined $theme_name && !ref $theme_name
+            && $self->{plugin}->{config}->theme_exists($theme_name);
+    my @errors;
+    push @errors, 'import_id_invalid' unless !ref $entry->{id} && $entry->{id} =~ /^[\w-]+$/;
+    my ( $start_date, $end_date ) = @{$raw}{qw(start_date end_date)};
+    push @errors, 'import_dates_invalid'
+        unless defined $start_date && $start_date =~ /^\d+$/
+            && defined $end_date && $end_date =~ /^\d+$/
+            && $start_date < $end_date;
+    my $recurrence = $self->{plugin}->{recurrence}->normalize($raw->{recurrence});
+    push @errors, 'recurrence_invalid' unless $recurrence;
+    my $branches = $self->{plugin}->{theme_manager}->normalize_branches($raw->{branches});
+    push @errors, 'branch_unknown' unless $branches;
+    my $config_elements = $self->{plugin}->{config}->get_theme_config($theme_name)->{elements} || {};
+    my $raw_elements = ref $raw->{elements} eq 'HASH' ? $raw->{elements} : {};
+    my %elements;
+    foreach my $element_key ( keys %$raw_elements ) {
+        my $element_conf = $config_elements->{$element_key};
+        my $element = $raw_elements->{$element_key};
+        unless ( $element_conf && ref $element eq 'HASH' ) {
+            push @errors, 'import_element_unknown';
+            next;
+        }
+        my $options = ref $element->{options} eq 'HASH' ? $element->{options} : {};
+        push @errors, 'import_option_unknown'
+            if grep { !exists( ( $element_conf->{extra_options} || {} )->{$_} ) } keys %$options;
+        $elements{$element_key} = {
+            enabled => $element->{enabled} ? 1 : 0,
+            options => { %$options },
+        };
+    }
+    $elements{$_} //= { enabled => 0, options => {} } foreach keys %$config_elements;
+    push @errors, 'no_active_elements' unless grep { $_->{enabled} } values %elements;
+    %$entry = (
+        %$entry,
+        active        => ( $raw->{active} // 1 ) ? 1 : 0,
+        start_date    => defined $start_date ? $start_date + 0 : undef,
+        end_date      => defined $end_date ? $end_date + 0 : undef,
+        recurrence    => $recurrence,
+        created_at    => $raw->{created_at} // time(),
+        motion_toggle => $raw->{motion_toggle} ? 1 : 0,
+        quality_mode  => ( $raw->{quality_mode} // '' ) eq 'fixed' ? 'fixed' : 'adaptive',
+        priority      => $self->{plugin}->{theme_manager}->normalize_priority($raw->{priority}),
+        can_combine   => $raw->{can_combine} ? 1 : 0,
+        branches      => $branches // [],
+        elements      => \%elements,
+    );
+    my %unique_errors;
+    return ( $entry, grep { !$unique_errors{$_}++ } @errors );
+}
+
+=head2 diff_entries
+
+    my @changes = $transfer->diff_entries($current, $imported);
+
+Compare deux entrées normalisées (voir C<normalize_entry>) et retourne leurs différences :
+un changement par champ, et un par élément (C<elements.xxx>) dont l’état ou les options diffèrent.
+
+=cut
+
+sub diff_entries {
+    my ($self, $current, $imported) = @_;
+    my $json = JSON->new->canonical;
+    my $differs = sub { $json->encode( [ $_[0] ] ) ne $json->encode( [ $_[1] ] ) };
+    my @changes;
+    foreach my $field (@COMPARED_FIELDS) {
+        next unless $differs->( $current->{$field}, $imported->{$field} );
+        push @changes, { field => $field, current => $current->{$field}, imported => $imported->{$field} };
+    }
+    my %element_keys = map { $_ => 1 } keys %{ $current->{elements} }, keys %{ $imported->{elements} };
+    foreach my $element_key ( sort keys %element_keys ) {
+        my ( $before, $after ) = ( $current->{elements}{$element_key}, $imported->{elements}{$element_key} );
+        next unless $differs->( $before, $after );
+        push @changes, { field => "elements.$element_key", current => $before, imported => $after };
+    }
+    return @changes;
+}
+
+1;
@@ -113,13 +113,14 @@ sub build_enabled_template {
     my $template = $self->{plugin}->get_template({ file => 'templates/homeTheme.tt' });
     my $theme_manager = $self->{plugin}->{theme_manager};
     my $active_theme = $theme_manager->get_active_theme();
-    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
-    my $all_themes = $themes_data ? decode_json($themes_data) : {};
+    my $all_themes = $theme_manager->load_themes();
     my @themes_list = $self->prepare_themes_for_display($all_themes);
     @themes_list = $self->sort_themes_list(@themes_list);
     my $themes_list_json = encode_json(\@themes_list);
     my $theme_config = $self->{plugin}->{config}->get_themes_config();
     my $theme_config_json = encode_json($theme_config);
+    my $core_scripts_json = encode_json($self->{plugin}->{config}->get_core_scripts());
+    my $libraries = $self->{plugin}->{config}->get_libraries();
     $template->param(
         enabled             => 1,
         CLASS               => $plugin_class,
@@ -129,10 +130,13 @@ sub build_enabled_template {
         api_namespace       => $self->{plugin}->api_namespace,
         koha_session        => $koha_session,
         active_theme        => $active_theme,
-        all_themes          => $all_themes,
         themes_list_json    => $themes_list_json,
         theme_config_json   => $theme_config_json,
         theme_config        => $theme_config,
+        core_scripts_json   => $core_scripts_json,
+        library_timezone    => $self->{plugin}->{config}->get_timezone(),
+        libraries           => $libraries,
+        libraries_json      => encode_json($libraries),
         PLUGIN_DIR          => $self->{plugin}->{config}->get_plugin_dir(),
         LANG                => $preferredLanguage,
         translation         => $translations->{hash},
@@ -175,7 +179,10 @@ sub build_disabled_template {
 Transforme les données brutes des thèmes en une liste enrichie adaptée à l'affichage.
 
 Ajoute notamment :
+- l'id de l'entrée programmée et le nom du thème auquel elle fait référence ;
 - si le thème est en cours d'utilisation ;
+- la règle de récurrence et les dates de l’occurrence en cours ou à venir ;
+- la priorité et l’autorisation de superposition ;
 - la version formatée des dates ;
 - les éléments du thème et leurs états ;
 - le nombre total d’éléments.
@@ -189,9 +196,10 @@ sub prepare_themes_for_display {
     my @themes_list;
     my $now = DateTime->now();
     my $theme_manager = $self->{plugin}->{theme_manager};
-    foreach my $theme_name (keys %$all_themes) {
-        my $theme = $all_themes->{$theme_name};
+    foreach my $theme_id (keys %$all_themes) {
+        my $theme = $all_themes->{$theme_id};
         my $is_current = $theme_manager->is_theme_current($theme, $now);
+        my ($next_start, $next_end) = $self->{plugin}->{recurrence}->current_or_next($theme, $now);
         my %elements_display;
         if (exists $theme->{elements} && ref $theme->{elements} eq 'HASH') {
             foreach my $element_name (keys %{ $theme->{elements} }) {
@@ -202,15 +210,24 @@ sub prepare_themes_for_display {
                 };
             }
         }elsif (exists $theme->{elements}) {
-            warn "Unexpected elements format for theme $theme_name: " . Dumper($theme->{elements});
+            warn "Unexpected elements format for theme $theme_id: " . Dumper($theme->{elements});
         }
         push @themes_list, {
-            theme_name => $theme_name,
+            id => $theme_id,
+            theme_name => $theme->{theme_name},
             active => $theme->{active},
             is_current => $is_current,
             start_date => $theme->{start_date},
             end_date => $theme->{end_date},
+            recurrence => $theme->{recurrence} || { type => 'none' },
+            next_start_date => $next_start ? $next_start->epoch : $theme->{start_date},
+            next_end_date => $next_end ? $next_end->epoch : $theme->{end_date},
             created_at => $theme->{created_at},
+            motion_toggle => $theme->{motion_toggle} ? 1 : 0,
+            quality_mode => $theme->{quality_mode} // 'adaptive',
+            priority => $theme->{priority} // 0,
+            can_combine => $theme->{can_combine} ? 1 : 0,
+            branches => $theme->{branches} || [],
             elements => \%elements_display,
             elements_count => scalar keys %{$theme->{elements} // {}}
         };
@@ -3,6 +3,8 @@ package Koha::Plugin::Celebrations::Lib::ThemeController;
 use Modern::Perl;
 use Mojo::Base 'Mojolicious::Controller';
 use Koha::Plugin::Celebrations;
+use C4::Languages;
+use Encode qw(encode);
 
 =head1 NAME
 
@@ -17,10 +19,14 @@ Il agit comme une couche d’orchestration entre :
 - la validation OpenAPI (paramètres, body, path)
 - le gestionnaire métier L<Koha::Plugin::Celebrations::Lib::ThemeManager>
 
+- le module d’export/import L<Koha::Plugin::Celebrations::Lib::ScheduleTransfer>
+- le module d’export/import iCalendar L<Koha::Plugin::Celebrations::Lib::ICalendar>
+- l’historique des versions L<Koha::Plugin::Celebrations::Lib::ThemeHistory>
+
 Le contrôleur ne contient aucune logique métier :
-toutes les opérations sont déléguées au ThemeManager.
+toutes les opérations sont déléguées au ThemeManager, au ScheduleTransfer, à l’ICalendar et au ThemeHistory.
 
-Toutes les réponses sont renvoyées au format OpenAPI standard de Koha :
+Toutes les réponses, sauf le calendrier iCalendar, sont renvoyées au format OpenAPI standard de Koha :
     {
       errors: [],
       results: {
@@ -32,10 +38,31 @@ Toutes les réponses sont renvoyées au format OpenAPI standard de Koha :
 
 Ce contrôleur implémente les routes suivantes :
 
-- POST   /themes/apply        → appliquer ou créer un thème
-- GET    /themes              → lister les thèmes existants
-- DELETE /themes/{theme_name} → supprimer un thème
-- PUT    /themes/{theme_name} → mettre à jour un thème
+- POST   /themes/apply        → programmer un thème (nouvelle entrée)
+- GET    /themes              → lister les entrées programmées
+- GET    /themes/{id}         → lire une entrée
+- DELETE /themes/{id}         → supprimer une entrée (placée dans la corbeille)
+- PUT    /themes/{id}         → mettre à jour une entrée
+- PUT    /themes/{id}/active  → suspendre ou réactiver une entrée
+- POST   /themes/{id}/roll-forward → reporter une entrée à l’année suivante
+- GET    /themes/{id}/history → historique des versions d’une entrée
+- POST   /themes/{id}/history/{version}/restore → appliquer de nouveau une version passée
+- GET    /trash               → lister les entrées récemment supprimées
+- POST   /trash/{id}/restore  → restaurer une entrée supprimée
+- DELETE /trash/{id}          → supprimer définitivement une entrée de la corbeille
+- GET    /schedule/export     → exporter la programmation (document JSON versionné)
+- POST   /schedule/import/preview → valider un export et le comparer à la programmation
+- POST   /schedule/import     → importer un export
+- POST   /schedule/roll-forward → reporter à l’année suivante toutes les entrées expirées
+- GET    /schedule/ics        → calendrier iCalendar des entrées programmées (fichier .ics)
+- POST   /schedule/ics/preview → lire les événements d’un fichier .ics
+- POST   /schedule/ics/import → créer des entrées à partir des événements d’un fichier .ics
+
+Les routes qui modifient la programmation (POST, PUT, DELETE, y compris les aperçus d’import)
+exigent la permission C<plugins: configure> (C<x-koha-authorization>).
+
+Chaque entrée programmée possède son propre identifiant et référence un thème
+de C<theme-config.json> : un même thème peut ainsi être programmé plusieurs fois.
 
 =head1 METHODS
 
@@ -89,31 +116,65 @@ sub list {
     );
 }
 
+=head2 get
+
+    GET /api/v1/contrib/Celebrations-api/themes/{id}
+
+Retourne une entrée programmée, dans le même format que les éléments de la liste.
+Cette méthode :
+- récupère l’identifiant de l’entrée depuis le paramètre de chemin
+- lit l’entrée via C<ThemeManager::get_theme>
+
+=head3 Paramètres
+
+=over 4
+
+=item id
+
+Identifiant de l’entrée (string, requis)
+
+=back
+
+=cut
+
+sub get {
+    my $c = shift->openapi->valid_input or return;
+    my $theme_id = $c->validation->param('id');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_manager}->get_theme($theme_id);
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
 =head2 delete
 
-    DELETE /api/v1/contrib/Celebrations-api/themes/{theme_name}
+    DELETE /api/v1/contrib/Celebrations-api/themes/{id}
 
-Supprime définitivement un thème existant.
+Supprime une entrée programmée et la place dans la corbeille.
 Cette méthode :
-- récupère le nom du thème depuis le paramètre de chemin
-- supprime le thème via C<ThemeManager::delete_theme>
+- récupère l’identifiant de l’entrée depuis le paramètre de chemin
+- supprime l’entrée via C<ThemeManager::delete_theme>
 - retourne un résultat explicite indiquant le succès ou l’échec
 
 =head3 Paramètres
 
 =over 4
 
-=item theme_name
+=item id
 
-Nom du thème à supprimer (string, requis)
+Identifiant de l’entrée à supprimer (string, requis)
 
 =cut
 
 sub delete {
     my $c = shift->openapi->valid_input or return;
-    my $theme_name = $c->validation->param('theme_name');
+    my $theme_id = $c->validation->param('id');
     my $plugin = Koha::Plugin::Celebrations->new;
-    my $result = $plugin->{theme_manager}->delete_theme($theme_name);
+    my $result = $plugin->{theme_manager}->delete_theme($theme_id);
     return $c->render(
         openapi => {
             errors  => [],
@@ -124,9 +185,9 @@ sub delete {
 
 =head2 update
 
-    PUT /api/v1/contrib/Celebrations-api/themes/{theme_name}
+    PUT /api/v1/contrib/Celebrations-api/themes/{id}
 
-Met à jour un thème existant.
+Met à jour une entrée programmée (le thème référencé ne change pas).
 
 Cette méthode permet de modifier :
 - les dates de validité du thème ;
@@ -134,7 +195,7 @@ Cette méthode permet de modifier :
 - les options associées aux éléments.
 
 Elle effectue les opérations suivantes :
-- validation OpenAPI du paramètre de chemin C<theme_name> ;
+- validation OpenAPI du paramètre de chemin C<id> ;
 - validation du body JSON via OpenAPI ;
 - instanciation du plugin Celebrations ;
 - délégation de la logique métier à C<ThemeManager::update_theme> ;
@@ -144,9 +205,9 @@ Elle effectue les opérations suivantes :
 
 =over 4
 
-=item theme_name
+=item id
 
-Nom du thème à mettre à jour (string, requis, paramètre de chemin).
+Identifiant de l’entrée à mettre à jour (string, requis, paramètre de chemin).
 
 =item body
 
@@ -156,11 +217,448 @@ Objet JSON contenant les nouvelles valeurs du thème.
 
 sub update {
     my $c = shift->openapi->valid_input or return;
-    my $theme_name = $c->validation->param('theme_name');
-    my $params     = $c->validation->param('body');
+    my $theme_id = $c->validation->param('id');
+    my $params   = $c->validation->param('body');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_manager}
+        ->update_theme( $theme_id, $params );
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 set_active
+
+    PUT /api/v1/contrib/Celebrations-api/themes/{id}/active
+
+Suspend ou réactive une entrée programmée sans toucher à sa configuration.
+Cette méthode :
+- récupère l’identifiant de l’entrée depuis le paramètre de chemin
+- lit le nouvel état dans le body JSON (C<{ "active": true }>)
+- délègue le changement à C<ThemeManager::set_theme_active>
+
+=head3 Paramètres
+
+=over 4
+
+=item id
+
+Identifiant de l’entrée (string, requis, paramètre de chemin).
+
+=item body
+
+Objet JSON contenant le nouvel état C<active> (booléen, requis).
+
+=back
+
+=cut
+
+sub set_active {
+    my $c = shift->openapi->valid_input or return;
+    my $theme_id = $c->validation->param('id');
+    my $params   = $c->validation->param('body');
     my $plugin = Koha::Plugin::Celebrations->new;
     my $result = $plugin->{theme_manager}
-        ->update_theme( $theme_name, $params );
+        ->set_theme_active( $theme_id, $params->{active} );
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 roll_forward
+
+    POST /api/v1/contrib/Celebrations-api/themes/{id}/roll-forward
+
+Reporte une entrée programmée à l’année suivante, ou à sa prochaine occurrence calculée.
+Cette méthode :
+- récupère l’identifiant de l’entrée depuis le paramètre de chemin
+- délègue le report à C<ThemeManager::roll_forward_theme> (mêmes validations qu’une mise à jour)
+
+=head3 Paramètres
+
+=over 4
+
+=item id
+
+Identifiant de l’entrée (string, requis)
+
+=back
+
+=cut
+
+sub roll_forward {
+    my $c = shift->openapi->valid_input or return;
+    my $theme_id = $c->validation->param('id');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_manager}->roll_forward_theme($theme_id);
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 history
+
+    GET /api/v1/contrib/Celebrations-api/themes/{id}/history
+
+Retourne les versions d’une entrée programmée, de la plus récente à la plus ancienne,
+avec leurs différences.
+Cette méthode :
+- récupère l’identifiant de l’entrée depuis le paramètre de chemin
+- lit l’historique via C<ThemeHistory::list_history>
+
+=head3 Paramètres
+
+=over 4
+
+=item id
+
+Identifiant de l’entrée (string, requis)
+
+=back
+
+=cut
+
+sub history {
+    my $c = shift->openapi->valid_input or return;
+    my $theme_id = $c->validation->param('id');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_history}->list_history($theme_id);
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 restore_version
+
+    POST /api/v1/contrib/Celebrations-api/themes/{id}/history/{version}/restore
+
+Applique de nouveau une version passée d’une entrée programmée.
+Cette méthode :
+- récupère l’identifiant de l’entrée et le numéro de version depuis les paramètres de chemin
+- délègue l’enregistrement à C<ThemeHistory::restore_version> (mêmes validations qu’une mise à jour)
+
+=head3 Paramètres
+
+=over 4
+
+=item id
+
+Identifiant de l’entrée (string, requis)
+
+=item version
+
+Numéro de la version à appliquer (integer, requis)
+
+=back
+
+=cut
+
+sub restore_version {
+    my $c = shift->openapi->valid_input or return;
+    my $theme_id = $c->validation->param('id');
+    my $version  = $c->validation->param('version');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_history}->restore_version( $theme_id, $version );
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 list_trash
+
+    GET /api/v1/contrib/Celebrations-api/trash
+
+Retourne les entrées récemment supprimées (corbeille), de la plus récente à la plus ancienne.
+Cette méthode :
+- ne prend aucun paramètre
+- récupère les données via C<ThemeManager::list_trash>
+
+=cut
+
+sub list_trash {
+    my $c = shift->openapi->valid_input or return;
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_manager}->list_trash;
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 restore
+
+    POST /api/v1/contrib/Celebrations-api/trash/{id}/restore
+
+Remet une entrée de la corbeille dans la programmation.
+Cette méthode :
+- récupère l’identifiant de l’entrée dans la corbeille depuis le paramètre de chemin
+- restaure l’entrée via C<ThemeManager::restore_theme>
+
+=head3 Paramètres
+
+=over 4
+
+=item id
+
+Identifiant de l’entrée dans la corbeille (string, requis)
+
+=back
+
+=cut
+
+sub restore {
+    my $c = shift->openapi->valid_input or return;
+    my $trash_id = $c->validation->param('id');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_manager}->restore_theme($trash_id);
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 purge
+
+    DELETE /api/v1/contrib/Celebrations-api/trash/{id}
+
+Supprime définitivement une entrée de la corbeille.
+Cette méthode :
+- récupère l’identifiant de l’entrée dans la corbeille depuis le paramètre de chemin
+- supprime l’entrée via C<ThemeManager::purge_theme>
+
+=head3 Paramètres
+
+=over 4
+
+=item id
+
+Identifiant de l’entrée dans la corbeille (string, requis)
+
+=back
+
+=cut
+
+sub purge {
+    my $c = shift->openapi->valid_input or return;
+    my $trash_id = $c->validation->param('id');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_manager}->purge_theme($trash_id);
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 export_schedule
+
+    GET /api/v1/contrib/Celebrations-api/schedule/export
+
+Retourne toutes les entrées programmées sous la forme d’un document JSON versionné,
+à importer dans une autre instance Koha.
+Cette méthode délègue à C<ScheduleTransfer::export_schedule>.
+
+=cut
+
+sub export_schedule {
+    my $c = shift->openapi->valid_input or return;
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{schedule_transfer}->export_schedule();
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 preview_import
+
+    POST /api/v1/contrib/Celebrations-api/schedule/import/preview
+
+Valide un document d’export sans rien enregistrer et retourne, pour chaque entrée,
+son statut et ses différences avec l’entrée déjà programmée.
+Cette méthode délègue à C<ScheduleTransfer::preview_import>.
+
+=head3 Paramètres
+
+=over 4
+
+=item body
+
+Objet JSON contenant le document d’export (C<document>).
+
+=back
+
+=cut
+
+sub preview_import {
+    my $c = shift->openapi->valid_input or return;
+    my $params = $c->validation->param('body');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{schedule_transfer}->preview_import( $params->{document} );
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 import_schedule
+
+    POST /api/v1/contrib/Celebrations-api/schedule/import
+
+Importe un document d’export.
+Cette méthode délègue à C<ScheduleTransfer::import_schedule>.
+
+=head3 Paramètres
+
+=over 4
+
+=item body
+
+Objet JSON contenant le document d’export (C<document>) et, pour chaque id déjà programmé,
+le choix de l’utilisateur (C<resolutions> : C<skip>, C<overwrite> ou C<rename>).
+
+=back
+
+=cut
+
+sub import_schedule {
+    my $c = shift->openapi->valid_input or return;
+    my $params = $c->validation->param('body');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{schedule_transfer}
+        ->import_schedule( $params->{document}, $params->{resolutions} );
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 roll_forward_expired
+
+    POST /api/v1/contrib/Celebrations-api/schedule/roll-forward
+
+Reporte à l’année suivante toutes les entrées expirées.
+Cette méthode délègue le report à C<ThemeManager::roll_forward_expired>, qui retourne
+le résultat de chaque entrée.
+
+=cut
+
+sub roll_forward_expired {
+    my $c = shift->openapi->valid_input or return;
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{theme_manager}->roll_forward_expired();
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 export_ics
+
+    GET /api/v1/contrib/Celebrations-api/schedule/ics
+
+Retourne les entrées programmées sous la forme d’un calendrier iCalendar (C<text/calendar>)
+à télécharger.
+Les titres des événements sont traduits dans la langue de l’utilisateur.
+Cette méthode délègue à C<ICalendar::export_ics>.
+
+=cut
+
+sub export_ics {
+    my $c = shift->openapi->valid_input or return;
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $ics = $plugin->{icalendar}->export_ics( C4::Languages::getlanguage() );
+    $c->res->headers->content_type('text/calendar; charset=utf-8');
+    $c->res->headers->content_disposition('inline; filename="celebrations.ics"');
+    return $c->render( data => encode( 'UTF-8', $ics ) );
+}
+
+=head2 preview_ics
+
+    POST /api/v1/contrib/Celebrations-api/schedule/ics/preview
+
+Lit les événements d’un fichier C<.ics> sans rien enregistrer et propose un thème pour chacun.
+Cette méthode délègue à C<ICalendar::preview_ics>.
+
+=head3 Paramètres
+
+=over 4
+
+=item body
+
+Objet JSON contenant le texte du fichier (C<ics>).
+
+=back
+
+=cut
+
+sub preview_ics {
+    my $c = shift->openapi->valid_input or return;
+    my $params = $c->validation->param('body');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{icalendar}->preview_ics( $params->{ics}, C4::Languages::getlanguage() );
+    return $c->render(
+        openapi => {
+            errors  => [],
+            results => { result => $result }
+        }
+    );
+}
+
+=head2 import_ics
+
+    POST /api/v1/contrib/Celebrations-api/schedule/ics/import
+
+Crée une entrée programmée pour chaque événement associé à un thème,
+avec les mêmes validations que C<POST /themes/apply>.
+Cette méthode délègue à C<ICalendar::import_ics>.
+
+=head3 Paramètres
+
+=over 4
+
+=item body
+
+Objet JSON contenant le texte du fichier (C<ics>) et le thème associé à chaque événement
+(C<mapping> : index de l’événement => nom du thème).
+
+=back
+
+=cut
+
+sub import_ics {
+    my $c = shift->openapi->valid_input or return;
+    my $params = $c->validation->param('body');
+    my $plugin = Koha::Plugin::Celebrations->new;
+    my $result = $plugin->{icalendar}->import_ics( $params->{ics}, $params->{mapping} );
     return $c->render(
         openapi => {
             errors  => [],
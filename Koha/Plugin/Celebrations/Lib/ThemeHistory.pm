@@ -0,0 +1,154 @@
+package Koha::Plugin::Celebrations::Lib::ThemeHistory;
+
+use Modern::Perl;
+use JSON;
+
+=head1 NAME
+
+Koha::Plugin::Celebrations::ThemeHistory - Historique des modifications des thèmes programmés
+
+=head1 DESCRIPTION
+
+Chaque création, modification, suspension, suppression ou restauration d’une entrée
+programmée est enregistrée comme une version de l’entrée par
+L<Koha::Plugin::Celebrations::Lib::ThemeManager/add_snapshot> : numéro, action, date,
+membre du personnel et copie des données de l’entrée.
+
+Cette classe présente cet historique :
+
+- C<list_history> retourne les versions d’une entrée, chacune avec ses différences
+  par rapport à la version précédente (dates, éléments activés, valeurs des options) ;
+- C<restore_version> applique de nouveau une version passée via
+  L<Koha::Plugin::Celebrations::Lib::ThemeManager/update_theme>, avec les mêmes
+  validations que le formulaire (dates, conflits, éléments actifs).
+
+=cut
+
+=head1 METHODS
+
+=head2 new
+
+Constructeur : reçoit l’instance du plugin parent.
+
+=cut
+
+sub new {
+    my ($class, $plugin) = @_;
+    my $self = {
+        plugin => $plugin,
+    };
+    bless $self, $class;
+    return $self;
+}
+
+=head2 list_history
+
+    my $result = $history->list_history('noel-2');
+
+Retourne les versions d’une entrée, de la plus récente à la plus ancienne. Chaque version
+contient son numéro, son action, sa date, le membre du personnel qui l’a enregistrée
+et ses différences avec la version précédente (voir C<diff_versions>) ; la plus ancienne
+n’en a pas.
+
+=cut
+
+sub list_history {
+    my ( $self, $theme_id ) = @_;
+    return {
+        success => JSON::false,
+        message => 'theme_missing'
+    } unless $theme_id;
+    my $versions = $self->{plugin}->{theme_manager}->load_history()->{$theme_id};
+    return {
+        success => JSON::false,
+        message => 'history_not_found'
+    } unless $versions && @$versions;
+    my ( @list, $previous );
+    foreach my $snapshot (@$versions) {
+        unshift @list, {
+            version => $snapshot->{version},
+            action  => $snapshot->{action},
+            at      => $snapshot->{at},
+            user    => $snapshot->{user},
+            changes => $previous ? [ $self->diff_versions( $previous->{data}, $snapshot->{data} ) ] : [],
+        };
+        $previous = $snapshot;
+    }
+    return {
+        success  => JSON::true,
+        id       => $theme_id,
+        versions => \@list
+    };
+}
+
+=head2 diff_versions
+
+    my @changes = $history->diff_versions($before, $after);
+
+Compare les données de deux versions d’une entrée (voir
+L<Koha::Plugin::Celebrations::Lib::ScheduleTransfer/diff_entries>) et détaille les
+éléments : un changement C<{ field, before, after }> par champ, C<{ field => 'element', element, before, after }>
+par élément activé ou désactivé et C<{ field => 'option', element, option, before, after }>
+par valeur d’option modifiée.
+
+=cut
+
+sub diff_versions {
+    my ($self, $before, $after) = @_;
+    my @changes;
+    foreach my $change ( $self->{plugin}->{schedule_transfer}->diff_entries($before, $after) ) {
+        my ( $old, $new ) = @{$change}{qw(current imported)};
+        my ($element) = $change->{field} =~ /^elements\.(.+)$/;
+        unless ( defined $element ) {
+            push @changes, { field => $change->{field}, before => $old, after => $new };
+            next;
+        }
+        my ( $old_enabled, $new_enabled ) = map { ( $_ && $_->{enabled} ) ? 1 : 0 } $old, $new;
+        push @changes, { field => 'element', element => $element, before => $old_enabled, after => $new_enabled }
+            if $old_enabled != $new_enabled;
+        my ( $old_options, $new_options ) = map { ( $_ && $_->{options} ) || {} } $old, $new;
+        my %option_keys = map { $_ => 1 } keys %$old_options, keys %$new_options;
+        foreach my $option ( sort keys %option_keys ) {
+            next if ( $old_options->{$option} // '' ) eq ( $new_options->{$option} // '' );
+            push @changes, {
+                field   => 'option',
+                element => $element,
+                option  => $option,
+                before  => $old_options->{$option},
+                after   => $new_options->{$option},
+            };
+        }
+    }
+    return @changes;
+}
+
+=head2 restore_version
+
+    my $result = $history->restore_version('noel-2', 3);
+
+Applique de nouveau une version passée d’une entrée : ses données sont converties en
+paramètres du formulaire (voir L<Koha::Plugin::Celebrations::Lib::ThemeManager/build_params_from_theme>)
+et enregistrées par L<Koha::Plugin::Celebrations::Lib::ThemeManager/update_theme>, qui les
+valide et ajoute une version C<reverted> à l’historique. L’état actif ou suspendu de l’entrée ne change pas.
+En cas de succès, le message est C<theme_version_restored>.
+
+=cut
+
+sub restore_version {
+    my ( $self, $theme_id, $version ) = @_;
+    my $theme_manager = $self->{plugin}->{theme_manager};
+    my $versions = $theme_manager->load_history()->{$theme_id} || [];
+    my ($snapshot) = grep { defined $version && $_->{version} eq $version } @$versions;
+    return {
+        success => JSON::false,
+        message => 'history_version_not_found'
+    } unless $snapshot && ref $snapshot->{data} eq 'HASH';
+    my $result = $theme_manager->update_theme( $theme_id, $theme_manager->build_params_from_theme( $snapshot->{data} ), 'reverted' );
+    return $result unless $result->{success};
+    return {
+        %$result,
+        message => 'theme_version_restored'
+    };
+}
+
+1;
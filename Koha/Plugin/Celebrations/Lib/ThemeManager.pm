@@ -6,6 +6,10 @@ use DateTime;
 use DateTime::Format::Strptime;
 use Encode qw(encode);
 use CGI;
+use C4::Context;
+
+my $TRASH_RETENTION_DAYS = 30;
+my $HISTORY_LIMIT = 20;
 
 =head1 NAME
 
@@ -17,13 +21,20 @@ Cette classe gère toutes les opérations liées aux thèmes actifs dans le plug
 Elle utilise la configuration de base chargée par L<Koha::Plugin::Celebrations::Lib::Config>
 et la complète avec les données dynamiques (dates, états, options, activation).
 
+Les thèmes programmés sont des entrées indépendantes, chacune identifiée par un id
+et faisant référence à un thème de C<theme-config.json> (theme_name) : un même thème
+peut ainsi être programmé plusieurs fois avec des dates et des options différentes.
+
 Elle fournit les fonctionnalités suivantes :
 
-- récupérer le thème actif selon la date
+- lire et enregistrer les entrées programmées
+- récupérer le thème actif selon la date et la bibliothèque, et les thèmes superposés selon leur priorité
 - obtenir les données d’un thème spécifique
 - appliquer un thème (création ou activation)
 - mettre à jour les paramètres d’un thème existant
-- supprimer un thème
+- reporter une entrée à l’année suivante (ou à sa prochaine occurrence calculée)
+- supprimer un thème (placé dans la corbeille), le restaurer ou le supprimer définitivement
+- conserver l’historique des modifications de chaque entrée (versions)
 - valider les dates de début/fin
 - détecter les conflits entre thèmes actifs
 - construire la configuration finale d’un thème
@@ -51,58 +62,256 @@ sub new {
     return $self;
 }
 
+=head2 load_themes
+
+    my $themes = $tm->load_themes();
+
+Retourne les entrées programmées, indexées par id.
+Les entrées enregistrées avant l’ajout des identifiants (indexées par nom de thème)
+reçoivent leur clé comme id et comme nom de thème.
+
+=cut
+
+sub load_themes {
+    my ($self) = @_;
+    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
+    my $themes = $themes_data
+        ? decode_json( encode('UTF-8', $themes_data) )
+        : {};
+    foreach my $theme_id ( keys %$themes ) {
+        $themes->{$theme_id}{id}         //= $theme_id;
+        $themes->{$theme_id}{theme_name} //= $theme_id;
+    }
+    return $themes;
+}
+
+=head2 store_themes
+
+    $tm->store_themes($themes);
+    $tm->store_themes($themes, trash => $trash, history => $history);
+
+Enregistre l’ensemble des entrées programmées dans la base de données du plugin,
+ainsi que la corbeille et l’historique lorsqu’ils sont fournis (tous sont alors enregistrés ensemble).
+
+=cut
+
+sub store_themes {
+    my ($self, $themes, %related) = @_;
+    $self->{plugin}->store_data({
+        themes_data => encode('UTF-8', encode_json($themes)),
+        map { ( "${_}_data" => encode('UTF-8', encode_json($related{$_})) ) }
+        grep { $related{$_} } qw(trash history)
+    });
+}
+
+=head2 load_history
+
+    my $history = $tm->load_history();
+
+Retourne l’historique des entrées programmées, indexé par id : pour chaque entrée,
+la liste de ses versions, de la plus ancienne à la plus récente (voir C<add_snapshot>).
+
+=cut
+
+sub load_history {
+    my ($self) = @_;
+    my $history_data = $self->{plugin}->retrieve_data('history_data');
+    my $history = $history_data
+        ? decode_json( encode('UTF-8', $history_data) )
+        : {};
+    return {
+        map  { $_ => $history->{$_} }
+        grep { ref $history->{$_} eq 'ARRAY' }
+        keys %$history
+    };
+}
+
+=head2 add_snapshot
+
+    $tm->add_snapshot($history, 'noel-2', 'updated', $theme_data);
+
+Ajoute à l’historique d’une entrée une version : numéro (version), action
+(C<created>, C<updated>, C<reverted>, C<paused>, C<resumed>, C<deleted>, C<restored>,
+C<imported> ou C<rolled_forward>), date (at), membre du personnel (user, voir C<current_user>)
+et copie des données de l’entrée (data). Chaque action a son libellé dans la section
+C<historique> des traductions (C<action_E<lt>actionE<gt>>). La création d’une entrée commence un nouvel historique ;
+seules les 20 dernières versions sont conservées.
+
+=cut
+
+sub add_snapshot {
+    my ($self, $history, $theme_id, $action, $theme_data) = @_;
+    $history->{$theme_id} = [] if $action eq 'created' || !$history->{$theme_id};
+    my $versions = $history->{$theme_id};
+    push @$versions, {
+        version => @$versions ? $versions->[-1]{version} + 1 : 1,
+        action  => $action,
+        at      => time(),
+        user    => scalar $self->current_user(),
+        data    => decode_json( encode_json($theme_data) ),
+    };
+    splice @$versions, 0, @$versions - $HISTORY_LIMIT if @$versions > $HISTORY_LIMIT;
+    return $history;
+}
+
+=head2 current_user
+
+Retourne le membre du personnel connecté ({ borrowernumber, name }), ou undef
+hors d’une session Koha.
+
+=cut
+
+sub current_user {
+    my ($self) = @_;
+    my $userenv = C4::Context->userenv;
+    return unless $userenv && $userenv->{number};
+    my $name = join ' ', grep { defined && length } @{$userenv}{qw(firstname surname)};
+    return {
+        borrowernumber => $userenv->{number},
+        name           => $name || $userenv->{id},
+    };
+}
+
+=head2 load_trash
+
+    my $trash = $tm->load_trash();
+
+Retourne les entrées supprimées, indexées par id de corbeille. Chaque entrée conserve
+ses données et son id d’origine, et porte la date de sa suppression (deleted_at).
+Les entrées supprimées depuis plus de 30 jours sont écartées.
+
+=cut
+
+sub load_trash {
+    my ($self) = @_;
+    my $trash_data = $self->{plugin}->retrieve_data('trash_data');
+    my $trash = $trash_data
+        ? decode_json( encode('UTF-8', $trash_data) )
+        : {};
+    my $oldest = time() - $TRASH_RETENTION_DAYS * 86400;
+    return {
+        map  { $_ => $trash->{$_} }
+        grep { ref $trash->{$_} eq 'HASH' && ( $trash->{$_}{deleted_at} // 0 ) >= $oldest }
+        keys %$trash
+    };
+}
+
+=head2 generate_theme_id
+
+    my $theme_id = $tm->generate_theme_id('noel', $themes);
+
+Retourne un id libre pour une nouvelle entrée du thème : le nom du thème pour sa première
+entrée, puis le nom suivi d’un numéro (noel-2, noel-3…).
+
+=cut
+
+sub generate_theme_id {
+    my ($self, $theme_name, $themes) = @_;
+    my ( $theme_id, $number ) = ( $theme_name, 1 );
+    $theme_id = $theme_name . '-' . ++$number while exists $themes->{$theme_id};
+    return $theme_id;
+}
+
 =head2 get_active_theme
 
-Retourne le nom du thème actuellement actif en fonction de la date du jour.
+Retourne l’id de l’entrée actuellement active en fonction de la date du jour.
 Un thème est considéré actif s'il est marqué "active" et que la date
-actuelle est comprise entre start_date et end_date.
+actuelle est comprise entre start_date et end_date, ou dans l’occurrence
+de l’année pour un thème récurrent (voir L<Koha::Plugin::Celebrations::Lib::Recurrence>).
+Lorsque plusieurs thèmes sont superposés, retourne le plus prioritaire (voir C<get_active_themes>,
+qui précise aussi le filtrage par bibliothèque).
 
 =cut
 
 sub get_active_theme {
-    my ($self) = @_;
-    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
-    return unless $themes_data;
-    my $themes = decode_json(encode('UTF-8', $themes_data));
+    my ($self, $branchcode) = @_;
+    my ($theme_id) = $self->get_active_themes($branchcode);
+    return $theme_id;
+}
+
+=head2 get_active_themes
+
+    my @theme_ids = $tm->get_active_themes();
+    my @theme_ids = $tm->get_active_themes('CPL');
+
+Retourne les ids des entrées actuellement actives, de la plus prioritaire à la moins prioritaire
+(à priorité égale, par ordre alphabétique des ids).
+Si une bibliothèque est indiquée, seules les entrées qui la ciblent, ou qui ciblent toutes
+les bibliothèques, sont retenues (voir C<serves_branch>) ; une chaîne vide (bibliothèque
+inconnue) ne retient que ces dernières.
+Les autres thèmes ne sont superposés au plus prioritaire que si celui-ci et eux-mêmes
+acceptent d’être combinés (can_combine) ; sinon seul le plus prioritaire est retourné.
+
+=cut
+
+sub get_active_themes {
+    my ($self, $branchcode) = @_;
+    my $themes = $self->load_themes();
     my $now = DateTime->now();
-    foreach my $theme_name (keys %$themes) {
-        my $theme = $themes->{$theme_name};
-        next unless $theme->{active};
-        if ($theme->{start_date} && $theme->{end_date}) {
-            my $start = DateTime->from_epoch(epoch => $theme->{start_date});
-            my $end = DateTime->from_epoch(epoch => $theme->{end_date});
-            if ($now >= $start && $now <= $end) {
-                return $theme_name;
-            }
-        }
-    }
-    return;
+    my @current = sort {
+        ( $themes->{$b}{priority} // 0 ) <=> ( $themes->{$a}{priority} // 0 ) || $a cmp $b
+    } grep {
+        $themes->{$_}{active}
+            && ( !defined $branchcode || $self->serves_branch($themes->{$_}, $branchcode) )
+            && $self->{plugin}->{recurrence}->is_current($themes->{$_}, $now)
+    } keys %$themes;
+    return unless @current;
+    my ($winner, @others) = @current;
+    return ($winner) unless $themes->{$winner}{can_combine};
+    return ( $winner, grep { $themes->{$_}{can_combine} } @others );
 }
 
 =head2 get_theme_data
 
-    my $data = $tm->get_theme_data('noel');
+    my $data = $tm->get_theme_data('noel-2');
 
-Retourne toutes les données enregistrées pour un thème.
-Retourne undef si le thème n’existe pas ou si aucune donnée n’est enregistrée.
+Retourne toutes les données enregistrées pour une entrée programmée.
+Retourne undef si l’entrée n’existe pas.
 
 =cut
 
 sub get_theme_data {
-    my ($self, $theme_name) = @_;
-    return unless $theme_name;
-    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
-    return unless $themes_data;
-    my $themes = decode_json(encode('UTF-8', $themes_data));
-    return $themes->{$theme_name};
+    my ($self, $theme_id) = @_;
+    return unless $theme_id;
+    return $self->load_themes()->{$theme_id};
+}
+
+=head2 get_theme
+
+    my $result = $tm->get_theme('noel-2');
+
+Retourne une entrée programmée dans le même format que les éléments de C<list_themes>
+(voir C<build_theme_list>).
+
+=cut
+
+sub get_theme {
+    my ( $self, $theme_id ) = @_;
+    return {
+        success => JSON::false,
+        message => 'theme_missing'
+    } unless $theme_id;
+    my $themes = $self->load_themes();
+    return {
+        success => JSON::false,
+        message => 'theme_not_found'
+    } unless exists $themes->{$theme_id};
+    my ($theme) = $self->build_theme_list({ $theme_id => $themes->{$theme_id} }, DateTime->now());
+    return {
+        success => JSON::true,
+        theme   => $theme
+    };
 }
 
 =head2 apply_theme
 
 Méthode appelée via les actions CGI.
+Crée toujours une nouvelle entrée programmée du thème, sous un nouvel id
+(voir C<generate_theme_id>).
 Effectue :
 - lecture des paramètres
-- validation des dates
+- validation des dates et de la règle de récurrence
+- validation des bibliothèques ciblées
 - vérification des conflits
 - vérifier que au moin un élément est actif
 - construction des données du thème
@@ -114,17 +323,18 @@ Effectue :
 sub apply_theme {
     my ( $self, $params ) = @_;
     my $theme_name = $params->{theme};
-    my $start_date = $params->{start_date};
-    my $end_date   = $params->{end_date};
     return { success => 0, message => 'theme_missing' }
       unless $theme_name;
     return { success => 0, message => 'theme_unknown' }
       unless $self->{plugin}->{config}->theme_exists($theme_name);
-    my $validation = $self->validate_theme_dates($start_date, $end_date);
+    my $validation = $self->validate_theme_period($params);
     return { success => 0, message => $validation->{message} }
       unless $validation->{valid};
-    my ( $start_dt, $end_dt ) = @{$validation}{qw(start_dt end_dt)};
-    if ( my $conflict = $self->check_theme_conflicts($theme_name, $start_dt, $end_dt) ) {
+    my ( $start_dt, $end_dt, $recurrence ) = @{$validation}{qw(start_dt end_dt recurrence)};
+    my $branches = $self->normalize_branches($params->{branches});
+    return { success => 0, message => 'branch_unknown' }
+      unless $branches;
+    if ( my $conflict = $self->check_theme_conflicts(undef, $start_dt, $end_dt, $recurrence, $params->{can_combine}, $branches) ) {
         return { success => 0, message => $conflict };
     }
     my $active_validation = $self->validate_at_least_one_active_element($params);
@@ -136,9 +346,12 @@ sub apply_theme {
         $end_dt,
         $params
     );
-    $self->save_theme( $theme_name, $theme_data );
+    my $theme_id = $self->generate_theme_id( $theme_name, $self->load_themes() );
+    $theme_data->{id} = $theme_id;
+    $self->save_theme( $theme_id, $theme_data, 'created' );
     return {
         success => 1,
+        id      => $theme_id,
         theme   => $theme_name,
         theme_data => $theme_data,
         message => 'theme_applied'
@@ -147,44 +360,50 @@ sub apply_theme {
 
 =head2 update_theme
 
-Met à jour un thème existant avec de nouvelles dates et de nouvelles options.
+Met à jour une entrée programmée (désignée par son id) avec de nouvelles dates
+et de nouvelles options. Le thème auquel elle fait référence ne change pas.
 Vérifie :
-- l’existence du thème
-- la validité des dates
-- les conflits éventuels
+- l’existence de l’entrée
+- la validité des dates et de la règle de récurrence
+- les bibliothèques ciblées
+- les conflits éventuels, sauf pour une entrée suspendue (ils sont vérifiés à sa réactivation)
 - la présence d’au moins un élément actif
 - la cohérence avec la configuration de base
 
+La nouvelle version est ajoutée à l’historique de l’entrée, avec l’action fournie
+(C<updated> par défaut, C<reverted> pour le retour à une version précédente).
+
 Retourne une réponse JSON.
 
 =cut
 
 sub update_theme {
-    my ( $self, $theme_name, $params ) = @_;
+    my ( $self, $theme_id, $params, $action ) = @_;
     return {
         success => 0,
         message => 'theme_missing'
-    } unless $theme_name;
-    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
-    my $themes = $themes_data
-        ? decode_json( encode('UTF-8', $themes_data) )
-        : {};
+    } unless $theme_id;
+    my $themes = $self->load_themes();
     return {
         success => 0,
         message => 'theme_not_found'
-    } unless exists $themes->{$theme_name};
-    my $start_date = $params->{start_date};
-    my $end_date   = $params->{end_date};
+    } unless exists $themes->{$theme_id};
+    my $theme_name = $themes->{$theme_id}{theme_name};
     my $elements   = $params->{elements};
-    my $validation = $self->validate_theme_dates($start_date, $end_date);
+    my $validation = $self->validate_theme_period($params);
     return {
         success => 0,
         message => $validation->{message}
     } unless $validation->{valid};
-    my ( $start_dt, $end_dt ) = @{$validation}{qw(start_dt end_dt)};
-    if ( my $conflict = $self->check_theme_conflicts(
-        $theme_name, $start_dt, $end_dt
-    )) {
+    my ( $start_dt, $end_dt, $recurrence ) = @{$validation}{qw(start_dt end_dt recurrence)};
+    my $branches = $self->normalize_branches($params->{branches});
+    return {
+        success => 0,
+        message => 'branch_unknown'
+    } unless $branches;
+    if ( $themes->{$theme_id}{active} && ( my $conflict = $self->check_theme_conflicts(
+        $theme_id, $start_dt, $end_dt, $recurrence, $params->{can_combine}, $branches
+    ))) {
         return {
             success => 0,
             message => $conflict
@@ -195,59 +414,331 @@ sub update_theme {
         success => 0,
         message => $active_validation->{message}
     } unless $active_validation->{valid};
+    my $built_data = $self->build_theme_data_from_params(
+        $theme_name,
+        $start_dt,
+        $end_dt,
+        $params
+    );
     my $theme_data = {
-        %{ $themes->{$theme_name} },
-        start_date => $start_dt->epoch,
-        end_date   => $end_dt->epoch,
-        updated_at => time(),
-        elements   => $self->build_theme_data_from_params(
-            $theme_name,
-            $start_dt,
-            $end_dt,
-            $params
-        )->{elements},
+        %{ $themes->{$theme_id} },
+        start_date    => $start_dt->epoch,
+        end_date      => $end_dt->epoch,
+        recurrence    => $built_data->{recurrence},
+        updated_at    => time(),
+        motion_toggle => $built_data->{motion_toggle},
+        quality_mode  => $built_data->{quality_mode},
+        priority      => $built_data->{priority},
+        can_combine   => $built_data->{can_combine},
+        branches      => $built_data->{branches},
+        elements      => $built_data->{elements},
     };
-    $themes->{$theme_name} = $theme_data;
-    $self->{plugin}->store_data({
-        themes_data => encode('UTF-8', encode_json($themes))
-    });
+    $themes->{$theme_id} = $theme_data;
+    $self->store_themes(
+        $themes,
+        history => $self->add_snapshot( $self->load_history(), $theme_id, $action // 'updated', $theme_data )
+    );
     return {
         success    => 1,
+        id         => $theme_id,
         theme      => $theme_name,
         message    => 'theme_updated',
         theme_data => $theme_data
     };
 }
 
+=head2 set_theme_active
+
+    my $result = $tm->set_theme_active('noel-2', 0);
+
+Suspend (0) ou réactive (1) une entrée programmée sans modifier sa configuration :
+seul le drapeau C<active> change. Une entrée suspendue n’est plus chargée dans l’OPAC
+et n’entre plus en conflit avec les autres entrées ; sa réactivation vérifie donc
+de nouveau les conflits (voir C<check_theme_conflicts>).
+Retourne C<success> (1 ou 0) et C<message> comme C<update_theme>, ainsi que l’entrée
+dans le même format que les éléments de la liste (voir C<build_theme_list>).
+
+=cut
+
+sub set_theme_active {
+    my ( $self, $theme_id, $active ) = @_;
+    return {
+        success => 0,
+        message => 'theme_missing'
+    } unless $theme_id;
+    my $themes = $self->load_themes();
+    return {
+        success => 0,
+        message => 'theme_not_found'
+    } unless exists $themes->{$theme_id};
+    my $theme = $themes->{$theme_id};
+    if ( $active && !$theme->{active} ) {
+        my $conflict = $self->check_theme_conflicts(
+            $theme_id,
+            DateTime->from_epoch( epoch => $theme->{start_date} ),
+            DateTime->from_epoch( epoch => $theme->{end_date} ),
+            $theme->{recurrence},
+            $theme->{can_combine},
+            $theme->{branches}
+        );
+        return {
+            success => 0,
+            message => $conflict
+        } if $conflict;
+    }
+    $theme->{active} = $active ? 1 : 0;
+    $theme->{updated_at} = time();
+    $self->store_themes(
+        $themes,
+        history => $self->add_snapshot( $self->load_history(), $theme_id, $active ? 'resumed' : 'paused', $theme )
+    );
+    my ($entry) = $self->build_theme_list({ $theme_id => $theme }, DateTime->now());
+    return {
+        success => 1,
+        id      => $theme_id,
+        theme   => $entry,
+        message => $active ? 'theme_resumed' : 'theme_paused'
+    };
+}
+
+=head2 roll_forward_theme
+
+    my $result = $tm->roll_forward_theme('noel-2');
+
+Reporte une entrée programmée à l’année suivante et l’enregistre via C<update_theme>
+(mêmes validations que le formulaire, version C<rolled_forward> dans l’historique) :
+
+- une entrée dont les dates sont calculées (Pâques, nième jour de la semaine) reprend
+  son occurrence en cours ou à venir ;
+- les autres entrées sont décalées d’un an, ou du nombre d’années nécessaire pour que
+  leur période ne soit plus passée (le 29 février devient le 28 les années non bissextiles,
+  une heure sautée au passage à l’heure d’été devient la première heure valide qui suit).
+
+Les éléments, options, heures et bibliothèques ciblées sont conservés.
+
+=cut
+
+sub roll_forward_theme {
+    my ( $self, $theme_id ) = @_;
+    return {
+        success => JSON::false,
+        message => 'theme_missing'
+    } unless $theme_id;
+    my $theme = $self->load_themes()->{$theme_id};
+    return {
+        success => JSON::false,
+        message => 'theme_not_found'
+    } unless $theme;
+    my %period = map { $_ => $theme->{$_} } qw(start_date end_date);
+    unless ( $self->{plugin}->{recurrence}->is_computed( $theme->{recurrence} ) ) {
+        my $recurrence = $self->{plugin}->{recurrence};
+        my $time_zone = $self->{plugin}->{config}->get_timezone();
+        my ( $start, $end ) = map { DateTime->from_epoch( epoch => $_, time_zone => $time_zone ) } @period{qw(start_date end_date)};
+        my $now = DateTime->now( time_zone => $time_zone );
+        my $years = 1;
+        $years++ while $recurrence->add_years( $end, $years ) < $now;
+        @period{qw(start_date end_date)} = map { $recurrence->add_years( $_, $years )->epoch } $start, $end;
+    }
+    my $result = $self->update_theme(
+        $theme_id,
+        $self->build_params_from_theme({ %$theme, %period }),
+        'rolled_forward'
+    );
+    return $result unless $result->{success};
+    return {
+        %$result,
+        message => 'theme_rolled_forward'
+    };
+}
+
+=head2 roll_forward_expired
+
+    my $result = $tm->roll_forward_expired();
+
+Reporte à l’année suivante toutes les entrées expirées : entrées non récurrentes dont la
+période est passée (voir C<roll_forward_theme>). Les entrées sont traitées de la plus
+ancienne à la plus récente ; une entrée refusée (conflit, par exemple) n’empêche pas
+le report des suivantes. Une entrée suspendue est reportée sans vérification des conflits
+et reste suspendue (voir C<update_theme>).
+Retourne le résultat de chaque entrée (C<results>) et le nombre d’entrées reportées et refusées.
+
+=cut
+
+sub roll_forward_expired {
+    my ($self) = @_;
+    my $themes = $self->load_themes();
+    my $now = time();
+    my @expired = sort { $themes->{$a}{end_date} <=> $themes->{$b}{end_date} || $a cmp $b }
+        grep {
+            !$self->{plugin}->{recurrence}->is_recurring( $themes->{$_} )
+            && ( $themes->{$_}{end_date} // $now ) < $now
+        } keys %$themes;
+    my @results = map {
+        my $result = $self->roll_forward_theme($_);
+        +{ id => $_, success => $result->{success} ? JSON::true : JSON::false, message => $result->{message} }
+    } @expired;
+    my $rolled = grep { $_->{success} } @results;
+    return {
+        success => JSON::true,
+        message => 'themes_rolled_forward',
+        rolled  => $rolled,
+        failed  => @results - $rolled,
+        results => \@results
+    };
+}
+
 =head2 delete_theme
 
-Supprime entièrement un thème de la base de données du plugin.
-Retourne un JSON indiquant le résultat.
+Supprime une entrée programmée (désignée par son id) et la place dans la corbeille,
+d’où elle peut être restaurée (voir C<restore_theme>) pendant 30 jours.
+Les autres entrées du même thème sont conservées.
+Retourne un JSON indiquant le résultat et l’id de l’entrée dans la corbeille (trash_id).
 
 =cut
 
 sub delete_theme {
-    my ( $self, $theme_name ) = @_;
+    my ( $self, $theme_id ) = @_;
     return {
         success => JSON::false,
         message => 'theme_missing'
-    } unless $theme_name;
-    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
-    my $themes = $themes_data
-        ? decode_json( encode('UTF-8', $themes_data) )
-        : {};
+    } unless $theme_id;
+    my $themes = $self->load_themes();
     return {
         success => JSON::false,
         message => 'theme_not_found'
-    } unless exists $themes->{$theme_name};
-    delete $themes->{$theme_name};
-    $self->{plugin}->store_data({
-        themes_data => encode('UTF-8', encode_json($themes))
-    });
+    } unless exists $themes->{$theme_id};
+    my $theme = delete $themes->{$theme_id};
+    my $trash = $self->load_trash();
+    my $trash_id = $self->generate_theme_id($theme_id, $trash);
+    $trash->{$trash_id} = {
+        %$theme,
+        deleted_at => time()
+    };
+    $self->store_themes(
+        $themes,
+        trash   => $trash,
+        history => $self->add_snapshot( $self->load_history(), $theme_id, 'deleted', $theme )
+    );
+    return {
+        success  => JSON::true,
+        id       => $theme_id,
+        trash_id => $trash_id,
+        theme    => $theme->{theme_name},
+        message  => 'theme_deleted'
+    };
+}
+
+=head2 list_trash
+
+Retourne les entrées de la corbeille, de la plus récemment supprimée à la plus ancienne,
+dans le même format que les éléments de la liste (voir C<build_theme_list>) :
+l’id est celui de la corbeille, complété par l’id d’origine (original_id) et la date
+de suppression (deleted_at).
+
+=cut
+
+sub list_trash {
+    my ($self) = @_;
+    my $trash = $self->load_trash();
+    my $now = DateTime->now();
+    my @trash_list = map {
+        my ($entry) = $self->build_theme_list({ $_ => $trash->{$_} }, $now);
+        +{
+            %$entry,
+            original_id => $trash->{$_}{id},
+            deleted_at  => $trash->{$_}{deleted_at}
+        };
+    } keys %$trash;
     return {
         success => JSON::true,
-        theme   => $theme_name,
-        message => 'theme_deleted'
+        themes  => [ sort { $b->{deleted_at} <=> $a->{deleted_at} } @trash_list ]
+    };
+}
+
+=head2 restore_theme
+
+    my $result = $tm->restore_theme('noel-2');
+
+Remet une entrée de la corbeille (désignée par son id de corbeille) dans la programmation,
+sous son id d’origine, ou sous un nouvel id s’il a été repris entre-temps.
+Une entrée active qui chevauche désormais une autre entrée est restaurée suspendue
+(message C<theme_restored_paused>) : sa configuration est conservée sans provoquer de conflit.
+
+=cut
+
+sub restore_theme {
+    my ( $self, $trash_id ) = @_;
+    return {
+        success => JSON::false,
+        message => 'theme_missing'
+    } unless $trash_id;
+    my $trash = $self->load_trash();
+    return {
+        success => JSON::false,
+        message => 'theme_not_found'
+    } unless exists $trash->{$trash_id};
+    my $themes = $self->load_themes();
+    my $theme = delete $trash->{$trash_id};
+    delete $theme->{deleted_at};
+    my $theme_id = exists $themes->{ $theme->{id} }
+        ? $self->generate_theme_id( $theme->{theme_name}, $themes )
+        : $theme->{id};
+    $theme->{id} = $theme_id;
+    my $message = 'theme_restored';
+    if ( $theme->{active} && $self->check_theme_conflicts(
+        $theme_id,
+        DateTime->from_epoch( epoch => $theme->{start_date} ),
+        DateTime->from_epoch( epoch => $theme->{end_date} ),
+        $theme->{recurrence},
+        $theme->{can_combine},
+        $theme->{branches}
+    ) ) {
+        $theme->{active} = 0;
+        $message = 'theme_restored_paused';
+    }
+    $themes->{$theme_id} = $theme;
+    $self->store_themes(
+        $themes,
+        trash   => $trash,
+        history => $self->add_snapshot( $self->load_history(), $theme_id, 'restored', $theme )
+    );
+    return {
+        success => JSON::true,
+        id      => $theme_id,
+        theme   => $theme->{theme_name},
+        message => $message
+    };
+}
+
+=head2 purge_theme
+
+    my $result = $tm->purge_theme('noel-2');
+
+Supprime définitivement une entrée de la corbeille (désignée par son id de corbeille),
+ainsi que son historique si son id n’a pas été repris par une autre entrée.
+
+=cut
+
+sub purge_theme {
+    my ( $self, $trash_id ) = @_;
+    return {
+        success => JSON::false,
+        message => 'theme_missing'
+    } unless $trash_id;
+    my $trash = $self->load_trash();
+    return {
+        success => JSON::false,
+        message => 'theme_not_found'
+    } unless exists $trash->{$trash_id};
+    my $theme = delete $trash->{$trash_id};
+    my $themes = $self->load_themes();
+    my $history = $self->load_history();
+    delete $history->{ $theme->{id} } unless exists $themes->{ $theme->{id} };
+    $self->store_themes($themes, trash => $trash, history => $history);
+    return {
+        success => JSON::true,
+        id      => $trash_id,
+        message => 'theme_purged'
     };
 }
 
@@ -259,31 +750,34 @@ Retourne en JSON la liste complète de tous les thèmes enregistrés, incluant :
 - leur période
 - s’ils sont actuellement en cours
 - leurs dates formatées
-- le thème actif actuel
+- les ids de l’entrée active actuelle et des entrées superposées
 
 =cut
 
 sub list_themes {
     my ($self) = @_;
-    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
-    my $themes = $themes_data
-        ? decode_json( encode('UTF-8', $themes_data) )
-        : {};
+    my $themes = $self->load_themes();
     my $now = DateTime->now();
     my @theme_list = $self->build_theme_list($themes, $now);
     return {
         success       => JSON::true,
-        themes        => \@theme_list,
-        current_theme => $self->get_active_theme()
+        themes         => \@theme_list,
+        current_theme  => $self->get_active_theme(),
+        current_themes => [ $self->get_active_themes() ]
     };
 }
 
 =head2 validate_theme_dates
 
-Valide les dates reçues depuis les paramètres CGI.
+    my $validation = $tm->validate_theme_dates('2026-12-31', '2027-01-01', '18:00', '02:00');
+
+Valide les dates reçues depuis les paramètres CGI, et les heures facultatives (HH:MM).
+Les dates et heures sont celles du fuseau horaire de la bibliothèque.
+Sans heure, le thème commence à 00:00 et se termine à 23:59:59.
 Elle vérifie :
 - présence des deux dates
-- validité du format (YYYY-MM-DD)
+- validité du format (YYYY-MM-DD, et HH:MM pour les heures)
+- existence des heures dans le fuseau (une heure sautée au passage à l’heure d’été est refusée)
 - cohérence chronologique (début < fin)
 
 Retourne un hashref indiquant :
@@ -295,20 +789,46 @@ Retourne un hashref indiquant :
 =cut
 
 sub validate_theme_dates {
-    my ($self, $start_date, $end_date) = @_;
+    my ($self, $start_date, $end_date, $start_time, $end_time) = @_;
     unless ($start_date && $start_date ne 'null' && $end_date && $end_date ne 'null') {
         return {
             valid => 0,
             message => 'date_error_required'
         };
     }
+    foreach my $time ($start_time, $end_time) {
+        next unless defined $time && $time ne '';
+        return {
+            valid => 0,
+            message => 'time_error_invalid'
+        } unless $time =~ /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+    }
     my $strp = DateTime::Format::Strptime->new(
         pattern => '%Y-%m-%d',
-        time_zone => 'local',
+        time_zone => $self->{plugin}->{config}->get_timezone(),
     );
     my $start_dt = $strp->parse_datetime($start_date);
     my $end_dt = $strp->parse_datetime($end_date);
-    $end_dt->set(hour => 23, minute => 59, second => 59) if $end_dt;
+    # Une heure qui n’existe pas dans le fuseau de la bibliothèque (passage à l’heure d’été) est refusée
+    my $times_exist = eval {
+        if ( $start_dt && $start_time ) {
+            my ($hour, $minute) = split /:/, $start_time;
+            $start_dt->set(hour => $hour, minute => $minute);
+        }
+        if ( $end_dt && $end_time ) {
+            my ($hour, $minute) = split /:/, $end_time;
+            $end_dt->set(hour => $hour, minute => $minute, second => 0);
+        } elsif ($end_dt) {
+            $end_dt->set(hour => 23, minute => 59, second => 59);
+        }
+        1;
+    };
+    unless ($times_exist) {
+        return {
+            valid => 0,
+            message => 'time_error_invalid'
+        };
+    }
     unless ($start_dt && $end_dt) {
         return {
             valid => 0,
@@ -328,27 +848,84 @@ sub validate_theme_dates {
     };
 }
 
+=head2 validate_theme_period
+
+Valide la période d’un thème à partir des paramètres reçus :
+- la règle de récurrence (absente = dates fixes) ;
+- pour une règle calculée (ex: Pâques), les dates sont celles de l’occurrence
+  en cours ou à venir (journées entières) et les dates et heures saisies sont ignorées ;
+- sinon les dates et heures facultatives saisies (voir C<validate_theme_dates>),
+  une période répétée chaque année devant durer moins d’un an.
+
+Retourne un hashref indiquant :
+- valid => 1/0
+- message => code d’erreur
+- start_dt / end_dt => objets DateTime
+- recurrence => règle nettoyée
+
+=cut
+
+sub validate_theme_period {
+    my ($self, $params) = @_;
+    my $recurrence_manager = $self->{plugin}->{recurrence};
+    my $recurrence = $recurrence_manager->normalize($params->{recurrence});
+    return {
+        valid   => 0,
+        message => 'recurrence_invalid'
+    } unless $recurrence;
+    if ( $recurrence_manager->is_computed($recurrence) ) {
+        my ( $start_dt, $end_dt ) = $recurrence_manager->resolve($recurrence, DateTime->now());
+        return {
+            valid      => 1,
+            start_dt   => $start_dt,
+            end_dt     => $end_dt,
+            recurrence => $recurrence
+        };
+    }
+    my $validation = $self->validate_theme_dates(
+        @{$params}{qw(start_date end_date start_time end_time)}
+    );
+    return $validation unless $validation->{valid};
+    if ( $recurrence->{type} ne 'none'
+        && $validation->{end_dt} >= $validation->{start_dt}->clone->add(years => 1) ) {
+        return {
+            valid   => 0,
+            message => 'recurrence_too_long'
+        };
+    }
+    return {
+        %$validation,
+        recurrence => $recurrence
+    };
+}
+
 =head2 check_theme_conflicts
 
-Détecte si un autre thème actif chevauche la période fournie.
+Détecte si une autre entrée active chevauche la période fournie.
+L’id fourni désigne l’entrée modifiée, ignorée dans la comparaison (undef pour une nouvelle entrée).
+Les occurrences des thèmes récurrents sont comparées à celles du thème fourni.
+Un chevauchement est permis lorsque les deux thèmes acceptent d’être combinés (can_combine),
+ou lorsqu’ils ne ciblent aucune bibliothèque en commun (voir C<branches_overlap>).
 Retourne un message d’erreur s'il existe un conflit, sinon undef.
 
 =cut
 
 sub check_theme_conflicts {
-    my ($self, $theme_name, $start_dt, $end_dt) = @_;
-    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
-    my $themes = $themes_data ? decode_json($themes_data) : {};
-    foreach my $existing_theme_name (keys %$themes) {
-        next if $existing_theme_name eq $theme_name;
-        my $existing_theme = $themes->{$existing_theme_name};
+    my ($self, $theme_id, $start_dt, $end_dt, $recurrence, $can_combine, $branches) = @_;
+    my $themes = $self->load_themes();
+    my $candidate = {
+        start_date => $start_dt->epoch,
+        end_date   => $end_dt->epoch,
+        recurrence => $recurrence,
+    };
+    foreach my $existing_theme_id (keys %$themes) {
+        next if defined $theme_id && $existing_theme_id eq $theme_id;
+        my $existing_theme = $themes->{$existing_theme_id};
         next unless $existing_theme->{active};
-        if ($existing_theme->{start_date} && $existing_theme->{end_date}) {
-            my $exist_start = DateTime->from_epoch(epoch => $existing_theme->{start_date});
-            my $exist_end = DateTime->from_epoch(epoch => $existing_theme->{end_date});
-            if (($start_dt <= $exist_end) && ($end_dt >= $exist_start)) {
-                return 'theme_conflict';
-            }
+        next if $can_combine && $existing_theme->{can_combine};
+        next unless $self->branches_overlap($branches, $existing_theme->{branches});
+        if ( $self->{plugin}->{recurrence}->overlaps($candidate, $existing_theme) ) {
+            return 'theme_conflict';
         }
     }
     return;
@@ -384,6 +961,13 @@ sub validate_at_least_one_active_element {
     };
 }
 
+=head2 build_theme_data_from_params
+
+Construit les données d’un thème à enregistrer à partir des paramètres reçus
+et de la configuration de base du thème.
+
+=cut
+
 sub build_theme_data_from_params {
     my ( $self, $theme_name, $start_dt, $end_dt, $params ) = @_;
     my $base_config = $self->{plugin}->{config}->get_theme_config($theme_name);
@@ -402,27 +986,148 @@ sub build_theme_data_from_params {
         }
     }
     return {
-        theme_name => $theme_name,
-        active     => 1,
-        start_date => $start_dt->epoch,
-        end_date   => $end_dt->epoch,
-        created_at => time(),
-        elements   => \%elements,
+        theme_name    => $theme_name,
+        active        => 1,
+        start_date    => $start_dt->epoch,
+        end_date      => $end_dt->epoch,
+        recurrence    => $self->{plugin}->{recurrence}->normalize($params->{recurrence}),
+        created_at    => time(),
+        motion_toggle => $params->{motion_toggle} ? 1 : 0,
+        quality_mode  => ( $params->{quality_mode} // '' ) eq 'fixed' ? 'fixed' : 'adaptive',
+        priority      => $self->normalize_priority($params->{priority}),
+        can_combine   => $params->{can_combine} ? 1 : 0,
+        branches      => $self->normalize_branches($params->{branches}) // [],
+        elements      => \%elements,
+    };
+}
+
+=head2 build_params_from_theme
+
+    my $params = $tm->build_params_from_theme($theme_data);
+
+Opération inverse de C<build_theme_data_from_params> : convertit les données enregistrées
+d’une entrée en paramètres du formulaire, pour les enregistrer de nouveau avec les mêmes
+validations (voir C<update_theme>). Les dates et heures sont exprimées dans le fuseau de la
+bibliothèque (sans heure pour une journée entière) et les éléments sont désignés par leur
+paramètre d’activation (setting) ; les éléments retirés depuis de C<theme-config.json> sont ignorés.
+
+=cut
+
+sub build_params_from_theme {
+    my ($self, $data) = @_;
+    my $config = $self->{plugin}->{config};
+    my $time_zone = $config->get_timezone();
+    my $start = DateTime->from_epoch( epoch => $data->{start_date}, time_zone => $time_zone );
+    my $end   = DateTime->from_epoch( epoch => $data->{end_date}, time_zone => $time_zone );
+    my $config_elements = $config->get_theme_config( $data->{theme_name} )->{elements} || {};
+    my %elements;
+    foreach my $element_key ( keys %{ $data->{elements} || {} } ) {
+        my $element_conf = $config_elements->{$element_key} or next;
+        my $element = $data->{elements}{$element_key};
+        $elements{ $element_conf->{setting} } = {
+            enabled => $element->{enabled} ? 1 : 0,
+            options => { %{ $element->{options} || {} } },
+        };
+    }
+    return {
+        start_date    => $start->ymd,
+        end_date      => $end->ymd,
+        ( $start->hms eq '00:00:00' ? () : ( start_time => $start->strftime('%H:%M') ) ),
+        ( $end->hms eq '23:59:59' ? () : ( end_time => $end->strftime('%H:%M') ) ),
+        recurrence    => $data->{recurrence},
+        motion_toggle => $data->{motion_toggle},
+        quality_mode  => $data->{quality_mode},
+        priority      => $data->{priority},
+        can_combine   => $data->{can_combine},
+        branches      => $data->{branches},
+        elements      => \%elements,
     };
 }
 
+=head2 normalize_priority
+
+Retourne la priorité d’un thème : un entier de 0 à 100, 0 par défaut.
+Le thème le plus prioritaire l’emporte lorsque des thèmes superposés chargent le même élément.
+
+=cut
+
+sub normalize_priority {
+    my ($self, $priority) = @_;
+    return 0 unless defined $priority && $priority =~ /^\d+$/ && $priority <= 100;
+    return $priority + 0;
+}
+
+=head2 normalize_branches
+
+    my $branches = $tm->normalize_branches($params->{branches});
+
+Retourne la liste triée, sans doublon, des codes des bibliothèques ciblées par un thème.
+Une liste vide (ou absente) signifie que le thème s’applique à toutes les bibliothèques.
+Retourne undef si la liste n’en est pas une ou contient une bibliothèque inconnue
+(voir L<Koha::Plugin::Celebrations::Lib::Config/get_libraries>).
+
+=cut
+
+sub normalize_branches {
+    my ($self, $branches) = @_;
+    return [] unless defined $branches;
+    return unless ref $branches eq 'ARRAY';
+    return [] unless @$branches;
+    my %known = map { $_->{branchcode} => 1 } @{ $self->{plugin}->{config}->get_libraries() };
+    my %seen;
+    my @codes = grep { !$seen{$_}++ } @$branches;
+    return if grep { !defined $_ || ref $_ || !$known{$_} } @codes;
+    return [ sort @codes ];
+}
+
+=head2 serves_branch
+
+Retourne vrai si le thème s’applique à la bibliothèque donnée : il cible toutes
+les bibliothèques, ou celle-ci en fait partie.
+
+=cut
+
+sub serves_branch {
+    my ($self, $theme, $branchcode) = @_;
+    my @branches = @{ $theme->{branches} || [] };
+    return 1 unless @branches;
+    return ( defined $branchcode && grep { $_ eq $branchcode } @branches ) ? 1 : 0;
+}
+
+=head2 branches_overlap
+
+Retourne vrai si deux listes de bibliothèques ciblées ont au moins une bibliothèque
+en commun, une liste vide désignant toutes les bibliothèques.
+
+=cut
+
+sub branches_overlap {
+    my ($self, $branches, $other_branches) = @_;
+    my @branches = @{ $branches || [] };
+    my @other_branches = @{ $other_branches || [] };
+    return 1 unless @branches && @other_branches;
+    my %targeted = map { $_ => 1 } @branches;
+    return ( grep { $targeted{$_} } @other_branches ) ? 1 : 0;
+}
+
 =head2 save_theme
 
-Enregistre définitivement les données d’un thème dans la base de données du plugin.
+    $tm->save_theme('noel-2', $theme_data, 'created');
+
+Enregistre définitivement les données d’une entrée programmée sous son id
+dans la base de données du plugin, et les ajoute à son historique avec l’action
+fournie (C<updated> par défaut, voir C<add_snapshot>).
 
 =cut
 
 sub save_theme {
-    my ($self, $theme_name, $theme_data) = @_;
-    my $themes_data = $self->{plugin}->retrieve_data('themes_data');
-    my $themes = $themes_data ? decode_json($themes_data) : {};
-    $themes->{$theme_name} = $theme_data;
-    $self->{plugin}->store_data({ themes_data => encode('UTF-8', encode_json($themes)) });
+    my ($self, $theme_id, $theme_data, $action) = @_;
+    my $themes = $self->load_themes();
+    $themes->{$theme_id} = $theme_data;
+    $self->store_themes(
+        $themes,
+        history => $self->add_snapshot( $self->load_history(), $theme_id, $action // 'updated', $theme_data )
+    );
 }
 
 =head2 build_theme_list
@@ -430,11 +1135,13 @@ sub save_theme {
 Construit et retourne un tableau contenant toutes les informations utiles
 pour afficher la liste des thèmes dans l’interface administrateur.
 Chaque entrée inclut :
-- nom du thème
+- id de l’entrée et nom du thème auquel elle fait référence
 - état (actif)
 - état courant (is_current)
 - dates en epoch
-- dates formatées
+- règle de récurrence et dates de l’occurrence en cours ou à venir
+- priorité et autorisation de superposition
+- bibliothèques ciblées (liste vide : toutes)
 - date de création
 
 =cut
@@ -442,16 +1149,26 @@ Chaque entrée inclut :
 sub build_theme_list {
     my ($self, $themes, $now) = @_;
     my @theme_list;
-    foreach my $theme_name (keys %$themes) {
-        my $theme = $themes->{$theme_name};
+    foreach my $theme_id (keys %$themes) {
+        my $theme = $themes->{$theme_id};
         my $is_current = $self->is_theme_current($theme, $now);
+        my ($next_start, $next_end) = $self->{plugin}->{recurrence}->current_or_next($theme, $now);
         push @theme_list, {
-            name => $theme_name,
+            id => $theme_id,
+            name => $theme->{theme_name},
             active => $theme->{active},
             is_current => $is_current,
             start_date => $theme->{start_date},
             end_date => $theme->{end_date},
+            recurrence => $theme->{recurrence} || { type => 'none' },
+            next_start_date => $next_start ? $next_start->epoch : $theme->{start_date},
+            next_end_date => $next_end ? $next_end->epoch : $theme->{end_date},
             created_at => $theme->{created_at},
+            motion_toggle => $theme->{motion_toggle} ? 1 : 0,
+            quality_mode => $theme->{quality_mode} // 'adaptive',
+            priority => $theme->{priority} // 0,
+            can_combine => $theme->{can_combine} ? 1 : 0,
+            branches    => $theme->{branches} || [],
             elements    => $theme->{elements} || {}
         };
     }
@@ -460,16 +1177,15 @@ sub build_theme_list {
 
 =head2 is_theme_current
 
-Retourne vrai si le thème est actif et si la date courante est comprise dans sa période.
+Retourne vrai si le thème est actif et si la date courante est comprise dans sa période
+(ou dans son occurrence de l’année pour un thème récurrent).
 
 =cut
 
 sub is_theme_current {
     my ($self, $theme, $now) = @_;
     return 0 unless $theme->{active} && $theme->{start_date} && $theme->{end_date};
-    my $start = DateTime->from_epoch(epoch => $theme->{start_date});
-    my $end = DateTime->from_epoch(epoch => $theme->{end_date});
-    return ($now >= $start && $now <= $end) ? 1 : 0;
+    return $self->{plugin}->{recurrence}->is_current($theme, $now);
 }
 
 1;
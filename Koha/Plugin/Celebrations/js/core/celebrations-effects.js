@@ -0,0 +1,199 @@
+/*
+    Section : registre des effets (cycle de vie des éléments de thème)
+
+    Ce fichier est chargé avant les scripts des éléments. Chaque élément s'enregistre
+    sous le nom de son fichier (ex: 'noel-flocon') avec trois fonctions :
+    - start(options) : crée le rendu de l'effet à partir des options du thème ; peut retourner
+                       une promesse résolue quand l'effet est réellement affiché (images chargées...) ;
+    - stop()         : retire tout ce que start() a créé (DOM, écouteurs, boucles) ;
+    - update(options): applique de nouvelles options à un effet déjà lancé (facultatif,
+                       à défaut l'effet est arrêté puis relancé).
+
+    Les éléments ne démarrent plus sur DOMContentLoaded : l'OPAC appelle
+    CelebrationsEffects.boot(options) après les scripts du thème, et la prévisualisation
+    appelle directement start/stop/update. Un effet déjà lancé n'est jamais relancé deux fois.
+
+    Dans l'iframe de prévisualisation, la page d'administration envoie les nouvelles options
+    par postMessage ({channel: 'celebrations-preview', type: 'update-options', theme, options}) :
+    elles sont appliquées aux effets lancés sans recharger la page. Sur demande ('check-ready'),
+    l'iframe répond 'ready' une fois les feuilles de style du thème appliquées, les polices
+    chargées et les effets démarrés, ou 'error' avec la cause de l'échec.
+*/
+(function() {
+    if (window.CelebrationsEffects) return;
+    var PREVIEW_CHANNEL = 'celebrations-preview';
+    var effects = {};
+    function call(name, hook, options) {
+        var effect = effects[name];
+        try {
+            return { ok: true, value: effect.hooks[hook](options || {}) };
+        } catch (e) {
+            console.error('[Celebrations] Erreur dans ' + hook + '() de l\'effet "' + name + '" :', e);
+            return { ok: false, error: e };
+        }
+    }
+    /**
+     * Enregistre un effet. Un second enregistrement du même nom est ignoré.
+     * @param {string} name - Nom de l'élément (nom du fichier sans extension).
+     * @param {{start: Function, stop: Function, update: Function}} hooks - Fonctions du cycle de vie.
+     */
+    function register(name, hooks) {
+        if (!name || !hooks || typeof hooks.start !== 'function' || typeof hooks.stop !== 'function') {
+            console.error('[Celebrations] Effet "' + name + '" invalide : start() et stop() sont requis.');
+            return;
+        }
+        if (effects[name]) return;
+        effects[name] = { hooks: hooks, running: false, ready: null };
+    }
+    function start(name, options) {
+        var effect = effects[name];
+        if (!effect || effect.running) return;
+        var outcome = call(name, 'start', options);
+        effect.running = outcome.ok;
+        effect.ready = outcome.ok ? Promise.resolve(outcome.value) : Promise.reject(outcome.error);
+        effect.ready.catch(function(e) {
+            if (outcome.ok) console.error('[Celebrations] L\'effet "' + name + '" n\'a pas pu démarrer :', e);
+        });
+    }
+    function stop(name) {
+        var effect = effects[name];
+        if (!effect) return;
+        effect.ready = null;
+        if (!effect.running) return;
+        call(name, 'stop');
+        effect.running = false;
+    }
+    function update(name, options) {
+        var effect = effects[name];
+        if (!effect) return;
+        if (!effect.running) {
+            start(name, options);
+        } else if (typeof effect.hooks.update === 'function') {
+            call(name, 'update', options);
+        } else {
+            stop(name);
+            start(name, options);
+        }
+    }
+    function startAll(options) {
+        Object.keys(effects).forEach(function(name) {
+            start(name, options);
+        });
+    }
+    function stopAll() {
+        Object.keys(effects).forEach(stop);
+    }
+    /**
+     * Applique de nouvelles options à tous les effets lancés qui savent les prendre en compte
+     * (ceux sans update() n'ont pas d'options réglables et ne sont pas relancés).
+     * @param {Object} options - Options complètes du thème.
+     */
+    function updateAll(options) {
+        Object.keys(effects).forEach(function(name) {
+            var effect = effects[name];
+            if (effect.running && typeof effect.hooks.update === 'function') {
+                call(name, 'update', options);
+            }
+        });
+    }
+    /**
+     * Promesse résolue quand tous les effets démarrés sont affichés, rejetée si l'un a échoué.
+     * @returns {Promise<void>}
+     */
+    function whenReady() {
+        var pending = Object.keys(effects).map(function(name) {
+            var ready = effects[name].ready;
+            return ready ? ready.catch(function(e) {
+                throw new Error(name + ' : ' + (e && e.message ? e.message : e));
+            }) : null;
+        }).filter(Boolean);
+        return Promise.all(pending).then(function() {});
+    }
+    //
+    // Préparation de l'aperçu : feuilles de style injectées, puis polices utilisées par la page.
+    //
+    function whenStylesheetLoaded(link) {
+        return new Promise(function(resolve, reject) {
+            if (link.sheet) {
+                resolve();
+                return;
+            }
+            link.addEventListener('load', function() { resolve(); });
+            link.addEventListener('error', function() { reject(new Error('CSS : ' + link.href)); });
+        });
+    }
+    function whenFontsLoaded() {
+        if (!document.fonts) return Promise.resolve();
+        // Une image plus tard, les polices utilisées par la mise en page sont en cours de chargement
+        return new Promise(function(resolve) { requestAnimationFrame(resolve); })
+            .then(function() { return document.fonts.ready; })
+            .then(function() {
+                var failed = [];
+                document.fonts.forEach(function(face) {
+                    if (face.status === 'error') failed.push(face.family);
+                });
+                if (failed.length) throw new Error('Police : ' + failed.join(', '));
+            });
+    }
+    function checkPreviewReady() {
+        var links = Array.prototype.slice.call(document.querySelectorAll('link[rel="stylesheet"][data-theme]'));
+        return Promise.all([
+            Promise.all(links.map(whenStylesheetLoaded)).then(whenFontsLoaded),
+            whenReady()
+        ]);
+    }
+    function postToParent(message) {
+        message.channel = PREVIEW_CHANNEL;
+        window.parent.postMessage(message, window.location.origin);
+    }
+    //
+    // Canal de prévisualisation : seuls les messages de la page parente (même origine) sont écoutés.
+    //
+    function onPreviewMessage(event) {
+        var data = event.data;
+        if (event.source !== window.parent || event.origin !== window.location.origin) return;
+        if (!data || data.channel !== PREVIEW_CHANNEL) return;
+        if (data.type === 'update-options') {
+            var options = data.options || {};
+            if (data.theme) window[data.theme + 'ThemeOptions'] = options;
+            updateAll(options);
+        } else if (data.type === 'check-ready') {
+            checkPreviewReady().then(function() {
+                postToParent({ type: 'ready' });
+            }, function(e) {
+                postToParent({ type: 'error', message: e && e.message ? e.message : String(e) });
+            });
+        }
+    }
+    if (window.self !== window.top) window.addEventListener('message', onPreviewMessage);
+    /**
+     * Point d'entrée de l'OPAC : démarre tous les effets enregistrés une fois le DOM prêt.
+     * @param {Object} options - Options du thème actif (window["<theme>ThemeOptions"]).
+     */
+    function boot(options) {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', function() {
+                startAll(options);
+            });
+        } else {
+            startAll(options);
+        }
+    }
+    window.CelebrationsEffects = {
+        register: register,
+        start: start,
+        stop: stop,
+        update: update,
+        startAll: startAll,
+        stopAll: stopAll,
+        updateAll: updateAll,
+        whenReady: whenReady,
+        boot: boot,
+        isRunning: function(name) {
+            return !!(effects[name] && effects[name].running);
+        },
+        list: function() {
+            return Object.keys(effects);
+        }
+    };
+})();
@@ -0,0 +1,180 @@
+/*
+    Section : cycle de vie des boucles d'animation
+
+    Ce fichier est chargé après celebrations-motion.js et avant les scripts des éléments.
+    Les effets n'appellent plus requestAnimationFrame ou setInterval en boucle infinie :
+    ils passent par CelebrationsLifecycle.loop() et CelebrationsLifecycle.interval(), qui
+    suspendent automatiquement le travail lorsque :
+    - l'onglet de l'OPAC est masqué (visibilitychange) ;
+    - les animations sont figées (voir celebrations-motion.js) ;
+    - l'élément surveillé est hors de l'écran (IntersectionObserver).
+
+    À la reprise, les boucles repartent proprement : aucun appel en retard n'est rejoué.
+*/
+(function() {
+    if (window.CelebrationsLifecycle) return;
+    var OFFSCREEN_CLASS = 'celebrations-offscreen';
+    var runners = [];
+    var observer = null;
+    var observed = [];
+    function isMotionPaused() {
+        return !!(window.CelebrationsMotion && CelebrationsMotion.isPaused());
+    }
+    function isDocumentHidden() {
+        return document.visibilityState === 'hidden';
+    }
+    //
+    // Visibilité des éléments surveillés. Un élément jamais observé est considéré visible.
+    //
+    function getObserver() {
+        if (observer || typeof IntersectionObserver === 'undefined') return observer;
+        observer = new IntersectionObserver(function(entries) {
+            entries.forEach(function(entry) {
+                entry.target.classList.toggle(OFFSCREEN_CLASS, !entry.isIntersecting);
+            });
+            refreshAll();
+        });
+        return observer;
+    }
+    function observe(element) {
+        if (!element || observed.indexOf(element) !== -1) return;
+        var io = getObserver();
+        if (!io) return;
+        observed.push(element);
+        io.observe(element);
+    }
+    function unobserve(element) {
+        var index = observed.indexOf(element);
+        if (index === -1) return;
+        observed.splice(index, 1);
+        if (observer) observer.unobserve(element);
+        element.classList.remove(OFFSCREEN_CLASS);
+    }
+    function isOffscreen(element) {
+        return !!(element && element.classList.contains(OFFSCREEN_CLASS));
+    }
+    //
+    // Un "runner" démarre ou suspend son travail selon l'état courant.
+    // Il est démarré immédiatement si rien ne s'y oppose.
+    //
+    function createRunner(startWork, stopWork, options) {
+        options = options || {};
+        var runner = {
+            running: false,
+            stopped: false,
+            refresh: function() {
+                var shouldRun = !runner.stopped
+                    && !isDocumentHidden()
+                    && !isMotionPaused()
+                    && !isOffscreen(options.element);
+                if (shouldRun === runner.running) return;
+                runner.running = shouldRun;
+                if (shouldRun) {
+                    if (typeof options.onResume === 'function') options.onResume();
+                    startWork();
+                } else {
+                    stopWork();
+                    if (typeof options.onSuspend === 'function') options.onSuspend();
+                }
+            }
+        };
+        if (options.element) observe(options.element);
+        runners.push(runner);
+        runner.refresh();
+        return {
+            stop: function() {
+                runner.stopped = true;
+                runner.refresh();
+                runners.splice(runners.indexOf(runner), 1);
+            },
+            isRunning: function() {
+                return runner.running;
+            }
+        };
+    }
+    function refreshAll() {
+        runners.slice().forEach(function(runner) {
+            runner.refresh();
+        });
+    }
+    /**
+     * Lance une boucle requestAnimationFrame suspendue automatiquement.
+     * @param {Function} step - Appelée à chaque image avec le timestamp de requestAnimationFrame.
+     * @param {Object} [options]
+     * @param {Element} [options.element] - Élément dont la sortie de l'écran suspend la boucle.
+     * @param {Function} [options.onResume] - Appelée avant la première image qui suit une suspension
+     *                                       (ex: réinitialiser un calcul de delta de temps).
+     * @param {Function} [options.onSuspend] - Appelée à chaque suspension.
+     * @returns {{stop: Function, isRunning: Function}}
+     */
+    function loop(step, options) {
+        var frame = null;
+        function tick(timestamp) {
+            frame = requestAnimationFrame(tick);
+            step(timestamp);
+        }
+        return createRunner(
+            function() { frame = requestAnimationFrame(tick); },
+            function() {
+                if (frame !== null) cancelAnimationFrame(frame);
+                frame = null;
+            },
+            options
+        );
+    }
+    /**
+     * Lance un setInterval suspendu automatiquement. Les appels manqués pendant une
+     * suspension ne sont pas rattrapés.
+     * @param {Function} callback - Fonction appelée à chaque intervalle.
+     * @param {number} delay - Intervalle en millisecondes.
+     * @param {Object} [options] - Mêmes options que loop().
+     * @returns {{stop: Function, isRunning: Function}}
+     */
+    function interval(callback, delay, options) {
+        var timer = null;
+        return createRunner(
+            function() { timer = setInterval(callback, delay); },
+            function() {
+                if (timer !== null) clearInterval(timer);
+                timer = null;
+            },
+            options
+        );
+    }
+    /**
+     * Fige les animations CSS d'un élément (et de ses enfants) tant qu'il est hors de l'écran.
+     * @param {Element} element
+     */
+    function pauseWhenOffscreen(element) {
+        observe(element);
+    }
+    /**
+     * Cesse de surveiller un élément (à appeler avant de le retirer de la page).
+     * @param {Element} element
+     */
+    function release(element) {
+        unobserve(element);
+    }
+    function injectOffscreenStyle() {
+        if (document.getElementById('celebrations-lifecycle-style')) return;
+        var style = document.createElement('style');
+        style.id = 'celebrations-lifecycle-style';
+        style.textContent =
+            '.' + OFFSCREEN_CLASS + ',' +
+            '.' + OFFSCREEN_CLASS + ' *,' +
+            '.' + OFFSCREEN_CLASS + ' *::before,' +
+            '.' + OFFSCREEN_CLASS + ' *::after {' +
+            '  animation-play-state: paused !important;' +
+            '}';
+        (document.head || document.documentElement).appendChild(style);
+    }
+    injectOffscreenStyle();
+    document.addEventListener('visibilitychange', refreshAll);
+    if (window.CelebrationsMotion) CelebrationsMotion.onChange(refreshAll);
+    window.CelebrationsLifecycle = {
+        loop: loop,
+        interval: interval,
+        pauseWhenOffscreen: pauseWhenOffscreen,
+        release: release
+    };
+})();
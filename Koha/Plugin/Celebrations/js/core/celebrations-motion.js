@@ -0,0 +1,180 @@
+/*
+    Section : préférences de mouvement (prefers-reduced-motion, bouton pause)
+
+    Ce fichier est chargé avant les scripts des éléments de thème. Il décide si les
+    animations doivent tourner ou rester figées :
+    - le choix explicite du visiteur (bouton pause), conservé dans le localStorage ;
+    - à défaut, la préférence système prefers-reduced-motion.
+
+    Les effets dessinés en JavaScript consultent CelebrationsMotion.isPaused() et
+    s'abonnent à CelebrationsMotion.onChange() ; les animations CSS des conteneurs
+    d'effets (classe "celebrations-effect") sont figées par la classe "celebrations-paused"
+    posée sur <html>. Les animations propres à l'OPAC ne sont pas touchées.
+
+    Les libellés du bouton viennent des traductions du plugin (window.celebrationsMotionLabels,
+    voir generate_runtime_settings dans Lib/AssetHandler.pm).
+*/
+(function() {
+    if (window.CelebrationsMotion) return;
+    var STORAGE_KEY = 'celebrations-motion';
+    var PAUSED_CLASS = 'celebrations-paused';
+    var EFFECT_CLASS = 'celebrations-effect';
+    var TOGGLE_ID = 'celebrations-motion-toggle';
+    var listeners = [];
+    var reducedMotionQuery = window.matchMedia
+        ? window.matchMedia('(prefers-reduced-motion: reduce)')
+        : null;
+    //
+    // Lecture / écriture du choix du visiteur ('paused', 'playing' ou null si aucun choix).
+    //
+    function readStoredChoice() {
+        try {
+            return window.localStorage.getItem(STORAGE_KEY);
+        } catch (e) {
+            return null;
+        }
+    }
+    function storeChoice(choice) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, choice);
+        } catch (e) {
+            // localStorage indisponible (navigation privée, iframe) : le choix vaut pour la page
+        }
+    }
+    function prefersReducedMotion() {
+        return !!(reducedMotionQuery && reducedMotionQuery.matches);
+    }
+    function computePaused() {
+        var choice = readStoredChoice();
+        if (choice === 'paused') return true;
+        if (choice === 'playing') return false;
+        return prefersReducedMotion();
+    }
+    var paused = computePaused();
+    //
+    // Fige les animations CSS des conteneurs d'effets et de leur contenu.
+    //
+    function injectPauseStyle() {
+        if (document.getElementById('celebrations-motion-style')) return;
+        var style = document.createElement('style');
+        var effect = 'html.' + PAUSED_CLASS + ' .' + EFFECT_CLASS;
+        style.id = 'celebrations-motion-style';
+        style.textContent =
+            effect + ',' +
+            effect + '::before,' +
+            effect + '::after,' +
+            effect + ' *,' +
+            effect + ' *::before,' +
+            effect + ' *::after {' +
+            '  animation-play-state: paused !important;' +
+            '}' +
+            '#' + TOGGLE_ID + ' {' +
+            '  position: fixed; left: 16px; bottom: 16px; z-index: 10001;' +
+            '  width: 40px; height: 40px; border-radius: 50%; border: 1px solid rgba(0, 0, 0, 0.2);' +
+            '  background: rgba(255, 255, 255, 0.9); color: #222; font-size: 16px; line-height: 1;' +
+            '  cursor: pointer; box-shadow: 0 2px 6px rgba(0, 0, 0, 0.25);' +
+            '}' +
+            '#' + TOGGLE_ID + ':focus-visible { outline: 3px solid #1a73e8; outline-offset: 2px; }';
+        (document.head || document.documentElement).appendChild(style);
+    }
+    function updateToggle() {
+        var button = document.getElementById(TOGGLE_ID);
+        if (!button) return;
+        var labels = window.celebrationsMotionLabels || {};
+        var label = (paused ? labels.reprendre : labels.pause) || '';
+        button.textContent = paused ? '▶' : '❚❚';
+        button.setAttribute('aria-pressed', paused ? 'true' : 'false');
+        button.setAttribute('aria-label', label);
+        button.title = label;
+    }
+    function applyState() {
+        document.documentElement.classList.toggle(PAUSED_CLASS, paused);
+        updateToggle();
+    }
+    function setPaused(value, remember) {
+        value = !!value;
+        if (remember) storeChoice(value ? 'paused' : 'playing');
+        if (value === paused) return;
+        paused = value;
+        applyState();
+        listeners.forEach(function(callback) {
+            try {
+                callback(paused);
+            } catch (e) {
+                console.error('[Celebrations] Erreur dans un écouteur de mouvement :', e);
+            }
+        });
+    }
+    //
+    // Bouton flottant permettant au visiteur de figer ou relancer les effets.
+    // Affiché uniquement si le thème actif l'a activé (window.celebrationsMotionToggle).
+    //
+    function createToggle() {
+        if (!window.celebrationsMotionToggle || !document.body) return;
+        if (document.getElementById(TOGGLE_ID)) return;
+        var button = document.createElement('button');
+        button.type = 'button';
+        button.id = TOGGLE_ID;
+        button.addEventListener('click', function() {
+            setPaused(!paused, true);
+        });
+        document.body.appendChild(button);
+        updateToggle();
+    }
+    if (reducedMotionQuery) {
+        var onPreferenceChange = function() {
+            if (readStoredChoice() === null) setPaused(prefersReducedMotion(), false);
+        };
+        if (reducedMotionQuery.addEventListener) {
+            reducedMotionQuery.addEventListener('change', onPreferenceChange);
+        } else if (reducedMotionQuery.addListener) {
+            reducedMotionQuery.addListener(onPreferenceChange);
+        }
+    }
+    injectPauseStyle();
+    applyState();
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', createToggle);
+    } else {
+        createToggle();
+    }
+    window.CelebrationsMotion = {
+        /**
+         * Indique si les animations doivent rester figées.
+         * @returns {boolean}
+         */
+        isPaused: function() {
+            return paused;
+        },
+        /**
+         * Indique si le système demande de réduire les animations.
+         * @returns {boolean}
+         */
+        prefersReducedMotion: prefersReducedMotion,
+        pause: function() {
+            setPaused(true, true);
+        },
+        resume: function() {
+            setPaused(false, true);
+        },
+        toggle: function() {
+            setPaused(!paused, true);
+        },
+        /**
+         * Enregistre une fonction appelée à chaque changement d'état.
+         * @param {Function} callback - Reçoit true si les animations sont figées.
+         */
+        onChange: function(callback) {
+            if (typeof callback === 'function') listeners.push(callback);
+        },
+        /**
+         * Retire une fonction enregistrée avec onChange (à appeler à l'arrêt d'un effet).
+         * @param {Function} callback
+         */
+        offChange: function(callback) {
+            var index = listeners.indexOf(callback);
+            if (index !== -1) listeners.splice(index, 1);
+        },
+        showToggle: createToggle
+    };
+})();
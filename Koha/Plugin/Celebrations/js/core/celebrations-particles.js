@@ -0,0 +1,342 @@
+/*
+    Section : moteur de particules partagé (flocons, coeurs, ...)
+	Attribution :
+      Code inspiré, modifié et adapté pour l'OPAC de Koha à partir du Pen original sur CodePen.io.
+      Copyright (c) Matt Blenkinsop - https://codepen.io/mblenk/pen/rNKbVab
+
+    Ce fichier est chargé avant les scripts des éléments de thème. Chaque effet de chute
+    (ex: js/noel/noel-flocon.js) se contente de décrire son apparence et de lire ses options
+    vitesse_<nom>, taille_<nom>, vent_<nom> et quantite_<nom> ; le mouvement, la boucle
+    d'animation et la gestion du vent sont communs.
+
+    Toutes les particules d'un effet sont dessinées sur un seul canvas. Chaque taille de
+    particule est pré-rendue une seule fois dans un sprite (OffscreenCanvas si le navigateur
+    le permet), puis simplement copiée à chaque image.
+*/
+(function() {
+    if (window.CelebrationsParticles) return;
+    //
+    // Coefficients associés aux valeurs des listes déroulantes (voir option_vitesse, option_taille, option_vent)
+    //
+    var SPEED_COEFFS = { vitesse_lent: 0.05, vitesse_rapide: 0.2 };
+    var DEFAULT_SPEED_COEFF = 0.1;
+    var SIZE_COEFFS = { taille_petit: 5, taille_grand: 20 };
+    var DEFAULT_SIZE_COEFF = 10;
+    var DEFAULT_WIND_COEFFS = { vent_normale: 1, vent_fort: 3 };
+    var DEFAULT_QUANTITY = 10;
+    var MAX_WIND = 10;
+    //
+    // Lit les options d'un effet à partir des options du thème.
+    // Les clés suivent la convention <option>_<nom> (ex: vitesse_flocons).
+    //
+    function readOptions(options, name, windCoeffs, defaultQuantity) {
+        options = options || {};
+        var vitesse = options['vitesse_' + name] || 'vitesse_normal';
+        var taille = options['taille_' + name] || 'taille_normal';
+        var vent = options['vent_' + name] || 'vent_null';
+        var quantite = parseInt(options['quantite_' + name]) || defaultQuantity;
+        return {
+            speed: SPEED_COEFFS[vitesse] || DEFAULT_SPEED_COEFF,
+            size: SIZE_COEFFS[taille] || DEFAULT_SIZE_COEFF,
+            wind: windCoeffs[vent] || 0,
+            quantity: quantite
+        };
+    }
+    //
+    // Crée une surface de dessin hors écran : OffscreenCanvas si disponible, sinon un canvas détaché.
+    //
+    function createSurface(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            var offscreen = new OffscreenCanvas(width, height);
+            if (offscreen.getContext('2d')) return offscreen;
+        }
+        var canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+    //
+    // Formes prêtes à l'emploi pour les sprites : fonctions (ctx, size) qui dessinent
+    // une particule dans une boîte de size × size pixels.
+    //
+    var shapes = {
+        disc: function(color, shadowColor, shadowBlur) {
+            return function(ctx, size) {
+                var radius = size / 2;
+                if (shadowColor) {
+                    ctx.shadowColor = shadowColor;
+                    ctx.shadowBlur = shadowBlur || 4;
+                }
+                ctx.fillStyle = color;
+                ctx.beginPath();
+                ctx.arc(radius, radius, radius, 0, Math.PI * 2);
+                ctx.fill();
+            };
+        },
+        glyph: function(character, color) {
+            return function(ctx, size) {
+                ctx.font = size + 'px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = color || '#000';
+                ctx.fillText(character, size / 2, size / 2);
+            };
+        }
+    };
+    //
+    // Particule : position et vitesse. Le dessin est assuré par le champ qui la contient.
+    //
+    function Particle(field, size, x, y, vx, vy) {
+        this.field = field;
+        this.size = size;
+        this.x = x;
+        this.y = y;
+        this.vx = vx;
+        this.vy = vy;
+        this.hit = false;
+        this.melt = false;
+    }
+    Particle.prototype.move = function() {
+        var field = this.field;
+        if (this.hit) {
+            if (Math.random() > 0.995) this.melt = true;
+        } else {
+            this.x += this.vx + Math.min(Math.max(field.wind, -MAX_WIND), MAX_WIND);
+            this.y += this.vy;
+        }
+        if (this.x > field.width) {
+            this.x = 0;
+        }
+        if (this.x < 0) {
+            this.x = field.width;
+        }
+        if (this.y > field.height + this.size) {
+            this.x = Math.random() * field.width;
+            this.y = -this.size;
+            this.melt = false;
+        }
+        var dx = field.mouseX - this.x;
+        var dy = field.mouseY - this.y;
+        this.hit = !this.melt && this.y < field.mouseY && dx * dx + dy * dy < 2400;
+    };
+    /**
+     * Crée un champ de particules tombantes dessiné sur un canvas.
+     * @param {Object} config - Description de l'effet.
+     * @param {string} config.name - Suffixe des options du thème (ex: 'flocons' pour vitesse_flocons, quantite_flocons...).
+     * @param {Object} config.options - Options du thème (window["<theme>ThemeOptions"]).
+     * @param {Function} config.sprite - Fonction (ctx, size) qui dessine une particule (voir CelebrationsParticles.shapes).
+     * @param {string} [config.canvasId] - Identifiant du canvas créé (utilisé par le CSS de l'élément).
+     * @param {number} [config.opacity=1] - Opacité globale des particules.
+     * @param {number} [config.padding=4] - Marge autour du sprite (ombres, débordement de glyphes).
+     * @param {Object} [config.windCoeffs] - Vent associé à chaque valeur de l'option vent_<nom>.
+     * @param {number} [config.defaultQuantity=10] - Quantité utilisée si quantite_<nom> est absent.
+     * @returns {{init: Function, start: Function, stop: Function, update: Function}} - Champ de particules prêt à être démarré.
+     */
+    function create(config) {
+        var settings = readOptions(
+            config.options,
+            config.name,
+            config.windCoeffs || DEFAULT_WIND_COEFFS,
+            config.defaultQuantity || DEFAULT_QUANTITY
+        );
+        var padding = config.padding === undefined ? 4 : config.padding;
+        var field = {
+            wind: settings.wind,
+            mouseX: -500,
+            mouseY: -500,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            ratio: window.devicePixelRatio || 1,
+            particles: [],
+            sprites: {},
+            loop: null,
+            canvas: null,
+            ctx: null
+        };
+        //
+        // Retourne le sprite correspondant à une taille (arrondie au pixel), en le créant au besoin.
+        //
+        function getSprite(size) {
+            var key = Math.max(1, Math.round(size));
+            if (field.sprites[key]) return field.sprites[key];
+            var box = key + padding * 2;
+            var surface = createSurface(Math.ceil(box * field.ratio), Math.ceil(box * field.ratio));
+            var ctx = surface.getContext('2d');
+            ctx.scale(field.ratio, field.ratio);
+            ctx.translate(padding, padding);
+            config.sprite(ctx, key);
+            field.sprites[key] = surface;
+            return surface;
+        }
+        function resize() {
+            field.width = window.innerWidth;
+            field.height = window.innerHeight;
+            field.ratio = window.devicePixelRatio || 1;
+            field.canvas.width = Math.round(field.width * field.ratio);
+            field.canvas.height = Math.round(field.height * field.ratio);
+            field.ctx.setTransform(field.ratio, 0, 0, field.ratio, 0, 0);
+            field.ctx.globalAlpha = config.opacity === undefined ? 1 : config.opacity;
+            field.sprites = {};
+            draw();
+        }
+        function draw() {
+            var ctx = field.ctx;
+            ctx.clearRect(0, 0, field.width, field.height);
+            for (var i = field.particles.length; i--;) {
+                var particle = field.particles[i];
+                var box = Math.max(1, Math.round(particle.size)) + padding * 2;
+                ctx.drawImage(getSprite(particle.size), particle.x - padding, particle.y - padding, box, box);
+            }
+        }
+        function step() {
+            for (var i = field.particles.length; i--;) {
+                field.particles[i].move();
+            }
+            draw();
+        }
+        function onDeviceOrientation(event) {
+            if (event) {
+                field.wind = event.gamma / 10;
+            }
+        }
+        //
+        // Qualité adaptative (voir celebrations-quality.js) : la quantité configurée est
+        // réduite sur les appareils lents, et les particules en trop sont retirées si la
+        // cadence mesurée ne tient pas le budget.
+        //
+        function scaledQuantity() {
+            return window.CelebrationsQuality
+                ? CelebrationsQuality.scale(settings.quantity)
+                : settings.quantity;
+        }
+        function onQualityChange() {
+            var quantity = scaledQuantity();
+            if (field.particles.length > quantity) field.particles.length = quantity;
+        }
+        function createParticle() {
+            var size = (Math.random() + 0.2) * settings.size + 1;
+            return new Particle(
+                field,
+                size,
+                Math.random() * field.width,
+                Math.random() * field.height,
+                Math.random() - 0.5,
+                Math.max(size * settings.speed, 1)
+            );
+        }
+        function populate() {
+            field.particles = [];
+            for (var i = scaledQuantity(); i--;) {
+                field.particles.push(createParticle());
+            }
+        }
+        //
+        // Ajuste le nombre de particules sans toucher à celles déjà en place.
+        //
+        function adjustQuantity() {
+            var quantity = scaledQuantity();
+            if (field.particles.length > quantity) field.particles.length = quantity;
+            while (field.particles.length < quantity) {
+                field.particles.push(createParticle());
+            }
+        }
+        function createCanvas(container) {
+            var canvas = document.createElement('canvas');
+            if (config.canvasId) canvas.id = config.canvasId;
+            canvas.style.position = 'fixed';
+            canvas.style.top = '0';
+            canvas.style.left = '0';
+            canvas.style.width = '100%';
+            canvas.style.height = '100%';
+            canvas.style.pointerEvents = 'none';
+            canvas.style.zIndex = '9999';
+            container.appendChild(canvas);
+            return canvas;
+        }
+        function init(container) {
+            field.canvas = createCanvas(container);
+            field.ctx = field.canvas.getContext('2d');
+            resize();
+            populate();
+            window.addEventListener('resize', resize);
+            window.addEventListener('deviceorientation', onDeviceOrientation);
+            //
+            // La boucle est suspendue quand l'onglet est masqué ou les animations figées
+            // (voir celebrations-lifecycle.js) : les particules restent alors à leur place.
+            //
+            draw();
+            field.loop = CelebrationsLifecycle.loop(step);
+            if (window.CelebrationsQuality) CelebrationsQuality.onChange(onQualityChange);
+        }
+        //
+        // gestion du cas où le chargement se fait dans un Iframe
+        //
+        // start() retourne une promesse résolue une fois le canvas en place, ou dès
+        // l'appel de stop() si le démarrage est annulé.
+        //
+        var startTimer = null;
+        var resolveStart = null;
+        function start(container) {
+            return new Promise(function(resolve) {
+                if (window.self !== window.top) {
+                    resolveStart = resolve;
+                    startTimer = setTimeout(function() {
+                        startTimer = null;
+                        resolveStart = null;
+                        init(container);
+                        resolve();
+                    }, 1000);
+                } else {
+                    init(container);
+                    resolve();
+                }
+            });
+        }
+        //
+        // Retire le canvas, les écouteurs et la boucle créés par init().
+        //
+        function stop() {
+            if (startTimer !== null) clearTimeout(startTimer);
+            startTimer = null;
+            if (resolveStart) resolveStart();
+            resolveStart = null;
+            if (field.loop) field.loop.stop();
+            field.loop = null;
+            window.removeEventListener('resize', resize);
+            window.removeEventListener('deviceorientation', onDeviceOrientation);
+            if (window.CelebrationsQuality) CelebrationsQuality.offChange(onQualityChange);
+            if (field.canvas && field.canvas.parentNode) field.canvas.parentNode.removeChild(field.canvas);
+            field.canvas = null;
+            field.ctx = null;
+            field.particles = [];
+        }
+        //
+        // Applique de nouvelles options (vitesse, taille, vent, quantité) sans recréer le canvas.
+        // Seul un changement de vitesse ou de taille recrée les particules ; une nouvelle
+        // quantité ajoute ou retire des particules, les autres continuent leur chute.
+        //
+        function update(options) {
+            var previous = settings;
+            settings = readOptions(
+                options,
+                config.name,
+                config.windCoeffs || DEFAULT_WIND_COEFFS,
+                config.defaultQuantity || DEFAULT_QUANTITY
+            );
+            field.wind = settings.wind;
+            if (!field.ctx) return;
+            if (settings.speed !== previous.speed || settings.size !== previous.size) {
+                populate();
+            } else {
+                adjustQuantity();
+            }
+            draw();
+        }
+        return { init: init, start: start, stop: stop, update: update };
+    }
+    window.CelebrationsParticles = {
+        create: create,
+        readOptions: readOptions,
+        shapes: shapes
+    };
+})();
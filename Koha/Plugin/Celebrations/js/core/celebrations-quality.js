@@ -0,0 +1,119 @@
+/*
+    Section : qualité adaptative des effets
+
+    Ce fichier est chargé après celebrations-lifecycle.js et avant les scripts des éléments.
+    Il fournit un niveau de qualité entre 0.25 et 1 que les effets appliquent à leur
+    nombre de particules (CelebrationsQuality.scale(quantite)).
+
+    En mode "adaptive" (par défaut) :
+    - le niveau de départ est estimé à partir de navigator.hardwareConcurrency et navigator.deviceMemory ;
+    - la cadence d'affichage est mesurée pendant les premières secondes d'animation, et le niveau
+      est abaissé tant qu'elle reste sous 55 images/s (TARGET_FPS, marge sous les 60 images/s
+      des écrans courants).
+    En mode "fixed" (window.celebrationsQualityMode = 'fixed'), le niveau reste à 1 et
+    les quantités configurées sont utilisées telles quelles.
+    Le mode est réglé par entrée programmée ; lorsque plusieurs thèmes sont superposés,
+    celui du thème le plus prioritaire s'applique à tous les effets de la page.
+*/
+(function() {
+    if (window.CelebrationsQuality) return;
+    var MIN_LEVEL = 0.25;
+    var TARGET_FPS = 55;
+    var SAMPLE_DURATION = 2000;
+    var MAX_SAMPLES = 3;
+    var listeners = [];
+    var adaptive = window.celebrationsQualityMode !== 'fixed';
+    //
+    // Niveau de départ estimé à partir des capacités annoncées par le navigateur.
+    //
+    function estimateLevel() {
+        var cores = navigator.hardwareConcurrency || 4;
+        var memory = navigator.deviceMemory || 4;
+        if (cores <= 2 || memory <= 2) return 0.5;
+        if (cores <= 4 || memory <= 4) return 0.75;
+        return 1;
+    }
+    var level = adaptive ? estimateLevel() : 1;
+    function setLevel(value) {
+        value = Math.max(MIN_LEVEL, Math.min(1, value));
+        if (value === level) return;
+        level = value;
+        listeners.forEach(function(callback) {
+            try {
+                callback(level);
+            } catch (e) {
+                console.error('[Celebrations] Erreur dans un écouteur de qualité :', e);
+            }
+        });
+    }
+    //
+    // Mesure de la cadence : uniquement pendant que les animations tournent réellement
+    // (la boucle est suspendue avec l'onglet masqué ou les animations figées).
+    //
+    function startSampling() {
+        var samples = 0;
+        var frames = 0;
+        var startTime = null;
+        var sampler = CelebrationsLifecycle.loop(function(timestamp) {
+            if (startTime === null) {
+                startTime = timestamp;
+                return;
+            }
+            frames++;
+            var elapsed = timestamp - startTime;
+            if (elapsed < SAMPLE_DURATION) return;
+            var fps = frames * 1000 / elapsed;
+            samples++;
+            if (fps < TARGET_FPS) {
+                setLevel(level * Math.max(0.5, fps / TARGET_FPS));
+            }
+            if (fps >= TARGET_FPS || samples >= MAX_SAMPLES || level === MIN_LEVEL) {
+                sampler.stop();
+                return;
+            }
+            frames = 0;
+            startTime = timestamp;
+        }, {
+            onResume: function() {
+                frames = 0;
+                startTime = null;
+            }
+        });
+    }
+    if (adaptive && window.CelebrationsLifecycle) startSampling();
+    window.CelebrationsQuality = {
+        /**
+         * Niveau de qualité courant, entre 0.25 et 1.
+         * @returns {number}
+         */
+        getLevel: function() {
+            return level;
+        },
+        isAdaptive: function() {
+            return adaptive;
+        },
+        /**
+         * Applique le niveau de qualité à une quantité configurée (au moins 1).
+         * @param {number} quantity - Quantité choisie dans l'administration.
+         * @returns {number}
+         */
+        scale: function(quantity) {
+            return Math.max(1, Math.round(quantity * level));
+        },
+        /**
+         * Enregistre une fonction appelée à chaque baisse du niveau de qualité.
+         * @param {Function} callback - Reçoit le nouveau niveau.
+         */
+        onChange: function(callback) {
+            if (typeof callback === 'function') listeners.push(callback);
+        },
+        /**
+         * Retire une fonction enregistrée avec onChange (à appeler à l'arrêt d'un effet).
+         * @param {Function} callback
+         */
+        offChange: function(callback) {
+            var index = listeners.indexOf(callback);
+            if (index !== -1) listeners.splice(index, 1);
+        }
+    };
+})();
@@ -4,11 +4,10 @@
       Code inspiré, modifié et adapté pour l'OPAC de Koha à partir du Pen original sur CodePen.io.
       Copyright (c) Jack Rugile - https://codepen.io/jackrugile/pen/nExVvo
 */
-document.addEventListener('DOMContentLoaded', function() {
+(function() {
   var Fireworks = function() {
     var self = this;
     var rand = function(rMi, rMa){return ~~((Math.random()*(rMa-rMi+1))+rMi);}
-    window.requestAnimFrame = window.requestAnimationFrame || window.webkitRequestAnimationFrame || window.mozRequestAnimationFrame || window.oRequestAnimationFrame || window.msRequestAnimationFrame || function(a){window.setTimeout(a, 1000/60)};
     self.init = function() {
       self.dt = 0;
       self.oldTime = Date.now();
@@ -28,7 +27,8 @@ document.addEventListener('DOMContentLoaded', function() {
       self.ctx.lineJoin = 'round';
       self.particles = [];
       self.fireworks = [];
-      self.partCount = 30;
+      self.basePartCount = 30;
+      self.partCount = self.scalePartCount();
       self.partSpeed = 5;
       self.partSpeedVariance = 10;
       self.partWind = 50;
@@ -43,11 +43,14 @@ document.addEventListener('DOMContentLoaded', function() {
       self.clearAlpha = 25;
       self.currentHue = 170;
       self.bindEvents();
-      (function loop(){
-        self.canvasLoop();
-        requestAnimFrame(loop);
-      })();
-        setInterval(function() {
+      //
+      // Boucle et lancement des fusées suspendus quand l'onglet est masqué ou les animations
+      // figées : aucune fusée n'est mise en attente pendant la suspension.
+      //
+      self.loop = CelebrationsLifecycle.loop(self.canvasLoop, {
+        onResume: function() { self.oldTime = Date.now(); }
+      });
+      self.launcher = CelebrationsLifecycle.interval(function() {
             var randX = rand(0, window.innerWidth);
             var randY = rand(50, window.innerHeight/1.5);
             var hue = rand(self.hueMin, self.hueMax);
@@ -140,17 +143,57 @@ document.addEventListener('DOMContentLoaded', function() {
         };
     self.updateFireworks=function(){ for(var i=self.fireworks.length-1;i>=0;i--){ self.fireworks[i].update(i); } };
     self.drawFireworks=function(){ for(var i=self.fireworks.length-1;i>=0;i--){ self.fireworks[i].draw(); } };
+    self.onResize=function(){
+      self.canvas.width = window.innerWidth;
+      self.canvas.height = window.innerHeight;
+    };
+    self.onClick=function(e){
+      if (self.isPaused()) return;
+      self.currentHue=rand(self.hueMin,self.hueMax);
+      self.createFireworks(self.canvas.width/2,self.canvas.height,e.clientX,e.clientY);
+    };
     self.bindEvents=function(){
-      window.addEventListener('resize',function(){
-        self.canvas.width = window.innerWidth;
-        self.canvas.height = window.innerHeight;
-      });
-      document.addEventListener('click',function(e){
-        self.currentHue=rand(self.hueMin,self.hueMax);
-        self.createFireworks(self.canvas.width/2,self.canvas.height,e.clientX,e.clientY);
-      });
+      window.addEventListener('resize',self.onResize);
+      if (window.CelebrationsMotion) CelebrationsMotion.onChange(self.onMotionChange);
+      if (window.CelebrationsQuality) CelebrationsQuality.onChange(self.onQualityChange);
+      document.addEventListener('click',self.onClick);
+    };
+    //
+    // Arrêt complet (prévisualisation) : boucles, écouteurs et canvas sont retirés.
+    //
+    self.destroy=function(){
+      self.destroyed = true;
+      self.loop.stop();
+      self.launcher.stop();
+      window.removeEventListener('resize',self.onResize);
+      document.removeEventListener('click',self.onClick);
+      if (window.CelebrationsMotion) CelebrationsMotion.offChange(self.onMotionChange);
+      if (window.CelebrationsQuality) CelebrationsQuality.offChange(self.onQualityChange);
+      self.canvas.remove();
     };
 
+    //
+    // Animations figées (prefers-reduced-motion ou bouton pause) : le ciel est vidé.
+    //
+    self.isPaused = function() {
+      return !!(window.CelebrationsMotion && CelebrationsMotion.isPaused());
+    };
+    self.onMotionChange = function(paused) {
+      if (!paused || self.destroyed) return;
+      self.fireworks = [];
+      self.particles = [];
+      self.ctx.clearRect(0, 0, self.canvas.width, self.canvas.height);
+    };
+    //
+    // Qualité adaptative (voir celebrations-quality.js) : moins d'étincelles par explosion
+    // sur les appareils lents.
+    //
+    self.scalePartCount = function() {
+      return window.CelebrationsQuality ? CelebrationsQuality.scale(self.basePartCount) : self.basePartCount;
+    };
+    self.onQualityChange = function() {
+      self.partCount = self.scalePartCount();
+    };
     self.updateDelta=function(){
       var newTime=Date.now();
       self.dt=(newTime-self.oldTime)/16;
@@ -170,5 +213,14 @@ document.addEventListener('DOMContentLoaded', function() {
     };
     self.init();
   };
-  var fworks = new Fireworks();
-});
+  var fworks = null;
+  CelebrationsEffects.register('feux-artifice-animation', {
+    start: function() {
+      fworks = new Fireworks();
+    },
+    stop: function() {
+      if (fworks) fworks.destroy();
+      fworks = null;
+    }
+  });
+})();
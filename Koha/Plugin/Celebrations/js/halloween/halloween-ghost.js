@@ -4,11 +4,17 @@
       Code inspiré, modifié et adapté pour l'OPAC de Koha à partir du Pen original sur CodePen.io.
       Copyright (c) Fabio Ottaviani - https://codepen.io/supah/pen/OBbzvp
 */
-document.addEventListener('DOMContentLoaded', function() {
-    if (window.innerWidth > 810) {
-        if (document.getElementById('ghost')) return;
+(function() {
+    let ghostLoop = null;
+    let listeners = [];
+    function listen(type, handler) {
+        window.addEventListener(type, handler);
+        listeners.push([type, handler]);
+    }
+    function startGhost() {
+        if (window.innerWidth <= 810) return;
        const ghostHtml = `
-        <div id="ghost" class="ghost">
+        <div id="ghost" class="ghost celebrations-effect">
             <div class="ghost__head">
                 <div class="ghost__eyes"></div>
                 <div class="ghost__mouth"></div>
@@ -35,6 +41,14 @@ document.addEventListener('DOMContentLoaded', function() {
         document.body.insertAdjacentHTML('beforeend', ghostHtml);
         loadGhostCursor();
     }
+    function stopGhost() {
+        if (ghostLoop) ghostLoop.stop();
+        ghostLoop = null;
+        listeners.forEach(([type, handler]) => window.removeEventListener(type, handler));
+        listeners = [];
+        document.getElementById('ghost')?.remove();
+        document.getElementById('ghost-filter')?.remove();
+    }
     function loadGhostCursor() {
         let mouse = { x: window.innerWidth / 2, y: window.innerHeight / 2, dir: '' };
         let clicked = false;
@@ -48,12 +62,12 @@ document.addEventListener('DOMContentLoaded', function() {
             };
         };
         ['mousemove', 'touchstart', 'touchmove'].forEach(e => {
-            window.addEventListener(e, getMouse);
+            listen(e, getMouse);
         });
-        window.addEventListener('mousedown', (e) => {
+        listen('mousedown', (e) => {
             clicked = true;
         });
-        window.addEventListener('mouseup', () => {
+        listen('mouseup', () => {
             clicked = false;
         });
         class GhostFollow {
@@ -93,10 +107,14 @@ document.addEventListener('DOMContentLoaded', function() {
             return (num - in_min) * (out_max - out_min) / (in_max - in_min) + out_min;
         }
         const ghostCursor = new GhostFollow();
-        const render = () => {
-            requestAnimationFrame(render);
-            ghostCursor.follow();
-        };
-        render();
+        //
+        // Suspendue quand l'onglet est masqué ou les animations figées :
+        // le fantôme cesse de suivre le curseur et reste immobile.
+        //
+        ghostLoop = CelebrationsLifecycle.loop(() => ghostCursor.follow());
     }
-});
+    CelebrationsEffects.register('halloween-ghost', {
+        start: startGhost,
+        stop: stopGhost
+    });
+})();
@@ -4,24 +4,28 @@
       Code inspiré, modifié et adapté pour l'OPAC de Koha à partir du Pen original sur CodePen.io.
       Copyright (c) Rachel Best - https://codepen.io/rachel_web/pen/MjxzOb
 */
-document.addEventListener('DOMContentLoaded', function() {
-  const options = window.halloweenThemeOptions || {};
-  const quantite = parseInt(options.quantite_spiders) || 2;
-  const navbar = document.querySelector('nav.breadcrumbs');
-  if (!navbar) return;
-  const numberOfSpiders = quantite;
+(function() {
+  let numberOfSpiders = 2;
   const totalWidthPercent = 60;
   const startPercent = 50 - totalWidthPercent / 2;
+  function getNavbar() {
+    return document.querySelector('nav.breadcrumbs');
+  }
+  function removeSpiders() {
+    document.querySelectorAll('nav.breadcrumbs .spider').forEach(s => s.remove());
+  }
   // Fonction pour créer les araignées
   function createSpiders() {
+    const navbar = getNavbar();
+    if (!navbar) return;
     // Supprime les anciennes araignées avant de recréer (évite doublons)
-    navbar.querySelectorAll('.spider').forEach(s => s.remove());
+    removeSpiders();
     const isSmallScreen = window.innerWidth < 700;
     const topBase = isSmallScreen ? 12 : 20;
     const topIncrement = isSmallScreen ? 4 : 5;
     for (let i = 0; i < numberOfSpiders; i++) {
       const spider = document.createElement('div');
-      spider.className = `spider spider_${i}`;
+      spider.className = `spider spider_${i} celebrations-effect`;
       // Yeux
       spider.innerHTML = `
         <div class="eye left"></div>
@@ -53,13 +57,32 @@ document.addEventListener('DOMContentLoaded', function() {
       navbar.appendChild(spider);
     }
   }
-  createSpiders();
-  window.addEventListener('resize', () => {
+  function refreshSpiders() {
     createSpiders();
     adjustLine();
+  }
+  CelebrationsEffects.register('halloween-spider', {
+    start(options) {
+      const navbar = getNavbar();
+      if (!navbar) return;
+      numberOfSpiders = parseInt(options.quantite_spiders) || 2;
+      refreshSpiders();
+      // Les araignées ne bougent que lorsque le fil d'Ariane est visible
+      if (window.CelebrationsLifecycle) CelebrationsLifecycle.pauseWhenOffscreen(navbar);
+      window.addEventListener('resize', refreshSpiders);
+    },
+    stop() {
+      window.removeEventListener('resize', refreshSpiders);
+      const navbar = getNavbar();
+      if (navbar && window.CelebrationsLifecycle) CelebrationsLifecycle.release(navbar);
+      removeSpiders();
+    },
+    update(options) {
+      numberOfSpiders = parseInt(options.quantite_spiders) || 2;
+      refreshSpiders();
+    }
   });
-  adjustLine();
-});
+})();
 // gestion du cas où le chargement se fait dnas un Iframe
 function adjustLine() {
   const isInIframe = window.self !== window.top;
@@ -4,47 +4,62 @@
       Code inspiré, modifié et adapté pour l'OPAC de Koha à partir du Pen original sur CodePen.io.
       Copyright (c) Matt Blenkinsop - https://codepen.io/mblenk/pen/qBKwNmp
 */
-document.addEventListener('DOMContentLoaded', function() {
-   if (document.getElementById('lightcontainer')) return;
-  const lightContainer = document.createElement('div');
-  lightContainer.id = 'lightcontainer';
-  lightContainer.className = 'lightcontainer';
-  const lightRope = document.createElement('ul');
-  lightRope.id = 'lightrope';
-  lightRope.className = 'lightrope';
-  const screenWidth = window.innerWidth;
-  const bulbSpacing = 30;
-  const bulbCount = Math.ceil(screenWidth / bulbSpacing);
-  for (let i = 0; i < bulbCount; i++) {
-    const li = document.createElement('li');
-    lightRope.appendChild(li);
-  }
-  lightContainer.appendChild(lightRope);
-  const newFooter = document.createElement('footer');
-  newFooter.id = 'celebration-footer';
-  newFooter.appendChild(lightContainer);
-  const existingFooter = document.getElementById('changelanguage');
-  if (existingFooter) {
-    existingFooter.parentNode.insertBefore(newFooter, existingFooter);
-  } else {
-    document.body.appendChild(newFooter);
+(function() {
+  function adjustLightRope() {
+    const rope = document.getElementById('lightrope');
+    if (!rope) return;
+    const screenWidth = window.innerWidth;
+    const bulbSpacing = 30;
+    const bulbCount = Math.ceil(screenWidth / bulbSpacing);
+    const currentCount = rope.children.length;
+    if (bulbCount > currentCount) {
+      for (let i = currentCount; i < bulbCount; i++) {
+        rope.appendChild(document.createElement('li'));
+      }
+    } else if (bulbCount < currentCount) {
+      for (let i = currentCount; i > bulbCount; i--) {
+        rope.removeChild(rope.lastChild);
+      }
+    }
   }
-  // newFooter.style.height = '60px';
-});
-window.addEventListener('resize', () => {
-  const rope = document.getElementById('lightrope');
-  if (!rope) return;
-  const screenWidth = window.innerWidth;
-  const bulbSpacing = 30;
-  const bulbCount = Math.ceil(screenWidth / bulbSpacing);
-  const currentCount = rope.children.length;
-  if (bulbCount > currentCount) {
-    for (let i = currentCount; i < bulbCount; i++) {
-      rope.appendChild(document.createElement('li'));
+  function startNoelFooter() {
+    const lightContainer = document.createElement('div');
+    lightContainer.id = 'lightcontainer';
+    lightContainer.className = 'lightcontainer';
+    const lightRope = document.createElement('ul');
+    lightRope.id = 'lightrope';
+    lightRope.className = 'lightrope';
+    const screenWidth = window.innerWidth;
+    const bulbSpacing = 30;
+    const bulbCount = Math.ceil(screenWidth / bulbSpacing);
+    for (let i = 0; i < bulbCount; i++) {
+      const li = document.createElement('li');
+      lightRope.appendChild(li);
     }
-  } else if (bulbCount < currentCount) {
-    for (let i = currentCount; i > bulbCount; i--) {
-      rope.removeChild(rope.lastChild);
+    lightContainer.appendChild(lightRope);
+    const newFooter = document.createElement('footer');
+    newFooter.id = 'celebration-footer';
+    newFooter.className = 'celebrations-effect';
+    newFooter.appendChild(lightContainer);
+    const existingFooter = document.getElementById('changelanguage');
+    if (existingFooter) {
+      existingFooter.parentNode.insertBefore(newFooter, existingFooter);
+    } else {
+      document.body.appendChild(newFooter);
     }
+    // Les guirlandes ne clignotent que lorsque le pied de page est visible
+    if (window.CelebrationsLifecycle) CelebrationsLifecycle.pauseWhenOffscreen(newFooter);
+    window.addEventListener('resize', adjustLightRope);
+  }
+  function stopNoelFooter() {
+    window.removeEventListener('resize', adjustLightRope);
+    const footer = document.getElementById('celebration-footer');
+    if (!footer) return;
+    if (window.CelebrationsLifecycle) CelebrationsLifecycle.release(footer);
+    footer.remove();
   }
-});
\ No newline at end of file
+  CelebrationsEffects.register('noel-footer', {
+    start: startNoelFooter,
+    stop: stopNoelFooter
+  });
+})();
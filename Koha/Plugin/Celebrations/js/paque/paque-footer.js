@@ -4,133 +4,148 @@
       Code inspiré, modifié et adapté pour l'OPAC de Koha à partir du Pen original sur CodePen.io.
       Copyright (c) Natalia Davydova - https://codepen.io/nat-davydova/pen/dyorEMm
 */
-document.addEventListener('DOMContentLoaded', function () {
-    if (document.getElementById('celebration-footer')) return;
-    const basket_iconHTML = `
-    <div class="icon-block">
-        <div class="icon basket-icon">
-            <svg
-            enable-background="new 0 0 512 512"
-            height="512"
-            viewBox="0 0 512 512"
-            width="512"
-            xmlns="http://www.w3.org/2000/svg"
-            >
-            <g class="basket-icon__top">
-                <path
-                d="m362.336 328.721c-4.268 0-7.726-3.459-7.726-7.726v-166.979c0-64.681-52.623-117.303-117.304-117.303s-117.303 52.621-117.303 117.303v166.979c0 4.267-3.459 7.726-7.726 7.726-4.268 0-7.726-3.459-7.726-7.726v-166.979c0-73.202 59.554-132.756 132.756-132.756s132.757 59.554 132.757 132.756v166.979c-.002 4.267-3.46 7.726-7.728 7.726z"
-                fill="#766d78"
-                />
-            </g>
-            <g class="basket-icon__egg-1">
-                <path
-                d="m409.603 154.951c43 15.067 70.013 96.471 43.487 172.174-17.894 51.066-72.323 73.753-123.39 55.859s-79.432-69.591-61.538-120.658c26.526-75.703 98.441-122.442 141.441-107.375z"
-                fill="#f7f3f1"
-                />
-                <path
-                d="m409.603 154.951c-2.503-.877-5.107-1.536-7.791-2.001 32.42 19.059 48.294 93.078 23.312 164.375-17.001 48.519-61.333 73.395-102.889 62.729 2.431 1.056 4.919 2.037 7.466 2.929 51.066 17.894 105.496-4.792 123.39-55.859 26.525-75.702-.489-157.106-43.488-172.173z"
-                fill="#ebe1dc"
-                />
-                <ellipse
-                cx="383.738"
-                cy="297.364"
-                fill="#94d4a2"
-                rx="33.994"
-                ry="33.994"
-                transform="matrix(.707 -.707 .707 .707 -97.874 358.44)"
-                />
-                <path
-                d="m451.064 208.509c1.132 0 2.246.078 3.341.214 5.305 15.088 8.539 32.321 9.107 50.563-3.724 1.947-7.955 3.053-12.448 3.053-14.865 0-26.915-12.05-26.915-26.915s12.05-26.915 26.915-26.915z"
-                fill="#94d4a2"
-                />
-                <path
-                d="m451.064 262.339c4.493 0 8.725-1.107 12.448-3.053-.493-15.835-3.052-32.231-8.137-47.709-.315-.958-.97-2.854-.97-2.854-1.096-.136-2.209-.214-3.341-.214-6.143 0-11.803 2.062-16.332 5.527 2.366 13.608 3.225 28.622 2.279 44.344 4.09 2.51 8.902 3.959 14.053 3.959z"
-                fill="#6dc17d"
-                />
-                <ellipse
-                cx="370.341"
-                cy="206.005"
-                fill="#94d4a2"
-                rx="18.307"
-                ry="18.307"
-                transform="matrix(.707 -.707 .707 .707 -37.197 322.208)"
-                />
-            </g>
-            <g class="basket-icon__egg-2">
-                <path
-                d="m225.555 141.395c45.56-.548 98.786 66.707 99.751 146.917.651 54.107-42.737 94.041-96.844 94.692s-98.443-38.227-99.094-92.334c-.965-80.21 50.627-148.726 96.187-149.275z"
-                fill="#80b6fc"
-                />
-                <path
-                d="m225.555 141.395c-4.178.05-8.406.677-12.641 1.827 37.624 10.283 76.981 72.582 77.859 145.555.6 49.813-32.043 87.537-74.798 93.667 4.092.42 8.26.611 12.487.56 54.107-.651 97.495-40.585 96.844-94.692-.965-80.21-54.192-147.465-99.751-146.917z"
-                fill="#62a4fb"
-                />
-                <path
-                d="m151.068 201.012c3.372.276 6.685 1.249 9.619 2.94l15.769 9.104c7.015 4.055 16.18 4.055 23.195 0l15.769-9.104c7.015-4.042 16.18-4.042 23.195 0l15.769 9.104c7.015 4.055 16.18 4.055 23.195 0l15.769-9.104c2.797-1.612 5.937-2.569 9.146-2.896 10.41 18.94 18.097 41.286 21.249 65.384l-7.2-4.163c-7.015-4.042-16.18-4.042-23.195 0l-15.769 9.117c-7.015 4.042-16.18 4.042-23.195 0l-15.769-9.117c-7.015-4.042-16.18-4.042-23.195 0l-15.769 9.117c-7.015 4.042-16.18 4.042-23.195 0l-15.769-9.117c-7.015-4.042-16.18-4.042-23.195 0l-6.791 3.922c2.887-23.984 10.26-46.274 20.367-65.187z"
-                fill="#f1cd88"
-                />
-                <path
-                d="m316.542 262.278 7.2 4.163c-2.939-22.449-10.082-45.066-21.249-65.384-3.208.326-6.349 1.284-9.146 2.896 0 0-16.881 9.703-17.453 9.97 6.223 15.422 10.856 32.602 13.192 50.819l4.261-2.463c7.015-4.043 16.181-4.043 23.195-.001z"
-                fill="#ebb34c"
-                />
-            </g>
-                <g class="basket-icon__bottom">
-                <path
-                d="m512 315.623v12.901c0 10.549-9.191 19.101-20.529 19.101h-470.942c-11.338 0-20.529-8.552-20.529-19.101v-12.901c0-10.549 9.191-19.101 20.529-19.101h470.942c11.338 0 20.529 8.552 20.529 19.101z"
-                fill="#ecb880"
-                />
-                <path
-                d="m491.471 296.522h-38.582c11.338 0 20.529 8.552 20.529 19.101v12.901c0 10.549-9.191 19.101-20.529 19.101h38.582c11.338 0 20.529-8.552 20.529-19.101v-12.901c0-10.549-9.191-19.101-20.529-19.101z"
-                fill="#e69642"
-                />
-                <path
-                d="m467.409 347.625-30.725 95.209c-9.198 28.501-36.449 47.906-67.276 47.906h-226.816c-30.827 0-58.078-19.405-67.276-47.906l-30.725-95.209z"
-                fill="#ecb880"
-                />
-                <path
-                d="m431.763 347.625h-387.172l9.038 28.007h344.16c12.319 0 21.061 12.007 17.277 23.731l-14.029 43.472c-9.198 28.501-36.449 47.906-67.276 47.906h35.646c30.827 0 58.078-19.405 67.276-47.906l30.725-95.209h-35.645z"
-                fill="#e69642"
-                />
-            </g>
+(function() {
+    function startPaqueFooter() {
+        if (document.getElementById('celebration-footer')) return;
+        const basket_iconHTML = `
+        <div class="icon-block">
+            <div class="icon basket-icon">
+                <svg
+                enable-background="new 0 0 512 512"
+                height="512"
+                viewBox="0 0 512 512"
+                width="512"
+                xmlns="http://www.w3.org/2000/svg"
+                >
+                <g class="basket-icon__top">
+                    <path
+                    d="m362.336 328.721c-4.268 0-7.726-3.459-7.726-7.726v-166.979c0-64.681-52.623-117.303-117.304-117.303s-117.303 52.621-117.303 117.303v166.979c0 4.267-3.459 7.726-7.726 7.726-4.268 0-7.726-3.459-7.726-7.726v-166.979c0-73.202 59.554-132.756 132.756-132.756s132.757 59.554 132.757 132.756v166.979c-.002 4.267-3.46 7.726-7.728 7.726z"
+                    fill="#766d78"
+                    />
+                </g>
+                <g class="basket-icon__egg-1">
+                    <path
+                    d="m409.603 154.951c43 15.067 70.013 96.471 43.487 172.174-17.894 51.066-72.323 73.753-123.39 55.859s-79.432-69.591-61.538-120.658c26.526-75.703 98.441-122.442 141.441-107.375z"
+                    fill="#f7f3f1"
+                    />
+                    <path
+                    d="m409.603 154.951c-2.503-.877-5.107-1.536-7.791-2.001 32.42 19.059 48.294 93.078 23.312 164.375-17.001 48.519-61.333 73.395-102.889 62.729 2.431 1.056 4.919 2.037 7.466 2.929 51.066 17.894 105.496-4.792 123.39-55.859 26.525-75.702-.489-157.106-43.488-172.173z"
+                    fill="#ebe1dc"
+                    />
+                    <ellipse
+                    cx="383.738"
+                    cy="297.364"
+                    fill="#94d4a2"
+                    rx="33.994"
+                    ry="33.994"
+                    transform="matrix(.707 -.707 .707 .707 -97.874 358.44)"
+                    />
+                    <path
+                    d="m451.064 208.509c1.132 0 2.246.078 3.341.214 5.305 15.088 8.539 32.321 9.107 50.563-3.724 1.947-7.955 3.053-12.448 3.053-14.865 0-26.915-12.05-26.915-26.915s12.05-26.915 26.915-26.915z"
+                    fill="#94d4a2"
+                    />
+                    <path
+                    d="m451.064 262.339c4.493 0 8.725-1.107 12.448-3.053-.493-15.835-3.052-32.231-8.137-47.709-.315-.958-.97-2.854-.97-2.854-1.096-.136-2.209-.214-3.341-.214-6.143 0-11.803 2.062-16.332 5.527 2.366 13.608 3.225 28.622 2.279 44.344 4.09 2.51 8.902 3.959 14.053 3.959z"
+                    fill="#6dc17d"
+                    />
+                    <ellipse
+                    cx="370.341"
+                    cy="206.005"
+                    fill="#94d4a2"
+                    rx="18.307"
+                    ry="18.307"
+                    transform="matrix(.707 -.707 .707 .707 -37.197 322.208)"
+                    />
+                </g>
+                <g class="basket-icon__egg-2">
+                    <path
+                    d="m225.555 141.395c45.56-.548 98.786 66.707 99.751 146.917.651 54.107-42.737 94.041-96.844 94.692s-98.443-38.227-99.094-92.334c-.965-80.21 50.627-148.726 96.187-149.275z"
+                    fill="#80b6fc"
+                    />
+                    <path
+                    d="m225.555 141.395c-4.178.05-8.406.677-12.641 1.827 37.624 10.283 76.981 72.582 77.859 145.555.6 49.813-32.043 87.537-74.798 93.667 4.092.42 8.26.611 12.487.56 54.107-.651 97.495-40.585 96.844-94.692-.965-80.21-54.192-147.465-99.751-146.917z"
+                    fill="#62a4fb"
+                    />
+                    <path
+                    d="m151.068 201.012c3.372.276 6.685 1.249 9.619 2.94l15.769 9.104c7.015 4.055 16.18 4.055 23.195 0l15.769-9.104c7.015-4.042 16.18-4.042 23.195 0l15.769 9.104c7.015 4.055 16.18 4.055 23.195 0l15.769-9.104c2.797-1.612 5.937-2.569 9.146-2.896 10.41 18.94 18.097 41.286 21.249 65.384l-7.2-4.163c-7.015-4.042-16.18-4.042-23.195 0l-15.769 9.117c-7.015 4.042-16.18 4.042-23.195 0l-15.769-9.117c-7.015-4.042-16.18-4.042-23.195 0l-15.769 9.117c-7.015 4.042-16.18 4.042-23.195 0l-15.769-9.117c-7.015-4.042-16.18-4.042-23.195 0l-6.791 3.922c2.887-23.984 10.26-46.274 20.367-65.187z"
+                    fill="#f1cd88"
+                    />
+                    <path
+                    d="m316.542 262.278 7.2 4.163c-2.939-22.449-10.082-45.066-21.249-65.384-3.208.326-6.349 1.284-9.146 2.896 0 0-16.881 9.703-17.453 9.97 6.223 15.422 10.856 32.602 13.192 50.819l4.261-2.463c7.015-4.043 16.181-4.043 23.195-.001z"
+                    fill="#ebb34c"
+                    />
+                </g>
+                    <g class="basket-icon__bottom">
+                    <path
+                    d="m512 315.623v12.901c0 10.549-9.191 19.101-20.529 19.101h-470.942c-11.338 0-20.529-8.552-20.529-19.101v-12.901c0-10.549 9.191-19.101 20.529-19.101h470.942c11.338 0 20.529 8.552 20.529 19.101z"
+                    fill="#ecb880"
+                    />
+                    <path
+                    d="m491.471 296.522h-38.582c11.338 0 20.529 8.552 20.529 19.101v12.901c0 10.549-9.191 19.101-20.529 19.101h38.582c11.338 0 20.529-8.552 20.529-19.101v-12.901c0-10.549-9.191-19.101-20.529-19.101z"
+                    fill="#e69642"
+                    />
+                    <path
+                    d="m467.409 347.625-30.725 95.209c-9.198 28.501-36.449 47.906-67.276 47.906h-226.816c-30.827 0-58.078-19.405-67.276-47.906l-30.725-95.209z"
+                    fill="#ecb880"
+                    />
+                    <path
+                    d="m431.763 347.625h-387.172l9.038 28.007h344.16c12.319 0 21.061 12.007 17.277 23.731l-14.029 43.472c-9.198 28.501-36.449 47.906-67.276 47.906h35.646c30.827 0 58.078-19.405 67.276-47.906l30.725-95.209h-35.645z"
+                    fill="#e69642"
+                    />
+                </g>
 
-            <g class="ribbon" fill="#df646e">
-                <path
-                d="m54.863 336.296c4.415-8.497 10.576-15.965 15.366-24.257s8.235-17.962 6.432-27.366l35.991 3.73c1.804 9.405-1.642 19.074-6.432 27.366-4.789 8.292-10.95 15.76-15.366 24.257-8.665 16.675-9.881 37.012-3.477 54.655.765 2.108-.956 4.284-3.186 4.053l-29.164-3.023c-1.099-.114-2.066-.806-2.493-1.824-7.665-18.292-6.821-39.983 2.329-57.591z"
-                />
-                <path
-                d="m169.69 336.296c-4.415-8.497-10.576-15.965-15.366-24.257s-8.235-17.962-6.432-27.366l-35.991 3.73c-1.804 9.405 1.642 19.074 6.432 27.366 4.789 8.292 10.95 15.76 15.366 24.257 8.665 16.675 9.881 37.012 3.477 54.655-.765 2.108.956 4.284 3.186 4.053l29.164-3.023c1.099-.114 2.066-.806 2.493-1.824 7.665-18.292 6.82-39.983-2.329-57.591z"
-                />
-                <path
-                d="m41.734 283.716c2.037-2.572 2.037-6.191 0-8.763-2.393-3.021-4.572-6.19-6.125-9.705-2.442-5.529-3.152-12.138-.447-17.543 2.917-5.828 9.398-9.295 15.886-9.913s12.979 1.245 18.955 3.846c16.56 7.207 30.409 20.419 38.47 36.574v2.244c-8.062 16.155-21.91 29.367-38.47 36.574-5.976 2.601-12.467 4.463-18.955 3.846s-12.969-4.085-15.886-9.913c-2.705-5.405-1.995-12.014.447-17.543 1.552-3.515 3.732-6.684 6.125-9.704z"
-                fill="#dc4955"
-                />
-                <path
-                d="m182.819 283.716c-2.037-2.572-2.037-6.191 0-8.763 2.393-3.021 4.572-6.19 6.125-9.705 2.442-5.529 3.152-12.138.447-17.543-2.917-5.828-9.398-9.295-15.886-9.913s-12.979 1.245-18.955 3.846c-16.56 7.207-30.409 20.419-38.47 36.574v2.244c8.062 16.155 21.91 29.367 38.47 36.574 5.976 2.601 12.467 4.463 18.955 3.846s12.969-4.085 15.886-9.913c2.705-5.405 1.995-12.014-.447-17.543-1.553-3.515-3.732-6.684-6.125-9.704z"
-                fill="#dc4955"
-                />
-                <path
-                d="m112.276 250.908c12.461 0 22.563 10.102 22.563 22.563v11.726c0 12.461-10.102 22.563-22.563 22.563s-22.563-10.102-22.563-22.563v-11.726c0-12.461 10.102-22.563 22.563-22.563z"
-                fill="#df646e"
-                />
-            </g>
+                <g class="ribbon" fill="#df646e">
+                    <path
+                    d="m54.863 336.296c4.415-8.497 10.576-15.965 15.366-24.257s8.235-17.962 6.432-27.366l35.991 3.73c1.804 9.405-1.642 19.074-6.432 27.366-4.789 8.292-10.95 15.76-15.366 24.257-8.665 16.675-9.881 37.012-3.477 54.655.765 2.108-.956 4.284-3.186 4.053l-29.164-3.023c-1.099-.114-2.066-.806-2.493-1.824-7.665-18.292-6.821-39.983 2.329-57.591z"
+                    />
+                    <path
+                    d="m169.69 336.296c-4.415-8.497-10.576-15.965-15.366-24.257s-8.235-17.962-6.432-27.366l-35.991 3.73c-1.804 9.405 1.642 19.074 6.432 27.366 4.789 8.292 10.95 15.76 15.366 24.257 8.665 16.675 9.881 37.012 3.477 54.655-.765 2.108.956 4.284 3.186 4.053l29.164-3.023c1.099-.114 2.066-.806 2.493-1.824 7.665-18.292 6.82-39.983-2.329-57.591z"
+                    />
+                    <path
+                    d="m41.734 283.716c2.037-2.572 2.037-6.191 0-8.763-2.393-3.021-4.572-6.19-6.125-9.705-2.442-5.529-3.152-12.138-.447-17.543 2.917-5.828 9.398-9.295 15.886-9.913s12.979 1.245 18.955 3.846c16.56 7.207 30.409 20.419 38.47 36.574v2.244c-8.062 16.155-21.91 29.367-38.47 36.574-5.976 2.601-12.467 4.463-18.955 3.846s-12.969-4.085-15.886-9.913c-2.705-5.405-1.995-12.014.447-17.543 1.552-3.515 3.732-6.684 6.125-9.704z"
+                    fill="#dc4955"
+                    />
+                    <path
+                    d="m182.819 283.716c-2.037-2.572-2.037-6.191 0-8.763 2.393-3.021 4.572-6.19 6.125-9.705 2.442-5.529 3.152-12.138.447-17.543-2.917-5.828-9.398-9.295-15.886-9.913s-12.979 1.245-18.955 3.846c-16.56 7.207-30.409 20.419-38.47 36.574v2.244c8.062 16.155 21.91 29.367 38.47 36.574 5.976 2.601 12.467 4.463 18.955 3.846s12.969-4.085 15.886-9.913c2.705-5.405 1.995-12.014-.447-17.543-1.553-3.515-3.732-6.684-6.125-9.704z"
+                    fill="#dc4955"
+                    />
+                    <path
+                    d="m112.276 250.908c12.461 0 22.563 10.102 22.563 22.563v11.726c0 12.461-10.102 22.563-22.563 22.563s-22.563-10.102-22.563-22.563v-11.726c0-12.461 10.102-22.563 22.563-22.563z"
+                    fill="#df646e"
+                    />
+                </g>
+            </div>
         </div>
-    </div>
-    `;
-     //
-    // Création du footer Halloween
-    //
-    const newFooter = document.createElement('footer');
-        newFooter.id = 'celebration-footer';
-        document.body.appendChild(newFooter);
-        newFooter.insertAdjacentHTML('beforeend', basket_iconHTML);
-    // Insertion du footer au bon endroit :
-    // - Si #changelanguage existe → on insère avant lui
-    // - Sinon → on ajoute à la fin du body
-    //
-    const existingFooter = document.getElementById('changelanguage');
-    if (existingFooter) {
-        existingFooter.parentNode.insertBefore(newFooter, existingFooter);
-    } else {
-        document.body.appendChild(newFooter);
+        `;
+         //
+        // Création du footer Halloween
+        //
+        const newFooter = document.createElement('footer');
+            newFooter.id = 'celebration-footer';
+            newFooter.className = 'celebrations-effect';
+            document.body.appendChild(newFooter);
+            newFooter.insertAdjacentHTML('beforeend', basket_iconHTML);
+        // Insertion du footer au bon endroit :
+        // - Si #changelanguage existe → on insère avant lui
+        // - Sinon → on ajoute à la fin du body
+        //
+        const existingFooter = document.getElementById('changelanguage');
+        if (existingFooter) {
+            existingFooter.parentNode.insertBefore(newFooter, existingFooter);
+        } else {
+            document.body.appendChild(newFooter);
+        }
+        // Les animations du pied de page ne tournent que lorsqu'il est visible
+        if (window.CelebrationsLifecycle) CelebrationsLifecycle.pauseWhenOffscreen(newFooter);
     }
-});
\ No newline at end of file
+    function stopPaqueFooter() {
+        const footer = document.getElementById('celebration-footer');
+        if (!footer) return;
+        if (window.CelebrationsLifecycle) CelebrationsLifecycle.release(footer);
+        footer.remove();
+    }
+    CelebrationsEffects.register('paque-footer', {
+        start: startPaqueFooter,
+        stop: stopPaqueFooter
+    });
+})();
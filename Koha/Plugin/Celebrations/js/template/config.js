@@ -14,6 +14,40 @@ export const TRANSLATION_BACKEND = window.translation?.B || {};
  * Namespace d’API injecté dans le template Koha
  */
 const API_NS = window.api_namespace || '';
+/**
+ *
+ * Scripts partagés (js/core/) chargés avant ceux des éléments de thème dans l'aperçu,
+ * dans l'ordre fourni par Lib/Config.pm.
+ */
+export const CORE_SCRIPTS = Array.isArray(window.core_scripts) ? window.core_scripts : [];
+/**
+ *
+ * Bibliothèques (sites) que les thèmes peuvent cibler, injectées depuis Lib/Config.pm
+ * ([{branchcode, branchname}], triées par nom).
+ */
+export const LIBRARIES = Array.isArray(window.libraries) ? window.libraries : [];
+/**
+ *
+ * Fuseau horaire de la bibliothèque (injecté depuis Lib/Config.pm) : les dates des thèmes
+ * sont saisies et affichées dans ce fuseau, quel que soit celui du navigateur.
+ * Un nom inconnu du navigateur est remplacé par le fuseau du navigateur.
+ */
+export const LIBRARY_TIMEZONE = (() => {
+  const browserTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: window.library_timezone || browserTimeZone })
+      .resolvedOptions().timeZone;
+  } catch (e) {
+    console.warn(`Fuseau horaire inconnu : ${window.library_timezone}`, e);
+    return browserTimeZone;
+  }
+})();
+/**
+ *
+ * Canal postMessage entre l'administration et l'iframe de prévisualisation
+ * (écouté par js/core/celebrations-effects.js dans l'iframe).
+ */
+export const PREVIEW_CHANNEL = 'celebrations-preview';
 
 /**
  *
@@ -45,6 +79,8 @@ export const DEVICE_CONFIG = {
  */
 export const API_ENDPOINTS = {
   themes:       '/api/v1/contrib/Celebrations-api/themes',
+  schedule:     '/api/v1/contrib/Celebrations-api/schedule',
+  trash:        '/api/v1/contrib/Celebrations-api/trash',
   opacPreview:  '/cgi-bin/koha/plugins/run.pl?class=Koha::Plugin::Celebrations&method=opac_preview',
   previewAsset: '/cgi-bin/koha/plugins/run.pl?class=Koha::Plugin::Celebrations&method=preview_theme_asset'
 };
\ No newline at end of file
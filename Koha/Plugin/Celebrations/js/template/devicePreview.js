@@ -3,7 +3,7 @@
  *  Système de prévisualisation multi-device
  * ======================================================
  */
-import { DEVICE_CONFIG, API_ENDPOINTS } from './config.js';
+import { DEVICE_CONFIG, API_ENDPOINTS, CORE_SCRIPTS, PREVIEW_CHANNEL, TRANSLATION_UI } from './config.js';
 import { getById, toggleButtons } from './utils.js'
 /**
  * Variables d'état utilisées pour gérer le cycle de vie et le positionnement de l'iframe de prévisualisation.
@@ -12,7 +12,19 @@ let iframe = null;
 let iframeContainer = null;
 let currentDevice = 'ordi';
 let isInitialized = false;
-let initialPreviewDone = false;
+/**
+ * État de la prévisualisation affichée : thème et signature des assets injectés
+ * (null tant qu'aucun thème n'est chargé ou pendant un rechargement).
+ * lastPreview garde le dernier thème demandé pour le réafficher après un changement de device.
+ */
+let previewState = null;
+let lastPreview = null;
+let previewReloading = false;
+let queuedRefresh = null;
+/**
+ * Délai maximal accordé à l'iframe pour signaler que l'aperçu est prêt.
+ */
+const PREVIEW_READY_TIMEOUT = 10000;
 /**
  *
  *  Crée le conteneur fixe utilisé pour afficher l’iframe de prévisualisation.
@@ -40,19 +52,9 @@ function createIframe() {
   iframe.frameBorder = '0';
   iframe.allowFullscreen = true;
   iframe.removeAttribute('sandbox');
-  iframe.addEventListener('load',  async () => {
-    await showLoadingOverlay();
+  iframe.addEventListener('load', () => {
     isInitialized = true;
     injectDisableInteractions();
-     if (!initialPreviewDone) {
-    initialPreviewDone = true;
-    requestAnimationFrame(() => {
-      requestAnimationFrame(() => {
-        switchToDevice(currentDevice);
-      });
-    });
-  }
-  await hideLoadingOverlay();
   });
   iframeContainer.appendChild(iframe);
   return iframe;
@@ -126,15 +128,22 @@ function switchToDevice(deviceKey) {
     createIframe();
     return;
   }
+  // Un thème est affiché : il est réinjecté après le rechargement, l'overlay se ferme quand l'iframe est prête
+  if (lastPreview) {
+    positionIframe();
+    updatePreview(lastPreview.rawThemes, lastPreview.themeName);
+    return;
+  }
   showLoadingOverlay();
+  previewState = null;
   const oldSrc = iframe.src;
   iframe.src = '';
   iframe.src = oldSrc;
-  iframe.onload = async () => {
+  iframe.onload = () => {
     isInitialized = true;
     injectDisableInteractions();
     positionIframe();
-    await hideLoadingOverlay();
+    hideLoadingOverlay();
   };
 }
 /**
@@ -214,11 +223,11 @@ function setupAutoReposition() {
 }
 /**
  *
- * Collecte les chemins d'accès (URL) des fichiers CSS et JS du thème,
+ * Collecte les chemins d'accès (URL) des fichiers CSS et JS du thème (police font_url comprise),
  * ainsi que les options JavaScript du thème, en fonction des sélections de l'utilisateur.
  * @param {Object} themeData - Données de configuration du thème sélectionné.
  * @param {string} selectedTheme - Nom du thème actif.
- * @returns {{cssFiles: Array<string>, jsFiles: Array<string>, jsOptions: Object}} - Les assets et options collectés.
+ * @returns {{cssFiles: Array<string>, jsFiles: Array<string>, jsOptions: Object, runtimeSettings: Object}} - Les assets et options collectés.
  */
 function collectThemeAssets(themeData, selectedTheme) {
   const cssFiles = [];
@@ -254,7 +263,16 @@ function collectThemeAssets(themeData, selectedTheme) {
       });
     }
   });
-  return { cssFiles, jsFiles, jsOptions };
+  if (cssFiles.length > 0 || jsFiles.length > 0) {
+    const coreFiles = CORE_SCRIPTS.map(file => `${baseUrl}&type=js&theme=core&file=${file}`);
+    jsFiles.unshift(...coreFiles);
+    if (themeData.font_url) cssFiles.unshift(themeData.font_url);
+  }
+  const runtimeSettings = {
+    motionToggle: getById('motion_toggle')?.checked || false,
+    qualityMode: getById('quality_mode')?.value === 'fixed' ? 'fixed' : 'adaptive'
+  };
+  return { cssFiles, jsFiles, jsOptions, runtimeSettings };
 }
 /**
  *
@@ -277,15 +295,22 @@ async function injectCSSFiles(doc, cssFiles, selectedTheme) {
 }
 /**
  *
- * Génère le contenu du script contenant les options JavaScript du thème (window.ThemeOptions).
+ * Génère le contenu du script contenant les options JavaScript du thème (window.ThemeOptions)
+ * et les réglages lus par les scripts partagés (bouton de pause et ses libellés, mode de qualité).
  * @param {string} selectedTheme - Nom du thème.
  * @param {Object} jsOptions - Options JavaScript à inclure.
+ * @param {{motionToggle: boolean, qualityMode: string}} runtimeSettings - Réglages du thème.
  * @returns {string} - Chaîne de caractères représentant le contenu du script.
  */
-function generateOptionsScript(selectedTheme, jsOptions) {
-  if (Object.keys(jsOptions).length === 0) return '';
+function generateOptionsScript(selectedTheme, jsOptions, runtimeSettings) {
+  const runtimeScript = [
+    `window.celebrationsMotionToggle = ${runtimeSettings.motionToggle ? 'true' : 'false'};`,
+    `window.celebrationsQualityMode = '${runtimeSettings.qualityMode}';`,
+    `window.celebrationsMotionLabels = ${JSON.stringify(TRANSLATION_UI.animations || {})};`
+  ].join('\n');
+  if (Object.keys(jsOptions).length === 0) return runtimeScript;
   const jsonOpts = JSON.stringify(jsOptions);
-  return `window["${selectedTheme}ThemeOptions"] = ${jsonOpts};`;
+  return `window["${selectedTheme}ThemeOptions"] = ${jsonOpts};\n${runtimeScript}`;
 }
 /**
  *
@@ -303,38 +328,96 @@ function createLoadingOverlay() {
   logo.classList.add('preview-loading-logo');
   const style = document.createElement('style');
   document.head.appendChild(style);
+  const error = document.createElement('p');
+  error.className = 'preview-loading-error';
+  error.setAttribute('role', 'alert');
   overlay.appendChild(logo);
+  overlay.appendChild(error);
+  overlay.addEventListener('click', () => {
+    if (overlay.classList.contains('has-error')) hideLoadingOverlay();
+  });
   iframeContainer.appendChild(overlay);
   return overlay;
 }
 /**
  *
  * Affiche l'overlay de chargement sur l'iframe pour masquer le rechargement.
- * @returns {Promise<void>} - Se résout après que l'affichage soit complet.
+ * @returns {void}
  */
 function showLoadingOverlay() {
   let overlay = document.getElementById('preview-loading-overlay');
   if (!overlay) {
     overlay = createLoadingOverlay();
   }
+  overlay.classList.remove('has-error');
   overlay.style.display = 'flex';
+  overlay.style.pointerEvents = 'auto';
   requestAnimationFrame(() => {
     overlay.style.opacity = '1';
   });
 }
 /**
  *
- * Cache l'overlay de chargement après un court délai pour permettre l'affichage des assets.
- * @async
- * @returns {Promise<void>} - Se résout après un délai et masquage.
+ * Cache l'overlay de chargement (appelée dès que l'iframe signale qu'elle est prête).
+ * @returns {void}
  */
-async function hideLoadingOverlay() {
+function hideLoadingOverlay() {
   const overlay = document.getElementById('preview-loading-overlay');
   if (!overlay) return;
-  await new Promise(resolve => setTimeout(resolve, 2500));
+  overlay.classList.remove('has-error');
   overlay.style.display = 'none';
   overlay.style.pointerEvents = 'none';
 }
+/**
+ *
+ * Affiche dans l'overlay la raison pour laquelle l'aperçu n'a pas pu être chargé.
+ * L'overlay reste visible jusqu'à ce que l'utilisateur clique dessus ou relance un aperçu.
+ * @param {string} detail - Cause technique (fichier en erreur, délai dépassé...).
+ * @returns {void}
+ */
+function showPreviewError(detail) {
+  const overlay = document.getElementById('preview-loading-overlay') || createLoadingOverlay();
+  const message = overlay.querySelector('.preview-loading-error');
+  message.textContent = `${TRANSLATION_UI.preview_error || ''} ${detail}`.trim();
+  overlay.classList.add('has-error');
+  overlay.style.display = 'flex';
+  overlay.style.opacity = '1';
+  overlay.style.pointerEvents = 'auto';
+}
+/**
+ *
+ * Attend que l'iframe signale que l'aperçu est prêt : CSS appliquées, polices chargées,
+ * images décodées et effets démarrés (voir js/core/celebrations-effects.js).
+ * @param {HTMLIFrameElement} frame - Iframe de prévisualisation.
+ * @param {number} [timeout=PREVIEW_READY_TIMEOUT] - Délai maximal en millisecondes.
+ * @returns {Promise<void>} - Rejetée avec la cause de l'échec ou en cas de délai dépassé.
+ */
+function waitForPreviewReady(frame, timeout = PREVIEW_READY_TIMEOUT) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(TRANSLATION_UI.preview_timeout || 'timeout'));
+    }, timeout);
+    function cleanup() {
+      clearTimeout(timer);
+      window.removeEventListener('message', onMessage);
+    }
+    function onMessage(event) {
+      const data = event.data;
+      if (event.source !== frame.contentWindow || event.origin !== window.location.origin) return;
+      if (!data || data.channel !== PREVIEW_CHANNEL) return;
+      if (data.type === 'ready') {
+        cleanup();
+        resolve();
+      } else if (data.type === 'error') {
+        cleanup();
+        reject(new Error(data.message));
+      }
+    }
+    window.addEventListener('message', onMessage);
+    frame.contentWindow.postMessage({ channel: PREVIEW_CHANNEL, type: 'check-ready' }, window.location.origin);
+  });
+}
 /**
  *
  * Nettoie l'iframe en supprimant tous les assets (CSS et JS) du thème précédemment injectés.
@@ -351,10 +434,34 @@ function cleanOldAssets(doc) {
  * @async
  * @param {Object} rawThemes - Configuration complète des thèmes disponibles.
  * @param {string} themeName - Nom du thème à prévisualiser.
- * @returns {Promise<void>} - Se résout une fois les assets chargés et l'overlay masqué.
+ * L'overlay de chargement reste affiché jusqu'à ce que l'iframe signale que l'aperçu est prêt.
+ * @returns {Promise<void>} - Se résout une fois l'aperçu prêt (ou l'erreur affichée).
  */
 export async function updatePreview(rawThemes, themeName) {
-  await showLoadingOverlay();
+  lastPreview = { rawThemes, themeName };
+  previewState = null;
+  previewReloading = true;
+  try {
+    await reloadPreview(rawThemes, themeName);
+  } finally {
+    previewReloading = false;
+  }
+  if (queuedRefresh) {
+    const { rawThemes: queuedThemes, themeName: queuedTheme } = queuedRefresh;
+    queuedRefresh = null;
+    await refreshPreview(queuedThemes, queuedTheme);
+  }
+}
+/**
+ *
+ * Recharge l'iframe de prévisualisation et y injecte les assets du thème.
+ * @async
+ * @param {Object} rawThemes - Configuration complète des thèmes disponibles.
+ * @param {string} themeName - Nom du thème à prévisualiser.
+ * @returns {Promise<void>}
+ */
+async function reloadPreview(rawThemes, themeName) {
+  showLoadingOverlay();
   const previewBtn = getById('preview-button');
   const createBtn = getById('create-button');
   toggleButtons([previewBtn,createBtn], true);
@@ -362,7 +469,7 @@ export async function updatePreview(rawThemes, themeName) {
   if (!iframe) return;
   const themeData = rawThemes[themeName];
   if (!themeData) {
-    await hideLoadingOverlay();
+    hideLoadingOverlay();
     return;
   }
   await new Promise(resolve => {
@@ -371,31 +478,88 @@ export async function updatePreview(rawThemes, themeName) {
   });
   const doc = iframe.contentDocument || iframe.contentWindow.document;
   if (!doc) {
-    await hideLoadingOverlay();
+    hideLoadingOverlay();
     return;
   }
   await cleanOldAssets(doc);
-  const { cssFiles, jsFiles, jsOptions } = collectThemeAssets(themeData, themeName);
+  const { cssFiles, jsFiles, jsOptions, runtimeSettings } = collectThemeAssets(themeData, themeName);
   await injectCSSFiles(doc, cssFiles, themeName);
-  await injectJSFilesAsync(doc, jsFiles, themeName, jsOptions);
-  await hideLoadingOverlay();
+  try {
+    await injectJSFilesAsync(doc, jsFiles, themeName, jsOptions, runtimeSettings);
+    previewState = { themeName, signature: getAssetsSignature(cssFiles, jsFiles, runtimeSettings) };
+    // Sans script injecté, l'iframe n'a rien à préparer (et personne pour répondre)
+    if (jsFiles.length > 0) await waitForPreviewReady(iframe);
+    hideLoadingOverlay();
+  } catch (error) {
+    console.error("Erreur de prévisualisation :", error);
+    showPreviewError(error.message);
+  }
   toggleButtons([previewBtn,createBtn], false);
 }
+/**
+ *
+ * Résume la liste des assets et des réglages d'un aperçu : deux aperçus de même signature
+ * ne diffèrent que par les options des éléments.
+ * @param {Array<string>} cssFiles - URL des fichiers CSS.
+ * @param {Array<string>} jsFiles - URL des fichiers JS.
+ * @param {{motionToggle: boolean, qualityMode: string}} runtimeSettings - Réglages du thème.
+ * @returns {string}
+ */
+function getAssetsSignature(cssFiles, jsFiles, runtimeSettings) {
+  return JSON.stringify([cssFiles, jsFiles, runtimeSettings]);
+}
+/**
+ *
+ * Applique les valeurs courantes du formulaire à la prévisualisation.
+ * Si seuls les réglages des éléments ont changé (quantité, vitesse, taille, vent...), les nouvelles
+ * options sont envoyées à l'iframe par postMessage et appliquées aux effets en cours.
+ * L'iframe n'est rechargée que si un élément a été activé ou désactivé (ou si un autre thème est affiché).
+ * @async
+ * @param {Object} rawThemes - Configuration complète des thèmes disponibles.
+ * @param {string} themeName - Nom du thème prévisualisé.
+ * @returns {Promise<void>}
+ */
+export async function refreshPreview(rawThemes, themeName) {
+  const themeData = rawThemes[themeName];
+  if (!themeData) return;
+  if (previewReloading) {
+    queuedRefresh = { rawThemes, themeName };
+    return;
+  }
+  const { cssFiles, jsFiles, jsOptions, runtimeSettings } = collectThemeAssets(themeData, themeName);
+  const iframe = getById('theme-preview');
+  const signature = getAssetsSignature(cssFiles, jsFiles, runtimeSettings);
+  if (!iframe?.contentWindow || !previewState || previewState.themeName !== themeName || previewState.signature !== signature) {
+    await updatePreview(rawThemes, themeName);
+    return;
+  }
+  iframe.contentWindow.postMessage({
+    channel: PREVIEW_CHANNEL,
+    type: 'update-options',
+    theme: themeName,
+    options: jsOptions
+  }, window.location.origin);
+}
 /**
  *
  * Injecte de manière asynchrone les scripts JS et les options de thème dans le document de l'iframe.
- * Les scripts sont récupérés via fetch et injectés comme scripts inline pour garantir l'exécution
- * et le respect des dépendances de l'API.
+ * Les scripts sont récupérés en parallèle via fetch puis injectés comme scripts inline dans l'ordre
+ * de la liste, afin que les scripts partagés (js/core/) soient exécutés avant les éléments qui en dépendent.
+ * Les éléments s'enregistrent auprès de CelebrationsEffects, puis sont démarrés ensemble avec les options du thème.
+ * Si un script ne peut pas être récupéré (erreur réseau ou réponse HTTP en erreur), aucun script n'est injecté
+ * et les effets ne sont pas démarrés.
  * @async
  * @param {HTMLDocument} doc - Document de l'iframe.
  * @param {Array<string>} jsFiles - Liste des URL des fichiers JS à injecter.
  * @param {string} selectedTheme - Nom du thème.
  * @param {Object} jsOptions - Options JavaScript à inclure.
- * @returns {Promise<void>} - Se résout une fois tous les scripts chargés et exécutés.
+ * @param {{motionToggle: boolean, qualityMode: string}} runtimeSettings - Réglages lus par les scripts partagés.
+ * @returns {Promise<void>} - Se résout une fois tous les scripts exécutés et les effets démarrés ;
+ * rejetée avec le fichier en erreur.
  */
-async function injectJSFilesAsync(doc, jsFiles, selectedTheme, jsOptions) {
+async function injectJSFilesAsync(doc, jsFiles, selectedTheme, jsOptions, runtimeSettings) {
   const body = doc.body;
-  const optionsScript = generateOptionsScript(selectedTheme, jsOptions);
+  const optionsScript = generateOptionsScript(selectedTheme, jsOptions, runtimeSettings);
   if (optionsScript) {
     const optScript = doc.createElement('script');
     optScript.type = 'text/javascript';
@@ -404,23 +568,25 @@ async function injectJSFilesAsync(doc, jsFiles, selectedTheme, jsOptions) {
     body.appendChild(optScript);
   }
   const uniqueJsFiles = [...new Set(jsFiles)];
-  const loadPromises = uniqueJsFiles.map(src => {
+  const sources = await Promise.all(uniqueJsFiles.map(src => {
     return fetch(src)
-      .then(res => res.text())
-      .then(code => {
-        const inlineScript = doc.createElement('script');
-        inlineScript.type = 'text/javascript';
-        inlineScript.textContent = code;
-        inlineScript.dataset.theme = selectedTheme;
-        body.appendChild(inlineScript);
-        if (doc.readyState === 'complete' || doc.readyState === 'interactive') {
-          const event = new Event('DOMContentLoaded', { bubbles: true, cancelable: true });
-          doc.dispatchEvent(event);
-        }
+      .catch(err => {
+        throw new Error(`JS : ${src} (${err.message})`);
       })
-      .catch(err => console.error('Erreur chargement JS:', err));
+      .then(res => {
+        if (!res.ok) throw new Error(`JS : ${src} (HTTP ${res.status})`);
+        return res.text();
+      });
+  }));
+  sources.forEach(code => {
+    const inlineScript = doc.createElement('script');
+    inlineScript.type = 'text/javascript';
+    inlineScript.textContent = code;
+    inlineScript.dataset.theme = selectedTheme;
+    body.appendChild(inlineScript);
   });
-  await Promise.all(loadPromises);
+  const effects = doc.defaultView?.CelebrationsEffects;
+  if (effects) effects.startAll(jsOptions);
 }
 /**
  *
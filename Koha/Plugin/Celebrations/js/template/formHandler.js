@@ -3,8 +3,233 @@
  *  Gestion du formulaire de thème
  * ======================================================
  */
-import { API_ENDPOINTS, TRANSLATION_BACKEND } from './config.js';
-import { getById, toggleButtons } from './utils.js';
+import { API_ENDPOINTS, TRANSLATION_UI, TRANSLATION_BACKEND } from './config.js';
+import { getById, addDays, formatDate, formatDateForInput, formatTimeForInput, toggleButtons, toLibraryDate, toLibraryTimestamp, branchesOverlap } from './utils.js';
+import { getRecurrenceFromForm, getReferencePeriod, getOverlappingOccurrence, isComputedRecurrence, isRecurringTheme, isValidRecurrence } from './recurrence.js';
+/**
+ *
+ *  Nombre de jours parcourus avant et après les dates saisies pour proposer une période libre.
+ */
+const FREE_WINDOW_SEARCH_DAYS = 366;
+/**
+ *
+ *  Vérifie la règle de récurrence avant l'envoi et affiche l'erreur si elle est invalide
+ *  (mêmes contrôles que le serveur, pour ne pas envoyer de dates impossibles à calculer).
+ *  @param {Object} elements - Références vers les éléments DOM utiles (messages)
+ *  @returns {Object|null} - Règle à envoyer, ou null si elle est invalide
+ */
+function readValidRecurrence(elements) {
+  const recurrence = getRecurrenceFromForm();
+  if (isValidRecurrence(recurrence)) return recurrence;
+  elements.erreurMessage.textContent = TRANSLATION_BACKEND['recurrence_invalid'];
+  elements.erreurMessage.style.display = "block";
+  setTimeout(() => {
+    elements.erreurMessage.style.display = 'none';
+  }, 5000);
+  return null;
+}
+/**
+ *
+ *  Lit les heures facultatives de début et de fin saisies (HH:MM). Elles ne sont pas envoyées
+ *  pour une règle calculée, dont les occurrences couvrent des journées entières.
+ *  @param {HTMLFormElement} form - Formulaire du thème
+ *  @param {Object} recurrence - Règle de récurrence saisie
+ *  @returns {{start_time?: string, end_time?: string}} - Heures saisies, à ajouter au corps de la requête
+ */
+function readPeriodTimes(form, recurrence) {
+  if (isComputedRecurrence(recurrence)) return {};
+  const times = {};
+  ['start_time', 'end_time'].forEach(name => {
+    const value = form.querySelector(`input[name="${name}"]`)?.value;
+    if (value) times[name] = value;
+  });
+  return times;
+}
+/**
+ *
+ *  Lit les bibliothèques ciblées choisies dans le formulaire (aucune : toutes les bibliothèques).
+ *  @returns {Array<string>} - Codes des bibliothèques sélectionnées
+ */
+function readSelectedBranches() {
+  return Array.from(getById('theme_branches')?.selectedOptions || []).map(option => option.value);
+}
+/**
+ *
+ *  Cherche une entrée active dont la période chevauche celle de l'entrée à enregistrer
+ *  (mêmes règles que check_theme_conflicts dans Lib/ThemeManager.pm : deux thèmes
+ *  combinables, ou qui ne ciblent aucune bibliothèque en commun, peuvent se chevaucher).
+ *  @param {string|null} themeId - Id de l'entrée modifiée (ignorée dans la comparaison), null pour une nouvelle entrée
+ *  @param {Object} candidate - Période à enregistrer (start_date/end_date en secondes, recurrence, can_combine, branches)
+ *  @param {Object} allThemes - Entrées programmées, indexées par id
+ *  @returns {{themeId: string, themeName: string, start: Date, end: Date}|null} - Entrée et occurrence en conflit
+ */
+export function findThemeConflict(themeId, candidate, allThemes) {
+  for (const [existingId, existing] of Object.entries(allThemes || {})) {
+    if (existingId === themeId || !existing.active) continue;
+    if (candidate.can_combine && existing.can_combine) continue;
+    if (!branchesOverlap(candidate.branches, existing.branches)) continue;
+    const occurrence = getOverlappingOccurrence(candidate, existing);
+    if (occurrence) return { themeId: existingId, themeName: existing.theme_name, ...occurrence };
+  }
+  return null;
+}
+/**
+ *
+ *  Cherche la période libre la plus proche en décalant les dates saisies jour par jour,
+ *  sans changer leur durée. Les dates d'une règle calculée (ex: Pâques) ne peuvent être décalées.
+ *  @param {string|null} themeId - Id de l'entrée modifiée, null pour une nouvelle entrée
+ *  @param {Object} candidate - Période en conflit (start_date/end_date en secondes, recurrence)
+ *  @param {Object} allThemes - Entrées programmées, indexées par id
+ *  @returns {{start: Date, end: Date}|null} - Période libre, ou null si aucune n'a été trouvée
+ */
+export function findNearestFreeWindow(themeId, candidate, allThemes) {
+  if (isComputedRecurrence(candidate.recurrence)) return null;
+  const start = toLibraryDate(candidate.start_date);
+  const end = toLibraryDate(candidate.end_date);
+  const now = toLibraryDate(Date.now() / 1000);
+  for (let distance = 1; distance <= FREE_WINDOW_SEARCH_DAYS; distance++) {
+    for (const days of [distance, -distance]) {
+      const period = { start: addDays(start, days), end: addDays(end, days) };
+      // Une période fixe déjà terminée n'est pas une proposition utile
+      if (!isRecurringTheme(candidate) && period.end < now) continue;
+      const shifted = {
+        ...candidate,
+        start_date: toLibraryTimestamp(period.start),
+        end_date: toLibraryTimestamp(period.end)
+      };
+      if (!findThemeConflict(themeId, shifted, allThemes)) return period;
+    }
+  }
+  return null;
+}
+/**
+ *
+ *  Cherche une entrée active, superposée à l'entrée à enregistrer et plus prioritaire qu'elle :
+ *  le bouton pause et la qualité des effets de l'OPAC sont ceux du thème le plus prioritaire
+ *  (voir get_opac_js dans Lib/AssetHandler.pm). À priorité égale, l'ordre alphabétique
+ *  des ids départage, comme get_active_themes dans Lib/ThemeManager.pm.
+ *  @param {string|null} themeId - Id de l'entrée modifiée, null pour une nouvelle entrée
+ *  @param {Object} candidate - Entrée à enregistrer (voir readFormCandidate)
+ *  @param {Object} allThemes - Entrées programmées, indexées par id
+ *  @returns {{themeId: string, themeName: string}|null} - Entrée la plus prioritaire trouvée
+ */
+export function findHigherLayer(themeId, candidate, allThemes) {
+  if (!candidate.can_combine) return null;
+  const ownId = themeId || candidate.theme_name;
+  for (const [existingId, existing] of Object.entries(allThemes || {})) {
+    if (existingId === themeId || !existing.active || !existing.can_combine) continue;
+    const priority = existing.priority || 0;
+    if (priority < candidate.priority || (priority === candidate.priority && existingId > ownId)) continue;
+    if (!branchesOverlap(candidate.branches, existing.branches)) continue;
+    if (getOverlappingOccurrence(candidate, existing)) return { themeId: existingId, themeName: existing.theme_name };
+  }
+  return null;
+}
+/**
+ *
+ *  Lit dans le formulaire la période et les réglages de superposition de l'entrée à enregistrer.
+ *  @returns {Object|null} - Entrée (start_date/end_date en secondes, recurrence, can_combine,
+ *  branches, priority, theme_name), ou null si les dates ou la récurrence sont incomplètes
+ */
+function readFormCandidate() {
+  const period = getReferencePeriod();
+  const recurrence = getRecurrenceFromForm();
+  if (!period || !isValidRecurrence(recurrence)) return null;
+  return {
+    start_date: toLibraryTimestamp(period.start),
+    end_date: toLibraryTimestamp(period.end),
+    recurrence,
+    can_combine: getById('can_combine')?.checked || false,
+    branches: readSelectedBranches(),
+    priority: parseInt(getById('theme_priority')?.value, 10) || 0,
+    theme_name: getById('theme-select')?.value || ''
+  };
+}
+/**
+ *
+ *  Désactive le bouton pause et la qualité des effets lorsqu'un thème plus prioritaire
+ *  est superposé à l'entrée : ses réglages s'appliquent alors dans l'OPAC, et la note
+ *  sous les champs le nomme. Sans entrées (allThemes vide), les champs sont réactivés.
+ *  @param {string|null} themeId - Id de l'entrée en cours de modification, null en création
+ *  @param {Object} allThemes - Entrées programmées, indexées par id
+ *  @returns {void}
+ */
+export function checkRuntimeSettingsLayer(themeId, allThemes) {
+  const candidate = readFormCandidate();
+  const higherLayer = candidate && findHigherLayer(themeId, candidate, allThemes);
+  ['motion_toggle', 'quality_mode'].forEach(id => {
+    const field = getById(id);
+    if (field) field.disabled = Boolean(higherLayer);
+  });
+  const note = getById('runtime-settings-note');
+  if (!note) return;
+  note.textContent = higherLayer
+    ? `${TRANSLATION_UI.form['runtime_settings_layer']} ${TRANSLATION_UI.form[higherLayer.themeName] || higherLayer.themeName}`
+    : TRANSLATION_UI.form['runtime_settings_aide'];
+}
+/**
+ *
+ *  Retire les signalements de conflit (message sous les dates, cartes et barres surlignées)
+ *  @returns {void}
+ */
+export function clearDateConflicts() {
+  const conflictBox = getById('date-conflict');
+  if (conflictBox) {
+    conflictBox.style.display = 'none';
+    conflictBox.innerHTML = '';
+  }
+  document.querySelectorAll('.date-conflict-source').forEach(el => el.classList.remove('date-conflict-source'));
+}
+/**
+ *
+ *  Vérifie les dates saisies par rapport aux entrées programmées. En cas de conflit,
+ *  surligne la carte de l'entrée concernée, affiche ses dates sous le formulaire
+ *  et propose la période libre la plus proche. Une entrée suspendue n'est pas vérifiée :
+ *  ses conflits le seront à sa réactivation.
+ *  @param {string|null} themeId - Id de l'entrée en cours de modification, null en création
+ *  @param {Object} allThemes - Entrées programmées, indexées par id
+ *  @returns {boolean} - true si les dates saisies sont en conflit
+ */
+export function checkDateConflicts(themeId, allThemes) {
+  clearDateConflicts();
+  if (themeId && allThemes?.[themeId] && !allThemes[themeId].active) return false;
+  const candidate = readFormCandidate();
+  if (!candidate) return false;
+  const conflict = findThemeConflict(themeId, candidate, allThemes);
+  if (!conflict) return false;
+  document.querySelectorAll(`[data-id="${conflict.themeId}"]`).forEach(el => {
+    (el.closest('.theme-card-wrapper') || el).classList.add('date-conflict-source');
+  });
+  const conflictBox = getById('date-conflict');
+  if (!conflictBox) return true;
+  const message = document.createElement('p');
+  message.textContent = `${TRANSLATION_UI.form['date_conflict']} ${TRANSLATION_UI.form[conflict.themeName] || conflict.themeName} : `
+    + `${formatDate(toLibraryTimestamp(conflict.start))} → ${formatDate(toLibraryTimestamp(conflict.end))}`;
+  conflictBox.appendChild(message);
+  const freeWindow = findNearestFreeWindow(themeId, candidate, allThemes);
+  const suggestion = document.createElement('p');
+  if (freeWindow) {
+    suggestion.textContent = `${TRANSLATION_UI.form['date_conflict_window']} `
+      + `${formatDate(toLibraryTimestamp(freeWindow.start))} → ${formatDate(toLibraryTimestamp(freeWindow.end))}`;
+    const useButton = document.createElement('button');
+    useButton.type = 'button';
+    useButton.className = 'date-conflict-use';
+    useButton.textContent = TRANSLATION_UI.form['date_conflict_use'];
+    useButton.addEventListener('click', () => {
+      getById('start_date').value = formatDateForInput(toLibraryTimestamp(freeWindow.start));
+      getById('end_date').value = formatDateForInput(toLibraryTimestamp(freeWindow.end));
+      getById('start_time').value = formatTimeForInput(toLibraryTimestamp(freeWindow.start));
+      getById('end_time').value = formatTimeForInput(toLibraryTimestamp(freeWindow.end), true);
+      getById('end_date').dispatchEvent(new Event('change', { bubbles: true }));
+    });
+    suggestion.appendChild(useButton);
+  } else {
+    suggestion.textContent = TRANSLATION_UI.form['date_conflict_no_window'];
+  }
+  conflictBox.appendChild(suggestion);
+  conflictBox.style.display = '';
+  return true;
+}
 /**
  *
  *  Soumet le formulaire de thème au serveur
@@ -23,6 +248,8 @@ export async function submitThemeForm(form, rawThemes, elements, onSuccess) {
   const prevBtn = getById('preview-button');
   const start_date = form.querySelector('input[name="start_date"]').value;
   const end_date = form.querySelector('input[name="end_date"]').value;
+  const recurrence = readValidRecurrence(elements);
+  if (!recurrence) return;
   toggleButtons([submitBtn, prevBtn], true);
   const elementsPayload = {};
   if (themeData && themeData.elements) {
@@ -56,6 +283,13 @@ export async function submitThemeForm(form, rawThemes, elements, onSuccess) {
     theme: selectedTheme,
     start_date,
     end_date,
+    ...readPeriodTimes(form, recurrence),
+    recurrence,
+    motion_toggle: getById('motion_toggle')?.checked || false,
+    quality_mode: getById('quality_mode')?.value || 'adaptive',
+    priority: parseInt(getById('theme_priority')?.value, 10) || 0,
+    can_combine: getById('can_combine')?.checked || false,
+    branches: readSelectedBranches(),
     elements: elementsPayload
   };
   try {
@@ -124,16 +358,19 @@ export function resetConfiguration(form, currentSettings) {
 }
 /**
  * ------------------------------------------------------
- *  Met à jour un thème existant dans la BD
+ *  Met à jour une entrée programmée dans la BD
  * ------------------------------------------------------
- *  @param {string} themeName - Nom du thème à modifier
+ *  @param {string} themeId - Id de l'entrée à modifier
+ *  @param {string} themeName - Nom du thème de l'entrée
  *  @param {Object} rawThemes - Toutes les configs de thèmes
  *  @param {HTMLElement} form - Le formulaire contenant les nouvelles valeurs
  *  @param {Object} elements - Tous les éléments DOM utiles (messages, boutons)
  */
-export async function updateTheme(themeName, rawThemes, form, elements) {
+export async function updateTheme(themeId, themeName, rawThemes, form, elements) {
   const submitBtn = form.querySelector('button[type="submit"], input[type="submit"]');
   const resetBtn = form.querySelector('button[type="reset"], input[type="reset"]');
+  const recurrence = readValidRecurrence(elements);
+  if (!recurrence) return false;
   toggleButtons([submitBtn, resetBtn], true);
   const themeData = rawThemes[themeName];
   const start_date = form.querySelector('input[name="start_date"]').value;
@@ -162,10 +399,17 @@ export async function updateTheme(themeName, rawThemes, form, elements) {
   const payload = {
     start_date,
     end_date,
+    ...readPeriodTimes(form, recurrence),
+    recurrence,
+    motion_toggle: getById('motion_toggle')?.checked || false,
+    quality_mode: getById('quality_mode')?.value || 'adaptive',
+    priority: parseInt(getById('theme_priority')?.value, 10) || 0,
+    can_combine: getById('can_combine')?.checked || false,
+    branches: readSelectedBranches(),
     elements: elementsPayload
   };
   try {
-    const response = await fetch(`${API_ENDPOINTS.themes}/${encodeURIComponent(themeName)}`, {
+    const response = await fetch(`${API_ENDPOINTS.themes}/${encodeURIComponent(themeId)}`, {
       method: 'PUT',
       credentials: 'same-origin',
       body: JSON.stringify(payload),
@@ -198,3 +442,59 @@ export async function updateTheme(themeName, rawThemes, form, elements) {
     }, 4000);
   }
 }
+/**
+ * ------------------------------------------------------
+ *  Modifie uniquement les dates d'une entrée programmée
+ * ------------------------------------------------------
+ *  Les autres paramètres (récurrence, options, éléments) sont renvoyés tels qu'enregistrés.
+ *  Les heures de la nouvelle période sont conservées.
+ *  @param {string} themeId - Id de l'entrée à modifier
+ *  @param {Object} theme - Données enregistrées du thème (liste de l'API ou ALL_THEMES)
+ *  @param {Object} rawThemes - Toutes les configs de thèmes
+ *  @param {{start: Date, end: Date}} period - Nouvelle période
+ *  @returns {Promise<{success: boolean, message: string}>} - Résultat renvoyé par l'API
+ */
+export async function updateThemeDates(themeId, theme, rawThemes, period) {
+  const start = toLibraryTimestamp(period.start);
+  const end = toLibraryTimestamp(period.end);
+  const start_time = formatTimeForInput(start);
+  const end_time = formatTimeForInput(end, true);
+  const elementsPayload = {};
+  Object.entries(theme.elements || {}).forEach(([elementKey, element]) => {
+    const setting = rawThemes[theme.theme_name]?.elements?.[elementKey]?.setting;
+    if (!setting) return;
+    elementsPayload[setting] = {
+      enabled: Boolean(element.enabled),
+      options: element.options || {}
+    };
+  });
+  const payload = {
+    start_date: formatDateForInput(start),
+    end_date: formatDateForInput(end),
+    ...(start_time ? { start_time } : {}),
+    ...(end_time ? { end_time } : {}),
+    recurrence: theme.recurrence || { type: 'none' },
+    motion_toggle: Boolean(theme.motion_toggle),
+    quality_mode: theme.quality_mode || 'adaptive',
+    priority: theme.priority || 0,
+    can_combine: Boolean(theme.can_combine),
+    branches: theme.branches || [],
+    elements: elementsPayload
+  };
+  try {
+    const response = await fetch(`${API_ENDPOINTS.themes}/${encodeURIComponent(themeId)}`, {
+      method: 'PUT',
+      credentials: 'same-origin',
+      body: JSON.stringify(payload),
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json'
+      }
+    });
+    const json = await response.json();
+    return json.results?.result || { success: false, message: 'update_error' };
+  } catch (error) {
+    console.error("Erreur réseau:", error);
+    return { success: false, message: 'connexion_error' };
+  }
+}
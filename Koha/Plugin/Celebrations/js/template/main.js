@@ -3,11 +3,17 @@
  *  Script principal du module de gestion des thèmes
  * ======================================================
  */
-import { getById, safeParseJSON, renderThemesGrid, disableAllActionButtons, enableAllActionButtons, areAllThemesConfigured } from './utils.js';
-import { refreshThemesGridFromAPI } from './themeGrid.js';
-import { submitThemeForm, updateTheme } from './formHandler.js';
+import { getById, safeParseJSON, renderThemesGrid, refreshThemesAfterChange, disableAllActionButtons, enableAllActionButtons } from './utils.js';
+import { refreshThemesGridFromAPI, rollForwardExpiredThemes } from './themeGrid.js';
+import { submitThemeForm, updateTheme, checkDateConflicts, checkRuntimeSettingsLayer } from './formHandler.js';
 import { updateThemeOptions, refreshThemeSelect, exitThemeEditor } from './themeOptions.js';
-import { updatePreview, initDevicePreviewSwitcher } from './devicePreview.js';
+import { updatePreview, refreshPreview, initDevicePreviewSwitcher } from './devicePreview.js';
+import { initRecurrenceForm } from './recurrence.js';
+import { initThemesTimeline } from './themeTimeline.js';
+import { initScheduleTransfer } from './scheduleTransfer.js';
+import { initThemeTrash } from './themeTrash.js';
+import { initThemeHistory } from './themeHistory.js';
+import { initThemeFilters } from './themeFilters.js';
 /**
  *
  * Classe principale pour gérer l'application des thèmes
@@ -17,7 +23,6 @@ class ThemeManager {
     this.elements = this.initializeElements();
     this.state = this.initializeState();
     this.observer = null;
-    this.state.isAllConfigured = false;
   }
   /**
    *
@@ -41,14 +46,14 @@ class ThemeManager {
   }
   /**
    *
-   * Initialise l'état de l'application
+   * Initialise l'état de l'application (entrées programmées indexées par id)
    */
   initializeState() {
     const allThemesRaw = safeParseJSON(ALL_THEMES, "ALL_THEMES");
     const allThemes = Array.isArray(allThemesRaw)
     ? Object.fromEntries(
         allThemesRaw.map(t => [
-          t.theme_name || t.name,
+          t.id,
           t
         ])
       )
@@ -93,35 +98,35 @@ class ThemeManager {
     this.elements.themeSelect.addEventListener('change', () => {
       updateThemeOptions(this.state.rawThemes, this.elements.themeSelect);
     });
-    this.elements.themeSelect.addEventListener('allConfigured', () => {
-      if (!this.state.isAllConfigured) {
-        this.state.isAllConfigured = true;
-        enterAllConfiguredMode(this.elements);
-      }
-    });
-    this.elements.themeSelect.addEventListener('notAllConfigured', () => {
-      if (this.state.isAllConfigured) {
-        this.state.isAllConfigured = false;
-        exitAllConfiguredMode(this.elements);
-      }
-    });
+  }
+  /**
+   *
+   * Vérifie les chevauchements avec les autres thèmes à chaque modification des dates
+   * ou de la récurrence (après le calcul des dates d'une règle calculée), ainsi que
+   * le thème superposé plus prioritaire dont les réglages d'animation s'appliquent
+   */
+  setupConflictCheck() {
+    const checkConflicts = event => {
+      if (!event.target.closest('#theme-dates-row, #recurrence-row, #toggle_combine, #priority-row, #branches-row')) return;
+      checkDateConflicts(this.getEditedThemeId(), this.state.allThemes);
+      checkRuntimeSettingsLayer(this.getEditedThemeId(), this.state.allThemes);
+    };
+    this.elements.form.addEventListener('input', checkConflicts);
+    this.elements.form.addEventListener('change', checkConflicts);
   }
   /**
    *
    * Gère la soumission du formulaire
    */
   async handleFormSubmit() {
+    if (checkDateConflicts(null, this.state.allThemes)) return;
     await submitThemeForm(
       this.elements.form,
       this.state.rawThemes,
       this.elements,
       async () => {
         await refreshThemesGridFromAPI(this.state, this.elements, this.state.rawThemes);
-        refreshThemeSelect(this.state.allThemes, this.state.rawThemes, this.elements.themeSelect);
-        if (areAllThemesConfigured(this.state.allThemes, this.state.rawThemes)) {
-          this.state.isAllConfigured = true;
-          enterAllConfiguredMode(this.elements);
-        }
+        refreshThemeSelect(this.state.rawThemes, this.elements.themeSelect);
       }
     );
   }
@@ -141,6 +146,26 @@ class ThemeManager {
       }
     });
   }
+  /**
+   *
+   * Applique en direct les changements d'options à la prévisualisation.
+   * Seuls les événements déclenchés par l'utilisateur remontent jusqu'au formulaire :
+   * les "change" émis par le code (sans bubbles) ne provoquent pas de rafraîchissement.
+   */
+  setupLivePreview() {
+    const form = this.elements.form;
+    if (!form) return;
+    const onOptionChange = (event) => {
+      const input = event.target;
+      if (!input.closest('.form-group, #toggle_motion, #quality-mode-row')) return;
+      // Les sliders sont suivis pendant le glissement, les autres champs à la validation
+      if ((input.type === 'range') !== (event.type === 'input')) return;
+      const themeName = this.getActiveThemeName();
+      if (themeName) refreshPreview(this.state.rawThemes, themeName);
+    };
+    form.addEventListener('input', onOptionChange);
+    form.addEventListener('change', onOptionChange);
+  }
   /**
    *
    * Configure le bouton de prévisualisation
@@ -154,6 +179,17 @@ class ThemeManager {
       }
     });
   }
+  /**
+   *
+   * Configure le bouton de report des thèmes expirés à l'année suivante
+   */
+  setupRollForwardButton() {
+    const rollForwardBtn = getById('roll-forward-expired');
+    if (!rollForwardBtn) return;
+    rollForwardBtn.addEventListener('click', () => rollForwardExpiredThemes(
+      () => refreshThemesAfterChange(this.state, this.elements)
+    ));
+  }
   /**
    *
    * Configure le bouton de mise à jour
@@ -177,12 +213,14 @@ class ThemeManager {
     ];
     this.toggleButtons(buttons, true);
     try {
+      const themeId = this.getEditedThemeId();
       const themeName = this.getActiveThemeName();
-      if (!themeName) return;
-      const success = await updateTheme(themeName, this.state.rawThemes, this.elements.form, this.elements);
+      if (!themeId || !themeName) return;
+      if (checkDateConflicts(themeId, this.state.allThemes)) return;
+      const success = await updateTheme(themeId, themeName, this.state.rawThemes, this.elements.form, this.elements);
       if (!success) return;
       await refreshThemesGridFromAPI(this.state, this.elements, this.state.rawThemes);
-      refreshThemeSelect(this.state.allThemes, this.state.rawThemes, this.elements.themeSelect);
+      refreshThemeSelect(this.state.rawThemes, this.elements.themeSelect);
       exitThemeEditor(this.state.rawThemes, this.elements);
       const activeTheme = this.elements.themeSelect.value;
       updatePreview(this.state.rawThemes, activeTheme);
@@ -198,6 +236,13 @@ class ThemeManager {
     const visibleFormGroup = document.querySelector('.form-group[style*="display: block"]');
     return visibleFormGroup ? visibleFormGroup.id.replace('-options', '') : null;
   }
+  /**
+   *
+   * Récupère l'id de l'entrée programmée en cours d'édition (null en création)
+   */
+  getEditedThemeId() {
+    return this.elements.form.dataset.themeId || null;
+  }
   /**
    *
    * Active/désactive un ensemble de boutons
@@ -232,20 +277,6 @@ class ThemeManager {
       initDevicePreviewSwitcher();
     }
   }
-   /**
-   *
-   * Vérifie au chargement si tous les thèmes sont configurés
-   * et bascule l’interface dans le mode approprié.
-   */
-  checkAllConfiguredOnLoad() {
-  if (areAllThemesConfigured(this.state.allThemes, this.state.rawThemes)) {
-    this.state.isAllConfigured = true;
-    enterAllConfiguredMode(this.elements);
-  } else {
-    this.state.isAllConfigured = false;
-    exitAllConfiguredMode(this.elements);
-  }
-}
   /**
    *
    * Initialise tous les composants de l'application
@@ -253,15 +284,23 @@ class ThemeManager {
   init() {
     this.setupMutationObserver();
     this.setupInitialButtonStates();
+    initThemeFilters(this.state, this.elements);
     renderThemesGrid(this.state, this.elements);
     this.setupFormListeners();
+    initRecurrenceForm();
+    initThemesTimeline();
+    initScheduleTransfer(this.state, this.elements);
+    initThemeTrash(this.state, this.elements);
+    initThemeHistory(this.state, this.elements);
+    this.setupConflictCheck();
     this.setupQuantitySliders();
+    this.setupLivePreview();
     this.setupPreviewButton();
     this.setupUpdateButton();
+    this.setupRollForwardButton();
     this.setupDevicePreviewSwitcher();
     this.setupWindowLoadEvent();
     updateThemeOptions(this.state.rawThemes, this.elements.themeSelect);
-    this.checkAllConfiguredOnLoad();
   }
 }
 /**
@@ -0,0 +1,373 @@
+/**
+ * ======================================================
+ *  Règles de récurrence des thèmes
+ * ======================================================
+ */
+import { TRANSLATION_UI, TRANSLATION_BACKEND } from './config.js';
+import { getById, formatDate, formatDateForInput, toLibraryDate, toLibraryTimestamp } from './utils.js';
+/**
+ *
+ * Nombre d'occurrences à venir affichées sous la règle de récurrence.
+ */
+const RECURRENCE_PREVIEW_COUNT = 3;
+/**
+ *
+ * Règles dont les dates sont calculées chaque année, avec leurs champs (input #recurrence_<champ>) :
+ * les dates saisies sont remplacées par celles de l'occurrence en cours ou à venir (voir Lib/Recurrence.pm).
+ */
+const COMPUTED_RECURRENCES = {
+  easter: ['start_offset', 'end_offset'],
+  nth_weekday: ['nth', 'weekday', 'month', 'offset', 'duration']
+};
+const MAX_OFFSET = 90;
+const MAX_DURATION = 364;
+/**
+ *
+ * Lit la règle de récurrence choisie dans le formulaire.
+ * @returns {{type: string}} - Règle envoyée à l'API avec le thème, avec les champs propres à son type.
+ */
+export function getRecurrenceFromForm() {
+  const type = getById('recurrence_type')?.value || 'none';
+  const recurrence = { type };
+  (COMPUTED_RECURRENCES[type] || []).forEach(field => {
+    recurrence[field] = parseInt(getById(`recurrence_${field}`)?.value, 10);
+  });
+  return recurrence;
+}
+/**
+ *
+ * Affiche une règle de récurrence enregistrée dans le formulaire.
+ * @param {{type: string}} [recurrence] - Règle du thème (aucune répétition par défaut).
+ * @returns {void}
+ */
+export function setRecurrenceInForm(recurrence) {
+  const typeSelect = getById('recurrence_type');
+  if (!typeSelect) return;
+  typeSelect.value = recurrence?.type || 'none';
+  Object.values(COMPUTED_RECURRENCES).flat().forEach(field => {
+    const input = getById(`recurrence_${field}`);
+    if (!input) return;
+    // Champs absents de la règle : valeurs par défaut du template
+    const defaultValue = input.tagName === 'SELECT'
+      ? [...input.options].find(option => option.defaultSelected)?.value
+      : input.defaultValue;
+    input.value = recurrence?.[field] ?? defaultValue;
+  });
+  updateRecurrenceForm();
+}
+/**
+ *
+ * Indique si un thème se répète d'une année sur l'autre.
+ * @param {Object} theme - Données du thème (liste de l'API ou ALL_THEMES).
+ * @returns {boolean}
+ */
+export function isRecurringTheme(theme) {
+  return Boolean(theme?.recurrence?.type && theme.recurrence.type !== 'none');
+}
+/**
+ *
+ * Indique si les dates d'une règle sont calculées (ex: Pâques) plutôt que saisies.
+ * @param {{type: string}} [recurrence] - Règle de récurrence.
+ * @returns {boolean}
+ */
+export function isComputedRecurrence(recurrence) {
+  return Object.hasOwn(COMPUTED_RECURRENCES, recurrence?.type || '');
+}
+/**
+ *
+ * Vérifie qu'une règle calculée est utilisable (mêmes contrôles que Lib/Recurrence.pm).
+ * @param {Object} recurrence - Règle lue dans le formulaire.
+ * @returns {boolean}
+ */
+export function isValidRecurrence(recurrence) {
+  const fields = COMPUTED_RECURRENCES[recurrence.type];
+  if (!fields) return true;
+  if (!fields.every(field => Number.isInteger(recurrence[field]))) return false;
+  if (recurrence.type === 'easter') {
+    const { start_offset: start, end_offset: end } = recurrence;
+    return start <= end && Math.abs(start) <= MAX_OFFSET && Math.abs(end) <= MAX_OFFSET;
+  }
+  const { month, weekday, nth, offset, duration } = recurrence;
+  return month >= 1 && month <= 12
+    && weekday >= 1 && weekday <= 7
+    && [1, 2, 3, 4, -1].includes(nth)
+    && Math.abs(offset) <= MAX_OFFSET
+    && duration >= 1 && duration <= MAX_DURATION;
+}
+/**
+ *
+ * Dimanche de Pâques (calendrier grégorien) d'une année, à minuit heure de la bibliothèque.
+ * Même algorithme (Meeus/Jones/Butcher) que Lib/Recurrence.pm.
+ * @param {number} year - Année.
+ * @returns {Date}
+ */
+export function easterSunday(year) {
+  const golden = year % 19;
+  const century = Math.floor(year / 100);
+  const rest = year % 100;
+  const d = Math.floor(century / 4);
+  const e = century % 4;
+  const f = Math.floor((century + 8) / 25);
+  const g = Math.floor((century - f + 1) / 3);
+  const h = (19 * golden + century - d - g + 15) % 30;
+  const i = Math.floor(rest / 4);
+  const k = rest % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((golden + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+/**
+ *
+ * Nième jour de la semaine d'un mois, à minuit heure de la bibliothèque (même calcul que Lib/Recurrence.pm).
+ * @param {number} year - Année.
+ * @param {number} month - Mois (1 à 12).
+ * @param {number} weekday - Jour de la semaine (1 = lundi ... 7 = dimanche).
+ * @param {number} nth - Rang (1 à 4), ou -1 pour le dernier du mois.
+ * @returns {Date}
+ */
+export function nthWeekday(year, month, weekday, nth) {
+  const isoDay = date => date.getDay() || 7;
+  if (nth > 0) {
+    const first = new Date(year, month - 1, 1);
+    return new Date(year, month - 1, 1 + (weekday - isoDay(first) + 7) % 7 + 7 * (nth - 1));
+  }
+  const last = new Date(year, month, 0);
+  return new Date(year, month - 1, last.getDate() - (isoDay(last) - weekday + 7) % 7);
+}
+/**
+ *
+ * Reporte une date sur une autre année (le 29 février devient le 28 les années non bissextiles).
+ * @param {Date} date - Date de référence.
+ * @param {number} year - Année cible.
+ * @returns {Date}
+ */
+function moveToYear(date, year) {
+  const lastDay = new Date(year, date.getMonth() + 1, 0).getDate();
+  return new Date(year, date.getMonth(), Math.min(date.getDate(), lastDay),
+    date.getHours(), date.getMinutes(), date.getSeconds());
+}
+/**
+ *
+ * Calcule l'occurrence d'une règle qui commence l'année donnée.
+ * @param {Object} recurrence - Règle de récurrence.
+ * @param {number} year - Année de l'occurrence.
+ * @param {{start: Date, end: Date}} [reference] - Période saisie (règle 'yearly').
+ * @returns {{start: Date, end: Date}|null} - Occurrence, ou null si elle ne peut être calculée.
+ */
+export function computeOccurrence(recurrence, year, reference = null) {
+  if (recurrence.type === 'easter') {
+    const easter = easterSunday(year);
+    const start = new Date(easter);
+    start.setDate(easter.getDate() + recurrence.start_offset);
+    const end = new Date(easter);
+    end.setDate(easter.getDate() + recurrence.end_offset);
+    end.setHours(23, 59, 59);
+    return { start, end };
+  }
+  if (recurrence.type === 'nth_weekday') {
+    const start = nthWeekday(year, recurrence.month, recurrence.weekday, recurrence.nth);
+    start.setDate(start.getDate() + recurrence.offset);
+    const end = new Date(start);
+    end.setDate(start.getDate() + recurrence.duration - 1);
+    end.setHours(23, 59, 59);
+    return { start, end };
+  }
+  if (recurrence.type === 'yearly' && reference) {
+    const span = reference.end.getFullYear() - reference.start.getFullYear();
+    return {
+      start: moveToYear(reference.start, year),
+      end: moveToYear(reference.end, year + span)
+    };
+  }
+  return null;
+}
+/**
+ *
+ * Liste les prochaines occurrences d'une règle, à partir de celle en cours.
+ * @param {Object} recurrence - Règle de récurrence.
+ * @param {number} count - Nombre d'occurrences souhaitées.
+ * @param {{start: Date, end: Date}} [reference] - Période saisie (règle 'yearly').
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export function getUpcomingOccurrences(recurrence, count, reference = null) {
+  const now = toLibraryDate(Date.now() / 1000);
+  const occurrences = [];
+  // L'occurrence commencée l'an dernier peut être encore en cours
+  for (let year = now.getFullYear() - 1; occurrences.length < count && year <= now.getFullYear() + count; year++) {
+    const occurrence = computeOccurrence(recurrence, year, reference);
+    if (!occurrence) break;
+    if (occurrence.end >= now) occurrences.push(occurrence);
+  }
+  return occurrences;
+}
+/**
+ *
+ * Période enregistrée d'un thème (période de référence d'un thème répété chaque année).
+ * @param {Object} theme - Données du thème (start_date/end_date en secondes).
+ * @returns {{start: Date, end: Date}} - Dates à l'heure de la bibliothèque (voir toLibraryDate).
+ */
+function getStoredPeriod(theme) {
+  return {
+    start: toLibraryDate(theme.start_date),
+    end: toLibraryDate(theme.end_date)
+  };
+}
+/**
+ *
+ * Liste les occurrences d'un thème enregistré qui chevauchent une période
+ * (même logique que occurrences_between dans Lib/Recurrence.pm).
+ * @param {Object} theme - Données du thème (start_date/end_date en secondes, recurrence).
+ * @param {Date} from - Début de la période.
+ * @param {Date} to - Fin de la période.
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export function getThemeOccurrences(theme, from, to) {
+  const reference = getStoredPeriod(theme);
+  if (!isRecurringTheme(theme)) {
+    return reference.start <= to && reference.end >= from ? [reference] : [];
+  }
+  const occurrences = [];
+  for (let year = from.getFullYear() - 1; year <= to.getFullYear(); year++) {
+    const occurrence = computeOccurrence(theme.recurrence, year, reference);
+    if (occurrence && occurrence.start <= to && occurrence.end >= from) occurrences.push(occurrence);
+  }
+  return occurrences;
+}
+/**
+ *
+ * Cherche une occurrence de `existing` qui chevauche une occurrence de `candidate`
+ * (même logique que overlaps dans Lib/Recurrence.pm : deux thèmes récurrents
+ * sont comparés sur l'année en cours et la suivante).
+ * @param {Object} candidate - Thème à enregistrer (start_date/end_date en secondes, recurrence).
+ * @param {Object} existing - Thème déjà programmé.
+ * @returns {{start: Date, end: Date}|null} - Occurrence de `existing` en conflit, ou null.
+ */
+export function getOverlappingOccurrence(candidate, existing) {
+  if (!candidate.start_date || !candidate.end_date || !existing.start_date || !existing.end_date) return null;
+  if (!isRecurringTheme(candidate)) {
+    const period = getStoredPeriod(candidate);
+    return getThemeOccurrences(existing, period.start, period.end)[0] || null;
+  }
+  if (!isRecurringTheme(existing)) {
+    const period = getStoredPeriod(existing);
+    return getThemeOccurrences(candidate, period.start, period.end).length ? period : null;
+  }
+  const reference = getStoredPeriod(candidate);
+  const year = toLibraryDate(Date.now() / 1000).getFullYear();
+  for (const candidateYear of [year, year + 1]) {
+    const occurrence = computeOccurrence(candidate.recurrence, candidateYear, reference);
+    const overlapping = occurrence && getThemeOccurrences(existing, occurrence.start, occurrence.end)[0];
+    if (overlapping) return overlapping;
+  }
+  return null;
+}
+/**
+ *
+ * Lit la période saisie dans les champs de dates et d'heures facultatives
+ * (sans heure : début à 00:00 et fin à 23:59:59, comme côté serveur), à l'heure de la bibliothèque.
+ * @returns {{start: Date, end: Date}|null}
+ */
+export function getReferencePeriod() {
+  const startValue = getById('start_date')?.value;
+  const endValue = getById('end_date')?.value;
+  if (!startValue || !endValue) return null;
+  const startTime = getById('start_time')?.value;
+  const endTime = getById('end_time')?.value;
+  const [startYear, startMonth, startDay] = startValue.split('-').map(Number);
+  const [endYear, endMonth, endDay] = endValue.split('-').map(Number);
+  const [startHour, startMinute] = startTime ? startTime.split(':').map(Number) : [0, 0];
+  const [endHour, endMinute, endSecond] = endTime ? [...endTime.split(':').map(Number), 0] : [23, 59, 59];
+  return {
+    start: new Date(startYear, startMonth - 1, startDay, startHour, startMinute),
+    end: new Date(endYear, endMonth - 1, endDay, endHour, endMinute, endSecond)
+  };
+}
+/**
+ *
+ * Synchronise le formulaire avec la règle choisie :
+ * - affiche les champs propres à la règle ;
+ * - pour une règle calculée, masque les dates et les remplit avec l'occurrence à venir (sans heure) ;
+ * - affiche les dates des prochaines années.
+ * @returns {void}
+ */
+export function updateRecurrenceForm() {
+  const recurrence = getRecurrenceFromForm();
+  const computed = isComputedRecurrence(recurrence);
+  const valid = isValidRecurrence(recurrence);
+  const datesRow = getById('theme-dates-row');
+  const preview = getById('recurrence-preview');
+  const previewList = getById('recurrence-preview-list');
+  Object.keys(COMPUTED_RECURRENCES).forEach(type => {
+    const ruleRow = getById(`recurrence-${type.replace('_', '-')}`);
+    if (ruleRow) ruleRow.style.display = recurrence.type === type ? '' : 'none';
+  });
+  if (datesRow) datesRow.style.display = computed ? 'none' : '';
+  const occurrences = valid
+    ? getUpcomingOccurrences(recurrence, RECURRENCE_PREVIEW_COUNT, getReferencePeriod())
+    : [];
+  if (computed && occurrences.length) {
+    getById('start_date').value = formatDateForInput(toLibraryTimestamp(occurrences[0].start));
+    getById('end_date').value = formatDateForInput(toLibraryTimestamp(occurrences[0].end));
+    // Les occurrences d'une règle calculée couvrent des journées entières
+    ['start_time', 'end_time'].forEach(id => {
+      const input = getById(id);
+      if (input) input.value = '';
+    });
+  }
+  if (!preview || !previewList) return;
+  preview.style.display = recurrence.type === 'none' ? 'none' : '';
+  previewList.innerHTML = '';
+  if (!valid) {
+    const item = document.createElement('li');
+    item.className = 'recurrence-error';
+    item.textContent = TRANSLATION_BACKEND['recurrence_invalid'];
+    previewList.appendChild(item);
+    return;
+  }
+  occurrences.forEach(({ start, end }) => {
+    const item = document.createElement('li');
+    item.textContent = `${formatDate(toLibraryTimestamp(start))} → ${formatDate(toLibraryTimestamp(end))}`;
+    previewList.appendChild(item);
+  });
+}
+/**
+ *
+ * Branche les champs de récurrence du formulaire.
+ * @returns {void}
+ */
+export function initRecurrenceForm() {
+  const ruleInputs = Object.values(COMPUTED_RECURRENCES).flat().map(field => `recurrence_${field}`);
+  ['recurrence_type', ...ruleInputs, 'start_date', 'end_date']
+    .forEach(id => {
+      const input = getById(id);
+      if (!input) return;
+      input.addEventListener('input', updateRecurrenceForm);
+      input.addEventListener('change', updateRecurrenceForm);
+    });
+  updateRecurrenceForm();
+}
+/**
+ *
+ * Retourne les dates de l'occurrence en cours ou à venir calculées par le serveur,
+ * ou la période enregistrée pour un thème non récurrent.
+ * @param {Object} theme - Données du thème.
+ * @returns {{start: number, end: number}} - Timestamps en secondes.
+ */
+export function getOccurrenceDates(theme) {
+  return {
+    start: theme.next_start_date ?? theme.start_date,
+    end: theme.next_end_date ?? theme.end_date
+  };
+}
+/**
+ *
+ * Libellé court de la règle de récurrence affiché sur la carte du thème.
+ * @param {Object} theme - Données du thème.
+ * @returns {string} - Libellé traduit, vide si le thème ne se répète pas.
+ */
+export function getRecurrenceLabel(theme) {
+  if (!isRecurringTheme(theme)) return '';
+  return TRANSLATION_UI.grille[`recurrence_${theme.recurrence.type}`] || '';
+}
@@ -0,0 +1,400 @@
+/**
+ * ======================================================
+ *  Export et import de la programmation des thèmes (JSON et iCalendar)
+ * ======================================================
+ */
+import { API_ENDPOINTS, TRANSLATION_UI, TRANSLATION_BACKEND } from './config.js';
+import { getById, formatDate, showNotification, toLibraryTimestamp, getBranchesLabel } from './utils.js';
+import { refreshThemesGridFromAPI } from './themeGrid.js';
+import { getRecurrenceLabel } from './recurrence.js';
+/**
+ *
+ * Document JSON ou calendrier .ics en cours d'import et état de l'application
+ * (renseigné par initScheduleTransfer).
+ */
+const transferState = {
+  document: null,
+  ics: null,
+  context: null
+};
+/**
+ *
+ * Champs d'une entrée dont la valeur est un booléen (0/1).
+ */
+const BOOLEAN_FIELDS = ['active', 'motion_toggle', 'can_combine'];
+/**
+ *
+ * Appelle une route d'export/import et retourne son résultat.
+ * @param {string} path - Chemin sous API_ENDPOINTS.schedule (ex: '/export').
+ * @param {Object} [body] - Corps JSON envoyé en POST (GET sans corps).
+ * @returns {Promise<Object>} - Résultat renvoyé par l'API ({success, message...}).
+ */
+async function callScheduleApi(path, body = null) {
+  try {
+    const response = await fetch(`${API_ENDPOINTS.schedule}${path}`, {
+      method: body ? 'POST' : 'GET',
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json',
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      ...(body ? { body: JSON.stringify(body) } : {})
+    });
+    const json = await response.json();
+    return json.results?.result || { success: false, message: 'connexion_error' };
+  } catch (error) {
+    console.error('Erreur de connexion:', error);
+    return { success: false, message: 'connexion_error' };
+  }
+}
+/**
+ *
+ * Télécharge la programmation des thèmes sous la forme d'un fichier JSON.
+ * @returns {Promise<void>}
+ */
+async function exportSchedule() {
+  const result = await callScheduleApi('/export');
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['connexion_error'], 'error');
+    return;
+  }
+  const blob = new Blob([JSON.stringify(result.document, null, 2)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `celebrations-${new Date().toISOString().slice(0, 10)}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(link.href);
+}
+/**
+ *
+ * Formate la valeur d'un champ pour l'affichage des différences (aperçu d'import et historique).
+ * @param {string} field - Champ comparé (ex: 'start_date', 'elements.snow').
+ * @param {*} value - Valeur enregistrée ou importée.
+ * @returns {string}
+ */
+export function formatChangeValue(field, value) {
+  const labels = TRANSLATION_UI.transfert;
+  if (value === undefined || value === null) return '—';
+  if (field === 'start_date' || field === 'end_date') return formatDate(value);
+  if (field === 'recurrence') return getRecurrenceLabel({ recurrence: value }) || TRANSLATION_UI.form['recurrence_none'];
+  if (field === 'quality_mode') return TRANSLATION_UI.form[`quality_${value}`] || value;
+  if (BOOLEAN_FIELDS.includes(field)) return value ? labels['oui'] : labels['non'];
+  if (field === 'branches') return getBranchesLabel(value);
+  if (field.startsWith('elements.')) {
+    const options = Object.entries(value.options || {}).map(([key, option]) => `${key} : ${option}`);
+    return [value.enabled ? labels['element_actif'] : labels['element_inactif'], ...options].join(', ');
+  }
+  return String(value);
+}
+/**
+ *
+ * Crée le bloc d'une entrée de l'aperçu : nom, statut, choix pour une entrée déjà programmée,
+ * erreurs et différences. Le contenu provient du fichier importé : il est inséré en texte.
+ * @param {Object} entry - Entrée de l'aperçu ({id, theme_name, status, errors, changes}).
+ * @returns {HTMLElement}
+ */
+function createPreviewEntry(entry) {
+  const labels = TRANSLATION_UI.transfert;
+  const block = document.createElement('div');
+  block.className = `import-entry import-status-${entry.status}`;
+  const header = document.createElement('div');
+  header.className = 'import-entry-header';
+  const name = document.createElement('span');
+  name.className = 'import-entry-name';
+  name.textContent = `${TRANSLATION_UI.emoji[entry.theme_name] || TRANSLATION_UI.emoji.default} `
+    + `${TRANSLATION_UI.form[entry.theme_name] || entry.theme_name || '?'} (${entry.id ?? '?'})`;
+  const status = document.createElement('span');
+  status.className = 'import-entry-status';
+  status.textContent = labels[`statut_${entry.status}`];
+  header.append(name, status);
+  if (entry.status === 'existing' || entry.status === 'identical') {
+    const resolution = document.createElement('select');
+    resolution.className = 'import-resolution';
+    resolution.dataset.id = entry.id;
+    ['skip', 'overwrite', 'rename'].forEach(value => {
+      resolution.add(new Option(labels[value], value));
+    });
+    header.appendChild(resolution);
+  }
+  block.appendChild(header);
+  if (entry.errors.length) {
+    const errors = document.createElement('ul');
+    errors.className = 'import-entry-errors';
+    entry.errors.forEach(code => {
+      const item = document.createElement('li');
+      item.textContent = TRANSLATION_BACKEND[code] || code;
+      errors.appendChild(item);
+    });
+    block.appendChild(errors);
+  }
+  if (entry.changes.length) {
+    const table = document.createElement('table');
+    table.className = 'import-entry-changes';
+    const headRow = table.createTHead().insertRow();
+    ['', labels['actuel'], labels['importe']].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      headRow.appendChild(cell);
+    });
+    const body = table.createTBody();
+    entry.changes.forEach(change => {
+      const row = body.insertRow();
+      const elementKey = change.field.startsWith('elements.') ? change.field.slice('elements.'.length) : null;
+      row.insertCell().textContent = elementKey
+        ? TRANSLATION_UI.elements?.[elementKey] || elementKey
+        : labels[change.field] || change.field;
+      row.insertCell().textContent = formatChangeValue(change.field, change.current);
+      row.insertCell().textContent = formatChangeValue(change.field, change.imported);
+    });
+    block.appendChild(table);
+  }
+  return block;
+}
+/**
+ *
+ * Masque l'aperçu de l'import et oublie le document chargé.
+ * @returns {void}
+ */
+function closeImportPreview() {
+  const panel = getById('import-preview');
+  if (panel) {
+    panel.style.display = 'none';
+    panel.replaceChildren();
+  }
+  transferState.document = null;
+  transferState.ics = null;
+}
+/**
+ *
+ * Affiche un aperçu d'import (document JSON ou calendrier .ics), avec les boutons
+ * de confirmation et d'annulation.
+ * @param {Object} preview - Contenu de l'aperçu.
+ * @param {string} preview.title - Titre de l'aperçu.
+ * @param {string} preview.help - Texte d'aide affiché sous le titre.
+ * @param {Array<HTMLElement>} preview.blocks - Blocs des entrées ou des événements.
+ * @param {boolean} preview.canConfirm - Faux si aucune entrée ne peut être importée.
+ * @param {Function} preview.onConfirm - Appelée au clic sur le bouton de confirmation.
+ * @returns {void}
+ */
+function showImportPreview({ title, help, blocks, canConfirm, onConfirm }) {
+  const panel = getById('import-preview');
+  if (!panel) return;
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  const helpText = document.createElement('p');
+  helpText.textContent = help;
+  const actions = document.createElement('div');
+  actions.className = 'import-actions';
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = 'modern-button reset';
+  cancelButton.textContent = TRANSLATION_UI['cancel'];
+  cancelButton.addEventListener('click', closeImportPreview);
+  const confirmButton = document.createElement('button');
+  confirmButton.type = 'button';
+  confirmButton.className = 'modern-button';
+  confirmButton.textContent = TRANSLATION_UI.transfert['confirmer'];
+  confirmButton.disabled = !canConfirm;
+  confirmButton.addEventListener('click', onConfirm);
+  actions.append(cancelButton, confirmButton);
+  panel.replaceChildren(heading, helpText, ...blocks, actions);
+  panel.style.display = '';
+  panel.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+/**
+ *
+ * Lit le fichier choisi par l'utilisateur et demande son aperçu à l'API.
+ * @param {File} file - Fichier JSON exporté par une autre instance.
+ * @returns {Promise<void>}
+ */
+async function previewImportFile(file) {
+  closeImportPreview();
+  let importedDocument;
+  try {
+    importedDocument = JSON.parse(await file.text());
+  } catch (error) {
+    showNotification(TRANSLATION_BACKEND['import_invalid_file'], 'error');
+    return;
+  }
+  const result = await callScheduleApi('/import/preview', { document: importedDocument });
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['import_invalid_file'], 'error');
+    return;
+  }
+  transferState.document = importedDocument;
+  showImportPreview({
+    title: TRANSLATION_UI.transfert['apercu_titre'],
+    help: TRANSLATION_UI.transfert['apercu_aide'],
+    blocks: result.themes.map(createPreviewEntry),
+    canConfirm: result.themes.some(entry => entry.status !== 'invalid'),
+    onConfirm: confirmImport
+  });
+}
+/**
+ *
+ * Importe le document affiché avec les choix de l'utilisateur, puis rafraîchit la grille.
+ * @returns {Promise<void>}
+ */
+async function confirmImport() {
+  if (!transferState.document) return;
+  const resolutions = {};
+  document.querySelectorAll('#import-preview .import-resolution').forEach(select => {
+    resolutions[select.dataset.id] = select.value;
+  });
+  const result = await callScheduleApi('/import', { document: transferState.document, resolutions });
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['import_invalid_file'], 'error');
+    return;
+  }
+  await finishImport(result.results);
+}
+/**
+ *
+ * Ferme l'aperçu, résume le résultat de l'import (nombre d'entrées par action) et rafraîchit la grille.
+ * @param {Array<Object>} results - Résultat de chaque entrée ou événement ({action...}).
+ * @returns {Promise<void>}
+ */
+async function finishImport(results) {
+  const counts = {};
+  results.forEach(entry => {
+    counts[entry.action] = (counts[entry.action] || 0) + 1;
+  });
+  const summary = Object.entries(counts)
+    .map(([action, count]) => `${count} ${TRANSLATION_UI.transfert[`resultat_${action}`]}`)
+    .join(', ');
+  closeImportPreview();
+  showNotification(`${TRANSLATION_BACKEND['import_done']} ${summary}`, counts.conflict || counts.invalid ? 'error' : 'success');
+  const { state, elements } = transferState.context;
+  await refreshThemesGridFromAPI(state, elements);
+}
+/**
+ *
+ * Crée le bloc d'un événement d'un calendrier .ics : titre, dates, règle de récurrence
+ * et choix du thème associé (vide = événement ignoré). Le titre provient du fichier
+ * importé : il est inséré en texte.
+ * @param {Object} event - Événement lu par l'API ({index, summary, start_date, end_date, start_time, end_time, recurrence, theme, errors}).
+ * @param {Object} rawThemes - Configuration des thèmes disponibles (theme-config.json).
+ * @returns {HTMLElement}
+ */
+function createIcsEventEntry(event, rawThemes) {
+  const labels = TRANSLATION_UI.transfert;
+  const block = document.createElement('div');
+  block.className = `import-entry import-status-${event.errors.length ? 'invalid' : 'new'}`;
+  const header = document.createElement('div');
+  header.className = 'import-entry-header';
+  const name = document.createElement('span');
+  name.className = 'import-entry-name';
+  name.textContent = event.summary || '?';
+  header.appendChild(name);
+  if (!event.errors.length) {
+    const period = document.createElement('span');
+    period.className = 'import-entry-status';
+    const recurrenceLabel = getRecurrenceLabel(event);
+    const start = toLibraryTimestamp(new Date(`${event.start_date}T${event.start_time || '00:00'}:00`));
+    const end = toLibraryTimestamp(new Date(`${event.end_date}T${event.end_time ? `${event.end_time}:00` : '23:59:59'}`));
+    period.textContent = `${formatDate(start)} → ${formatDate(end)}`
+      + (recurrenceLabel ? ` (${recurrenceLabel})` : '');
+    const themeSelect = document.createElement('select');
+    themeSelect.className = 'import-resolution ics-theme';
+    themeSelect.dataset.index = event.index;
+    themeSelect.add(new Option(labels['ics_ignorer'], ''));
+    Object.keys(rawThemes).forEach(themeName => {
+      const label = `${TRANSLATION_UI.emoji[themeName] || TRANSLATION_UI.emoji.default} ${TRANSLATION_UI.form[themeName] || themeName}`;
+      themeSelect.add(new Option(label, themeName, false, themeName === event.theme));
+    });
+    header.append(period, themeSelect);
+  }
+  block.appendChild(header);
+  if (event.errors.length) {
+    const errors = document.createElement('ul');
+    errors.className = 'import-entry-errors';
+    event.errors.forEach(code => {
+      const item = document.createElement('li');
+      item.textContent = TRANSLATION_BACKEND[code] || code;
+      errors.appendChild(item);
+    });
+    block.appendChild(errors);
+  }
+  return block;
+}
+/**
+ *
+ * Lit le calendrier .ics choisi par l'utilisateur et affiche ses événements à associer aux thèmes.
+ * @param {File} file - Fichier .ics exporté d'un agenda.
+ * @returns {Promise<void>}
+ */
+async function previewIcsFile(file) {
+  closeImportPreview();
+  const ics = await file.text();
+  const result = await callScheduleApi('/ics/preview', { ics });
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['ics_invalid_file'], 'error');
+    return;
+  }
+  transferState.ics = ics;
+  const { rawThemes } = transferState.context.state;
+  showImportPreview({
+    title: TRANSLATION_UI.transfert['ics_apercu_titre'],
+    help: TRANSLATION_UI.transfert['ics_apercu_aide'],
+    blocks: result.events.map(event => createIcsEventEntry(event, rawThemes)),
+    canConfirm: result.events.some(event => !event.errors.length),
+    onConfirm: confirmIcsImport
+  });
+}
+/**
+ *
+ * Crée les entrées des événements associés à un thème, puis rafraîchit la grille.
+ * @returns {Promise<void>}
+ */
+async function confirmIcsImport() {
+  if (!transferState.ics) return;
+  const mapping = {};
+  document.querySelectorAll('#import-preview .ics-theme').forEach(select => {
+    if (select.value) mapping[select.dataset.index] = select.value;
+  });
+  const result = await callScheduleApi('/ics/import', { ics: transferState.ics, mapping });
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['ics_invalid_file'], 'error');
+    return;
+  }
+  const failed = result.results.find(event => event.error);
+  if (failed) {
+    showNotification(`${failed.summary || '?'} : ${TRANSLATION_BACKEND[failed.error] || failed.error}`, 'error');
+  }
+  await finishImport(result.results);
+}
+/**
+ *
+ * Ouvre le sélecteur de fichier au clic sur un bouton d'import et transmet le fichier choisi.
+ * @param {HTMLElement|null} button - Bouton d'import.
+ * @param {HTMLInputElement|null} fileInput - Champ de fichier masqué.
+ * @param {Function} onFile - Appelée avec le fichier choisi.
+ * @returns {void}
+ */
+function bindImportButton(button, fileInput, onFile) {
+  if (!button || !fileInput) return;
+  button.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const [file] = fileInput.files;
+    fileInput.value = '';
+    if (file) await onFile(file);
+  });
+}
+/**
+ *
+ * Branche les boutons d'export et d'import de la programmation (JSON et iCalendar).
+ * @param {Object} state - État global (allThemes, rawThemes...).
+ * @param {Object} elements - Références DOM de l'application.
+ * @returns {void}
+ */
+export function initScheduleTransfer(state, elements) {
+  transferState.context = { state, elements };
+  const exportButton = getById('export-schedule');
+  const icsLink = getById('export-ics');
+  if (exportButton) exportButton.addEventListener('click', exportSchedule);
+  if (icsLink) icsLink.href = `${API_ENDPOINTS.schedule}/ics`;
+  bindImportButton(getById('import-schedule'), getById('import-schedule-file'), previewImportFile);
+  bindImportButton(getById('import-ics'), getById('import-ics-file'), previewIcsFile);
+}
@@ -0,0 +1,153 @@
+/**
+ * ======================================================
+ *  Barre d'outils de la grille des thèmes : filtres, tri, recherche et disposition
+ * ======================================================
+ */
+import { TRANSLATION_UI } from './config.js';
+import { getById, getThemeStatus, renderThemesGrid } from './utils.js';
+import { sortThemes } from './themeGrid.js';
+import { getOccurrenceDates } from './recurrence.js';
+/**
+ *
+ * Clé de localStorage où sont conservés les choix de la barre d'outils.
+ */
+const GRID_FILTERS_KEY = 'celebrations.themesGrid';
+/**
+ *
+ * Choix de la barre d'outils : statuts retenus (aucun : tous), tri, recherche et disposition.
+ */
+const gridFilterState = {
+  statuses: [],
+  sort: 'default',
+  search: '',
+  layout: 'cards'
+};
+/**
+ *
+ * Reprend les choix enregistrés dans le navigateur. Une valeur absente ou illisible
+ * garde son défaut.
+ * @returns {void}
+ */
+function loadGridFilters() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GRID_FILTERS_KEY) || '{}');
+    if (Array.isArray(saved.statuses)) gridFilterState.statuses = saved.statuses.filter(status => typeof status === 'string');
+    if (['default', 'name', 'start', 'end'].includes(saved.sort)) gridFilterState.sort = saved.sort;
+    if (typeof saved.search === 'string') gridFilterState.search = saved.search;
+    if (['cards', 'compact'].includes(saved.layout)) gridFilterState.layout = saved.layout;
+  } catch (error) {
+    console.warn('Choix de la grille illisibles:', error);
+  }
+}
+/**
+ *
+ * Enregistre les choix de la barre d'outils dans le navigateur.
+ * @returns {void}
+ */
+function saveGridFilters() {
+  const { statuses, sort, search, layout } = gridFilterState;
+  try {
+    localStorage.setItem(GRID_FILTERS_KEY, JSON.stringify({ statuses, sort, search, layout }));
+  } catch (error) {
+    console.warn('Choix de la grille non enregistrés:', error);
+  }
+}
+/**
+ *
+ * Texte comparable pour la recherche : minuscules, sans accents.
+ * @param {string} text - Texte à normaliser.
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+/**
+ *
+ * Compare deux entrées selon le tri choisi : nom traduit du thème, début ou fin de
+ * l'occurrence en cours ou à venir.
+ * @param {Object} a - Première entrée.
+ * @param {Object} b - Seconde entrée.
+ * @returns {number}
+ */
+function compareThemes(a, b) {
+  if (gridFilterState.sort === 'name') {
+    const nameA = TRANSLATION_UI.form[a.theme_name] || a.theme_name;
+    const nameB = TRANSLATION_UI.form[b.theme_name] || b.theme_name;
+    return nameA.localeCompare(nameB, TRANSLATION_UI.lang) || getOccurrenceDates(a).start - getOccurrenceDates(b).start;
+  }
+  const bound = gridFilterState.sort === 'end' ? 'end' : 'start';
+  return getOccurrenceDates(a)[bound] - getOccurrenceDates(b)[bound];
+}
+/**
+ *
+ * Retourne les entrées à afficher dans la grille : filtrées par statut (voir getThemeStatus)
+ * et par nom traduit, puis triées selon le choix de la barre d'outils (par défaut : voir sortThemes).
+ * @param {Object} themes - Entrées programmées, indexées par id.
+ * @returns {Array<Object>}
+ */
+export function applyGridFilters(themes) {
+  const search = normalizeSearchText(gridFilterState.search);
+  const filtered = sortThemes(themes).filter(theme => {
+    if (gridFilterState.statuses.length && !gridFilterState.statuses.includes(getThemeStatus(theme).type)) return false;
+    return !search || normalizeSearchText(TRANSLATION_UI.form[theme.theme_name] || theme.theme_name).includes(search);
+  });
+  return gridFilterState.sort === 'default' ? filtered : filtered.sort(compareThemes);
+}
+/**
+ *
+ * Indique si des filtres (statut ou recherche) masquent des entrées.
+ * @returns {boolean}
+ */
+export function hasGridFilters() {
+  return gridFilterState.statuses.length > 0 || normalizeSearchText(gridFilterState.search) !== '';
+}
+/**
+ *
+ * Reporte les choix sur les contrôles de la barre d'outils et la disposition sur la grille.
+ * @param {HTMLElement} [themesGrid] - Conteneur de la grille.
+ * @returns {void}
+ */
+function syncGridFilterControls(themesGrid) {
+  const search = getById('themes-search');
+  if (search && search.value !== gridFilterState.search) search.value = gridFilterState.search;
+  const sort = getById('themes-sort');
+  if (sort) sort.value = gridFilterState.sort;
+  document.querySelectorAll('#themes-toolbar input[name="themes-status"]').forEach(input => {
+    input.checked = gridFilterState.statuses.includes(input.value);
+  });
+  document.querySelectorAll('#themes-toolbar .themes-layout-switcher button').forEach(button => {
+    button.classList.toggle('active', button.dataset.layout === gridFilterState.layout);
+  });
+  if (themesGrid) themesGrid.classList.toggle('compact', gridFilterState.layout === 'compact');
+}
+/**
+ *
+ * Branche la barre d'outils de la grille : chaque changement est enregistré dans le navigateur
+ * et la grille est affichée de nouveau.
+ * @param {Object} state - État global (allThemes, currentSettings...).
+ * @param {Object} elements - Références DOM de l'application.
+ * @returns {void}
+ */
+export function initThemeFilters(state, elements) {
+  const toolbar = getById('themes-toolbar');
+  if (!toolbar) return;
+  loadGridFilters();
+  syncGridFilterControls(elements.themesGrid);
+  const update = changes => {
+    Object.assign(gridFilterState, changes);
+    saveGridFilters();
+    syncGridFilterControls(elements.themesGrid);
+    renderThemesGrid(state, elements);
+  };
+  getById('themes-search')?.addEventListener('input', event => update({ search: event.target.value }));
+  getById('themes-sort')?.addEventListener('change', event => update({ sort: event.target.value }));
+  toolbar.querySelectorAll('input[name="themes-status"]').forEach(input => {
+    input.addEventListener('change', () => update({
+      statuses: [...toolbar.querySelectorAll('input[name="themes-status"]:checked')].map(checked => checked.value)
+    }));
+  });
+  toolbar.querySelectorAll('.themes-layout-switcher button').forEach(button => {
+    button.addEventListener('click', () => update({ layout: button.dataset.layout }));
+  });
+  getById('themes-filters-reset')?.addEventListener('click', () => update({ statuses: [], search: '' }));
+}
@@ -3,8 +3,11 @@
  *  Gestion de la grille des thèmes
  * ======================================================
  */
-import { TRANSLATION_UI, API_ENDPOINTS } from './config.js';
-import { formatDate, calculateProgress, getThemeStatus, showNotification, disableAllActionButtons, enableAllActionButtons, renderThemesGrid, getActiveElementsInfo } from './utils.js';
+import { TRANSLATION_UI, TRANSLATION_BACKEND, API_ENDPOINTS, LIBRARY_TIMEZONE } from './config.js';
+import { formatDate, calculateProgress, getThemeStatus, showNotification, disableAllActionButtons, enableAllActionButtons, renderThemesGrid, getActiveElementsInfo, branchesOverlap, getBranchesLabel } from './utils.js';
+import { getOccurrenceDates, getRecurrenceLabel, getOverlappingOccurrence, isRecurringTheme } from './recurrence.js';
+import { offerDeleteUndo } from './themeTrash.js';
+import { applyGridFilters, hasGridFilters } from './themeFilters.js';
 /**
  *
  * Trie les thèmes par statut et par date de début.
@@ -20,16 +23,42 @@ export function sortThemes(themes) {
 }
 /**
  *
- * Crée le HTML d'une carte représentant un thème.
- * @param {Object} theme - Données du thème.
- * @param {string} currentTheme - Nom du thème actuellement actif.
+ * Liste les thèmes superposés à une entrée : entrées actives dont la période chevauche la sienne,
+ * dans au moins une bibliothèque, lorsque les deux acceptent d'être combinées.
+ * @param {Object} theme - Données de l'entrée.
+ * @param {Object} themes - Ensemble des entrées programmées.
+ * @returns {Array<string>} - Noms des thèmes superposés.
+ */
+function getStackedThemes(theme, themes) {
+  if (!theme.active || !theme.can_combine) return [];
+  return Object.values(themes)
+    .filter(other => other.id !== theme.id && other.active && other.can_combine)
+    .filter(other => branchesOverlap(theme.branches, other.branches))
+    .filter(other => getOverlappingOccurrence(theme, other))
+    .map(other => other.theme_name);
+}
+/**
+ *
+ * Crée le HTML d'une carte représentant une entrée programmée.
+ * Un thème récurrent affiche les dates et la progression de son occurrence en cours ou à venir.
+ * Les dates sont affichées dans le fuseau horaire de la bibliothèque (rappelé au survol).
+ * @param {Object} theme - Données de l'entrée (id, theme_name...).
+ * @param {string} currentTheme - Id de l'entrée actuellement active.
+ * @param {Object} [themes] - Ensemble des entrées programmées (pour signaler les superpositions).
  * @returns {string} - Code HTML de la carte du thème.
  */
-export function createThemeCard(theme, currentTheme) {
+export function createThemeCard(theme, currentTheme, themes = {}) {
   const displayName = theme.theme_name;
   const status = getThemeStatus(theme);
-  const progress = calculateProgress(theme.start_date, theme.end_date);
-  const isCurrent = theme.theme_name === currentTheme;
+  const occurrence = getOccurrenceDates(theme);
+  const progress = calculateProgress(occurrence.start, occurrence.end);
+  const canRollForward = !isRecurringTheme(theme) && occurrence.end < Date.now() / 1000;
+  const recurrenceLabel = getRecurrenceLabel(theme);
+  const stackedLabel = getStackedThemes(theme, themes)
+    .map(name => TRANSLATION_UI.form[name] || name)
+    .join(', ');
+  const isCurrent = theme.id === currentTheme;
+  const inactiveLabel = theme.active ? TRANSLATION_UI.grille['nonActif'] : TRANSLATION_UI.grille['en_pause'];
   const activeInfo = getActiveElementsInfo(theme, 4);
   const activeListHTML = activeInfo.displayList
     .map(key => {
@@ -38,7 +67,7 @@ export function createThemeCard(theme, currentTheme) {
     })
     .join('');
   return `
-  <div class="theme-card-wrapper ${isCurrent ? 'active' : ''}">
+  <div class="theme-card-wrapper ${isCurrent ? 'active' : ''} ${theme.active ? '' : 'paused'}">
     <div class="theme-card">
       <div class="theme-card-top">
         <div class="theme-card-header">
@@ -47,21 +76,25 @@ export function createThemeCard(theme, currentTheme) {
         </div>
       </div>
       <div class="theme-card-body">
-        <div class="theme-dates">
+        <div class="theme-dates" title="${TRANSLATION_UI.prog['fuseau']} ${LIBRARY_TIMEZONE}">
           <div class="date-row">
             <span class="labelCard">${TRANSLATION_UI.prog['debut']}</span>
-            <span class="value">${formatDate(theme.start_date)}</span>
+            <span class="value">${formatDate(occurrence.start)}</span>
           </div>
           <div class="date-row">
             <span class="labelCard">${TRANSLATION_UI.prog['fin']}</span>
-            <span class="value">${formatDate(theme.end_date, true)}</span>
+            <span class="value">${formatDate(occurrence.end)}</span>
           </div>
+          ${recurrenceLabel ? `<div class="theme-recurrence">↻ ${recurrenceLabel}</div>` : ""}
+          <div class="theme-priority">${TRANSLATION_UI.grille['priorite']} : ${theme.priority || 0}</div>
+          <div class="theme-branches">🏛 ${getBranchesLabel(theme.branches)}</div>
+          ${stackedLabel ? `<div class="theme-stack">⧉ ${TRANSLATION_UI.grille['combine_avec']} ${stackedLabel}</div>` : ""}
         </div>
         <div class="theme-progress">
           <div class="progress-label">
             ${status.type === 'current'
               ? `<span>${TRANSLATION_UI.prog['prog']}</span><span class="progress-percent">${progress}% ${TRANSLATION_UI.grille['actif']}</span>`
-              : `<span>${TRANSLATION_UI.prog['prog']}</span><span class="progress-percent inactive-text">${TRANSLATION_UI.grille['nonActif']}</span>`}
+              : `<span>${TRANSLATION_UI.prog['prog']}</span><span class="progress-percent inactive-text">${inactiveLabel}</span>`}
           </div>
           <div class="progress-bar" role="progressbar" aria-valuenow="${progress}" aria-valuemin="0" aria-valuemax="100">
             <div class="progress-fill" data-progress="${progress}"
@@ -78,30 +111,36 @@ export function createThemeCard(theme, currentTheme) {
         </div>
       </div>
       <div class="theme-card-footer">
-        <button class="btn-action action-btn-edit" data-theme="${theme.theme_name}">${TRANSLATION_UI.grille['modif']}</button>
-        <button class="btn-action action-btn-delete" data-theme="${theme.theme_name}">${TRANSLATION_UI.grille['sup']}</button>
+        <button class="btn-action action-btn-edit" data-id="${theme.id}" data-theme="${theme.theme_name}">${TRANSLATION_UI.grille['modif']}</button>
+        <button class="btn-action action-btn-duplicate" data-id="${theme.id}">${TRANSLATION_UI.grille['dupliquer']}</button>
+        ${canRollForward ? `<button class="btn-action action-btn-roll-forward" data-id="${theme.id}">${TRANSLATION_UI.grille['reporter']}</button>` : ''}
+        <button class="btn-action action-btn-toggle" data-id="${theme.id}" data-active="${theme.active ? 1 : 0}">${theme.active ? TRANSLATION_UI.grille['pause'] : TRANSLATION_UI.grille['reprendre']}</button>
+        <button class="btn-action action-btn-history" data-id="${theme.id}">${TRANSLATION_UI.historique['ouvrir']}</button>
+        <button class="btn-action action-btn-delete" data-id="${theme.id}" data-theme="${theme.theme_name}">${TRANSLATION_UI.grille['sup']}</button>
       </div>
     </div>
   </div>`;
 }
 /**
  *
- * Met à jour l'affichage complet de la grille des thèmes.
+ * Met à jour l'affichage complet de la grille des thèmes, filtrée et triée selon
+ * la barre d'outils (voir themeFilters.js).
  * @param {Object} themes - Ensemble des thèmes disponibles.
- * @param {string} currentTheme - Thème actuellement actif.
+ * @param {string} currentTheme - Id de l'entrée actuellement active.
  * @param {HTMLElement} noThemeMessage - Élément affiché lorsqu’aucun thème n’est disponible.
  * @param {HTMLElement} themesGrid - Conteneur HTML de la grille.
  * @returns {void}
  */
 export function updateThemesGrid(themes, currentTheme, noThemeMessage, themesGrid) {
-  const sortedThemes = sortThemes(themes);
+  const sortedThemes = applyGridFilters(themes);
   if (!sortedThemes || sortedThemes.length === 0) {
-    noThemeMessage.style.display = 'block';
-    themesGrid.innerHTML = '';
+    const filteredOut = Object.keys(themes).length > 0 && hasGridFilters();
+    noThemeMessage.style.display = filteredOut ? 'none' : 'block';
+    themesGrid.innerHTML = filteredOut ? `<p class="themes-filter-empty">${TRANSLATION_UI.filtres['aucun_resultat']}</p>` : '';
   } else {
     noThemeMessage.style.display = 'none';
     themesGrid.innerHTML = sortedThemes
-      .map(theme => createThemeCard(theme, currentTheme))
+      .map(theme => createThemeCard(theme, currentTheme, themes))
       .join('');
   }
 }
@@ -110,8 +149,8 @@ export function updateThemesGrid(themes, currentTheme, noThemeMessage, themesGri
  * Rafraîchit la grille des thèmes depuis l’API.
  * @async
  * @param {Object} state - État global de l’application.
- * @param {Object} state.allThemes - Dictionnaire des thèmes disponibles.
- * @param {Object} state.currentSettings - Paramètres courants, incluant le thème actif.
+ * @param {Object} state.allThemes - Dictionnaire des entrées programmées, indexées par id.
+ * @param {Object} state.currentSettings - Paramètres courants, incluant l'id de l'entrée active.
  * @param {Object} elements - Ensemble des éléments du DOM nécessaires à la mise à jour.
  * @param {HTMLElement} elements.noThemeMessage - Élément affiché lorsqu’aucun thème n’est disponible.
  * @param {HTMLElement} elements.themesGrid - Conteneur de la grille des thèmes.
@@ -132,12 +171,12 @@ export async function refreshThemesGridFromAPI(state, elements ) {
     if (data.success) {
       state.allThemes = {};
       data.themes.forEach(theme => {
-        state.allThemes[theme.name] = {
+        state.allThemes[theme.id] = {
           ...theme,
           theme_name: theme.name
         };
       });
-      state.currentSettings.theme_name = data.current_theme;
+      state.currentSettings.theme_id = data.current_theme;
       await renderThemesGrid(state, elements);
     } else {
       console.error('Erreur lors du rafraîchissement:', data.error);
@@ -148,21 +187,17 @@ export async function refreshThemesGridFromAPI(state, elements ) {
 }
 /**
  *
- * Supprime un thème à partir de son nom.
+ * Supprime une entrée programmée à partir de son id. L'entrée est placée dans la corbeille :
+ * la notification propose d'annuler la suppression (voir themeTrash.js).
  * @async
- * @param {string} themeName - Nom du thème à supprimer.
+ * @param {string} themeId - Id de l'entrée à supprimer.
  * @param {Function} [onSuccess] - Fonction callback appelée après suppression réussie.
  * @returns {Promise<void>}
  */
-export async function deleteTheme(themeName, onSuccess) {
-  const confirmed = await showNotification(
-    `${TRANSLATION_UI.grille['delete1']} ${TRANSLATION_UI.form[themeName]} ?\n\n${TRANSLATION_UI.grille['delete2']}`,
-    'info'
-  );
-  if (!confirmed) return;
+export async function deleteTheme(themeId, onSuccess) {
   try {
     const response = await fetch(
-      `${API_ENDPOINTS.themes}/${encodeURIComponent(themeName)}`,
+      `${API_ENDPOINTS.themes}/${encodeURIComponent(themeId)}`,
       {
         method: 'DELETE',
         credentials: 'same-origin',
@@ -174,7 +209,7 @@ export async function deleteTheme(themeName, onSuccess) {
     const json = await response.json();
     const data = json.results?.result;
     if (data.success) {
-      const card = document.querySelector(`.theme-card[data-theme="${themeName}"]`);
+      const card = document.querySelector(`.action-btn-delete[data-id="${themeId}"]`)?.closest('.theme-card-wrapper');
       if (card) {
         card.style.transform = 'scale(0.8)';
         card.style.opacity = '0';
@@ -190,8 +225,8 @@ export async function deleteTheme(themeName, onSuccess) {
           }, 300);
         });
       }
-      if (onSuccess) await onSuccess(themeName);
-      showNotification(`${TRANSLATION_UI.grille['delNotif1']}`, 'success');
+      if (onSuccess) await onSuccess(themeId);
+      offerDeleteUndo(data.trash_id);
     } else {
       throw new Error(`${TRANSLATION_UI.grille['delNotif2']}`);
     }
@@ -200,22 +235,134 @@ export async function deleteTheme(themeName, onSuccess) {
     showNotification(`${TRANSLATION_UI.grille['delNotif2']}`, 'error');
   }
 }
+/**
+ *
+ * Suspend ou réactive une entrée programmée sans modifier sa configuration.
+ * La réactivation est refusée si l'entrée chevauche une autre entrée active.
+ * @async
+ * @param {string} themeId - Id de l'entrée.
+ * @param {boolean} active - Nouvel état de l'entrée.
+ * @param {Function} [onSuccess] - Fonction callback appelée après le changement (rafraîchissement de la grille).
+ * @returns {Promise<void>}
+ */
+export async function setThemeActive(themeId, active, onSuccess) {
+  try {
+    const response = await fetch(
+      `${API_ENDPOINTS.themes}/${encodeURIComponent(themeId)}/active`,
+      {
+        method: 'PUT',
+        credentials: 'same-origin',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ active })
+      }
+    );
+    const json = await response.json();
+    const data = json.results?.result;
+    if (data?.success) {
+      if (onSuccess) await onSuccess(themeId);
+      showNotification(TRANSLATION_BACKEND[data.message], 'success');
+    } else {
+      showNotification(TRANSLATION_BACKEND[data?.message] || TRANSLATION_UI.grille['pauseNotif'], 'error');
+    }
+  } catch (error) {
+    console.error('Erreur:', error);
+    showNotification(TRANSLATION_UI.grille['pauseNotif'], 'error');
+  }
+}
+/**
+ *
+ * Reporte une entrée programmée à l'année suivante, ou à sa prochaine occurrence calculée,
+ * en conservant ses éléments et ses options (voir roll_forward_theme dans Lib/ThemeManager.pm).
+ * @async
+ * @param {string} themeId - Id de l'entrée.
+ * @param {Function} [onSuccess] - Fonction callback appelée après le report (rafraîchissement de la grille).
+ * @returns {Promise<void>}
+ */
+export async function rollForwardTheme(themeId, onSuccess) {
+  try {
+    const response = await fetch(
+      `${API_ENDPOINTS.themes}/${encodeURIComponent(themeId)}/roll-forward`,
+      {
+        method: 'POST',
+        credentials: 'same-origin',
+        headers: {
+          'Accept': 'application/json'
+        }
+      }
+    );
+    const json = await response.json();
+    const data = json.results?.result;
+    if (data?.success) {
+      if (onSuccess) await onSuccess(themeId);
+      showNotification(TRANSLATION_BACKEND[data.message], 'success');
+    } else {
+      showNotification(TRANSLATION_BACKEND[data?.message] || TRANSLATION_BACKEND['connexion_error'], 'error');
+    }
+  } catch (error) {
+    console.error('Erreur:', error);
+    showNotification(TRANSLATION_BACKEND['connexion_error'], 'error');
+  }
+}
+/**
+ *
+ * Reporte à l'année suivante toutes les entrées expirées, après confirmation,
+ * puis résume le résultat (entrées reportées et refusées).
+ * @async
+ * @param {Function} [onSuccess] - Fonction callback appelée après le report (rafraîchissement de la grille).
+ * @returns {Promise<void>}
+ */
+export async function rollForwardExpiredThemes(onSuccess) {
+  const labels = TRANSLATION_UI.grille;
+  const confirmed = await showNotification(labels['reporter_expires_confirmation'], 'info');
+  if (!confirmed) return;
+  try {
+    const response = await fetch(`${API_ENDPOINTS.schedule}/roll-forward`, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    const json = await response.json();
+    const data = json.results?.result;
+    if (!data?.success) {
+      showNotification(TRANSLATION_BACKEND[data?.message] || TRANSLATION_BACKEND['connexion_error'], 'error');
+      return;
+    }
+    if (!data.results.length) {
+      showNotification(labels['reporter_aucun'], 'success');
+      return;
+    }
+    if (onSuccess) await onSuccess();
+    const summary = [`${data.rolled} ${labels['reporter_resultat_ok']}`];
+    if (data.failed) summary.push(`${data.failed} ${labels['reporter_resultat_refus']}`);
+    showNotification(`${TRANSLATION_BACKEND[data.message]} ${summary.join(', ')}`, data.failed ? 'error' : 'success');
+  } catch (error) {
+    console.error('Erreur:', error);
+    showNotification(TRANSLATION_BACKEND['connexion_error'], 'error');
+  }
+}
 /**
  *
  * Attache les événements de clic aux boutons des cartes de thème.
  * @param {Function} [onEdit] - Callback appelée lors du clic sur “Modifier”.
  * @param {Function} [onDelete] - Callback appelée lors du clic sur “Supprimer”.
+ * @param {Function} [onChange] - Callback appelée après la suspension, la réactivation ou le report d'une entrée.
+ * @param {Function} [onDuplicate] - Callback appelée lors du clic sur “Dupliquer”.
  * @returns {void}
  */
 let isProcessingThemeAction = false;
-export function attachThemeCardEvents(onEdit, onDelete) {
+export function attachThemeCardEvents(onEdit, onDelete, onChange, onDuplicate) {
   document.querySelectorAll('.action-btn-edit').forEach(btn => {
     btn.addEventListener('click', async (e) => {
-      const themeName = e.currentTarget.dataset.theme;
+      const themeId = e.currentTarget.dataset.id;
       disableAllActionButtons();
       try {
         if (onEdit) {
-          await onEdit(themeName);
+          await onEdit(themeId);
         }
       } finally {
         enableAllActionButtons();
@@ -226,11 +373,11 @@ export function attachThemeCardEvents(onEdit, onDelete) {
     btn.addEventListener('click', async (e) => {
        if (isProcessingThemeAction) return;
         isProcessingThemeAction = true;
-      const themeName = e.currentTarget.dataset.theme;
+      const themeId = e.currentTarget.dataset.id;
       disableAllActionButtons();
       try {
         if (onDelete) {
-          await deleteTheme(themeName, onDelete);
+          await deleteTheme(themeId, onDelete);
         }
       } finally {
         enableAllActionButtons();
@@ -238,4 +385,37 @@ export function attachThemeCardEvents(onEdit, onDelete) {
       }
     });
   });
+  document.querySelectorAll('.action-btn-toggle').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      if (isProcessingThemeAction) return;
+      isProcessingThemeAction = true;
+      const { id: themeId, active } = e.currentTarget.dataset;
+      disableAllActionButtons();
+      try {
+        await setThemeActive(themeId, active !== '1', onChange);
+      } finally {
+        enableAllActionButtons();
+        isProcessingThemeAction = false;
+      }
+    });
+  });
+  document.querySelectorAll('.action-btn-roll-forward').forEach(btn => {
+    btn.addEventListener('click', async (e) => {
+      if (isProcessingThemeAction) return;
+      isProcessingThemeAction = true;
+      const themeId = e.currentTarget.dataset.id;
+      disableAllActionButtons();
+      try {
+        await rollForwardTheme(themeId, onChange);
+      } finally {
+        enableAllActionButtons();
+        isProcessingThemeAction = false;
+      }
+    });
+  });
+  document.querySelectorAll('.action-btn-duplicate').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      if (onDuplicate) onDuplicate(e.currentTarget.dataset.id);
+    });
+  });
 }
@@ -0,0 +1,218 @@
+/**
+ * ======================================================
+ *  Historique des modifications d'un thème programmé et restauration d'une version
+ * ======================================================
+ */
+import { API_ENDPOINTS, TRANSLATION_UI, TRANSLATION_BACKEND } from './config.js';
+import { getById, formatDate, showNotification, refreshThemesAfterChange } from './utils.js';
+import { formatChangeValue } from './scheduleTransfer.js';
+/**
+ *
+ * Entrée affichée dans le panneau et état de l'application (renseigné par initThemeHistory).
+ */
+const historyState = {
+  themeId: null,
+  context: null
+};
+/**
+ *
+ * Appelle une route de l'historique d'une entrée et retourne son résultat.
+ * @param {string} themeId - Id de l'entrée programmée.
+ * @param {string} [path=''] - Chemin sous /themes/{id}/history (ex: '/3/restore').
+ * @param {string} [method='GET'] - Méthode HTTP.
+ * @returns {Promise<Object>} - Résultat renvoyé par l'API ({success, message...}).
+ */
+async function callHistoryApi(themeId, path = '', method = 'GET') {
+  try {
+    const response = await fetch(`${API_ENDPOINTS.themes}/${encodeURIComponent(themeId)}/history${path}`, {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    const json = await response.json();
+    return json.results?.result || { success: false, message: 'connexion_error' };
+  } catch (error) {
+    console.error('Erreur de connexion:', error);
+    return { success: false, message: 'connexion_error' };
+  }
+}
+/**
+ *
+ * Libellé et valeurs affichables d'une différence entre deux versions : champ de l'entrée,
+ * élément activé ou désactivé, ou valeur d'option (voir diff_versions dans Lib/ThemeHistory.pm).
+ * @param {Object} change - Différence ({field, element, option, before, after}).
+ * @param {string} themeName - Thème de l'entrée, pour le libellé des options.
+ * @returns {{label: string, before: string, after: string}}
+ */
+function describeHistoryChange(change, themeName) {
+  const labels = TRANSLATION_UI.transfert;
+  const elementLabel = TRANSLATION_UI.elements?.[change.element] || change.element;
+  if (change.field === 'element') {
+    return {
+      label: `${TRANSLATION_UI.historique['element']} : ${elementLabel}`,
+      before: change.before ? labels['element_actif'] : labels['element_inactif'],
+      after: change.after ? labels['element_actif'] : labels['element_inactif']
+    };
+  }
+  if (change.field === 'option') {
+    const optionLabel = (TRANSLATION_UI[themeName]?.[change.option] || change.option).replace(/\s*:\s*$/, '');
+    return {
+      label: `${elementLabel} : ${optionLabel}`,
+      before: change.before ?? '—',
+      after: change.after ?? '—'
+    };
+  }
+  return {
+    label: labels[change.field] || change.field,
+    before: formatChangeValue(change.field, change.before),
+    after: formatChangeValue(change.field, change.after)
+  };
+}
+/**
+ *
+ * Crée le bloc d'une version : action, date, membre du personnel, différences avec la
+ * version précédente et, sauf pour la version en cours, le bouton de restauration.
+ * @param {Object} version - Version de l'entrée ({version, action, at, user, changes}).
+ * @param {string} themeName - Thème de l'entrée.
+ * @param {boolean} isLatest - Vrai pour la version la plus récente.
+ * @returns {HTMLElement}
+ */
+function createHistoryVersion(version, themeName, isLatest) {
+  const labels = TRANSLATION_UI.historique;
+  const block = document.createElement('div');
+  block.className = `import-entry history-version history-action-${version.action}`;
+  const header = document.createElement('div');
+  header.className = 'import-entry-header';
+  const name = document.createElement('span');
+  name.className = 'import-entry-name';
+  name.textContent = `${labels['version']} ${version.version} · ${labels[`action_${version.action}`] || version.action}`;
+  const author = document.createElement('span');
+  author.className = 'import-entry-status';
+  author.textContent = `${formatDate(version.at)} ${labels['par']} ${version.user?.name || labels['inconnu']}`;
+  header.append(name, author);
+  if (!isLatest && version.action !== 'deleted') {
+    const restoreButton = document.createElement('button');
+    restoreButton.type = 'button';
+    restoreButton.className = 'schedule-transfer-button history-restore';
+    restoreButton.textContent = labels['restaurer'];
+    restoreButton.addEventListener('click', () => restoreThemeVersion(version.version));
+    header.appendChild(restoreButton);
+  }
+  block.appendChild(header);
+  if (version.changes.length) {
+    const table = document.createElement('table');
+    table.className = 'import-entry-changes';
+    const headRow = table.createTHead().insertRow();
+    ['', labels['avant'], labels['apres']].forEach(text => {
+      const cell = document.createElement('th');
+      cell.textContent = text;
+      headRow.appendChild(cell);
+    });
+    const body = table.createTBody();
+    version.changes.forEach(change => {
+      const { label, before, after } = describeHistoryChange(change, themeName);
+      const row = body.insertRow();
+      row.insertCell().textContent = label;
+      row.insertCell().textContent = before;
+      row.insertCell().textContent = after;
+    });
+    block.appendChild(table);
+  }
+  return block;
+}
+/**
+ *
+ * Affiche le panneau de l'historique d'une entrée programmée.
+ * @param {string} themeId - Id de l'entrée programmée.
+ * @returns {Promise<void>}
+ */
+async function renderHistoryPanel(themeId) {
+  const panel = getById('history-panel');
+  if (!panel) return;
+  const result = await callHistoryApi(themeId);
+  if (!result.success && result.message !== 'history_not_found') {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['connexion_error'], 'error');
+    return;
+  }
+  historyState.themeId = themeId;
+  const labels = TRANSLATION_UI.historique;
+  const versions = result.versions || [];
+  const themeName = historyState.context?.state.allThemes?.[themeId]?.theme_name;
+  const heading = document.createElement('h3');
+  heading.textContent = `${labels['titre']} (${themeId})`;
+  const helpText = document.createElement('p');
+  helpText.textContent = versions.length ? labels['aide'] : labels['vide'];
+  const actions = document.createElement('div');
+  actions.className = 'import-actions';
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'modern-button reset';
+  closeButton.textContent = labels['fermer'];
+  closeButton.addEventListener('click', closeHistoryPanel);
+  actions.appendChild(closeButton);
+  panel.replaceChildren(
+    heading,
+    helpText,
+    ...versions.map((version, index) => createHistoryVersion(version, themeName, index === 0)),
+    actions
+  );
+  panel.style.display = '';
+}
+/**
+ *
+ * Masque le panneau de l'historique.
+ * @returns {void}
+ */
+function closeHistoryPanel() {
+  const panel = getById('history-panel');
+  if (!panel) return;
+  panel.style.display = 'none';
+  panel.replaceChildren();
+  historyState.themeId = null;
+}
+/**
+ *
+ * Applique de nouveau une version passée de l'entrée affichée, après confirmation.
+ * L'enregistrement passe par les validations d'une mise à jour (dates, conflits, éléments actifs).
+ * @param {number} version - Numéro de la version à restaurer.
+ * @returns {Promise<void>}
+ */
+async function restoreThemeVersion(version) {
+  const themeId = historyState.themeId;
+  if (!themeId) return;
+  const confirmed = await showNotification(TRANSLATION_UI.historique['restaurer_confirmation'], 'info');
+  if (!confirmed) return;
+  const result = await callHistoryApi(themeId, `/${version}/restore`, 'POST');
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['connexion_error'], 'error');
+    return;
+  }
+  const { state, elements } = historyState.context || {};
+  if (state) await refreshThemesAfterChange(state, elements);
+  await renderHistoryPanel(themeId);
+  showNotification(TRANSLATION_BACKEND[result.message], 'success');
+}
+/**
+ *
+ * Branche les boutons « Historique » des cartes de thème (délégation sur la grille,
+ * qui est reconstruite à chaque rafraîchissement).
+ * @param {Object} state - État global (allThemes, currentSettings...).
+ * @param {Object} elements - Références DOM de l'application.
+ * @returns {void}
+ */
+export function initThemeHistory(state, elements) {
+  historyState.context = { state, elements };
+  elements.themesGrid?.addEventListener('click', async (e) => {
+    const button = e.target.closest('.action-btn-history');
+    if (!button) return;
+    const themeId = button.dataset.id;
+    if (historyState.themeId === themeId) {
+      closeHistoryPanel();
+      return;
+    }
+    await renderHistoryPanel(themeId);
+    getById('history-panel')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  });
+}
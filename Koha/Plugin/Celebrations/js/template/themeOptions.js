@@ -3,12 +3,92 @@
  *  Gestion du menu de configuration des options de thème
  * =======================================================
  */
-import { getById, formatDateForInput } from './utils.js';
+import { getById, formatDateForInput, formatTimeForInput } from './utils.js';
 import { updatePreview } from './devicePreview.js';
 import { TRANSLATION_UI } from './config.js';
+import { setRecurrenceInForm } from './recurrence.js';
+import { clearDateConflicts, checkRuntimeSettingsLayer } from './formHandler.js';
+/**
+ *
+ * Applique aux champs du formulaire l'état des éléments d'une entrée programmée
+ * (interrupteurs et options supplémentaires). Sans entrée, les éléments sont désactivés
+ * et les options reprennent leur valeur par défaut de theme-config.json.
+ * @param {string} themeName - Nom du thème.
+ * @param {Object} rawThemes - Ensemble complet des thèmes et de leurs éléments.
+ * @param {Object|null} [elementStates] - Éléments enregistrés de l'entrée ({enabled, options}), indexés par élément.
+ * @returns {void}
+ */
+function applyElementStates(themeName, rawThemes, elementStates = null) {
+  Object.entries(rawThemes[themeName]?.elements || {}).forEach(([elementKey, element]) => {
+    const elementState = elementStates?.[elementKey] || {};
+    const mainToggle = getById(element.setting);
+    if (!mainToggle) return;
+    if (mainToggle.type === 'checkbox') {
+      mainToggle.checked = Boolean(elementState.enabled);
+    }
+    Object.entries(element.extra_options || {}).forEach(([optKey, option]) => {
+      const input = getById(optKey);
+      const value = elementState.options?.[optKey] ?? option.default;
+      if (!input || value === undefined) return;
+      input.value = value;
+      if (input.type === 'range') {
+        const span = getById(`val_${optKey}`);
+        if (span) span.textContent = value;
+      }
+    });
+    mainToggle.dispatchEvent(new Event('change'));
+  });
+}
+/**
+ *
+ * Remplit les heures facultatives de début et de fin à partir d'une entrée programmée.
+ * Les heures par défaut (journées entières) laissent les champs vides.
+ * @param {Object|null} themeEntry - Entrée programmée (start_date/end_date en secondes), null pour vider les champs.
+ * @returns {void}
+ */
+function setPeriodTimes(themeEntry) {
+  const startTime = getById("start_time");
+  const endTime = getById("end_time");
+  if (startTime) startTime.value = themeEntry?.start_date ? formatTimeForInput(themeEntry.start_date) : "";
+  if (endTime) endTime.value = themeEntry?.end_date ? formatTimeForInput(themeEntry.end_date, true) : "";
+}
+/**
+ *
+ * Sélectionne les bibliothèques ciblées par une entrée programmée (aucune : toutes les bibliothèques).
+ * @param {Array<string>} [branches] - Codes des bibliothèques ciblées.
+ * @returns {void}
+ */
+function setSelectedBranches(branches = []) {
+  Array.from(getById("theme_branches")?.options || []).forEach(option => {
+    option.selected = (branches || []).includes(option.value);
+  });
+}
+/**
+ *
+ * Applique au formulaire les réglages d'une entrée programmée, hors dates : heures, bouton pause,
+ * qualité des effets, superposition, priorité, bibliothèques ciblées, récurrence et éléments.
+ * @param {Object} themeEntry - Entrée programmée.
+ * @param {Object} rawThemes - Ensemble complet des thèmes et de leurs éléments.
+ * @returns {void}
+ */
+function applyEntrySettings(themeEntry, rawThemes) {
+  setPeriodTimes(themeEntry);
+  const motionToggle = getById("motion_toggle");
+  if (motionToggle) motionToggle.checked = Boolean(themeEntry.motion_toggle);
+  const qualityMode = getById("quality_mode");
+  if (qualityMode) qualityMode.value = themeEntry.quality_mode || 'adaptive';
+  const canCombine = getById("can_combine");
+  if (canCombine) canCombine.checked = Boolean(themeEntry.can_combine);
+  const priority = getById("theme_priority");
+  if (priority) priority.value = themeEntry.priority || 0;
+  setSelectedBranches(themeEntry.branches);
+  setRecurrenceInForm(themeEntry.recurrence);
+  applyElementStates(themeEntry.theme_name, rawThemes, themeEntry.elements);
+}
 /**
  *
  * Met à jour dynamiquement l'affichage des options du thème sélectionné.
+ * Les éléments reprennent leur état par défaut (voir applyElementStates).
  * @param {Object} rawThemes - Ensemble complet des thèmes et de leurs éléments.
  * @param {HTMLSelectElement} themeSelect - Liste déroulante permettant de sélectionner un thème.
  * @returns {void}
@@ -19,6 +99,19 @@ export function updateThemeOptions(rawThemes, themeSelect = null, forcedThemeNam
   if (!startInput || !endInput) return;
   startInput.value = "";
   endInput.value = "";
+  setPeriodTimes(null);
+  const motionToggle = getById("motion_toggle");
+  if (motionToggle) motionToggle.checked = false;
+  const qualityMode = getById("quality_mode");
+  if (qualityMode) qualityMode.value = 'adaptive';
+  const canCombine = getById("can_combine");
+  if (canCombine) canCombine.checked = false;
+  const priority = getById("theme_priority");
+  if (priority) priority.value = 0;
+  setSelectedBranches([]);
+  setRecurrenceInForm(null);
+  clearDateConflicts();
+  checkRuntimeSettingsLayer(null, {});
   Object.values(rawThemes).forEach(theme => {
     Object.entries(theme.elements || {}).forEach(([elementKey, element]) => {
       const toggleId = `toggle_${elementKey}`;
@@ -40,10 +133,7 @@ export function updateThemeOptions(rawThemes, themeSelect = null, forcedThemeNam
     const toggleEl = getById(toggleId);
     if (toggleEl) toggleEl.style.display = 'flex';
   });
-  Object.values(themeData.elements).forEach(element => {
-    const mainToggle = getById(element.setting);
-    if (mainToggle) mainToggle.dispatchEvent(new Event('change'));
-  });
+  applyElementStates(selectedTheme, rawThemes);
   Object.entries(themeData.elements).forEach(([elementKey, element]) => {
     if (
       element.extra_options &&
@@ -92,24 +182,17 @@ export function toggleConfig(mainToggle, configDiv) {
 }
 /**
  *
- * Mise à jour du sélecteur de thème qui permet d'ajouter de nouveaux thèmes
- * @param {Array<Object>} themesConf - Tableau des thèmes déjà configurés.
+ * Mise à jour du sélecteur de thème qui permet de programmer de nouvelles entrées.
+ * Tous les thèmes restent proposés : un même thème peut être programmé plusieurs fois.
  * @param {Object} allTheme - Objet de tous les thèmes possibles.
  * @param {HTMLSelectElement} themeSelect - L'élément <select> à mettre à jour.
  * @returns {void}
  */
-export function refreshThemeSelect(themesConf, allTheme, themeSelect) {
+export function refreshThemeSelect(allTheme, themeSelect) {
   if (!themeSelect) return;
-  const themeArray = Array.isArray(themesConf)
-    ? themesConf
-    : Object.values(themesConf || {});
-  const existingThemeNames = themeArray.map(
-    t => t.name || t.theme_name
-  );
   const selectedValue = themeSelect.value;
   themeSelect.innerHTML = '';
   Object.keys(allTheme).forEach(themeKey => {
-    if (existingThemeNames.includes(themeKey)) return;
     const option = document.createElement('option');
     option.value = themeKey;
     option.textContent = TRANSLATION_UI.form[themeKey] || themeKey;
@@ -119,65 +202,42 @@ export function refreshThemeSelect(themesConf, allTheme, themeSelect) {
     themeSelect.value = selectedValue;
   }
   themeSelect.dispatchEvent(new Event('change'));
-  if (themeSelect.options.length === 0) {
-    themeSelect.dispatchEvent(new Event('allConfigured'));
-  } else {
-    themeSelect.dispatchEvent(new Event('notAllConfigured'));
-  }
 }
 /**
  *
- * Restaure les paramètres du thème (dates et options) aux valeurs
+ * Restaure les paramètres de l'entrée (dates et options) aux valeurs
  * qu'ils avaient lors de l'ouverture du mode édition.
- * @param {string} themeName - Nom du thème en cours d'édition.
+ * @param {string} themeId - Id de l'entrée en cours d'édition.
  * @param {Object} state - Objet d'état contenant les données brutes des thèmes et l'état initial.
  * @returns {void}
  */
-export function resetThemeOptions(themeName, state) {
-  const themeEntry = state.allThemes[themeName];
-  const startDate = themeEntry.start_date_formatted;
-  const endDate = themeEntry.end_date_formatted;
-  // Réinitialiser les dates
+export function resetThemeOptions(themeId, state) {
+  const themeEntry = state.allThemes[themeId];
+  // Réinitialiser les dates et les heures
   const startInput = getById("start_date");
   const endInput   = getById("end_date");
   if (startInput && endInput) {
-   startInput.value = startDate ? startDate.slice(0, 10) : "";
-    endInput.value   = endDate ? endDate.slice(0, 10) : "";
+    startInput.value = themeEntry.start_date ? formatDateForInput(themeEntry.start_date) : "";
+    endInput.value   = themeEntry.end_date ? formatDateForInput(themeEntry.end_date) : "";
   }
-  //  Réinitialiser les options principales et supplémentaires
-  Object.entries(themeEntry.elements).forEach(([elementKey, element]) => {
-   const initialEnabled = Boolean(element.enabled);
-    const settingKey = state.rawThemes[themeName].elements[elementKey].setting;
-    const mainToggle = getById(settingKey);
-    if (!mainToggle) return;
-    if (mainToggle.type === 'checkbox') {
-      mainToggle.checked = initialEnabled;
-    }
-    // Réinitialiser les Options Supplémentaires (Sliders, Selects)
-    if (element.options) {
-      Object.entries(element.options).forEach(([optKey, opt]) => {
-        const input = getById(optKey);
-        if (!input) return;
-        input.value = opt;
-        if (input.type === 'range') {
-          const span = getById(`val_${optKey}`);
-          span.textContent = opt;
-        }
-      });
-    }
-    mainToggle.dispatchEvent(new Event('change'));
-  });
-  updatePreview(state.rawThemes, themeName);
+  //  Réinitialiser les réglages, les options principales et supplémentaires
+  applyEntrySettings(themeEntry, state.rawThemes);
+  checkRuntimeSettingsLayer(themeId, state.allThemes);
+  updatePreview(state.rawThemes, themeEntry.theme_name);
 }
 /**
  *
- * Passe en mode édition pour le thème sélectionné :
- * @param {string} themeName - Nom du thème à éditer
- * @param {Object} rawThemes - Configuration complète (THEMES_CONFIG_STR)
+ * Passe en mode édition pour l'entrée programmée sélectionnée.
+ * L'id de l'entrée est conservé sur le formulaire (data-theme-id) jusqu'à la sortie du mode édition.
+ * @param {string} themeId - Id de l'entrée à éditer
+ * @param {Object} state - État global (allThemes, rawThemes...)
  * @param {Object} elements - Références aux éléments DOM (titre, select, etc.)
  * @returns {void}
  */
-export function showThemeEditor(themeName, state, elements) {
+export function showThemeEditor(themeId, state, elements) {
+  const themeEntry = state.allThemes[themeId];
+  if (!themeEntry) return;
+  const themeName = themeEntry.theme_name;
   const confTitre = getById('ConfTitre');
   const labelSel = getById('label-select');
   const themeSelect = elements.themeSelect;
@@ -189,18 +249,15 @@ export function showThemeEditor(themeName, state, elements) {
   createbtn.style.display = 'none';
   updatebtn.style.display = 'block';
   if (themeSelect) themeSelect.style.display = 'none';
+  elements.form.dataset.themeId = themeId;
   updateThemeOptions(state.rawThemes, themeSelect , themeName );
   const startInput = getById("start_date");
   const endInput   = getById("end_date");
   if (!startInput || !endInput) return;
-  const themeEntry = state.allThemes[themeName];
-  if (themeEntry) {
-    startInput.value = formatDateForInput(themeEntry.start_date);
-    endInput.value   = formatDateForInput(themeEntry.end_date);
-  } else {
-      startInput.value = "";
-      endInput.value = "";
-  }
+  startInput.value = formatDateForInput(themeEntry.start_date);
+  endInput.value   = formatDateForInput(themeEntry.end_date);
+  applyEntrySettings(themeEntry, state.rawThemes);
+  checkRuntimeSettingsLayer(themeId, state.allThemes);
   if (!getById('cancel-edit-btn')) {
     const cancelBtn = document.createElement('button');
     cancelBtn.id = 'cancel-edit-btn';
@@ -212,12 +269,37 @@ export function showThemeEditor(themeName, state, elements) {
   }
   if (resetbtn) {
     resetbtn.removeEventListener('click', resetbtn.resetListener);
-    resetbtn.resetListener = () => resetThemeOptions(themeName, state);
+    resetbtn.resetListener = () => resetThemeOptions(themeId, state);
     resetbtn.addEventListener('click', resetbtn.resetListener);
     resetbtn.style.display = 'block';
   }
   updatePreview(state.rawThemes, themeName);
 }
+/**
+ *
+ * Prépare une nouvelle entrée à partir d'une entrée programmée : le formulaire de création
+ * reprend son thème, ses éléments, ses options et ses réglages, sans ses dates.
+ * @param {string} themeId - Id de l'entrée à dupliquer
+ * @param {Object} state - État global (allThemes, rawThemes...)
+ * @param {Object} elements - Références aux éléments DOM (formulaire, select, etc.)
+ * @returns {void}
+ */
+export function showThemeDuplicate(themeId, state, elements) {
+  const themeEntry = state.allThemes[themeId];
+  const themeSelect = elements.themeSelect;
+  if (!themeEntry || !themeSelect) return;
+  if (elements.form.dataset.themeId) exitThemeEditor(state.rawThemes, elements);
+  state.currentSettings = {};
+  themeSelect.value = themeEntry.theme_name;
+  updateThemeOptions(state.rawThemes, themeSelect);
+  applyEntrySettings(themeEntry, state.rawThemes);
+  updatePreview(state.rawThemes, themeEntry.theme_name);
+  const startInput = getById("start_date");
+  if (startInput) {
+    startInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    startInput.focus();
+  }
+}
 /**
  *
  * Revient au mode normal (sélecteur visible, options masquées)
@@ -237,6 +319,7 @@ export function exitThemeEditor(rawThemes, elements) {
   const updateBtn = getById('update-button');
   const resetbtn = getById('reset-button');
   confTitre.textContent = `${TRANSLATION_UI['select_theme']}`;
+  delete elements.form.dataset.themeId;
   themeSelect.style.display = 'block';
   createbtn.style.display = 'block';
   updateThemeOptions(rawThemes, themeSelect);
@@ -245,70 +328,3 @@ export function exitThemeEditor(rawThemes, elements) {
   if (updateBtn) updateBtn.style.display = 'none';
   if (resetbtn) resetbtn.style.display = 'none';
 }
-/**
- *
- * Passe l’interface en mode "configuration complète".
- * Ce mode est activé lorsque tous les thèmes disponibles sont déjà configurés.
- * @param {Object} elements - Références aux éléments DOM utilisés par l’interface.
- * @param {HTMLSelectElement} [elements.themeSelect] - Sélecteur principal des thèmes.
- * @param {HTMLElement} [elements.form] - Formulaire principal de configuration.
- * @param {HTMLElement} [elements.createButton] - Bouton de création de thème.
- * @param {HTMLElement} [elements.previewButton] - Bouton de prévisualisation.
- * @param {HTMLElement} [elements.completeSection] - Section affichée lorsque tout est configuré.
- *
- * @returns {void}
- */
-export function enterAllConfiguredMode(elements) {
-  if (!elements) return;
-  const card = document.getElementsByClassName('plugin-card')[0];
-  const form = getById('theme-form');
-  const title = getById('ConfTitre');
-  const createBtn = getById('create-button');
-  const resetBtn = getById('preview-button');
-  const completeSection = getById('celebration-complete');
-  if (elements.themeSelect) elements.themeSelect.style.display = 'none';
-  if (card) card.style.justifyContent = 'center';
-  if (form) form.style.display = 'none';
-  if (title) title.style.display = 'none';
-  if (createBtn) createBtn.style.display = 'none';
-  if (resetBtn) resetBtn.style.display = 'none';
-  if (completeSection) completeSection.style.display = 'block';
-}
-/**
- *
- * Quitte le mode "configuration complète" et restaure l’interface normale.
- * @param {Object} elements - Références aux éléments DOM utilisés par l’interface.
- * @param {HTMLSelectElement} [elements.themeSelect] - Sélecteur principal des thèmes.
- * @param {HTMLElement} [elements.form] - Formulaire principal de configuration.
- * @param {HTMLElement} [elements.createButton] - Bouton de création de thème.
- * @param {HTMLElement} [elements.previewButton] - Bouton de prévisualisation.
- * @param {HTMLElement} [elements.completeSection] - Section "tout configuré" à masquer.
- *
- * @returns {void}
- */
-export function exitAllConfiguredMode(elements) {
-  if (!elements) return;
-  const card = document.getElementsByClassName('plugin-card')[0];
-  const form = getById('theme-form');
-  const title = getById('ConfTitre');
-  const createBtn = getById('create-button');
-  const updateBtn = getById('preview-button');
-  const completeSection = getById('celebration-complete');
-  if (elements.themeSelect) elements.themeSelect.style.display = 'block';
-  if (card) card.style.justifyContent = 'normal';
-  if (form) form.style.display = 'flex';
-  if (title) title.style.display = 'block';
-  if (createBtn) createBtn.style.display = 'block';
-  if (updateBtn) updateBtn.style.display = 'block';
-  if (completeSection) completeSection.style.display = 'none';
-}
-/**
- *
- * Vérifie si tous les thèmes disponibles ont déjà été configurés.
- * @param {Object} allThemes - Thèmes actuellement configurés par l’utilisateur
- * @param {Object} rawThemes - Configuration complète de tous les thèmes disponibles
- * @returns {boolean} `true` si tous les thèmes sont configurés, sinon `false`.
- */
-export function areAllThemesConfigured(allThemes, rawThemes) {
-  return Object.keys(allThemes).length >= Object.keys(rawThemes).length;
-}
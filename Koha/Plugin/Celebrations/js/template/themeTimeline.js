@@ -0,0 +1,287 @@
+/**
+ * ======================================================
+ *  Vue calendrier des thèmes (frise de l'année ou du mois)
+ * ======================================================
+ */
+import { TRANSLATION_UI, TRANSLATION_BACKEND } from './config.js';
+import { getById, addDays, formatDate, getThemeStatus, showNotification, toLibraryDate, toLibraryTimestamp } from './utils.js';
+import { sortThemes, refreshThemesGridFromAPI } from './themeGrid.js';
+import { getThemeOccurrences, isComputedRecurrence, isRecurringTheme } from './recurrence.js';
+import { updateThemeDates } from './formHandler.js';
+/**
+ *
+ * Vue affichée ('grid', 'year' ou 'month'), période affichée, et derniers paramètres
+ * de rendu (réutilisés au changement de vue ou de période).
+ */
+const timelineState = {
+  view: 'grid',
+  anchor: toLibraryDate(Date.now() / 1000),
+  context: null
+};
+const DAY_MS = 86400000;
+/**
+ *
+ * Période affichée et graduations de la frise.
+ * @returns {{from: Date, to: Date, title: string, ticks: Array<{label: string, date: Date}>}}
+ */
+function getTimelineRange() {
+  const year = timelineState.anchor.getFullYear();
+  const month = timelineState.anchor.getMonth();
+  const months = TRANSLATION_UI.option_mois || [];
+  if (timelineState.view === 'month') {
+    const from = new Date(year, month, 1);
+    const to = new Date(year, month + 1, 1);
+    const ticks = [];
+    for (let day = from; day < to; day = addDays(day, 1)) {
+      ticks.push({ label: String(day.getDate()), date: day });
+    }
+    return { from, to, title: `${months[month]?.label || month + 1} ${year}`, ticks };
+  }
+  return {
+    from: new Date(year, 0, 1),
+    to: new Date(year + 1, 0, 1),
+    title: String(year),
+    ticks: months.map((option, index) => ({ label: option.label, date: new Date(year, index, 1) }))
+  };
+}
+/**
+ *
+ * Position d'une date sur la frise, en pourcentage de la largeur.
+ * @param {Date} date - Date à placer.
+ * @param {{from: Date, to: Date}} range - Période affichée.
+ * @returns {number}
+ */
+function toPercent(date, range) {
+  const ratio = (date - range.from) / (range.to - range.from);
+  return Math.min(100, Math.max(0, ratio * 100));
+}
+/**
+ *
+ * Statut d'une occurrence, calculé comme celui des cartes (getThemeStatus).
+ * @param {Object} theme - Données du thème.
+ * @param {{start: Date, end: Date}} occurrence - Occurrence affichée.
+ * @returns {{type: string, label: string}}
+ */
+function getOccurrenceStatus(theme, occurrence) {
+  const now = toLibraryDate(Date.now() / 1000);
+  return getThemeStatus({
+    ...theme,
+    is_current: theme.is_current && occurrence.start <= now && occurrence.end >= now,
+    next_start_date: toLibraryTimestamp(occurrence.start),
+    next_end_date: toLibraryTimestamp(occurrence.end)
+  });
+}
+/**
+ *
+ * Crée le HTML d'une barre représentant une occurrence d'un thème.
+ * Les bords ne sont déplaçables que si les dates sont saisies (pas calculées) et visibles en entier.
+ * @param {Object} theme - Données du thème.
+ * @param {{start: Date, end: Date}} occurrence - Occurrence affichée.
+ * @param {Object} range - Période affichée.
+ * @returns {string}
+ */
+function createTimelineBar(theme, occurrence, range) {
+  const status = getOccurrenceStatus(theme, occurrence);
+  const left = toPercent(occurrence.start, range);
+  const width = Math.max(toPercent(occurrence.end, range) - left, 0.5);
+  const editable = !isComputedRecurrence(theme.recurrence);
+  const title = `${TRANSLATION_UI.form[theme.theme_name] || theme.theme_name} : ${formatDate(toLibraryTimestamp(occurrence.start))} → ${formatDate(toLibraryTimestamp(occurrence.end))}`;
+  return `
+    <button type="button" class="timeline-bar status-${status.type}"
+            data-id="${theme.id}"
+            data-theme="${theme.theme_name}"
+            data-start="${occurrence.start.getTime()}"
+            data-end="${occurrence.end.getTime()}"
+            style="left: ${left}%; width: ${width}%;"
+            title="${title}">
+      ${editable && occurrence.start >= range.from ? '<span class="timeline-handle start" data-edge="start"></span>' : ''}
+      ${editable && occurrence.end < range.to ? '<span class="timeline-handle end" data-edge="end"></span>' : ''}
+    </button>`;
+}
+/**
+ *
+ * Crée le HTML complet de la frise (navigation, graduations, une ligne par thème).
+ * @param {Object} themes - Ensemble des thèmes configurés.
+ * @returns {string}
+ */
+function createTimelineHTML(themes) {
+  const range = getTimelineRange();
+  const now = toLibraryDate(Date.now() / 1000);
+  const todayMarker = now >= range.from && now < range.to
+    ? `<div class="timeline-today" style="left: ${toPercent(now, range)}%;"></div>`
+    : '';
+  const ticksHTML = range.ticks
+    .map(tick => `<span class="timeline-tick" style="left: ${toPercent(tick.date, range)}%;">${tick.label}</span>`)
+    .join('');
+  const rowsHTML = sortThemes(themes)
+    .map(theme => {
+      const bars = getThemeOccurrences(theme, range.from, range.to)
+        .map(occurrence => createTimelineBar(theme, occurrence, range))
+        .join('');
+      return `
+      <div class="timeline-row">
+        <span class="timeline-label">${TRANSLATION_UI.emoji[theme.theme_name] || TRANSLATION_UI.emoji.default} ${TRANSLATION_UI.form[theme.theme_name] || theme.theme_name}</span>
+        <div class="timeline-track">${bars}${todayMarker}</div>
+      </div>`;
+    })
+    .join('');
+  return `
+    <div class="timeline-toolbar">
+      <button type="button" class="timeline-nav" data-step="-1" aria-label="${TRANSLATION_UI.grille['precedent']}">‹</button>
+      <span class="timeline-title">${range.title}</span>
+      <button type="button" class="timeline-nav" data-step="1" aria-label="${TRANSLATION_UI.grille['suivant']}">›</button>
+    </div>
+    <div class="timeline-row timeline-scale">
+      <span class="timeline-label"></span>
+      <div class="timeline-track">${ticksHTML}</div>
+    </div>
+    ${rowsHTML}
+    <p class="timeline-help">${TRANSLATION_UI.grille['timeline_aide']}</p>`;
+}
+/**
+ *
+ * Nouvelle période d'une occurrence après déplacement d'un de ses bords.
+ * @param {{start: Date, end: Date}} period - Période de départ.
+ * @param {string} edge - Bord déplacé ('start' ou 'end').
+ * @param {number} days - Déplacement en jours.
+ * @returns {{start: Date, end: Date}|null} - Nouvelle période, ou null si le début dépasse la fin.
+ */
+function moveEdge(period, edge, days) {
+  const moved = {
+    start: edge === 'start' ? addDays(period.start, days) : period.start,
+    end: edge === 'end' ? addDays(period.end, days) : period.end
+  };
+  return moved.start <= moved.end ? moved : null;
+}
+/**
+ *
+ * Enregistre les dates modifiées par glissement. Pour un thème répété chaque année,
+ * la période enregistrée est décalée du même nombre de jours que l'occurrence.
+ * @param {string} themeId - Id de l'entrée programmée.
+ * @param {string} edge - Bord déplacé ('start' ou 'end').
+ * @param {number} days - Déplacement en jours.
+ * @param {{start: Date, end: Date}} occurrence - Occurrence déplacée.
+ * @returns {Promise<void>}
+ */
+async function saveMovedEdge(themeId, edge, days, occurrence) {
+  const { state, elements } = timelineState.context;
+  const theme = state.allThemes[themeId];
+  const period = isRecurringTheme(theme)
+    ? moveEdge({ start: toLibraryDate(theme.start_date), end: toLibraryDate(theme.end_date) }, edge, days)
+    : moveEdge(occurrence, edge, days);
+  if (!period) {
+    renderThemesTimeline(state, elements);
+    return;
+  }
+  const result = await updateThemeDates(themeId, theme, state.rawThemes, period);
+  if (result.success) {
+    showNotification(TRANSLATION_BACKEND['theme_updated'], 'success');
+    await refreshThemesGridFromAPI(state, elements);
+  } else {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['update_error'], 'error');
+    renderThemesTimeline(state, elements);
+  }
+}
+/**
+ *
+ * Suit le glissement d'un bord de barre : la barre est redimensionnée au jour près,
+ * puis les nouvelles dates sont enregistrées au relâchement.
+ * @param {PointerEvent} event - Événement pointerdown sur la poignée.
+ * @returns {void}
+ */
+function startEdgeDrag(event) {
+  const handle = event.target;
+  const bar = handle.closest('.timeline-bar');
+  const track = bar.parentElement;
+  const edge = handle.dataset.edge;
+  const range = getTimelineRange();
+  const msPerPixel = (range.to - range.from) / track.getBoundingClientRect().width;
+  const occurrence = { start: new Date(Number(bar.dataset.start)), end: new Date(Number(bar.dataset.end)) };
+  let days = 0;
+  event.preventDefault();
+  handle.setPointerCapture(event.pointerId);
+  bar.classList.add('dragging');
+  const onMove = moveEvent => {
+    const nextDays = Math.round((moveEvent.clientX - event.clientX) * msPerPixel / DAY_MS);
+    const moved = moveEdge(occurrence, edge, nextDays);
+    if (!moved) return;
+    days = nextDays;
+    const left = toPercent(moved.start, range);
+    bar.style.left = `${left}%`;
+    bar.style.width = `${Math.max(toPercent(moved.end, range) - left, 0.5)}%`;
+    bar.title = `${formatDate(toLibraryTimestamp(moved.start))} → ${formatDate(toLibraryTimestamp(moved.end))}`;
+  };
+  const onUp = () => {
+    handle.removeEventListener('pointermove', onMove);
+    handle.removeEventListener('pointerup', onUp);
+    handle.removeEventListener('pointercancel', onUp);
+    bar.classList.remove('dragging');
+    // Le clic qui suit le relâchement ne doit pas ouvrir l'éditeur
+    bar.dataset.dragged = 'true';
+    setTimeout(() => delete bar.dataset.dragged, 0);
+    if (days) saveMovedEdge(bar.dataset.id, edge, days, occurrence);
+  };
+  handle.addEventListener('pointermove', onMove);
+  handle.addEventListener('pointerup', onUp);
+  handle.addEventListener('pointercancel', onUp);
+}
+/**
+ *
+ * Affiche la frise des thèmes si la vue calendrier est active.
+ * @param {Object} state - État global (allThemes, rawThemes...).
+ * @param {Object} elements - Références DOM (themesGrid...).
+ * @param {Function} [onEdit] - Callback appelée au clic sur une barre (ouvre l'éditeur du thème).
+ * @returns {void}
+ */
+export function renderThemesTimeline(state, elements, onEdit = timelineState.context?.onEdit) {
+  timelineState.context = { state, elements, onEdit };
+  const timeline = getById('themes-timeline');
+  if (!timeline) return;
+  const showTimeline = timelineState.view !== 'grid';
+  timeline.style.display = showTimeline ? '' : 'none';
+  if (elements.themesGrid) elements.themesGrid.style.display = showTimeline ? 'none' : '';
+  const toolbar = getById('themes-toolbar');
+  if (toolbar) toolbar.style.display = showTimeline ? 'none' : '';
+  if (showTimeline) timeline.innerHTML = createTimelineHTML(state.allThemes);
+  document.querySelectorAll('.themes-view-switcher button').forEach(button => {
+    button.classList.toggle('active', button.dataset.view === timelineState.view);
+  });
+}
+/**
+ *
+ * Branche le choix de la vue (cartes, année, mois) et les interactions de la frise.
+ * @returns {void}
+ */
+export function initThemesTimeline() {
+  const timeline = getById('themes-timeline');
+  if (!timeline) return;
+  const rerender = () => {
+    const { state, elements } = timelineState.context || {};
+    if (state) renderThemesTimeline(state, elements);
+  };
+  document.querySelectorAll('.themes-view-switcher button').forEach(button => {
+    button.addEventListener('click', () => {
+      timelineState.view = button.dataset.view;
+      rerender();
+    });
+  });
+  timeline.addEventListener('click', event => {
+    const nav = event.target.closest('.timeline-nav');
+    if (nav) {
+      const step = Number(nav.dataset.step);
+      const anchor = timelineState.anchor;
+      timelineState.anchor = timelineState.view === 'month'
+        ? new Date(anchor.getFullYear(), anchor.getMonth() + step, 1)
+        : new Date(anchor.getFullYear() + step, anchor.getMonth(), 1);
+      rerender();
+      return;
+    }
+    const bar = event.target.closest('.timeline-bar');
+    if (bar && !bar.dataset.dragged && timelineState.context?.onEdit) {
+      timelineState.context.onEdit(bar.dataset.id);
+    }
+  });
+  timeline.addEventListener('pointerdown', event => {
+    if (event.target.classList.contains('timeline-handle')) startEdgeDrag(event);
+  });
+}
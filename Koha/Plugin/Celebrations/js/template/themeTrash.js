@@ -0,0 +1,190 @@
+/**
+ * ======================================================
+ *  Corbeille des thèmes : annulation d'une suppression et thèmes récemment supprimés
+ * ======================================================
+ */
+import { API_ENDPOINTS, TRANSLATION_UI, TRANSLATION_BACKEND } from './config.js';
+import { getById, formatDate, showNotification, refreshThemesAfterChange } from './utils.js';
+/**
+ *
+ * État de l'application (renseigné par initThemeTrash).
+ */
+const trashState = {
+  context: null
+};
+/**
+ *
+ * Appelle une route de la corbeille et retourne son résultat.
+ * @param {string} path - Chemin sous API_ENDPOINTS.trash (ex: '/noel/restore').
+ * @param {string} [method='GET'] - Méthode HTTP.
+ * @returns {Promise<Object>} - Résultat renvoyé par l'API ({success, message...}).
+ */
+async function callTrashApi(path = '', method = 'GET') {
+  try {
+    const response = await fetch(`${API_ENDPOINTS.trash}${path}`, {
+      method,
+      credentials: 'same-origin',
+      headers: {
+        'Accept': 'application/json'
+      }
+    });
+    const json = await response.json();
+    return json.results?.result || { success: false, message: 'connexion_error' };
+  } catch (error) {
+    console.error('Erreur de connexion:', error);
+    return { success: false, message: 'connexion_error' };
+  }
+}
+/**
+ *
+ * Rafraîchit la grille des thèmes et, s'il est ouvert, le panneau des thèmes récemment supprimés.
+ * @returns {Promise<void>}
+ */
+async function refreshAfterTrashChange() {
+  const { state, elements } = trashState.context || {};
+  if (state) await refreshThemesAfterChange(state, elements);
+  if (getById('trash-panel')?.style.display !== 'none') await renderTrashPanel();
+}
+/**
+ *
+ * Remet une entrée de la corbeille dans la programmation. Une entrée qui chevauche
+ * désormais un autre thème est restaurée suspendue (voir restore_theme dans Lib/ThemeManager.pm).
+ * @param {string} trashId - Id de l'entrée dans la corbeille.
+ * @returns {Promise<void>}
+ */
+async function restoreDeletedTheme(trashId) {
+  const result = await callTrashApi(`/${encodeURIComponent(trashId)}/restore`, 'POST');
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['connexion_error'], 'error');
+    return;
+  }
+  await refreshAfterTrashChange();
+  showNotification(TRANSLATION_BACKEND[result.message], 'success');
+}
+/**
+ *
+ * Supprime définitivement une entrée de la corbeille, après confirmation.
+ * @param {string} trashId - Id de l'entrée dans la corbeille.
+ * @returns {Promise<void>}
+ */
+async function purgeDeletedTheme(trashId) {
+  const confirmed = await showNotification(TRANSLATION_UI.corbeille['purger_confirmation'], 'info');
+  if (!confirmed) return;
+  const result = await callTrashApi(`/${encodeURIComponent(trashId)}`, 'DELETE');
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['connexion_error'], 'error');
+    return;
+  }
+  await renderTrashPanel();
+  showNotification(TRANSLATION_BACKEND[result.message], 'success');
+}
+/**
+ *
+ * Propose d'annuler une suppression dans la notification qui la confirme.
+ * @param {string} trashId - Id de l'entrée dans la corbeille (renvoyé par la suppression).
+ * @returns {void}
+ */
+export function offerDeleteUndo(trashId) {
+  showNotification(TRANSLATION_UI.grille['delNotif1'], 'success', {
+    label: TRANSLATION_UI.corbeille['annuler'],
+    onClick: () => restoreDeletedTheme(trashId)
+  });
+  if (getById('trash-panel')?.style.display !== 'none') renderTrashPanel();
+}
+/**
+ *
+ * Crée le bloc d'une entrée de la corbeille : nom, période, date de suppression,
+ * et boutons de restauration et de suppression définitive.
+ * @param {Object} entry - Entrée de la corbeille ({id, name, start_date, end_date, deleted_at...}).
+ * @returns {HTMLElement}
+ */
+function createTrashEntry(entry) {
+  const labels = TRANSLATION_UI.corbeille;
+  const block = document.createElement('div');
+  block.className = 'import-entry trash-entry';
+  const header = document.createElement('div');
+  header.className = 'import-entry-header';
+  const name = document.createElement('span');
+  name.className = 'import-entry-name';
+  name.textContent = `${TRANSLATION_UI.emoji[entry.name] || TRANSLATION_UI.emoji.default} `
+    + `${TRANSLATION_UI.form[entry.name] || entry.name} (${entry.original_id})`;
+  const deletedAt = document.createElement('span');
+  deletedAt.className = 'import-entry-status';
+  deletedAt.textContent = `${labels['supprime_le']} ${formatDate(entry.deleted_at)}`;
+  const restoreButton = document.createElement('button');
+  restoreButton.type = 'button';
+  restoreButton.className = 'schedule-transfer-button trash-restore';
+  restoreButton.textContent = labels['restaurer'];
+  restoreButton.addEventListener('click', () => restoreDeletedTheme(entry.id));
+  const purgeButton = document.createElement('button');
+  purgeButton.type = 'button';
+  purgeButton.className = 'schedule-transfer-button trash-purge';
+  purgeButton.textContent = labels['purger'];
+  purgeButton.addEventListener('click', () => purgeDeletedTheme(entry.id));
+  header.append(name, deletedAt, restoreButton, purgeButton);
+  const period = document.createElement('div');
+  period.className = 'trash-entry-period';
+  period.textContent = `${formatDate(entry.start_date)} → ${formatDate(entry.end_date)}`;
+  block.append(header, period);
+  return block;
+}
+/**
+ *
+ * Affiche le panneau des thèmes récemment supprimés d'après la corbeille.
+ * @returns {Promise<void>}
+ */
+async function renderTrashPanel() {
+  const panel = getById('trash-panel');
+  if (!panel) return;
+  const result = await callTrashApi();
+  if (!result.success) {
+    showNotification(TRANSLATION_BACKEND[result.message] || TRANSLATION_BACKEND['connexion_error'], 'error');
+    return;
+  }
+  const labels = TRANSLATION_UI.corbeille;
+  const heading = document.createElement('h3');
+  heading.textContent = labels['titre'];
+  const helpText = document.createElement('p');
+  helpText.textContent = result.themes.length ? labels['aide'] : labels['vide'];
+  const actions = document.createElement('div');
+  actions.className = 'import-actions';
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'modern-button reset';
+  closeButton.textContent = labels['fermer'];
+  closeButton.addEventListener('click', closeTrashPanel);
+  actions.appendChild(closeButton);
+  panel.replaceChildren(heading, helpText, ...result.themes.map(createTrashEntry), actions);
+  panel.style.display = '';
+}
+/**
+ *
+ * Masque le panneau des thèmes récemment supprimés.
+ * @returns {void}
+ */
+function closeTrashPanel() {
+  const panel = getById('trash-panel');
+  if (!panel) return;
+  panel.style.display = 'none';
+  panel.replaceChildren();
+}
+/**
+ *
+ * Branche le bouton des thèmes récemment supprimés.
+ * @param {Object} state - État global (allThemes, currentSettings...).
+ * @param {Object} elements - Références DOM de l'application.
+ * @returns {void}
+ */
+export function initThemeTrash(state, elements) {
+  trashState.context = { state, elements };
+  const trashButton = getById('show-trash');
+  if (!trashButton) return;
+  trashButton.addEventListener('click', async () => {
+    if (getById('trash-panel')?.style.display !== 'none') {
+      closeTrashPanel();
+      return;
+    }
+    await renderTrashPanel();
+    getById('trash-panel')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  });
+}
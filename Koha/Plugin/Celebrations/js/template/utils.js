@@ -4,8 +4,10 @@
  * =======================================================
  */
 import { updateThemesGrid, refreshThemesGridFromAPI, attachThemeCardEvents } from './themeGrid.js';
-import { refreshThemeSelect, showThemeEditor } from './themeOptions.js';
-import { TRANSLATION_UI } from './config.js';
+import { showThemeEditor, showThemeDuplicate, exitThemeEditor } from './themeOptions.js';
+import { TRANSLATION_UI, LIBRARY_TIMEZONE, LIBRARIES } from './config.js';
+import { getOccurrenceDates } from './recurrence.js';
+import { renderThemesTimeline } from './themeTimeline.js';
 /**
  *
  *  Utilitaires généraux
@@ -42,33 +44,140 @@ export function safeParseJSON(encodedStr, label = "JSON inconnu") {
   }
 }
 /**
- * Formate un timestamp pour l'affichage lisible aux utilisateurs.
+ *
+ * Formateur qui découpe un instant en date et heure du fuseau de la bibliothèque.
+ * Créé au premier appel : config.js, qui définit LIBRARY_TIMEZONE, vient après ce fichier dans le bundle.
+ */
+let libraryClock = null;
+/**
+ *
+ * Retourne le formateur du fuseau de la bibliothèque (voir libraryClock).
+ * @returns {Intl.DateTimeFormat}
+ */
+function getLibraryClock() {
+  if (!libraryClock) {
+    libraryClock = new Intl.DateTimeFormat('en-CA', {
+      timeZone: LIBRARY_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+  return libraryClock;
+}
+/**
+ * Convertit un timestamp en date « heure de la bibliothèque » : les champs de la Date
+ * (getFullYear, getDate, getHours...) sont la date et l'heure dans LIBRARY_TIMEZONE,
+ * ce qui permet de faire les calculs de calendrier avec les méthodes habituelles.
  * @param {number} timestamp - Timestamp en secondes.
- * @param {boolean} [endOfDay=false] - Si vrai, force l'heure à 23:59 pour indiquer la fin de journée.
- * @returns {string} Date formatée (ex: "12 novembre 2025 à 08:42" ou "12 novembre 2025 à 23:59").
+ * @returns {Date}
  */
-export function formatDate(timestamp, endOfDay = false) {
-  const date = new Date(timestamp * 1000);
+export function toLibraryDate(timestamp) {
+  const parts = Object.fromEntries(
+    getLibraryClock().formatToParts(new Date(timestamp * 1000)).map(({ type, value }) => [type, Number(value)])
+  );
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+/**
+ * Convertit une date « heure de la bibliothèque » (voir toLibraryDate) en timestamp.
+ * @param {Date} date - Date dont les champs sont la date et l'heure dans LIBRARY_TIMEZONE.
+ * @returns {number} Timestamp en secondes.
+ */
+export function toLibraryTimestamp(date) {
+  const asUTC = value => Date.UTC(value.getFullYear(), value.getMonth(), value.getDate(),
+    value.getHours(), value.getMinutes(), value.getSeconds());
+  const wallClock = asUTC(date);
+  // Le décalage du fuseau est recalculé une fois à l'instant trouvé (changements d'heure)
+  let time = wallClock;
+  for (let pass = 0; pass < 2; pass++) {
+    time = wallClock - (asUTC(toLibraryDate(time / 1000)) - time);
+  }
+  return time / 1000;
+}
+/**
+ * Formate un timestamp pour l'affichage lisible aux utilisateurs (heure de la bibliothèque).
+ * @param {number} timestamp - Timestamp en secondes.
+ * @returns {string} Date formatée (ex: "12 novembre 2025 à 08:42" ou "31 décembre 2025 à 18:00").
+ */
+export function formatDate(timestamp) {
+  const date = toLibraryDate(timestamp);
   const day = date.getDate();
   const month = date.toLocaleString('fr-FR', { month: 'long' });
   const year = date.getFullYear();
-  const hour = endOfDay ? '23' : String(date.getHours()).padStart(2, '0');
-  const minute = endOfDay ? '59' : String(date.getMinutes()).padStart(2, '0');
+  const hour = String(date.getHours()).padStart(2, '0');
+  const minute = String(date.getMinutes()).padStart(2, '0');
   return `${day} ${month} ${year} à ${hour}:${minute}`;
 }
 /**
- * Formate un timestamp pour un input HTML de type "date".
+ * Formate un timestamp pour un input HTML de type "date" (jour dans le fuseau de la bibliothèque).
  * @param {number} timestamp - Timestamp en secondes.
  * @returns {string} Date au format "YYYY-MM-DD" pour l'input.
  */
 function formatDateForInput(timestamp) {
-    const date = new Date(timestamp * 1000);
+    const date = toLibraryDate(timestamp);
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0'); // 0-based
     const day = String(date.getDate()).padStart(2, '0');
     return `${year}-${month}-${day}`;
 }
+/**
+ * Formate l'heure d'un timestamp pour un input HTML de type "time" (heure de la bibliothèque).
+ * L'heure par défaut (00:00 pour un début, 23:59:59 pour une fin) n'est pas reprise :
+ * le champ reste vide, comme pour un thème saisi sans heure.
+ * @param {number} timestamp - Timestamp en secondes.
+ * @param {boolean} [isEnd=false] - Si vrai, le timestamp est une fin de période.
+ * @returns {string} Heure au format "HH:MM", ou chaîne vide pour l'heure par défaut.
+ */
+export function formatTimeForInput(timestamp, isEnd = false) {
+  const date = toLibraryDate(timestamp);
+  const [hours, minutes, seconds] = [date.getHours(), date.getMinutes(), date.getSeconds()];
+  const isDefault = isEnd
+    ? hours === 23 && minutes === 59 && seconds === 59
+    : !hours && !minutes && !seconds;
+  if (isDefault) return '';
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
 
+/**
+ *
+ * Décale une date d'un nombre de jours (calendaire, indépendant des changements d'heure).
+ * @param {Date} date - Date de départ.
+ * @param {number} days - Nombre de jours (négatif pour reculer).
+ * @returns {Date}
+ */
+export function addDays(date, days) {
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() + days);
+  return shifted;
+}
+/**
+ *
+ * Indique si deux listes de bibliothèques ciblées ont une bibliothèque en commun
+ * (même règle que branches_overlap dans Lib/ThemeManager.pm : une liste vide désigne toutes les bibliothèques).
+ * @param {Array<string>} [branches] - Codes des bibliothèques ciblées par un thème.
+ * @param {Array<string>} [otherBranches] - Codes des bibliothèques ciblées par l'autre thème.
+ * @returns {boolean}
+ */
+export function branchesOverlap(branches = [], otherBranches = []) {
+  if (!branches?.length || !otherBranches?.length) return true;
+  return otherBranches.some(branch => branches.includes(branch));
+}
+/**
+ *
+ * Libellé des bibliothèques ciblées par un thème (noms des bibliothèques, ou « toutes »).
+ * @param {Array<string>} [branches] - Codes des bibliothèques ciblées.
+ * @returns {string}
+ */
+export function getBranchesLabel(branches = []) {
+  if (!branches?.length) return TRANSLATION_UI.grille['toutes_bibliotheques'];
+  return branches
+    .map(code => LIBRARIES.find(library => library.branchcode === code)?.branchname || code)
+    .join(', ');
+}
 /**
  *
  *  Calcule le pourcentage de progression
@@ -87,21 +196,23 @@ export function calculateProgress(startDate, endDate) {
 /**
  *
  *  Détermine le statut d'un thème
+ *  Pour un thème récurrent, le statut porte sur l’occurrence en cours ou à venir.
  *  @param {Object} theme - Objet contenant les propriétés d’un thème (start_date, end_date, active, etc.).
  *  @returns {{type: string, label: string}} - Type et libellé du statut.
  */
 export function getThemeStatus(theme) {
   const now = Date.now() / 1000;
+  const { start, end } = getOccurrenceDates(theme);
   if (theme.is_current) {
     return { type: 'current', label: 'En cours' };
   }
   if (!theme.active) {
     return { type: 'expired', label: 'Inactif' };
   }
-  if (theme.start_date > now) {
+  if (start > now) {
     return { type: 'scheduled', label: 'Programmé' };
   }
-  if (theme.end_date < now) {
+  if (end < now) {
     return { type: 'expired', label: 'Expiré' };
   }
   return { type: 'active', label: 'Actif' };
@@ -137,9 +248,11 @@ export function getActiveElementsInfo(theme, maxDisplay = 4) {
  * Affiche une notification temporaire
  * @param {string} message - Message à afficher.
  * @param {'info'|'success'|'error'} [type='info'] - Type de notification (impacte la couleur et le comportement)
+ * @param {{label: string, onClick: Function}} [action] - Bouton proposé dans une notification 'success' ou 'error'
+ *   (ex : « Annuler » après une suppression) ; la notification reste alors affichée plus longtemps.
  * @returns {Promise<void>|void} - Pour 'info', renvoie une Promise qui se résout quand l'utilisateur confirme
  */
-export function showNotification(message, type = 'info') {
+export function showNotification(message, type = 'info', action = null) {
   const notification = document.createElement('div');
   let background = '';
   if (type === 'success') {
@@ -210,10 +323,31 @@ export function showNotification(message, type = 'info') {
       });
     });
   } else {
-    setTimeout(() => {
+    const close = () => {
+      if (!notification.isConnected) return;
       notification.style.animation = 'slideOut 0.3s ease';
       setTimeout(() => notification.remove(), 300);
-    }, 3000);
+    };
+    if (action) {
+      const btnAction = document.createElement('button');
+      btnAction.textContent = action.label;
+      btnAction.style.cssText = `
+        padding: 4px 12px;
+        border: none;
+        border-radius: 8px;
+        cursor: pointer;
+        background: rgba(255,255,255,0.2);
+        color: white;
+        font-weight: 600;
+      `;
+      notification.appendChild(btnAction);
+      btnAction.addEventListener('click', () => {
+        btnAction.disabled = true;
+        close();
+        action.onClick();
+      }, { once: true });
+    }
+    setTimeout(close, action ? 8000 : 3000);
   }
 }
 /**
@@ -236,8 +370,8 @@ export function toggleButtons(buttons, disabled) {
  * Met à jour la grille des thèmes et rattache les événements associés.
  *
  * @param {Object} state - État global comprenant :
- *   - {Object} allThemes : liste de tous les thèmes disponibles
- *   - {Object} currentSettings : thème actif + options actuelles
+ *   - {Object} allThemes : entrées programmées, indexées par id
+ *   - {Object} currentSettings : id de l'entrée active ou en cours d'édition (theme_id)
  *   - {string} themesConfigStr : configuration brute renvoyée par la BD/API
  *
  * @param {Object} elements - Références DOM nécessaires au rendu :
@@ -249,33 +383,47 @@ export function toggleButtons(buttons, disabled) {
 export async function renderThemesGrid(state, elements) {
   updateThemesGrid(
     state.allThemes,
-    state.currentSettings.theme_name,
+    state.currentSettings.theme_id,
     elements.noThemeMessage,
     elements.themesGrid
   );
+  const onEdit = themeId => {
+    state.currentSettings = { theme_id: themeId };
+    showThemeEditor(themeId, state, elements);
+  };
+  renderThemesTimeline(state, elements, onEdit);
   attachThemeCardEvents(
-    themeName => {
-      state.currentSettings = { theme_name: themeName };
-      showThemeEditor(themeName, state, elements);
-    },
-    async (deletedThemeName) => {
-      const wasAllConfigured = state.isAllConfigured;
-      const currentEditedTheme = state.currentSettings?.theme_name;
+    onEdit,
+    async (deletedThemeId) => {
+      const currentEditedTheme = state.currentSettings?.theme_id;
       await refreshThemesGridFromAPI(state, elements, state.rawThemes);
-      refreshThemeSelect(state.allThemes, state.rawThemes, elements.themeSelect);
-      if (currentEditedTheme == deletedThemeName) {
+      if (currentEditedTheme == deletedThemeId) {
         exitThemeEditor(state.rawThemes, elements);
         state.currentSettings = {};
       }else{
-        state.currentSettings = { theme_name: currentEditedTheme };
-      }
-      if (wasAllConfigured && !areAllThemesConfigured(state.allThemes, state.rawThemes)) {
-        state.isAllConfigured = false;
-        exitAllConfiguredMode(elements);
+        state.currentSettings = { theme_id: currentEditedTheme };
       }
+    },
+    () => refreshThemesAfterChange(state, elements),
+    themeId => {
+      showThemeDuplicate(themeId, state, elements);
+      showNotification(TRANSLATION_UI.grille['dupliquer_aide'], 'success');
     }
   );
 }
+/**
+ *
+ * Recharge les entrées programmées depuis l'API après une suspension, une réactivation
+ * ou un report, puis affiche de nouveau la grille et la frise ; l'entrée en cours d'édition reste ouverte.
+ * @param {Object} state - État global (allThemes, currentSettings...).
+ * @param {Object} elements - Références DOM de l'application.
+ * @returns {Promise<void>}
+ */
+export async function refreshThemesAfterChange(state, elements) {
+  const currentEditedTheme = state.currentSettings?.theme_id;
+  await refreshThemesGridFromAPI(state, elements);
+  state.currentSettings = { theme_id: currentEditedTheme };
+}
 /**
  *
  *  Désactive tous les boutons d'action des cartes de thème
@@ -3,9 +3,12 @@
  * Script de bundling pour le plugin Koha Celebrations
  * Fusionne tous les fichiers JS de "js/template/" en un seul bundle,
  * supprime les imports/exports, et met à jour le template pour charger ce bundle.
+ * Avec --check, le bundle est seulement construit puis évalué (aucun fichier écrit) :
+ * une erreur au chargement du script (ordre des fichiers, nom déclaré deux fois...) fait échouer la commande.
  */
 import fs from "fs";
 import path from "path";
+import vm from "vm";
 // === Configuration ===
 const jsDir = "Koha/Plugin/Celebrations/js/template";
 const distDir = "Koha/Plugin/Celebrations/js/dist";
@@ -48,6 +51,35 @@ for (const file of files) {
   bundleContent += `\n// ===== Fichier: ${path.basename(file)} =====\n`;
   bundleContent += content + "\n";
 }
+// === Vérification : évaluation du bundle dans une page minimale ===
+if (process.argv.includes("--check")) {
+  const noop = () => {};
+  const page = {
+    console: { log: noop, info: noop, warn: noop, error: console.error },
+    Intl,
+    URL,
+    setTimeout,
+    clearTimeout,
+    localStorage: { getItem: () => null, setItem: noop, removeItem: noop },
+    document: {
+      readyState: "loading",
+      addEventListener: noop,
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => []
+    },
+    addEventListener: noop
+  };
+  page.window = page;
+  try {
+    vm.runInNewContext(bundleContent, page, { filename: "celebrations-bundle.js" });
+  } catch (error) {
+    console.error(`❌ Erreur au chargement du bundle : ${error.stack || error}`);
+    process.exit(1);
+  }
+  console.log("✅ Bundle évalué sans erreur.");
+  process.exit(0);
+}
 fs.writeFileSync(outputFile, bundleContent, "utf8");
 console.log(`✅ Bundle créé : ${outputFile}`);
 // === Mise à jour du template ===
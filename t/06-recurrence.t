@@ -0,0 +1,122 @@
+use strict;
+use warnings;
+use Test::More;
+use Test::MockObject;
+use DateTime;
+use Koha::Plugin::Celebrations::Lib::Recurrence;
+#
+#  Ce test vérifie le calcul des occurrences des thèmes récurrents
+#  (Koha::Plugin::Celebrations::Lib::Recurrence).
+#
+#  Vérifications effectuées :
+#  1. Validation et nettoyage des règles reçues de l'API.
+#  2. Occurrence en cours ou à venir d'un thème répété chaque année,
+#     y compris une période à cheval sur deux années et le 29 février.
+#  3. Thème en cours (is_current) pour un thème récurrent et un thème à dates fixes.
+#  4. Chevauchement entre thèmes récurrents et thèmes à dates fixes.
+#  5. Dimanche de Pâques et dates calculées d'une règle relative à Pâques.
+#  6. Dates calculées d'une règle « nième jour de la semaine d'un mois ».
+#  7. Règles calculées dont le premier jour commence par un passage à l'heure d'été
+#     à minuit (minuit n'existe pas : 01:00 à la place).
+#
+my $config = Test::MockObject->new();
+$config->mock('get_timezone', sub { return 'local' });
+my $recurrence = Koha::Plugin::Celebrations::Lib::Recurrence->new({ config => $config });
+sub local_dt {
+    my ($year, $month, $day, $hour, $minute, $second) = @_;
+    return DateTime->new(
+        year => $year, month => $month, day => $day,
+        hour => $hour // 0, minute => $minute // 0, second => $second // 0,
+        time_zone => 'local',
+    );
+}
+sub yearly_theme {
+    my ($start, $end) = @_;
+    return {
+        start_date => local_dt(@$start)->epoch,
+        end_date   => local_dt(@$end, 23, 59, 59)->epoch,
+        recurrence => { type => 'yearly' },
+    };
+}
+# --- Règles ---
+is_deeply($recurrence->normalize(undef), { type => 'none' }, 'Règle absente : aucune répétition');
+is_deeply($recurrence->normalize({ type => 'yearly' }), { type => 'yearly' }, 'Règle annuelle acceptée');
+ok(!$recurrence->normalize({ type => 'weekly' }), 'Type inconnu refusé');
+ok(!$recurrence->normalize('yearly'), 'Règle qui n’est pas un objet refusée');
+# --- Occurrences ---
+my $noel = yearly_theme([2024, 12, 1], [2024, 12, 26]);
+my ($start, $end) = $recurrence->current_or_next($noel, local_dt(2026, 12, 10));
+is($start->ymd, '2026-12-01', 'Occurrence en cours : début');
+is($end->ymd, '2026-12-26', 'Occurrence en cours : fin');
+ok($recurrence->is_current($noel, local_dt(2026, 12, 10)), 'Thème annuel en cours');
+($start) = $recurrence->current_or_next($noel, local_dt(2026, 12, 27));
+is($start->ymd, '2027-12-01', 'Occurrence terminée : la suivante est l’année prochaine');
+ok(!$recurrence->is_current($noel, local_dt(2026, 12, 27)), 'Thème annuel hors période');
+my $nouvel_an = yearly_theme([2024, 12, 20], [2025, 1, 5]);
+($start, $end) = $recurrence->current_or_next($nouvel_an, local_dt(2027, 1, 3));
+is($start->ymd, '2026-12-20', 'Période sur deux années : début l’année précédente');
+is($end->ymd, '2027-01-05', 'Période sur deux années : fin l’année en cours');
+my $bissextile = yearly_theme([2024, 2, 29], [2024, 3, 2]);
+($start) = $recurrence->current_or_next($bissextile, local_dt(2025, 1, 1));
+is($start->ymd, '2025-02-28', 'Le 29 février devient le 28 les années non bissextiles');
+my $fixe = { %$noel, recurrence => { type => 'none' } };
+ok(!$recurrence->is_current($fixe, local_dt(2026, 12, 10)), 'Thème à dates fixes passé');
+# --- Chevauchements ---
+my $halloween = yearly_theme([2024, 10, 1], [2024, 10, 31]);
+ok($recurrence->overlaps($noel, $nouvel_an), 'Deux thèmes annuels qui se chevauchent');
+ok(!$recurrence->overlaps($noel, $halloween), 'Deux thèmes annuels distincts');
+my $octobre_2030 = {
+    start_date => local_dt(2030, 10, 15)->epoch,
+    end_date   => local_dt(2030, 10, 16, 23, 59, 59)->epoch,
+};
+ok($recurrence->overlaps($octobre_2030, $halloween), 'Période fixe dans une occurrence future');
+ok($recurrence->overlaps($halloween, $octobre_2030), 'Occurrence future sur une période fixe');
+# --- Pâques ---
+my %paques = (2024 => '2024-03-31', 2025 => '2025-04-20', 2026 => '2026-04-05', 2027 => '2027-03-28', 2038 => '2038-04-25');
+is($recurrence->easter_sunday($_)->ymd, $paques{$_}, "Dimanche de Pâques $_") foreach sort keys %paques;
+my $regle_paques = $recurrence->normalize({ type => 'easter', start_offset => '-7', end_offset => 1 });
+is_deeply($regle_paques, { type => 'easter', start_offset => -7, end_offset => 1 }, 'Règle de Pâques acceptée');
+ok(!$recurrence->normalize({ type => 'easter', start_offset => 2, end_offset => 1 }), 'Décalages inversés refusés');
+ok(!$recurrence->normalize({ type => 'easter', start_offset => -120, end_offset => 1 }), 'Décalage trop grand refusé');
+ok(!$recurrence->normalize({ type => 'easter', start_offset => 'x', end_offset => 1 }), 'Décalage non entier refusé');
+($start, $end) = $recurrence->resolve($regle_paques, local_dt(2026, 4, 1));
+is($start->ymd, '2026-03-29', 'Pâques 2026 : une semaine avant le dimanche');
+is($end->ymd, '2026-04-06', 'Pâques 2026 : jusqu’au lundi de Pâques');
+is($end->hms, '23:59:59', 'Pâques 2026 : fin de journée');
+($start) = $recurrence->resolve($regle_paques, local_dt(2026, 4, 10));
+is($start->ymd, '2027-03-21', 'Pâques passé : occurrence de l’année suivante');
+ok($recurrence->overlaps({ recurrence => $regle_paques }, yearly_theme([2024, 4, 1], [2024, 4, 2])),
+    'Règle de Pâques en conflit avec une période annuelle début avril');
+# --- Nième jour de la semaine d'un mois ---
+my $action_de_graces = $recurrence->normalize({ type => 'nth_weekday', month => 10, weekday => 1, nth => 2, offset => 0, duration => 1 });
+ok($action_de_graces, 'Règle du 2e lundi d’octobre acceptée');
+($start, $end) = $recurrence->resolve($action_de_graces, local_dt(2026, 1, 1));
+is($start->ymd, '2026-10-12', '2e lundi d’octobre 2026');
+is($end->ymd, '2026-10-12', 'Durée d’un jour');
+my $fete_des_meres = { type => 'nth_weekday', month => 5, weekday => 7, nth => 2, offset => -6, duration => 7 };
+($start, $end) = $recurrence->resolve($recurrence->normalize($fete_des_meres), local_dt(2027, 1, 1));
+is($start->ymd, '2027-05-03', 'Semaine précédant le 2e dimanche de mai 2027 : début');
+is($end->ymd, '2027-05-09', 'Semaine précédant le 2e dimanche de mai 2027 : fin');
+my $dernier_jeudi = $recurrence->normalize({ type => 'nth_weekday', month => 11, weekday => 4, nth => -1, offset => 0, duration => 2 });
+($start, $end) = $recurrence->resolve($dernier_jeudi, local_dt(2026, 1, 1));
+is($start->ymd, '2026-11-26', 'Dernier jeudi de novembre 2026');
+is($end->ymd, '2026-11-27', 'Durée de deux jours');
+ok(!$recurrence->normalize({ %$fete_des_meres, nth => 5 }), '5e occurrence refusée');
+ok(!$recurrence->normalize({ %$fete_des_meres, duration => 0 }), 'Durée nulle refusée');
+ok(!$recurrence->normalize({ %$fete_des_meres, month => 13 }), 'Mois invalide refusé');
+# --- Passage à l'heure d'été à minuit ---
+my $config_santiago = Test::MockObject->new();
+$config_santiago->mock('get_timezone', sub { return 'America/Santiago' });
+my $recurrence_santiago = Koha::Plugin::Celebrations::Lib::Recurrence->new({ config => $config_santiago });
+my $premier_dimanche = $recurrence_santiago->normalize({ type => 'nth_weekday', month => 9, weekday => 7, nth => 1, offset => 0, duration => 1 });
+($start, $end) = eval { $recurrence_santiago->resolve($premier_dimanche, DateTime->new(year => 2025, month => 1, day => 1, time_zone => 'America/Santiago')) };
+is($start && $start->ymd . ' ' . $start->hms, '2025-09-07 01:00:00', '1er dimanche de septembre 2025 à Santiago : minuit sauté, 01:00');
+is($end && $end->ymd . ' ' . $end->hms, '2025-09-07 23:59:59', '1er dimanche de septembre 2025 à Santiago : fin de journée');
+my $config_beyrouth = Test::MockObject->new();
+$config_beyrouth->mock('get_timezone', sub { return 'Asia/Beirut' });
+my $recurrence_beyrouth = Koha::Plugin::Celebrations::Lib::Recurrence->new({ config => $config_beyrouth });
+my $paques_beyrouth = eval { $recurrence_beyrouth->easter_sunday(2024) };
+is($paques_beyrouth && $paques_beyrouth->ymd . ' ' . $paques_beyrouth->hms, '2024-03-31 01:00:00', 'Pâques 2024 à Beyrouth : minuit sauté, 01:00');
+($start) = eval { $recurrence_beyrouth->resolve($regle_paques, DateTime->new(year => 2024, month => 3, day => 1, time_zone => 'Asia/Beirut')) };
+is($start && $start->ymd . ' ' . $start->hms, '2024-03-24 00:00:00', 'Règle de Pâques à Beyrouth : une semaine avant, à minuit');
+done_testing();
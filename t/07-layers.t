@@ -0,0 +1,104 @@
+use strict;
+use warnings;
+use Test::More;
+use Test::MockObject;
+use JSON;
+use DateTime;
+use Koha::Plugin::Celebrations::Lib::Recurrence;
+use Koha::Plugin::Celebrations::Lib::ThemeManager;
+use Koha::Plugin::Celebrations::Lib::AssetHandler;
+#
+#  Ce test vérifie la superposition de thèmes en cours (priorité et autorisation
+#  de combinaison) dans Koha::Plugin::Celebrations::Lib::ThemeManager et
+#  Koha::Plugin::Celebrations::Lib::AssetHandler.
+#
+#  Vérifications effectuées :
+#  1. Ordre des thèmes en cours selon leur priorité (get_active_themes / get_active_theme).
+#  2. Un thème qui n'accepte pas d'être combiné n'est pas superposé.
+#  3. Les conflits de dates ne sont levés que si les deux thèmes acceptent d'être combinés.
+#  4. Un même élément (ex : couleurs) n'est chargé que pour le thème le plus prioritaire.
+#  5. Les options JS des thèmes superposés sont fusionnées au lancement des effets.
+#  6. Un thème programmé plusieurs fois n'est chargé que pour son entrée la plus prioritaire.
+#
+my $day = 86400;
+my %themes;
+sub current_theme {
+    my (%args) = @_;
+    return {
+        active     => 1,
+        start_date => time() - $day,
+        end_date   => time() + $day,
+        recurrence => { type => 'none' },
+        %args,
+    };
+}
+my $plugin = Test::MockObject->new();
+$plugin->mock('retrieve_data', sub { return encode_json(\%themes) });
+my $config = Test::MockObject->new();
+$config->mock('get_timezone', sub { return 'local' });
+$config->mock('get_theme_config', sub { return { elements => {} } });
+$plugin->{config} = $config;
+$plugin->{recurrence} = Koha::Plugin::Celebrations::Lib::Recurrence->new($plugin);
+$plugin->{theme_manager} = Koha::Plugin::Celebrations::Lib::ThemeManager->new($plugin);
+my $theme_manager = $plugin->{theme_manager};
+my $assets = Koha::Plugin::Celebrations::Lib::AssetHandler->new($plugin);
+# --- Priorités ---
+%themes = (
+    noel => current_theme(
+        priority    => 10,
+        can_combine => 1,
+        elements    => { couleurs => { enabled => 1 }, snow => { enabled => 1 } },
+    ),
+    'feux-artifice' => current_theme(
+        priority    => 20,
+        can_combine => 1,
+        elements    => { couleurs => { enabled => 1 }, feux => { enabled => 1 } },
+    ),
+    halloween => current_theme(
+        active   => 0,
+        priority => 50,
+        elements => { couleurs => { enabled => 1 } },
+    ),
+);
+is_deeply([ $theme_manager->get_active_themes() ], [ 'feux-artifice', 'noel' ], 'Thèmes en cours triés par priorité');
+is($theme_manager->get_active_theme(), 'feux-artifice', 'Thème actif : le plus prioritaire');
+# --- Éléments chargés ---
+my @layers = $assets->get_active_layers();
+is_deeply([ map { $_->{name} } @layers ], [ 'noel', 'feux-artifice' ], 'Thèmes chargés du moins au plus prioritaire');
+is_deeply([ sort keys %{ $layers[0]{theme_conf}{elements} } ], [ 'snow' ], 'Couleurs du thème le moins prioritaire écartées');
+is_deeply([ sort keys %{ $layers[1]{theme_conf}{elements} } ], [ 'couleurs', 'feux' ], 'Couleurs du thème le plus prioritaire conservées');
+like(
+    $assets->generate_boot_script(map { $_->{name} } @layers),
+    qr/Object\.assign\(\{\}, window\["noelThemeOptions"\], window\["feux-artificeThemeOptions"\]\)/,
+    'Options des thèmes fusionnées au lancement'
+);
+$themes{'noel-2'} = current_theme(
+    theme_name  => 'noel',
+    priority    => 5,
+    can_combine => 1,
+    elements    => { coeurs => { enabled => 1 } },
+);
+is_deeply([ map { $_->{id} } $assets->get_active_layers() ], [ 'noel', 'feux-artifice' ],
+    'Thème programmé deux fois chargé une seule fois');
+delete $themes{'noel-2'};
+# --- Combinaison refusée ---
+$themes{noel}{can_combine} = 0;
+is_deeply([ $theme_manager->get_active_themes() ], [ 'feux-artifice' ], 'Thème non combinable non superposé');
+@{ $themes{noel} }{qw(priority can_combine)} = (20, 1);
+is_deeply([ $theme_manager->get_active_themes() ], [ 'feux-artifice', 'noel' ], 'Priorité égale : ordre alphabétique');
+# --- Conflits ---
+delete $themes{'feux-artifice'};
+my $start = DateTime->from_epoch(epoch => time() - $day);
+my $end = DateTime->from_epoch(epoch => time() + $day);
+ok(!$theme_manager->check_theme_conflicts('feux-artifice', $start, $end, { type => 'none' }, 1),
+    'Chevauchement permis entre deux thèmes combinables');
+is($theme_manager->check_theme_conflicts('feux-artifice', $start, $end, { type => 'none' }, 0), 'theme_conflict',
+    'Chevauchement refusé pour un thème non combinable');
+$themes{noel}{can_combine} = 0;
+is($theme_manager->check_theme_conflicts('feux-artifice', $start, $end, { type => 'none' }, 1), 'theme_conflict',
+    'Chevauchement refusé avec un thème non combinable');
+# --- Priorité saisie ---
+is($theme_manager->normalize_priority('15'), 15, 'Priorité entière acceptée');
+is($theme_manager->normalize_priority(150), 0, 'Priorité trop grande ramenée à 0');
+is($theme_manager->normalize_priority('x'), 0, 'Priorité non entière ramenée à 0');
+done_testing();
@@ -0,0 +1,69 @@
+use strict;
+use warnings;
+use Test::More;
+use JSON;
+use FindBin;
+use lib "$FindBin::Bin/lib";
+use CelebrationsTest qw(build_plugin entry_params);
+#
+#  Ce test vérifie les entrées programmées indépendantes d'un même thème
+#  dans Koha::Plugin::Celebrations::Lib::ThemeManager.
+#
+#  Vérifications effectuées :
+#  1. Les entrées enregistrées par nom de thème reçoivent leur clé comme id.
+#  2. Chaque création produit une nouvelle entrée sous un id libre (noel, noel-2…).
+#  3. Une entrée est lue, modifiée et supprimée par son id sans toucher aux autres.
+#  4. Les conflits de dates sont vérifiés entre entrées, y compris d'un même thème.
+#  5. Une entrée est suspendue puis réactivée sans perdre sa configuration.
+#  6. Une entrée suspendue se modifie sans vérification des conflits, vérifiés à sa réactivation.
+#
+my ( $plugin, $data ) = build_plugin(
+    stored => { noel => { active => 1, start_date => 1, end_date => 2, elements => {} } },
+);
+my $theme_manager = $plugin->{theme_manager};
+# --- Entrées existantes ---
+my $themes = $theme_manager->load_themes();
+is($themes->{noel}{id}, 'noel', 'Entrée existante : sa clé devient son id');
+is($themes->{noel}{theme_name}, 'noel', 'Entrée existante : sa clé devient son nom de thème');
+is($theme_manager->generate_theme_id('noel', $themes), 'noel-2', 'Id libre pour une deuxième entrée');
+is($theme_manager->generate_theme_id('halloween', $themes), 'halloween', 'Id de la première entrée : le nom du thème');
+# --- Création ---
+$data->{themes_data} = encode_json({});
+my $first = $theme_manager->apply_theme(entry_params('noel', '2030-12-01', '2030-12-10'));
+my $second = $theme_manager->apply_theme(entry_params('noel', '2030-12-20', '2030-12-31'));
+ok($first->{success} && $second->{success}, 'Deux entrées du même thème créées');
+is($first->{id}, 'noel', 'Première entrée : id noel');
+is($second->{id}, 'noel-2', 'Deuxième entrée : id noel-2');
+is($theme_manager->get_theme('noel-2')->{theme}{name}, 'noel', 'Entrée lue par son id');
+is($theme_manager->get_theme('inconnu')->{message}, 'theme_not_found', 'Entrée inconnue');
+is(scalar @{ $theme_manager->list_themes()->{themes} }, 2, 'Deux entrées listées');
+# --- Conflits ---
+is($theme_manager->apply_theme(entry_params('noel', '2030-12-05', '2030-12-08'))->{message}, 'theme_conflict',
+    'Conflit avec une entrée du même thème');
+my $update = $theme_manager->update_theme('noel-2', entry_params('noel', '2030-12-15', '2030-12-31'));
+ok($update->{success}, 'Entrée modifiée par son id (sa propre période est ignorée)');
+is($update->{theme}, 'noel', 'Entrée modifiée : le thème référencé ne change pas');
+is($theme_manager->update_theme('noel-2', entry_params('noel', '2030-12-09', '2030-12-31'))->{message}, 'theme_conflict',
+    'Modification en conflit avec l’autre entrée');
+# --- Suspension ---
+my $paused = $theme_manager->set_theme_active('noel-2', 0);
+is($paused->{message}, 'theme_paused', 'Entrée suspendue');
+is($paused->{theme}{active}, 0, 'Entrée suspendue : inactive');
+is_deeply($theme_manager->load_themes()->{'noel-2'}{elements}, { snow => { enabled => 1, options => {} } },
+    'Entrée suspendue : configuration conservée');
+my $overlapping = $theme_manager->apply_theme(entry_params('noel', '2030-12-20', '2030-12-31'));
+ok($overlapping->{success}, 'Une entrée suspendue n’entre pas en conflit');
+my $paused_update = $theme_manager->update_theme('noel-2', entry_params('noel', '2030-12-22', '2030-12-31'));
+ok($paused_update->{success}, 'Modification d’une entrée suspendue qui chevauche une entrée active');
+is($paused_update->{theme_data}{active}, 0, 'Entrée suspendue modifiée : toujours inactive');
+my $refused = $theme_manager->set_theme_active('noel-2', 1);
+is($refused->{message}, 'theme_conflict', 'Réactivation en conflit refusée');
+is_deeply([ $paused->{success}, $refused->{success} ], [ 1, 0 ], 'Résultat : success à 1 ou 0, comme une modification');
+$theme_manager->delete_theme($overlapping->{id});
+is($theme_manager->set_theme_active('noel-2', 1)->{message}, 'theme_resumed', 'Entrée réactivée');
+is($theme_manager->load_themes()->{'noel-2'}{active}, 1, 'Entrée réactivée : active');
+is($theme_manager->set_theme_active('inconnu', 0)->{message}, 'theme_not_found', 'Suspension d’une entrée inconnue');
+# --- Suppression ---
+ok($theme_manager->delete_theme('noel')->{success}, 'Entrée supprimée par son id');
+is_deeply([ keys %{ $theme_manager->load_themes() } ], [ 'noel-2' ], 'L’autre entrée du thème est conservée');
+done_testing();
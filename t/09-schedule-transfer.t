@@ -0,0 +1,92 @@
+use strict;
+use warnings;
+use Test::More;
+use Test::MockObject;
+use JSON;
+use Koha::Plugin::Celebrations::Lib::Recurrence;
+use Koha::Plugin::Celebrations::Lib::ThemeManager;
+use Koha::Plugin::Celebrations::Lib::ScheduleTransfer;
+#
+#  Ce test vérifie l'export et l'import de la programmation des thèmes
+#  (Koha::Plugin::Celebrations::Lib::ScheduleTransfer).
+#
+#  Vérifications effectuées :
+#  1. Le document exporté est versionné et contient toutes les entrées programmées.
+#  2. Les documents et entrées non conformes à theme-config.json sont refusés.
+#  3. L'aperçu compare chaque entrée à l'entrée de même id déjà programmée.
+#  4. L'import applique les choix « ignorer », « remplacer » et « renommer ».
+#  5. Une entrée importée qui chevauche une entrée programmée n'est pas enregistrée.
+#
+my $day = 86400;
+my %themes = (
+    noel => {
+        id         => 'noel',
+        theme_name => 'noel',
+        active     => 1,
+        start_date => 2000 * $day,
+        end_date   => 2010 * $day,
+        recurrence => { type => 'none' },
+        elements   => { snow => { enabled => 1, options => { quantite_flocons => 50 } } },
+    },
+);
+my $plugin = Test::MockObject->new();
+$plugin->mock('retrieve_data', sub { return encode_json(\%themes) });
+$plugin->mock('store_data', sub { %themes = %{ decode_json($_[1]->{themes_data}) } });
+my $config = Test::MockObject->new();
+$config->mock('get_timezone', sub { return 'local' });
+$config->mock('theme_exists', sub { return $_[1] eq 'noel' });
+$config->mock('get_theme_config', sub {
+    return { elements => { snow => { setting => 'activation_flocons', extra_options => { quantite_flocons => {} } } } };
+});
+$plugin->{config} = $config;
+$plugin->{recurrence} = Koha::Plugin::Celebrations::Lib::Recurrence->new($plugin);
+$plugin->{theme_manager} = Koha::Plugin::Celebrations::Lib::ThemeManager->new($plugin);
+my $transfer = Koha::Plugin::Celebrations::Lib::ScheduleTransfer->new($plugin);
+# --- Export ---
+my $document = $transfer->export_schedule()->{document};
+is($document->{format}, 'celebrations-schedule', 'Document exporté identifié');
+is($document->{version}, 1, 'Document exporté versionné');
+is_deeply([ map { $_->{id} } @{ $document->{themes} } ], [ 'noel' ], 'Toutes les entrées exportées');
+# --- Validation ---
+is($transfer->preview_import({ themes => [] })->{message}, 'import_invalid_file', 'Document non reconnu refusé');
+is($transfer->preview_import({ %$document, version => 2 })->{message}, 'import_version_unsupported',
+    'Version plus récente refusée');
+my $imported = decode_json(encode_json($document));
+my $entry = $imported->{themes}[0];
+$entry->{elements}{snow}{options}{quantite_flocons} = 80;
+push @{ $imported->{themes} },
+    { %$entry, id => 'paques', theme_name => 'paques' },
+    { %$entry, id => 'noel-bis', elements => { pluie => { enabled => 1 } } },
+    { %$entry, id => 'noel-2', start_date => 3000 * $day, end_date => 3010 * $day };
+my %preview = map { $_->{id} => $_ } @{ $transfer->preview_import($imported)->{themes} };
+is($preview{paques}{status}, 'invalid', 'Thème absent de theme-config.json refusé');
+is_deeply($preview{paques}{errors}, [ 'import_theme_unknown' ], 'Erreur : thème inconnu');
+is_deeply($preview{'noel-bis'}{errors}, [ 'import_element_unknown', 'no_active_elements' ], 'Erreur : élément inconnu');
+# --- Aperçu ---
+is($preview{'noel-2'}{status}, 'new', 'Entrée nouvelle');
+is($preview{noel}{status}, 'existing', 'Entrée déjà programmée');
+is_deeply($preview{noel}{changes}, [ {
+    field    => 'elements.snow',
+    current  => { enabled => 1, options => { quantite_flocons => 50 } },
+    imported => { enabled => 1, options => { quantite_flocons => 80 } },
+} ], 'Différence sur les options d’un élément');
+is($transfer->preview_import($document)->{themes}[0]{status}, 'identical', 'Entrée identique');
+# --- Import ---
+my %results = map { $_->{id} => $_ } @{ $transfer->import_schedule($imported, { noel => 'skip' })->{results} };
+is($results{noel}{action}, 'skipped', 'Entrée existante ignorée');
+is($results{'noel-2'}{action}, 'imported', 'Entrée nouvelle importée');
+is($results{paques}{action}, 'invalid', 'Entrée invalide non importée');
+is($themes{noel}{elements}{snow}{options}{quantite_flocons}, 50, 'Entrée ignorée inchangée');
+$transfer->import_schedule($imported, { noel => 'overwrite' });
+is($themes{noel}{elements}{snow}{options}{quantite_flocons}, 80, 'Entrée existante remplacée');
+$entry->{start_date} = 4000 * $day;
+$entry->{end_date} = 4010 * $day;
+%results = map { $_->{id} => $_ } @{ $transfer->import_schedule($imported, { noel => 'rename' })->{results} };
+is($results{noel}{action}, 'renamed', 'Entrée existante renommée');
+is($results{noel}{imported_id}, 'noel-3', 'Entrée renommée sous un id libre');
+ok($themes{'noel-3'} && $themes{noel}, 'Les deux entrées sont conservées');
+# --- Conflits ---
+$entry->{start_date} = 2005 * $day;
+%results = map { $_->{id} => $_ } @{ $transfer->import_schedule($imported, { noel => 'rename' })->{results} };
+is($results{noel}{action}, 'conflict', 'Entrée en conflit non importée');
+done_testing();
@@ -0,0 +1,128 @@
+use strict;
+use warnings;
+use utf8;
+use Test::More;
+use Test::MockObject;
+use JSON;
+use DateTime;
+use Koha::Plugin::Celebrations::Lib::Recurrence;
+use Koha::Plugin::Celebrations::Lib::ThemeManager;
+use Koha::Plugin::Celebrations::Lib::ICalendar;
+#
+#  Ce test vérifie l'export et l'import iCalendar (ICS) des périodes des thèmes
+#  (Koha::Plugin::Celebrations::Lib::ICalendar).
+#
+#  Vérifications effectuées :
+#  1. Chaque entrée programmée produit un VEVENT sur la journée entière (fin exclusive).
+#  2. Un thème répété chaque année porte la règle RRULE:FREQ=YEARLY.
+#  3. Les événements d'un fichier .ics sont lus (dates, heures, lignes repliées, texte échappé).
+#  4. Une heure accompagnée d'un TZID est convertie dans le fuseau de la bibliothèque (TZID inconnu : fuseau de la bibliothèque).
+#  5. Un thème est proposé pour chaque événement (X-CELEBRATIONS-THEME ou titre).
+#  6. L'import crée les entrées via apply_theme : mêmes validations, conflits compris.
+#
+my $year = DateTime->now( time_zone => 'local' )->year;
+my $start = DateTime->new( year => $year, month => 12, day => 1, time_zone => 'local' );
+my $end = DateTime->new( year => $year, month => 12, day => 26, hour => 23, minute => 59, second => 59, time_zone => 'local' );
+my %themes = (
+    noel => {
+        id         => 'noel',
+        theme_name => 'noel',
+        active     => 1,
+        start_date => $start->epoch,
+        end_date   => $end->epoch,
+        recurrence => { type => 'yearly' },
+        elements   => { snow => { enabled => 1, options => {} } },
+    },
+);
+my $plugin = Test::MockObject->new();
+$plugin->mock('retrieve_data', sub { return encode_json(\%themes) });
+$plugin->mock('store_data', sub { %themes = %{ decode_json($_[1]->{themes_data}) } });
+my $config = Test::MockObject->new();
+my $time_zone = 'local';
+$config->mock('get_timezone', sub { return $time_zone });
+$config->mock('theme_exists', sub { return $_[1] eq 'noel' || $_[1] eq 'halloween' });
+$config->mock('get_themes_config', sub { return { noel => {}, halloween => {} } });
+$config->mock('get_theme_config', sub {
+    return { elements => { snow => { setting => 'activation_flocons' } } };
+});
+my $i18n = Test::MockObject->new();
+$i18n->mock('load_translations', sub {
+    return { hash => { T => { form => { noel => 'Noël', halloween => 'Halloween' } } } };
+});
+$plugin->{config} = $config;
+$plugin->{i18n} = $i18n;
+$plugin->{recurrence} = Koha::Plugin::Celebrations::Lib::Recurrence->new($plugin);
+$plugin->{theme_manager} = Koha::Plugin::Celebrations::Lib::ThemeManager->new($plugin);
+my $calendar = Koha::Plugin::Celebrations::Lib::ICalendar->new($plugin);
+my ($next_start, $next_end) = $plugin->{recurrence}->current_or_next($themes{noel}, DateTime->now());
+# --- Export ---
+my $ics = $calendar->export_ics('fr-CA');
+like($ics, qr/^BEGIN:VCALENDAR\r\n/, 'Calendrier iCalendar');
+is(() = $ics =~ /^BEGIN:VEVENT\r$/mg, 1, 'Un VEVENT par entrée programmée');
+like($ics, qr/^DTSTART;VALUE=DATE:@{[ $next_start->ymd('') ]}\r$/m,
+    'Début de l’occurrence en cours ou à venir, sur la journée entière');
+like($ics, qr/^DTEND;VALUE=DATE:@{[ $next_end->year ]}1227\r$/m, 'Fin exclusive : lendemain du dernier jour');
+like($ics, qr/^SUMMARY:Noël\r$/m, 'Titre traduit');
+like($ics, qr/^RRULE:FREQ=YEARLY\r$/m, 'Thème répété chaque année');
+like($ics, qr/^X-CELEBRATIONS-THEME:noel\r$/m, 'Thème de theme-config.json indiqué');
+# --- Lecture ---
+my $next = $year + 2;
+my $imported_ics = join "\r\n",
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    "DTSTART;VALUE=DATE:${next}1025",
+    "DTEND;VALUE=DATE:${next}1101",
+    'SUMMARY:Soirée Halloween\, con',
+    ' tes et bonbons',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    "DTSTART;VALUE=DATE:${next}1210",
+    "DTEND;VALUE=DATE:${next}1211",
+    'SUMMARY:Marché',
+    'X-CELEBRATIONS-THEME:noel',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'SUMMARY:Sans date',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    "DTSTART:${next}0301T090000",
+    'SUMMARY:Réunion',
+    'END:VEVENT',
+    'END:VCALENDAR', '';
+is($calendar->preview_ics('pas un calendrier')->{message}, 'ics_invalid_file', 'Fichier non reconnu refusé');
+my @events = @{ $calendar->preview_ics($imported_ics, 'fr-CA')->{events} };
+is(scalar @events, 4, 'Tous les événements lus');
+is($events[0]{summary}, 'Soirée Halloween, contes et bonbons', 'Titre replié et échappé');
+is_deeply([ @{ $events[0] }{qw(start_date end_date)} ], [ "$next-10-25", "$next-10-31" ],
+    'Fin exclusive ramenée au dernier jour');
+is($events[0]{theme}, 'halloween', 'Thème proposé d’après le titre');
+is($events[1]{theme}, 'noel', 'Thème proposé d’après X-CELEBRATIONS-THEME');
+is_deeply($events[2]{errors}, [ 'ics_dates_invalid' ], 'Événement sans date');
+is_deeply([ @{ $events[3] }{qw(start_date end_date)} ], [ "$next-03-01", "$next-03-01" ],
+    'Événement sans fin : une journée');
+is_deeply([ @{ $events[3] }{qw(start_time end_time)} ], [ '09:00', undef ], 'Heure de début reprise');
+is($events[3]{theme}, undef, 'Aucun thème proposé');
+# --- Fuseaux (TZID) ---
+$time_zone = 'America/Toronto';
+my @zoned = @{ $calendar->preview_ics( join( "\r\n",
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    "DTSTART;TZID=Europe/Paris:${next}0601T180000",
+    "DTEND;TZID=Europe/Paris:${next}0601T200000",
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    "DTSTART;TZID=\"Eastern Standard Time\":${next}0601T090000",
+    'END:VEVENT',
+    'END:VCALENDAR', ''
+), 'fr-CA' )->{events} };
+is_deeply([ @{ $zoned[0] }{qw(start_time end_time)} ], [ '12:00', '14:00' ], 'Heures du TZID converties dans le fuseau de la bibliothèque');
+is($zoned[1]{start_time}, '09:00', 'TZID inconnu : heure lue dans le fuseau de la bibliothèque');
+$time_zone = 'local';
+# --- Import ---
+my @results = @{ $calendar->import_ics($imported_ics, { 0 => 'halloween', 1 => 'noel', 2 => 'noel' })->{results} };
+is_deeply([ map { $_->{action} } @results ], [ 'imported', 'conflict', 'invalid', 'skipped' ],
+    'Actions : importé, conflit, invalide, ignoré');
+is($results[1]{error}, 'theme_conflict', 'Conflit détecté comme dans le formulaire');
+is($results[0]{imported_id}, 'halloween', 'Entrée créée sous un nouvel id');
+is($themes{halloween}{elements}{snow}{enabled}, 1, 'Éléments du thème activés');
+done_testing();
@@ -0,0 +1,58 @@
+use strict;
+use warnings;
+use Test::More;
+use DateTime;
+use FindBin;
+use lib "$FindBin::Bin/lib";
+use CelebrationsTest qw(build_plugin entry_params);
+use Koha::Plugin::Celebrations::Lib::ICalendar;
+#
+#  Ce test vérifie les heures facultatives de début et de fin d'un thème
+#  (Koha::Plugin::Celebrations::Lib::ThemeManager et Lib::ICalendar).
+#
+#  Vérifications effectuées :
+#  1. Sans heure, le thème couvre les journées entières (00:00 à 23:59:59).
+#  2. Les heures saisies (HH:MM) sont appliquées, y compris pour une période qui passe minuit.
+#  3. Une heure invalide, une heure qui n'existe pas dans le fuseau ou une fin avant le début sont refusées.
+#  4. Une entrée à heure précise est publiée en iCalendar avec ses heures (UTC).
+#
+my ($plugin) = build_plugin(
+    themes   => ['feux-artifice'],
+    elements => { feux => 'animation_feux' },
+);
+my $theme_manager = $plugin->{theme_manager};
+my $config = $plugin->{config};
+my $year = DateTime->now( time_zone => 'local' )->year + 1;
+# --- Validation ---
+my $validation = $theme_manager->validate_theme_dates("$year-12-30", "$year-12-31");
+is($validation->{start_dt}->hms, '00:00:00', 'Sans heure : début à 00:00');
+is($validation->{end_dt}->hms, '23:59:59', 'Sans heure : fin à 23:59:59');
+$validation = $theme_manager->validate_theme_dates("$year-12-31", ($year + 1) . '-01-01', '18:00', '02:00');
+ok($validation->{valid}, 'Période qui passe minuit acceptée');
+is($validation->{start_dt}->hms, '18:00:00', 'Heure de début appliquée');
+is($validation->{end_dt}->hms, '02:00:00', 'Heure de fin appliquée');
+is($theme_manager->validate_theme_dates("$year-12-31", "$year-12-31", '18:00', '25:00')->{message},
+    'time_error_invalid', 'Heure invalide refusée');
+is($theme_manager->validate_theme_dates("$year-12-31", "$year-12-31", '18:00', '02:00')->{message},
+    'date_error_order', 'Fin avant le début refusée');
+$config->mock('get_timezone', sub { return 'America/Toronto' });
+is($theme_manager->validate_theme_dates('2030-03-10', '2030-03-11', '02:30')->{message},
+    'time_error_invalid', 'Heure sautée au passage à l’heure d’été refusée');
+$config->mock('get_timezone', sub { return 'local' });
+# --- Enregistrement ---
+my $applied = $theme_manager->apply_theme(entry_params( 'feux-artifice', "$year-12-31", ( $year + 1 ) . '-01-01',
+    start_time => '18:00',
+    end_time   => '02:00',
+    elements   => { animation_feux => { enabled => 1 } },
+));
+ok($applied->{success}, 'Entrée à heure précise enregistrée');
+my $fireworks = $theme_manager->load_themes()->{'feux-artifice'};
+is($fireworks->{end_date} - $fireworks->{start_date}, 8 * 3600,
+    'Durée enregistrée : de 18:00 à 02:00');
+# --- iCalendar ---
+my $ics = Koha::Plugin::Celebrations::Lib::ICalendar->new($plugin)->export_ics('fr-CA');
+my $start_utc = DateTime->from_epoch( epoch => $fireworks->{start_date} )
+    ->set_time_zone('UTC')->strftime('%Y%m%dT%H%M%SZ');
+like($ics, qr/^DTSTART:$start_utc\r$/m, 'Événement publié à son heure de début (UTC)');
+unlike($ics, qr/VALUE=DATE/, 'Événement à heure précise : pas sur la journée entière');
+done_testing();
@@ -0,0 +1,115 @@
+use strict;
+use warnings;
+use Test::More;
+use Test::MockModule;
+use Test::MockObject;
+use JSON;
+use DateTime;
+use C4::Context;
+use Koha::Plugin::Celebrations;
+use Koha::Plugin::Celebrations::Lib::Config;
+use Koha::Plugin::Celebrations::Lib::Recurrence;
+use Koha::Plugin::Celebrations::Lib::ThemeManager;
+use Koha::Plugin::Celebrations::Lib::ICalendar;
+#
+#  Ce test vérifie que les dates des thèmes sont saisies, calculées et publiées dans
+#  le fuseau horaire de la bibliothèque, et non dans celui du serveur.
+#
+#  Vérifications effectuées :
+#  1. Le fuseau de la bibliothèque est celui configuré dans Koha (C4::Context->tz).
+#  2. Les dates saisies commencent à minuit et finissent à 23:59:59, heure de la bibliothèque.
+#  3. Les occurrences calculées (répétition annuelle, Pâques) sont à minuit, heure de la bibliothèque ;
+#     une heure sautée au passage à l'heure d'été devient la première heure valide qui suit.
+#  4. L'export iCalendar publie les journées de la bibliothèque ; l'import convertit les heures UTC.
+#
+# Serveur et bibliothèque dans deux fuseaux différents
+local $ENV{TZ} = 'Asia/Tokyo';
+my $library_tz = 'America/Toronto';
+sub utc_epoch {
+    my ( $year, $month, $day, $hour, $minute, $second ) = @_;
+    return DateTime->new(
+        year => $year, month => $month, day => $day,
+        hour => $hour // 0, minute => $minute // 0, second => $second // 0,
+        time_zone => 'UTC',
+    )->epoch;
+}
+# --- Configuration ---
+my $context = Test::MockModule->new('C4::Context');
+my $tz = Test::MockObject->new();
+$tz->mock('name', sub { return $library_tz });
+$context->mock('tz', sub { return $tz });
+is(Koha::Plugin::Celebrations::Lib::Config->new(undef)->get_timezone(), $library_tz,
+    'Fuseau de la bibliothèque lu dans la configuration de Koha');
+my %themes;
+my $plugin = Test::MockObject->new();
+$plugin->mock('retrieve_data', sub { return encode_json(\%themes) });
+$plugin->mock('store_data', sub { %themes = %{ decode_json($_[1]->{themes_data}) } });
+my $config = Test::MockObject->new();
+$config->mock('get_timezone', sub { return $library_tz });
+$config->mock('theme_exists', sub { return $_[1] eq 'noel' });
+$config->mock('get_themes_config', sub { return { noel => {} } });
+$config->mock('get_theme_config', sub {
+    return { elements => { snow => { setting => 'activation_flocons' } } };
+});
+my $i18n = Test::MockObject->new();
+$i18n->mock('load_translations', sub { return { hash => {} } });
+$plugin->{config} = $config;
+$plugin->{i18n} = $i18n;
+$plugin->{recurrence} = Koha::Plugin::Celebrations::Lib::Recurrence->new($plugin);
+$plugin->{theme_manager} = Koha::Plugin::Celebrations::Lib::ThemeManager->new($plugin);
+my $theme_manager = $plugin->{theme_manager};
+my $recurrence = $plugin->{recurrence};
+# --- Saisie ---
+my $validation = $theme_manager->validate_theme_dates('2030-12-01', '2030-12-26');
+is($validation->{start_dt}->epoch, utc_epoch(2030, 12, 1, 5), 'Début à minuit, heure de la bibliothèque');
+is($validation->{end_dt}->epoch, utc_epoch(2030, 12, 27, 4, 59, 59), 'Fin à 23:59:59, heure de la bibliothèque');
+$validation = $theme_manager->validate_theme_dates('2030-07-01', '2030-07-01', '18:00');
+is($validation->{start_dt}->epoch, utc_epoch(2030, 7, 1, 22), 'Heure saisie dans le fuseau de la bibliothèque (heure d’été)');
+# --- Occurrences ---
+my $yearly = {
+    start_date => utc_epoch(2030, 12, 1, 5),
+    end_date   => utc_epoch(2030, 12, 27, 4, 59, 59),
+    recurrence => { type => 'yearly' },
+};
+my ($start, $end) = $recurrence->occurrence($yearly, 2031);
+is($start->epoch, utc_epoch(2031, 12, 1, 5), 'Occurrence annuelle : même jour, à minuit heure de la bibliothèque');
+is($end->epoch, utc_epoch(2031, 12, 27, 4, 59, 59), 'Occurrence annuelle : fin à 23:59:59 heure de la bibliothèque');
+is($recurrence->easter_sunday(2030)->epoch, utc_epoch(2030, 4, 21, 4), 'Pâques à minuit, heure de la bibliothèque');
+# Le 10 mars à 02:30 existe en 2029, pas en 2030 (passage à l'heure d'été)
+my $spring = {
+    start_date => utc_epoch(2029, 3, 10, 7, 30),
+    end_date   => utc_epoch(2029, 3, 12, 3, 59, 59),
+    recurrence => { type => 'yearly' },
+};
+($start) = eval { $recurrence->occurrence($spring, 2030) };
+is($start && $start->epoch, utc_epoch(2030, 3, 10, 7), 'Heure sautée : occurrence à 03:00, heure de la bibliothèque');
+ok(eval { $recurrence->is_current($spring, DateTime->new( year => 2030, month => 3, day => 10, hour => 12, time_zone => 'UTC' )) },
+    'Heure sautée : thème en cours');
+# --- iCalendar ---
+%themes = (
+    noel => {
+        id         => 'noel',
+        theme_name => 'noel',
+        active     => 1,
+        start_date => utc_epoch(2030, 12, 1, 5),
+        end_date   => utc_epoch(2030, 12, 27, 4, 59, 59),
+        recurrence => { type => 'none' },
+        elements   => { snow => { enabled => 1, options => {} } },
+    },
+);
+my $calendar = Koha::Plugin::Celebrations::Lib::ICalendar->new($plugin);
+my $ics = $calendar->export_ics('fr-CA');
+like($ics, qr/^DTSTART;VALUE=DATE:20301201\r$/m, 'Export : premier jour selon la bibliothèque');
+like($ics, qr/^DTEND;VALUE=DATE:20301227\r$/m, 'Export : fin exclusive selon la bibliothèque');
+my $imported_ics = join "\r\n",
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'DTSTART:20301231T030000Z',
+    'DTEND:20301231T120000Z',
+    'SUMMARY:Réveillon',
+    'END:VEVENT',
+    'END:VCALENDAR', '';
+my ($event) = @{ $calendar->preview_ics($imported_ics, 'fr-CA')->{events} };
+is_deeply([ @{$event}{qw(start_date start_time end_date end_time)} ], [ '2030-12-30', '22:00', '2030-12-31', '07:00' ],
+    'Import : heures UTC converties dans le fuseau de la bibliothèque');
+done_testing();
@@ -0,0 +1,71 @@
+use strict;
+use warnings;
+use Test::More;
+use DateTime;
+use FindBin;
+use lib "$FindBin::Bin/lib";
+use CelebrationsTest qw(build_plugin entry_params);
+use Koha::Plugin::Celebrations::Lib::ScheduleTransfer;
+#
+#  Ce test vérifie le ciblage des thèmes par bibliothèque (branches)
+#  dans Koha::Plugin::Celebrations::Lib::ThemeManager et Lib::ScheduleTransfer.
+#
+#  Vérifications effectuées :
+#  1. Les bibliothèques ciblées sont validées, dédoublonnées et triées ; aucune = toutes.
+#  2. Deux thèmes qui ne ciblent aucune bibliothèque en commun peuvent se chevaucher.
+#  3. L'OPAC d'une bibliothèque ne charge que les thèmes qui la ciblent (ou toutes).
+#  4. Une entrée importée qui cible une bibliothèque inconnue est refusée.
+#
+my ($plugin) = build_plugin( themes => [ 'noel', 'halloween' ] );
+$plugin->{config}->mock('get_libraries', sub {
+    return [
+        { branchcode => 'CENTRE', branchname => 'Centrale' },
+        { branchcode => 'NORD',   branchname => 'Succursale Nord' },
+        { branchcode => 'SUD',    branchname => 'Succursale Sud' },
+    ];
+});
+my $theme_manager = $plugin->{theme_manager};
+my $today = DateTime->now( time_zone => 'local' );
+my $start = $today->clone->subtract( days => 1 )->ymd;
+my $end = $today->clone->add( days => 1 )->ymd;
+sub schedule {
+    my ( $theme, @branches ) = @_;
+    return $theme_manager->apply_theme(entry_params( $theme, $start, $end, branches => \@branches ));
+}
+sub edit_themes {
+    my ($edit) = @_;
+    my $themes = $theme_manager->load_themes();
+    $edit->($themes);
+    $theme_manager->store_themes($themes);
+}
+# --- Validation ---
+is_deeply($theme_manager->normalize_branches(undef), [], 'Aucune bibliothèque : toutes');
+is_deeply($theme_manager->normalize_branches([ 'SUD', 'NORD', 'SUD' ]), [ 'NORD', 'SUD' ],
+    'Bibliothèques dédoublonnées et triées');
+is($theme_manager->normalize_branches([ 'NORD', 'OUEST' ]), undef, 'Bibliothèque inconnue refusée');
+is($theme_manager->normalize_branches('NORD'), undef, 'Liste attendue');
+is(schedule('noel', 'OUEST')->{message}, 'branch_unknown', 'Entrée refusée : bibliothèque inconnue');
+# --- Conflits ---
+ok(schedule('noel', 'NORD')->{success}, 'Entrée enregistrée pour une bibliothèque');
+is_deeply($theme_manager->load_themes()->{noel}{branches}, [ 'NORD' ], 'Bibliothèques ciblées enregistrées');
+ok(schedule('halloween', 'SUD')->{success}, 'Chevauchement accepté : aucune bibliothèque en commun');
+is(schedule('noel', 'SUD', 'CENTRE')->{message}, 'theme_conflict', 'Chevauchement refusé dans une même bibliothèque');
+edit_themes(sub { delete $_[0]{halloween} });
+is(schedule('halloween')->{message}, 'theme_conflict', 'Chevauchement refusé : toutes les bibliothèques');
+# --- OPAC ---
+ok(schedule('halloween', 'SUD')->{success}, 'Seconde entrée enregistrée');
+edit_themes(sub { $_->{can_combine} = 1 foreach values %{ $_[0] } });
+is_deeply([ $theme_manager->get_active_themes('NORD') ], [ 'noel' ], 'Bibliothèque Nord : son thème seulement');
+is_deeply([ $theme_manager->get_active_themes('CENTRE') ], [], 'Bibliothèque non ciblée : aucun thème');
+is_deeply([ $theme_manager->get_active_themes('') ], [], 'Bibliothèque inconnue : aucun thème ciblé');
+is(scalar( () = $theme_manager->get_active_themes() ), 2, 'Sans bibliothèque : tous les thèmes en cours');
+edit_themes(sub { $_[0]{noel}{branches} = [] });
+is_deeply([ $theme_manager->get_active_themes('CENTRE') ], [ 'noel' ], 'Thème sans cible : toutes les bibliothèques');
+# --- Import ---
+my $transfer = Koha::Plugin::Celebrations::Lib::ScheduleTransfer->new($plugin);
+my $document = $transfer->export_schedule()->{document};
+$_->{branches} = [ 'OUEST' ] foreach grep { $_->{id} eq 'halloween' } @{ $document->{themes} };
+my %preview = map { $_->{id} => $_ } @{ $transfer->preview_import($document)->{themes} };
+is_deeply($preview{halloween}{errors}, [ 'branch_unknown' ], 'Import : bibliothèque inconnue refusée');
+is($preview{noel}{status}, 'identical', 'Import : bibliothèques comparées');
+done_testing();
@@ -0,0 +1,50 @@
+use strict;
+use warnings;
+use Test::More;
+use JSON;
+use FindBin;
+use lib "$FindBin::Bin/lib";
+use CelebrationsTest qw(build_plugin entry_params);
+#
+#  Ce test vérifie la corbeille des thèmes supprimés
+#  (Koha::Plugin::Celebrations::Lib::ThemeManager).
+#
+#  Vérifications effectuées :
+#  1. Une entrée supprimée est placée dans la corbeille avec sa date de suppression.
+#  2. Une entrée restaurée reprend son id, ou un nouvel id s'il a été repris entre-temps.
+#  3. Une entrée restaurée qui chevauche un autre thème est restaurée suspendue.
+#  4. Une entrée est supprimée définitivement de la corbeille ; la corbeille oublie les entrées de plus de 30 jours.
+#
+my ( $plugin, $data ) = build_plugin();
+my $theme_manager = $plugin->{theme_manager};
+# --- Suppression ---
+$theme_manager->apply_theme(entry_params('noel', '2030-12-01', '2030-12-10'));
+my $deleted = $theme_manager->delete_theme('noel');
+ok($deleted->{success}, 'Entrée supprimée');
+is_deeply($theme_manager->load_themes(), {}, 'Entrée retirée de la programmation');
+my ($trashed) = @{ $theme_manager->list_trash()->{themes} };
+is($trashed->{id}, $deleted->{trash_id}, 'Entrée listée dans la corbeille');
+is($trashed->{original_id}, 'noel', 'Id d’origine conservé');
+ok($trashed->{deleted_at}, 'Date de suppression enregistrée');
+# --- Restauration ---
+my $restored = $theme_manager->restore_theme($deleted->{trash_id});
+is($restored->{message}, 'theme_restored', 'Entrée restaurée');
+is($restored->{id}, 'noel', 'Entrée restaurée sous son id');
+is($theme_manager->load_themes()->{noel}{elements}{snow}{enabled}, 1, 'Configuration restaurée');
+is_deeply($theme_manager->list_trash()->{themes}, [], 'Entrée retirée de la corbeille');
+is($theme_manager->restore_theme($deleted->{trash_id})->{message}, 'theme_not_found', 'Entrée déjà restaurée');
+# --- Conflits ---
+$deleted = $theme_manager->delete_theme('noel');
+$theme_manager->apply_theme(entry_params('noel', '2030-12-05', '2030-12-20'));
+$restored = $theme_manager->restore_theme($deleted->{trash_id});
+is($restored->{message}, 'theme_restored_paused', 'Entrée en conflit restaurée suspendue');
+is($restored->{id}, 'noel-2', 'Id repris entre-temps : nouvel id');
+is($theme_manager->load_themes()->{'noel-2'}{active}, 0, 'Entrée restaurée inactive');
+# --- Suppression définitive ---
+$deleted = $theme_manager->delete_theme('noel-2');
+is($theme_manager->purge_theme($deleted->{trash_id})->{message}, 'theme_purged', 'Entrée supprimée définitivement');
+is_deeply($theme_manager->list_trash()->{themes}, [], 'Corbeille vide');
+ok($theme_manager->load_themes()->{noel}, 'Programmation inchangée');
+$data->{trash_data} = encode_json({ noel => { id => 'noel', theme_name => 'noel', deleted_at => time() - 31 * 86400 } });
+is_deeply($theme_manager->load_trash(), {}, 'Entrée supprimée depuis plus de 30 jours oubliée');
+done_testing();
@@ -0,0 +1,76 @@
+use strict;
+use warnings;
+use Test::More;
+use C4::Context;
+use FindBin;
+use lib "$FindBin::Bin/lib";
+use CelebrationsTest qw(build_plugin entry_params);
+use Koha::Plugin::Celebrations::Lib::ScheduleTransfer;
+use Koha::Plugin::Celebrations::Lib::ThemeHistory;
+#
+#  Ce test vérifie l'historique des modifications des thèmes programmés
+#  (Koha::Plugin::Celebrations::Lib::ThemeManager et Lib::ThemeHistory).
+#
+#  Vérifications effectuées :
+#  1. Création, modification, suspension et suppression ajoutent une version avec le membre du personnel et la date.
+#  2. Les différences détaillent les dates, les éléments activés et les valeurs des options.
+#  3. Une version passée est appliquée de nouveau avec les validations d'une mise à jour.
+#  4. L'historique ne conserve que les 20 dernières versions d'une entrée.
+#
+my ($plugin) = build_plugin(
+    themes   => [ 'noel', 'halloween' ],
+    elements => { snow => 'activation_flocons', music => 'activation_musique' },
+);
+$plugin->{schedule_transfer} = Koha::Plugin::Celebrations::Lib::ScheduleTransfer->new($plugin);
+my $theme_manager = $plugin->{theme_manager};
+my $history = Koha::Plugin::Celebrations::Lib::ThemeHistory->new($plugin);
+{
+    no warnings 'redefine';
+    *C4::Context::userenv = sub {
+        return { number => 51, id => 'jtremblay', firstname => 'Julie', surname => 'Tremblay' };
+    };
+}
+# --- Versions ---
+$theme_manager->apply_theme(entry_params('noel', '2030-12-01', '2030-12-10'));
+$theme_manager->update_theme('noel', entry_params('noel', '2030-12-01', '2030-12-15', elements => {
+    activation_flocons => { enabled => 1, options => { flocons_vitesse => 'rapide' } },
+    activation_musique => { enabled => 1 },
+}));
+$theme_manager->set_theme_active('noel', 0);
+my $versions = $history->list_history('noel')->{versions};
+is_deeply([ map { $_->{action} } @$versions ], [ 'paused', 'updated', 'created' ], 'Versions listées de la plus récente à la plus ancienne');
+is_deeply([ map { $_->{version} } @$versions ], [ 3, 2, 1 ], 'Versions numérotées');
+is_deeply($versions->[0]{user}, { borrowernumber => 51, name => 'Julie Tremblay' }, 'Membre du personnel enregistré');
+ok($versions->[0]{at}, 'Date enregistrée');
+is_deeply($versions->[2]{changes}, [], 'Première version : aucune différence');
+# --- Différences ---
+my %changes = map { join( '.', grep { defined } @{$_}{qw(field element option)} ) => $_ } @{ $versions->[1]{changes} };
+ok($changes{end_date} && $changes{end_date}{after} > $changes{end_date}{before}, 'Différence : date de fin');
+ok(!$changes{start_date}, 'Date de début inchangée');
+is_deeply([ @{ $changes{'element.music'} }{qw(before after)} ], [ 0, 1 ], 'Différence : élément activé');
+is_deeply([ @{ $changes{'option.snow.flocons_vitesse'} }{qw(before after)} ], [ undef, 'rapide' ], 'Différence : valeur d’option');
+is_deeply([ map { $_->{field} } @{ $versions->[0]{changes} } ], [ 'active' ], 'Suspension : état actif');
+# --- Restauration d'une version ---
+my $first_end_date = $theme_manager->load_history()->{noel}[0]{data}{end_date};
+my $restored = $history->restore_version('noel', 1);
+is($restored->{message}, 'theme_version_restored', 'Version 1 appliquée de nouveau');
+my $theme = $theme_manager->load_themes()->{noel};
+is($theme->{end_date}, $first_end_date, 'Dates de la version 1 rétablies');
+ok(!$theme->{elements}{music}{enabled}, 'Éléments de la version 1 rétablis');
+is($theme->{active}, 0, 'État suspendu conservé');
+is($history->list_history('noel')->{versions}[0]{action}, 'reverted', 'Restauration ajoutée à l’historique');
+is($history->restore_version('noel', 99)->{message}, 'history_version_not_found', 'Version inconnue refusée');
+$theme_manager->set_theme_active('noel', 1);
+$theme_manager->apply_theme(entry_params('halloween', '2030-12-12', '2030-12-20'));
+is($history->restore_version('noel', 2)->{message}, 'theme_conflict', 'Version en conflit refusée');
+is($theme_manager->load_themes()->{noel}{end_date}, $theme->{end_date}, 'Entrée inchangée après un refus');
+# --- Suppression ---
+$theme_manager->delete_theme('halloween');
+is($history->list_history('halloween')->{versions}[0]{action}, 'deleted', 'Suppression ajoutée à l’historique');
+is($history->list_history('inconnu')->{message}, 'history_not_found', 'Entrée sans historique');
+# --- Limite ---
+$theme_manager->set_theme_active('noel', $_ % 2) foreach 1 .. 30;
+$versions = $history->list_history('noel')->{versions};
+is(scalar @$versions, 20, 'Vingt versions conservées');
+is($versions->[-1]{version}, $versions->[0]{version} - 19, 'Versions les plus anciennes écartées');
+done_testing();
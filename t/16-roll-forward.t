@@ -0,0 +1,102 @@
+use strict;
+use warnings;
+use Test::More;
+use JSON;
+use DateTime;
+use FindBin;
+use lib "$FindBin::Bin/lib";
+use CelebrationsTest qw(build_plugin entry_params);
+#
+#  Ce test vérifie le report des entrées programmées à l'année suivante
+#  (Koha::Plugin::Celebrations::Lib::ThemeManager).
+#
+#  Vérifications effectuées :
+#  1. Une entrée est décalée d'un an en conservant ses heures, éléments et options.
+#  2. Une entrée expirée depuis plusieurs années est décalée jusqu'à ce que sa période ne soit plus passée ; le 29 février devient le 28.
+#  3. Une entrée dont les dates sont calculées reprend son occurrence en cours ou à venir.
+#  4. Le report passe par les validations d'une mise à jour (conflits) et s'ajoute à l'historique.
+#  5. Une heure sautée au passage à l'heure d'été devient la première heure valide qui suit.
+#  6. Le report groupé ne traite que les entrées expirées non récurrentes, et continue après un refus.
+#
+my ( $plugin, $data ) = build_plugin( themes => [ 'noel', 'halloween', 'paque' ] );
+my $theme_manager = $plugin->{theme_manager};
+my $this_year = DateTime->now( time_zone => 'local' )->year;
+sub schedule {
+    my ( $theme, $start_date, $end_date, %params ) = @_;
+    return $theme_manager->apply_theme(entry_params( $theme, $start_date, $end_date,
+        elements => { activation_flocons => { enabled => 1, options => { vitesse_flocons => 'rapide' } } },
+        %params,
+    ));
+}
+sub period {
+    my ($theme_id) = @_;
+    my $theme = $theme_manager->load_themes()->{$theme_id};
+    return map { DateTime->from_epoch( epoch => $theme->{$_}, time_zone => 'local' )->strftime('%F %H:%M') } qw(start_date end_date);
+}
+# --- Report d'un an ---
+my $year = $this_year + 1;
+schedule('noel', "$year-12-01", "$year-12-10", start_time => '18:00');
+my $result = $theme_manager->roll_forward_theme('noel');
+is($result->{message}, 'theme_rolled_forward', 'Entrée reportée');
+is_deeply([ period('noel') ], [ ($year + 1) . '-12-01 18:00', ($year + 1) . '-12-10 23:59' ], 'Dates décalées d’un an, heures conservées');
+is($theme_manager->load_themes()->{noel}{elements}{snow}{options}{vitesse_flocons}, 'rapide', 'Options conservées');
+is($theme_manager->load_history()->{noel}[-1]{action}, 'rolled_forward', 'Report ajouté à l’historique');
+is($theme_manager->load_history()->{noel}[-1]{user}, undef, 'Hors session : aucun membre du personnel enregistré');
+is($theme_manager->roll_forward_theme('inconnu')->{message}, 'theme_not_found', 'Entrée inconnue refusée');
+# --- Entrées expirées ---
+my $past = $this_year - 3;
+$data->{themes_data} = encode_json({
+    noel => { %{ $theme_manager->load_themes()->{noel} }, id => 'noel' },
+    halloween => {
+        id => 'halloween', theme_name => 'halloween', active => 1,
+        start_date => DateTime->new( year => 2024, month => 2, day => 29, time_zone => 'local' )->epoch,
+        end_date   => DateTime->new( year => 2024, month => 3, day => 2, hour => 23, minute => 59, second => 59, time_zone => 'local' )->epoch,
+        elements   => { snow => { enabled => 1 } },
+    },
+});
+$theme_manager->roll_forward_theme('halloween');
+my ($start, $end) = period('halloween');
+like($start, qr/^\d{4}-02-(28|29) 00:00$/, 'Le 29 février reste en février');
+ok(DateTime->from_epoch( epoch => $theme_manager->load_themes()->{halloween}{end_date} ) >= DateTime->now, 'Période qui n’est plus passée');
+# --- Dates calculées ---
+schedule('paque', "$year-01-01", "$year-01-02", recurrence => { type => 'easter', start_offset => -2, end_offset => 1 });
+my @easter = period('paque');
+$data->{themes_data} = encode_json({ %{ $theme_manager->load_themes() }, paque => { %{ $theme_manager->load_themes()->{paque} }, start_date => 0, end_date => 86400 } });
+ok($theme_manager->roll_forward_theme('paque')->{success}, 'Entrée calculée reportée');
+is_deeply([ period('paque') ], \@easter, 'Occurrence en cours ou à venir reprise');
+# --- Conflits ---
+schedule('halloween', ($year + 2) . '-12-05', ($year + 2) . '-12-20');
+is($theme_manager->roll_forward_theme('noel')->{message}, 'theme_conflict', 'Report en conflit refusé');
+is_deeply([ period('noel') ], [ ($year + 1) . '-12-01 18:00', ($year + 1) . '-12-10 23:59' ], 'Entrée inchangée après un refus');
+# --- Report groupé ---
+my %expired = (
+    a => [ "$past-06-01", "$past-06-05" ],
+    b => [ "$past-06-03", "$past-06-08" ],
+);
+$data->{themes_data} = encode_json({
+    %{ $theme_manager->load_themes() },
+    map {
+        my ( $start_dt, $end_dt ) = map {
+            my ( $y, $m, $d ) = split /-/;
+            DateTime->new( year => $y, month => $m, day => $d, time_zone => 'local' )
+        } @{ $expired{$_} };
+        ( "expired-$_" => {
+            id => "expired-$_", theme_name => 'noel', active => 1,
+            start_date => $start_dt->epoch, end_date => $end_dt->epoch,
+            elements => { snow => { enabled => 1 } },
+        } )
+    } keys %expired
+});
+my $bulk = $theme_manager->roll_forward_expired();
+is_deeply([ map { $_->{id} } @{ $bulk->{results} } ], [ 'expired-a', 'expired-b' ], 'Seules les entrées expirées non récurrentes sont reportées');
+is_deeply([ @{$bulk}{qw(rolled failed)} ], [ 1, 1 ], 'Entrée en conflit refusée, les suivantes reportées');
+is($bulk->{results}[1]{message}, 'theme_conflict', 'Motif du refus retourné');
+is($theme_manager->roll_forward_expired()->{results}[0]{id}, 'expired-b', 'Entrée refusée toujours expirée');
+# --- Passage à l'heure d'été ---
+# Le 10 mars à 02:30 existe en 2029, pas en 2030
+$plugin->{config}->mock('get_timezone', sub { return 'America/Toronto' });
+my $dst = schedule('paque', '2029-03-10', '2029-03-12', start_time => '02:30');
+ok($theme_manager->roll_forward_theme($dst->{id})->{success}, 'Heure sautée au passage à l’heure d’été : entrée reportée');
+is(DateTime->from_epoch( epoch => $theme_manager->load_themes()->{ $dst->{id} }{start_date}, time_zone => 'America/Toronto' )->strftime('%F %H:%M'),
+    '2030-03-10 03:00', 'Heure sautée remplacée par la première heure valide');
+done_testing();
@@ -0,0 +1,90 @@
+package CelebrationsTest;
+
+use Modern::Perl;
+use Exporter qw(import);
+use JSON;
+use Test::MockObject;
+use Koha::Plugin::Celebrations::Lib::Recurrence;
+use Koha::Plugin::Celebrations::Lib::ThemeManager;
+
+our @EXPORT_OK = qw(build_plugin entry_params);
+
+=head1 NAME
+
+CelebrationsTest - Plugin simulé partagé par les tests des entrées programmées
+
+=head1 DESCRIPTION
+
+Construit un plugin Celebrations simulé (C<Test::MockObject>) dont les données
+(C<themes_data>, C<trash_data>, C<history_data>) sont conservées en mémoire,
+avec une configuration des thèmes réduite à l’essentiel. Chaque test n’ajoute
+que ce qui est propre à son scénario (fuseau, bibliothèques, session...).
+
+=head1 FUNCTIONS
+
+=head2 build_plugin
+
+    my ( $plugin, $data ) = build_plugin(
+        themes   => [ 'noel', 'halloween' ],
+        elements => { snow => 'activation_flocons', music => 'activation_musique' },
+    );
+
+Retourne le plugin simulé et ses données enregistrées (texte JSON indexé par clé,
+ex : C<< $data->{themes_data} >>). Le plugin expose C<config>, C<i18n>, C<recurrence>
+et C<theme_manager>. Options :
+
+- C<themes> : thèmes connus de C<theme-config.json> (C<noel> par défaut) ;
+- C<elements> : éléments de chaque thème, avec leur réglage (C<snow> par défaut) ;
+- C<stored> : entrées programmées déjà enregistrées (aucune par défaut).
+
+Le fuseau de la bibliothèque est C<local> ; un test le change avec
+C<< $plugin->{config}->mock('get_timezone', ...) >>.
+
+=cut
+
+sub build_plugin {
+    my (%args) = @_;
+    my @themes = @{ $args{themes} // ['noel'] };
+    my $elements = $args{elements} // { snow => 'activation_flocons' };
+    my $data = { themes_data => encode_json( $args{stored} // {} ) };
+    my $plugin = Test::MockObject->new();
+    $plugin->mock('retrieve_data', sub { return $data->{ $_[1] } });
+    $plugin->mock('store_data', sub { %$data = ( %$data, %{ $_[1] } ) });
+    my $config = Test::MockObject->new();
+    $config->mock('get_timezone', sub { return 'local' });
+    $config->mock('theme_exists', sub { my $theme = $_[1]; return scalar grep { $_ eq $theme } @themes });
+    $config->mock('get_themes_config', sub { return { map { $_ => {} } @themes } });
+    $config->mock('get_theme_config', sub {
+        return { elements => { map { $_ => { setting => $elements->{$_} } } keys %$elements } };
+    });
+    my $i18n = Test::MockObject->new();
+    $i18n->mock('load_translations', sub { return { hash => {} } });
+    $plugin->{config} = $config;
+    $plugin->{i18n} = $i18n;
+    $plugin->{recurrence} = Koha::Plugin::Celebrations::Lib::Recurrence->new($plugin);
+    $plugin->{theme_manager} = Koha::Plugin::Celebrations::Lib::ThemeManager->new($plugin);
+    return ( $plugin, $data );
+}
+
+=head2 entry_params
+
+    my $params = entry_params('noel', '2030-12-01', '2030-12-10', branches => ['NORD']);
+
+Retourne les paramètres d’une entrée programmée, tels qu’envoyés par le formulaire :
+l’élément C<activation_flocons> est activé, sauf si C<elements> est fourni.
+Les autres paramètres (heures, récurrence, bibliothèques...) sont repris tels quels.
+
+=cut
+
+sub entry_params {
+    my ( $theme, $start_date, $end_date, %params ) = @_;
+    return {
+        theme      => $theme,
+        start_date => $start_date,
+        end_date   => $end_date,
+        elements   => { activation_flocons => { enabled => 1 } },
+        %params,
+    };
+}
+
+1;